@@ -4,11 +4,14 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import Layout from './components/Layout';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 
 import Dashboard from './pages/Dashboard';
 import PlugManager from './pages/PlugManager';
 import Settings from './pages/Settings';
 import Notifications from './pages/Notifications';
+import AuditLog from './pages/AuditLog';
 import EmployeeDirectory from './plugs/EmployeeDirectory';
 import AttendanceTracker from './plugs/AttendanceTracker';
 import PayrollManager from './plugs/PayrollManager';
@@ -68,6 +71,22 @@ function AppRoutes() {
           </PublicRoute>
         }
       />
+      <Route
+        path="/forgot-password"
+        element={
+          <PublicRoute>
+            <ForgotPassword />
+          </PublicRoute>
+        }
+      />
+      <Route
+        path="/reset-password"
+        element={
+          <PublicRoute>
+            <ResetPassword />
+          </PublicRoute>
+        }
+      />
 
       <Route
         path="/dashboard"
@@ -101,6 +120,14 @@ function AppRoutes() {
           </PrivateRoute>
         }
       />
+      <Route
+        path="/audit"
+        element={
+          <PrivateRoute>
+            <AuditLog />
+          </PrivateRoute>
+        }
+      />
       <Route
         path="/employees"
         element={
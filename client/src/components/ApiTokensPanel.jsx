@@ -0,0 +1,313 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import ConfirmModal from './ConfirmModal';
+import CustomSelect from './CustomSelect';
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+const EMPTY_FORM = { name: '', expiresInDays: '90', scopes: [] };
+
+/**
+ * Personal access tokens (orgKeys=false) or the current org's API keys (orgKeys=true)
+ */
+export default function ApiTokensPanel({ orgKeys = false }) {
+  const { currentOrg } = useAuth();
+  const basePath = orgKeys ? `/tokens/org/${currentOrg?.id}` : '/tokens/personal';
+  const label = orgKeys ? 'API key' : 'token';
+
+  const [tokens, setTokens] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [confirmRevoke, setConfirmRevoke] = useState(null);
+  const [revoking, setRevoking] = useState(false);
+
+  useEffect(() => {
+    if (!orgKeys || currentOrg) {
+      fetchTokens();
+    }
+  }, [orgKeys, currentOrg]);
+
+  const fetchTokens = async () => {
+    try {
+      const [tokensRes, scopesRes] = await Promise.all([
+        api.get(basePath),
+        api.get(`${basePath}/scopes`)
+      ]);
+      setTokens(tokensRes.data);
+      setCatalog(scopesRes.data);
+    } catch (err) {
+      setError(`Failed to load ${label}s`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Scopes grouped by area, in catalog order
+  const groups = catalog.reduce((acc, permission) => {
+    (acc[permission.group] = acc[permission.group] || []).push(permission);
+    return acc;
+  }, {});
+
+  const toggleScope = (key) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(key)
+        ? form.scopes.filter(s => s !== key)
+        : [...form.scopes, key]
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const { data } = await api.post(basePath, {
+        name: form.name,
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays ? parseInt(form.expiresInDays) : null
+      });
+      setNewToken(data.token);
+      setCopied(false);
+      setCreating(false);
+      setForm(EMPTY_FORM);
+      fetchTokens();
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to create ${label}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    setRevoking(true);
+    try {
+      await api.delete(`${basePath}/${confirmRevoke.id}`);
+      setTokens(tokens.filter(t => t.id !== confirmRevoke.id));
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to revoke ${label}`);
+    } finally {
+      setConfirmRevoke(null);
+      setRevoking(false);
+    }
+  };
+
+  const copyToken = async () => {
+    await navigator.clipboard.writeText(newToken);
+    setCopied(true);
+  };
+
+  const describeScopes = (scopes) => {
+    if (scopes.includes('*')) return 'Full access';
+    return scopes.length <= 3 ? scopes.join(', ') : `${scopes.length} scopes`;
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+            <Icon icon={orgKeys ? 'mdi:key-chain' : 'mdi:key-variant'} className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold">{orgKeys ? 'API Keys' : 'Personal Access Tokens'}</h3>
+            <p className="text-sm text-[var(--color-text-muted)]">
+              {orgKeys
+                ? `Keys for integrations that work with ${currentOrg?.name}`
+                : 'Tokens for scripts that use the API as you'}
+            </p>
+          </div>
+        </div>
+        {!creating && (
+          <button
+            onClick={() => setCreating(true)}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors"
+          >
+            <Icon icon="mdi:plus" className="w-4 h-4" />
+            {orgKeys ? 'New Key' : 'New Token'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {error}
+          <button onClick={() => setError('')} className="hover:text-red-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {newToken && (
+        <div className="m-4 p-4 rounded-lg border border-green-500/50 bg-green-500/10 space-y-3">
+          <p className="text-sm text-green-400">
+            Copy your new {label} now. You won't be able to see it again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 min-w-0 truncate px-3 py-2 rounded-lg bg-[var(--color-bg-dark)] border border-[var(--color-border)] text-sm">
+              {newToken}
+            </code>
+            <button
+              onClick={copyToken}
+              className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+              title="Copy"
+            >
+              <Icon icon={copied ? 'mdi:check' : 'mdi:content-copy'} className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setNewToken(null)}
+              className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+              title="Dismiss"
+            >
+              <Icon icon="mdi:close" className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+        </div>
+      ) : creating ? (
+        <form onSubmit={handleCreate} className="p-4 space-y-5">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder={orgKeys ? 'e.g. Accounting sync' : 'e.g. Timesheet script'}
+                autoFocus
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Expires after</label>
+              <CustomSelect
+                value={form.expiresInDays}
+                onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+                options={EXPIRY_OPTIONS}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.scopes.includes('*')}
+                onChange={() => setForm({ ...form, scopes: form.scopes.includes('*') ? [] : ['*'] })}
+                className="w-4 h-4 accent-indigo-600"
+              />
+              <span className="text-sm">
+                Full access <span className="text-[var(--color-text-muted)]">(everything {orgKeys ? 'you' : 'your account'} can do)</span>
+              </span>
+            </label>
+
+            {!form.scopes.includes('*') && Object.entries(groups).map(([group, permissions]) => (
+              <div key={group}>
+                <h4 className="text-xs font-semibold text-[var(--color-text-muted)] uppercase tracking-wider mb-2">{group}</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                  {permissions.map(permission => (
+                    <label
+                      key={permission.key}
+                      className="flex items-start gap-3 p-3 rounded-lg border border-[var(--color-border)] bg-[var(--color-bg-elevated)] cursor-pointer"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={form.scopes.includes(permission.key)}
+                        onChange={() => toggleScope(permission.key)}
+                        className="mt-0.5 w-4 h-4 accent-indigo-600"
+                      />
+                      <div>
+                        <p className="text-sm font-medium">{permission.description || permission.key}</p>
+                        <p className="text-xs text-[var(--color-text-muted)] font-mono">{permission.key}</p>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => { setCreating(false); setForm(EMPTY_FORM); }}
+              className="px-4 py-2 rounded-lg text-sm text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || form.scopes.length === 0}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Creating...' : orgKeys ? 'Create Key' : 'Create Token'}
+            </button>
+          </div>
+        </form>
+      ) : tokens.length === 0 ? (
+        <p className="p-4 text-sm text-[var(--color-text-muted)]">
+          {orgKeys ? 'No API keys yet.' : 'No personal access tokens yet.'}
+        </p>
+      ) : (
+        <div className="divide-y divide-[var(--color-border)]">
+          {tokens.map(token => (
+            <div key={token.id} className="p-4 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{token.name}</span>
+                  <code className="text-xs px-2 py-0.5 rounded-full bg-[var(--color-bg-elevated)] text-[var(--color-text-muted)]">
+                    {token.token_prefix}…
+                  </code>
+                </div>
+                <p className="text-xs text-[var(--color-text-muted)]">
+                  {describeScopes(token.scopes)}
+                  {orgKeys && ` · Created by ${token.created_by_name}`}
+                  {' · '}
+                  {token.last_used_at ? `Last used ${new Date(token.last_used_at).toLocaleString()}` : 'Never used'}
+                  {' · '}
+                  {token.expires_at ? `Expires ${new Date(token.expires_at).toLocaleDateString()}` : 'No expiry'}
+                </p>
+              </div>
+              <button
+                onClick={() => setConfirmRevoke(token)}
+                className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-red-400 hover:bg-red-500/10 transition-colors flex-shrink-0"
+                title={`Revoke ${label}`}
+              >
+                <Icon icon="mdi:delete" className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!confirmRevoke}
+        onClose={() => setConfirmRevoke(null)}
+        onConfirm={handleRevoke}
+        title={`Revoke ${confirmRevoke?.name}?`}
+        message={`Anything using this ${label} will stop working immediately.`}
+        confirmText="Revoke"
+        loading={revoking}
+      />
+    </div>
+  );
+}
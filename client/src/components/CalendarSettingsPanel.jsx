@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import CustomSelect from './CustomSelect';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTH_OPTIONS = MONTHS.map((month, i) => ({ value: String(i + 1), label: month }));
+
+// IANA timezones the browser knows, for suggestions
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+/**
+ * The current org's timezone, work week, business hours and fiscal year
+ */
+export default function CalendarSettingsPanel() {
+  const { currentOrg, updateCurrentOrg } = useAuth();
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (currentOrg) {
+      fetchCalendar();
+    }
+  }, [currentOrg?.id]);
+
+  const toForm = (org) => ({
+    timezone: org.timezone,
+    work_days: org.work_days,
+    business_hours_start: org.business_hours_start.slice(0, 5),
+    business_hours_end: org.business_hours_end.slice(0, 5),
+    fiscal_year_start_month: org.fiscal_year_start_month
+  });
+
+  const fetchCalendar = async () => {
+    try {
+      const { data } = await api.get(`/organizations/${currentOrg.id}`);
+      setForm(toForm(data));
+    } catch (err) {
+      setError('Failed to load calendar settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const update = (changes) => {
+    setForm({ ...form, ...changes });
+    setSaved(false);
+  };
+
+  const toggleDay = (day) => {
+    update({
+      work_days: form.work_days.includes(day)
+        ? form.work_days.filter(d => d !== day)
+        : [...form.work_days, day].sort()
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const { data } = await api.patch(`/organizations/${currentOrg.id}/settings`, form);
+      setForm(toForm(data));
+      updateCurrentOrg({ timezone: data.timezone, fiscal_year_start_month: data.fiscal_year_start_month });
+      setSaved(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save calendar settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center gap-3">
+        <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+          <Icon icon="mdi:calendar-clock" className="w-5 h-5 text-indigo-400" />
+        </div>
+        <div>
+          <h3 className="font-semibold">Timezone &amp; Work Week</h3>
+          <p className="text-sm text-[var(--color-text-muted)]">
+            Used for today's attendance, payroll periods and expense reports in {currentOrg?.name}.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {error}
+          <button onClick={() => setError('')} className="hover:text-red-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {loading || !form ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+        </div>
+      ) : (
+        <form onSubmit={handleSave} className="p-4 space-y-5">
+          <div className="grid sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Timezone</label>
+              <input
+                type="text"
+                list="calendar-timezones"
+                value={form.timezone}
+                onChange={(e) => update({ timezone: e.target.value })}
+                placeholder="e.g. Asia/Kuala_Lumpur"
+                required
+              />
+              <datalist id="calendar-timezones">
+                {TIMEZONES.map(timezone => <option key={timezone} value={timezone} />)}
+              </datalist>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Fiscal year starts in</label>
+              <CustomSelect
+                value={String(form.fiscal_year_start_month)}
+                onChange={(e) => update({ fiscal_year_start_month: parseInt(e.target.value) })}
+                options={MONTH_OPTIONS}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-2">Working days</label>
+            <div className="flex flex-wrap gap-2">
+              {DAYS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleDay(day)}
+                  className={`px-3 py-1.5 rounded-lg text-sm border transition-colors ${
+                    form.work_days.includes(day)
+                      ? 'bg-indigo-500/20 border-indigo-500 text-indigo-300'
+                      : 'border-[var(--color-border)] text-[var(--color-text-muted)] hover:text-white'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-2">Business hours</label>
+            <div className="flex items-center gap-3">
+              <input
+                type="time"
+                value={form.business_hours_start}
+                onChange={(e) => update({ business_hours_start: e.target.value })}
+                className="max-w-[140px]"
+                required
+              />
+              <span className="text-[var(--color-text-muted)]">to</span>
+              <input
+                type="time"
+                value={form.business_hours_end}
+                onChange={(e) => update({ business_hours_end: e.target.value })}
+                className="max-w-[140px]"
+                required
+              />
+            </div>
+            <p className="text-xs text-[var(--color-text-muted)] mt-2">
+              Payroll counts hours beyond working days times business hours in a period as overtime.
+            </p>
+          </div>
+
+          <div className="flex items-center justify-end gap-3">
+            {saved && (
+              <span className="text-sm text-green-400 flex items-center gap-1">
+                <Icon icon="mdi:check" className="w-4 h-4" />
+                Saved
+              </span>
+            )}
+            <button
+              type="submit"
+              disabled={saving || form.work_days.length === 0}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50 flex items-center gap-2"
+            >
+              {saving && <Icon icon="mdi:loading" className="w-4 h-4 animate-spin" />}
+              Save
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
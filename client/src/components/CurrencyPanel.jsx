@@ -0,0 +1,310 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import usePagedList from '../hooks/usePagedList';
+import ConfirmModal from './ConfirmModal';
+import LoadMore from './LoadMore';
+
+const EMPTY_RATE = { currency: '', rate: '', effective_date: new Date().toISOString().split('T')[0] };
+
+/**
+ * The current org's base currency and exchange rates
+ */
+export default function CurrencyPanel() {
+  const { currentOrg, updateCurrentOrg } = useAuth();
+  const basePath = `/currencies/org/${currentOrg?.id}`;
+
+  const [baseCurrency, setBaseCurrency] = useState('');
+  const [baseInput, setBaseInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+  const [notice, setNotice] = useState('');
+  const [form, setForm] = useState(EMPTY_RATE);
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [confirmBase, setConfirmBase] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const {
+    items: rates,
+    total: totalRates,
+    hasMore: moreRates,
+    loadingMore: loadingMoreRates,
+    loadMore: loadMoreRates,
+    reload: reloadRates
+  } = usePagedList(currentOrg ? `${basePath}/rates` : null);
+
+  useEffect(() => {
+    if (currentOrg) {
+      fetchCurrencies();
+    }
+  }, [currentOrg?.id]);
+
+  const fetchCurrencies = async () => {
+    try {
+      const { data } = await api.get(basePath);
+      setBaseCurrency(data.base_currency);
+      setBaseInput(data.base_currency);
+    } catch (err) {
+      setError('Failed to load currencies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChangeBase = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const { data } = await api.put(`${basePath}/base`, { base_currency: baseInput });
+      updateCurrentOrg({ base_currency: data.base_currency });
+      setConfirmBase(false);
+      await Promise.all([fetchCurrencies(), reloadRates()]);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to change base currency');
+      setConfirmBase(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddRate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await api.post(`${basePath}/rates`, form);
+      setForm({ ...EMPTY_RATE, effective_date: form.effective_date });
+      await reloadRates();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add exchange rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    setError('');
+    setImportErrors([]);
+    setNotice('');
+    try {
+      const csv = await file.text();
+      const { data } = await api.post(`${basePath}/rates/import`, { csv });
+      setNotice(`Imported ${data.imported} rate${data.imported === 1 ? '' : 's'}`);
+      await reloadRates();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to import exchange rates');
+      // `error` already says what's wrong when only one row is
+      const details = err.response?.data?.details || [];
+      setImportErrors(details.length > 1 ? details.map(detail => detail.message) : []);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    try {
+      await api.delete(`${basePath}/rates/${confirmDelete.id}`);
+      setConfirmDelete(null);
+      await reloadRates();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete exchange rate');
+      setConfirmDelete(null);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const baseChanged = baseInput.trim().toUpperCase() !== baseCurrency;
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+            <Icon icon="mdi:currency-usd" className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold">Currencies</h3>
+            <p className="text-sm text-[var(--color-text-muted)]">
+              Expense and payroll totals are reported in the base currency.
+            </p>
+          </div>
+        </div>
+        <label className={`inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm border border-[var(--color-border)] text-[var(--color-text-muted)] hover:text-white transition-colors cursor-pointer ${importing ? 'opacity-50 pointer-events-none' : ''}`}>
+          <Icon icon={importing ? 'mdi:loading' : 'mdi:file-upload'} className={`w-4 h-4 ${importing ? 'animate-spin' : ''}`} />
+          Import CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
+          <div className="flex items-center justify-between">
+            {error}
+            <button onClick={() => { setError(''); setImportErrors([]); }} className="hover:text-red-300">
+              <Icon icon="mdi:close" className="w-4 h-4" />
+            </button>
+          </div>
+          {importErrors.length > 0 && (
+            <ul className="mt-2 space-y-0.5 text-xs max-h-32 overflow-y-auto">
+              {importErrors.map((message, i) => (
+                <li key={i}>{message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {notice && (
+        <div className="m-4 bg-green-500/10 border border-green-500/50 text-green-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {notice}
+          <button onClick={() => setNotice('')} className="hover:text-green-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+        </div>
+      ) : (
+        <>
+          <div className="p-4 border-b border-[var(--color-border)]">
+            <label className="block text-sm font-medium mb-2">Base currency</label>
+            <div className="flex items-center gap-3">
+              <input
+                type="text"
+                value={baseInput}
+                onChange={(e) => setBaseInput(e.target.value.toUpperCase())}
+                maxLength={3}
+                className="max-w-[120px]"
+              />
+              <button
+                onClick={() => setConfirmBase(true)}
+                disabled={!baseChanged || baseInput.trim().length !== 3}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+              >
+                Change
+              </button>
+            </div>
+          </div>
+
+          <form onSubmit={handleAddRate} className="p-4 border-b border-[var(--color-border)]">
+            <label className="block text-sm font-medium mb-2">Add a rate</label>
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                value={form.currency}
+                onChange={(e) => setForm({ ...form, currency: e.target.value.toUpperCase() })}
+                placeholder="USD"
+                maxLength={3}
+                className="max-w-[100px]"
+                required
+              />
+              <span className="text-sm text-[var(--color-text-muted)]">1 = </span>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={form.rate}
+                onChange={(e) => setForm({ ...form, rate: e.target.value })}
+                placeholder="4.4500"
+                className="max-w-[140px]"
+                required
+              />
+              <span className="text-sm text-[var(--color-text-muted)]">{baseCurrency} from</span>
+              <input
+                type="date"
+                value={form.effective_date}
+                onChange={(e) => setForm({ ...form, effective_date: e.target.value })}
+                className="max-w-[170px]"
+                required
+              />
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+              >
+                Add
+              </button>
+            </div>
+            <p className="text-xs text-[var(--color-text-muted)] mt-2">
+              Each amount uses the latest rate on or before its date. CSV imports need
+              <code className="mx-1">currency,rate,effective_date</code>columns.
+            </p>
+          </form>
+
+          {rates.length === 0 ? (
+            <p className="p-4 text-sm text-[var(--color-text-muted)]">
+              No exchange rates yet. Amounts in other currencies are left out of totals until they have one.
+            </p>
+          ) : (
+            <div className="divide-y divide-[var(--color-border)] max-h-80 overflow-y-auto">
+              {rates.map(rate => (
+                <div key={rate.id} className="px-4 py-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <span className="font-medium">1 {rate.currency} = {parseFloat(rate.rate)} {rate.base_currency}</span>
+                    <p className="text-xs text-[var(--color-text-muted)] truncate">
+                      From {new Date(rate.effective_date).toLocaleDateString()}
+                      {' · '}
+                      {rate.source === 'import' ? 'Imported' : 'Added'}
+                      {rate.created_by_name && ` by ${rate.created_by_name}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => setConfirmDelete(rate)}
+                    className="p-2 rounded-lg text-red-400 hover:bg-red-500/10 transition-colors"
+                    title="Delete"
+                  >
+                    <Icon icon="mdi:delete" className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <LoadMore
+                hasMore={moreRates}
+                loading={loadingMoreRates}
+                onLoadMore={loadMoreRates}
+                shown={rates.length}
+                total={totalRates}
+                noun="rates"
+              />
+            </div>
+          )}
+        </>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmBase}
+        onClose={() => setConfirmBase(false)}
+        onConfirm={handleChangeBase}
+        title={`Report in ${baseInput}?`}
+        message={`Totals will be converted into ${baseInput} using rates entered for ${baseInput}. Rates into ${baseCurrency} are kept for if you switch back.`}
+        confirmText="Change"
+        variant="warning"
+        loading={saving}
+      />
+
+      <ConfirmModal
+        isOpen={!!confirmDelete}
+        onClose={() => setConfirmDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete exchange rate?"
+        message={`Amounts in ${confirmDelete?.currency} will be converted with the next older rate, if there is one.`}
+        confirmText="Delete"
+        loading={deleting}
+      />
+    </div>
+  );
+}
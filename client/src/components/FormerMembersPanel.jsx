@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import ConfirmModal from './ConfirmModal';
+
+/**
+ * People who have left the current org: export what it holds about them or erase them
+ */
+export default function FormerMembersPanel() {
+  const { currentOrg } = useAuth();
+  const basePath = `/privacy/org/${currentOrg?.id}`;
+
+  const [formerMembers, setFormerMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [exportingId, setExportingId] = useState(null);
+  const [confirmErase, setConfirmErase] = useState(null);
+  const [erasing, setErasing] = useState(false);
+
+  useEffect(() => {
+    if (currentOrg) {
+      fetchFormerMembers();
+    }
+  }, [currentOrg?.id]);
+
+  const fetchFormerMembers = async () => {
+    try {
+      const { data } = await api.get(`${basePath}/former-members`);
+      setFormerMembers(data);
+    } catch (err) {
+      setError('Failed to load former members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExport = async (person) => {
+    setExportingId(person.id);
+    setError('');
+    try {
+      const response = await api.get(`${basePath}/users/${person.id}/export`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `personal-data-${person.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export user data');
+    } finally {
+      setExportingId(null);
+    }
+  };
+
+  const handleErase = async () => {
+    setErasing(true);
+    try {
+      await api.post(`${basePath}/users/${confirmErase.id}/anonymize`);
+      setConfirmErase(null);
+      await fetchFormerMembers();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to erase user');
+      setConfirmErase(null);
+    } finally {
+      setErasing(false);
+    }
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center gap-3">
+        <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+          <Icon icon="mdi:account-remove" className="w-5 h-5 text-indigo-400" />
+        </div>
+        <div>
+          <h3 className="font-semibold">Former Members</h3>
+          <p className="text-sm text-[var(--color-text-muted)]">
+            People with attendance, payroll or expense records here who are no longer members.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {error}
+          <button onClick={() => setError('')} className="hover:text-red-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+        </div>
+      ) : formerMembers.length === 0 ? (
+        <p className="p-4 text-sm text-[var(--color-text-muted)]">
+          No former members. People show up here once they are removed from the organization.
+        </p>
+      ) : (
+        <div className="divide-y divide-[var(--color-border)] max-h-80 overflow-y-auto">
+          {formerMembers.map(person => (
+            <div key={person.id} className="px-4 py-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <span className="font-medium">{person.name}</span>
+                <p className="text-xs text-[var(--color-text-muted)] truncate">
+                  {person.email}
+                  {person.other_orgs > 0 && ` · Still in ${person.other_orgs} other organization${person.other_orgs === 1 ? '' : 's'}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => handleExport(person)}
+                  disabled={exportingId === person.id}
+                  className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors disabled:opacity-50"
+                  title="Download their data"
+                >
+                  <Icon icon={exportingId === person.id ? 'mdi:loading' : 'mdi:download'} className={`w-4 h-4 ${exportingId === person.id ? 'animate-spin' : ''}`} />
+                </button>
+                <button
+                  onClick={() => setConfirmErase(person)}
+                  disabled={person.other_orgs > 0}
+                  className="p-2 rounded-lg text-red-400 hover:bg-red-500/10 transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+                  title={person.other_orgs > 0 ? 'Only they can delete their account while they belong to another organization' : 'Erase'}
+                >
+                  <Icon icon="mdi:account-off" className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!confirmErase}
+        onClose={() => setConfirmErase(null)}
+        onConfirm={handleErase}
+        title={`Erase ${confirmErase?.name}?`}
+        message="Their name, email and sign-in details are erased, along with attendance notes and leave reasons. Payslips, expenses and other records stay, marked as a deleted user. This can't be undone."
+        confirmText="Erase"
+        loading={erasing}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Icon } from '@iconify/react';
+import api from '../utils/api';
+
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 250;
+
+export default function GlobalSearch({ orgId }) {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  // Results in display order, for keyboard navigation
+  const results = groups.flatMap(group => group.results.map(result => ({ ...result, group })));
+
+  useEffect(() => {
+    // Close dropdown when clicking outside
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    // Ctrl+K / Cmd+K focuses the search box
+    const handleShortcut = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        inputRef.current?.focus();
+        inputRef.current?.select();
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleShortcut);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleShortcut);
+    };
+  }, []);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!orgId || trimmed.length < MIN_QUERY_LENGTH) {
+      setGroups([]);
+      setLoading(false);
+      return;
+    }
+
+    // Ignore responses for text the user has since changed
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await api.get(`/search/org/${orgId}`, { params: { q: trimmed } });
+        if (!cancelled) {
+          setGroups(data.groups);
+          setActiveIndex(0);
+        }
+      } catch (error) {
+        console.error('Search failed:', error);
+        if (!cancelled) setGroups([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, orgId]);
+
+  const openResult = (result) => {
+    setIsOpen(false);
+    setQuery('');
+    inputRef.current?.blur();
+    navigate(result.link);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      inputRef.current?.blur();
+    } else if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      openResult(results[activeIndex]);
+    }
+  };
+
+  const showDropdown = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+  let index = -1;
+
+  return (
+    <div className="relative w-full max-w-md" ref={containerRef}>
+      <div className="relative">
+        <Icon icon="mdi:magnify" className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-[var(--color-text-muted)]" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setIsOpen(true); }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search everything..."
+          className="w-full pl-9 pr-16 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-white placeholder-[var(--color-text-muted)] focus:outline-none focus:border-indigo-500 transition-colors"
+        />
+        <span className="absolute right-3 top-1/2 -translate-y-1/2 text-xs text-[var(--color-text-muted)] opacity-60 pointer-events-none">
+          Ctrl K
+        </span>
+      </div>
+
+      {showDropdown && (
+        <div className="absolute left-0 right-0 top-12 bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl shadow-2xl overflow-hidden z-50">
+          <div className="max-h-96 overflow-y-auto">
+            {loading && groups.length === 0 ? (
+              <div className="flex justify-center py-8">
+                <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+              </div>
+            ) : groups.length === 0 ? (
+              <div className="py-8 text-center text-[var(--color-text-muted)]">
+                <Icon icon="mdi:magnify-close" className="w-10 h-10 mx-auto mb-2 opacity-50" />
+                <p className="text-sm">No results for "{query.trim()}"</p>
+              </div>
+            ) : (
+              groups.map((group) => (
+                <div key={group.id} className="border-b border-[var(--color-border)] last:border-b-0">
+                  <div className="flex items-center gap-2 px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wider text-[var(--color-text-muted)]">
+                    <Icon icon={group.icon} className="w-4 h-4" />
+                    {group.label}
+                  </div>
+                  {group.results.map((result) => {
+                    index++;
+                    const resultIndex = index;
+                    return (
+                      <button
+                        key={`${group.id}-${result.id}`}
+                        onClick={() => openResult(result)}
+                        onMouseEnter={() => setActiveIndex(resultIndex)}
+                        className={`w-full text-left px-4 py-2 transition-colors ${
+                          resultIndex === activeIndex ? 'bg-indigo-500/10' : 'hover:bg-[var(--color-bg-elevated)]'
+                        }`}
+                      >
+                        <p className="text-sm font-medium text-white truncate">{result.title}</p>
+                        {result.subtitle && (
+                          <p className="text-xs text-[var(--color-text-muted)] truncate">{result.subtitle}</p>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,19 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 import PasswordChangeModal from './PasswordChangeModal';
+import GlobalSearch from './GlobalSearch';
 import notificationService from '../utils/notifications';
+import { subscribeToNotifications } from '../utils/notificationStream';
 import useBodyScrollLock from '../hooks/useBodyScrollLock';
 
 export default function Layout({ children }) {
-  const { user, currentOrg, logout, isAdmin } = useAuth();
+  const { user, currentOrg, logout, can } = useAuth();
+  const canManagePlugs = can('plugs.manage');
+  const canManageDepartments = can('departments.manage');
+  const canViewAudit = can('audit.view');
   const [enabledPlugs, setEnabledPlugs] = useState([]);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -26,7 +31,6 @@ export default function Layout({ children }) {
   const [showPlugAssignModal, setShowPlugAssignModal] = useState(null);
   const [draggedPlug, setDraggedPlug] = useState(null);
   const [dragOverCategory, setDragOverCategory] = useState(null);
-  const prevUnreadRef = useRef(0);
   const location = useLocation();
 
   // Lock scroll when modals are open
@@ -35,10 +39,18 @@ export default function Layout({ children }) {
   useEffect(() => {
     if (currentOrg) {
       fetchCategoriesAndPlugs();
-      fetchUnreadCount();
       notificationService.requestPermission();
-      const interval = setInterval(fetchUnreadCount, 30000);
-      return () => clearInterval(interval);
+      return subscribeToNotifications(currentOrg.id, {
+        onUnreadCount: setUnreadNotifications,
+        // Show a browser notification for each one pushed by the server
+        onNotification: (notification) => {
+          notificationService.show(notification.title, {
+            body: notification.message,
+            link: notification.link || '/notifications',
+            tag: `plugos-notification-${notification.id}`,
+          });
+        }
+      });
     }
   }, [currentOrg]);
 
@@ -116,7 +128,7 @@ export default function Layout({ children }) {
 
   // Drag and drop handlers
   const handleDragStart = (e, plug) => {
-    if (!isAdmin) return;
+    if (!canManagePlugs) return;
     setDraggedPlug(plug);
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/plain', plug.id);
@@ -150,7 +162,7 @@ export default function Layout({ children }) {
   const handleDrop = async (e, categoryId) => {
     e.preventDefault();
     setDragOverCategory(null);
-    if (!draggedPlug || !isAdmin) return;
+    if (!draggedPlug || !canManagePlugs) return;
     
     // Only update if category changed
     if (draggedPlug.category_id !== categoryId) {
@@ -175,28 +187,6 @@ export default function Layout({ children }) {
     return { categorized, uncategorized };
   };
 
-  const fetchUnreadCount = async () => {
-    try {
-      const { data } = await api.get(`/notifications/org/${currentOrg.id}/unread-count`);
-      const newCount = data.count;
-      
-      // Show browser notification if new notifications arrived
-      if (newCount > prevUnreadRef.current && prevUnreadRef.current >= 0) {
-        const newNotifs = newCount - prevUnreadRef.current;
-        notificationService.show('New Notification', {
-          body: `You have ${newNotifs} new notification${newNotifs > 1 ? 's' : ''}`,
-          link: '/notifications',
-          tag: 'plugos-notification', // Prevents duplicate notifications
-        });
-      }
-      
-      prevUnreadRef.current = newCount;
-      setUnreadNotifications(newCount);
-    } catch (error) {
-      console.error('Failed to fetch unread count:', error);
-    }
-  };
-
   const getPlugIcon = (icon) => {
     // Use the icon from database directly, or fallback to puzzle icon
     return icon || 'mdi:puzzle';
@@ -273,7 +263,7 @@ export default function Layout({ children }) {
           className="flex-1 overflow-y-auto py-4 scrollbar-hide" 
           style={{ scrollbarWidth: 'none', msOverflowStyle: 'none' }}
           onContextMenu={(e) => {
-            if (isAdmin) {
+            if (canManagePlugs) {
               e.preventDefault();
               setContextMenu({ x: e.clientX, y: e.clientY });
             }
@@ -310,7 +300,7 @@ export default function Layout({ children }) {
                             <span className="text-xs font-semibold text-[var(--color-text-muted)] uppercase tracking-wider whitespace-nowrap">
                               {cat.name}
                             </span>
-                            {isAdmin && (
+                            {canManagePlugs && (
                               <button
                                 onClick={(e) => {
                                   e.stopPropagation();
@@ -331,10 +321,10 @@ export default function Layout({ children }) {
                                   <Link
                                     key={plug.id}
                                     to={route}
-                                    draggable={isAdmin}
+                                    draggable={canManagePlugs}
                                     onDragStart={(e) => handleDragStart(e, plug)}
                                     onDragEnd={handleDragEnd}
-                                    className={`flex items-center gap-3 px-2 py-2 rounded-lg transition-all group/item ${isAdmin ? 'cursor-grab active:cursor-grabbing' : ''} ${
+                                    className={`flex items-center gap-3 px-2 py-2 rounded-lg transition-all group/item ${canManagePlugs ? 'cursor-grab active:cursor-grabbing' : ''} ${
                                       isActive
                                         ? 'bg-indigo-500/20 text-indigo-400'
                                         : 'text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)]'
@@ -372,10 +362,10 @@ export default function Layout({ children }) {
                               <Link
                                 key={plug.id}
                                 to={route}
-                                draggable={isAdmin}
+                                draggable={canManagePlugs}
                                 onDragStart={(e) => handleDragStart(e, plug)}
                                 onDragEnd={handleDragEnd}
-                                className={`flex items-center gap-3 px-2 py-2.5 rounded-lg transition-all group/item ${isAdmin ? 'cursor-grab active:cursor-grabbing' : ''} ${
+                                className={`flex items-center gap-3 px-2 py-2.5 rounded-lg transition-all group/item ${canManagePlugs ? 'cursor-grab active:cursor-grabbing' : ''} ${
                                   isActive
                                     ? 'bg-indigo-500/20 text-indigo-400'
                                     : 'text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)]'
@@ -444,36 +434,56 @@ export default function Layout({ children }) {
         </div>
 
         {/* Admin Actions */}
-        {isAdmin && (
+        {(canManagePlugs || canManageDepartments || canViewAudit) && (
           <div className="p-2 border-t border-[var(--color-border)] space-y-1">
-            <Link
-              to="/plugs"
-              className={`flex items-center gap-3 w-full py-2.5 px-2 rounded-lg font-medium text-sm transition-all ${
-                isActiveRoute('/plugs')
-                  ? 'bg-indigo-600 text-white'
-                  : 'bg-indigo-600 hover:bg-indigo-500 text-white'
-              }`}
-              title="Manage Plugs"
-            >
-              <div className="w-8 h-8 flex items-center justify-center flex-shrink-0">
-                <Icon icon="mdi:puzzle-plus" className="w-5 h-5" />
-              </div>
-              <span className="whitespace-nowrap">Manage Plugs</span>
-            </Link>
-            <Link
-              to="/settings"
-              className={`flex items-center gap-3 w-full py-2.5 px-2 rounded-lg text-sm transition-all ${
-                isActiveRoute('/settings')
-                  ? 'bg-[var(--color-bg-elevated)] text-white'
-                  : 'text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)]'
-              }`}
-              title="Plug Access"
-            >
-              <div className="w-8 h-8 flex items-center justify-center flex-shrink-0">
-                <Icon icon="mdi:shield-key" className="w-5 h-5" />
-              </div>
-              <span className="whitespace-nowrap">Plug Access</span>
-            </Link>
+            {canManagePlugs && (
+              <Link
+                to="/plugs"
+                className={`flex items-center gap-3 w-full py-2.5 px-2 rounded-lg font-medium text-sm transition-all ${
+                  isActiveRoute('/plugs')
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-indigo-600 hover:bg-indigo-500 text-white'
+                }`}
+                title="Manage Plugs"
+              >
+                <div className="w-8 h-8 flex items-center justify-center flex-shrink-0">
+                  <Icon icon="mdi:puzzle-plus" className="w-5 h-5" />
+                </div>
+                <span className="whitespace-nowrap">Manage Plugs</span>
+              </Link>
+            )}
+            {canManageDepartments && (
+              <Link
+                to="/settings"
+                className={`flex items-center gap-3 w-full py-2.5 px-2 rounded-lg text-sm transition-all ${
+                  isActiveRoute('/settings')
+                    ? 'bg-[var(--color-bg-elevated)] text-white'
+                    : 'text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)]'
+                }`}
+                title="Plug Access"
+              >
+                <div className="w-8 h-8 flex items-center justify-center flex-shrink-0">
+                  <Icon icon="mdi:shield-key" className="w-5 h-5" />
+                </div>
+                <span className="whitespace-nowrap">Plug Access</span>
+              </Link>
+            )}
+            {canViewAudit && (
+              <Link
+                to="/audit"
+                className={`flex items-center gap-3 w-full py-2.5 px-2 rounded-lg text-sm transition-all ${
+                  isActiveRoute('/audit')
+                    ? 'bg-[var(--color-bg-elevated)] text-white'
+                    : 'text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)]'
+                }`}
+                title="Audit Log"
+              >
+                <div className="w-8 h-8 flex items-center justify-center flex-shrink-0">
+                  <Icon icon="mdi:clipboard-text-clock" className="w-5 h-5" />
+                </div>
+                <span className="whitespace-nowrap">Audit Log</span>
+              </Link>
+            )}
           </div>
         )}
       </aside>
@@ -483,7 +493,8 @@ export default function Layout({ children }) {
         {/* Top Navigation */}
         <nav className="bg-[var(--color-bg-card)] border-b border-[var(--color-border)] sticky top-0 z-10">
           <div className="px-6 lg:px-8">
-            <div className="flex justify-end h-16 items-center">
+            <div className="flex justify-between gap-6 h-16 items-center">
+              <GlobalSearch orgId={currentOrg?.id} />
               <div className="flex items-center gap-3">
                 <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-[var(--color-bg-elevated)]">
                   <Icon icon="mdi:account-circle" className="w-5 h-5 text-indigo-400" />
@@ -496,6 +507,13 @@ export default function Layout({ children }) {
                 >
                   <Icon icon="mdi:lock" className="w-4 h-4" />
                 </button>
+                <Link
+                  to="/settings"
+                  className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-all"
+                  title="Account Settings"
+                >
+                  <Icon icon="mdi:cog" className="w-4 h-4" />
+                </Link>
                 <button
                   onClick={() => setShowLogoutModal(true)}
                   className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium text-red-400 hover:bg-red-500/10 border border-red-500/30 hover:border-red-500/50 transition-all"
@@ -0,0 +1,44 @@
+import { useEffect, useRef } from 'react';
+import { Icon } from '@iconify/react';
+
+/**
+ * Footer for paged lists: loads the next page when scrolled into view,
+ * with a button as a fallback, and shows how much of the list is loaded
+ * @param {boolean} hasMore - Whether another page exists
+ * @param {boolean} loading - Whether a page is being loaded
+ * @param {Function} onLoadMore - Load the next page
+ * @param {number} shown - Items loaded so far
+ * @param {number} total - Items in the whole list
+ * @param {string} noun - What the items are, e.g. 'tasks'
+ * @param {boolean} auto - Load on scroll; turn off where the footer is always in view
+ */
+export default function LoadMore({ hasMore, loading, onLoadMore, shown, total, noun = 'items', auto = true }) {
+  const sentinel = useRef(null);
+
+  useEffect(() => {
+    if (!auto || !hasMore || loading || !sentinel.current) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel.current);
+    return () => observer.disconnect();
+  }, [auto, hasMore, loading, onLoadMore]);
+
+  if (!total) return null;
+
+  return (
+    <div ref={sentinel} className="flex flex-col items-center gap-2 py-6 text-sm text-[var(--color-text-muted)]">
+      <span>Showing {shown} of {total} {noun}</span>
+      {hasMore && (
+        <button
+          onClick={onLoadMore}
+          disabled={loading}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-[var(--color-bg-elevated)] hover:text-white transition-colors disabled:opacity-50"
+        >
+          <Icon icon={loading ? 'mdi:loading' : 'mdi:chevron-down'} className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+}
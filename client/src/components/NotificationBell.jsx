@@ -1,20 +1,28 @@
 import { useState, useEffect, useRef } from 'react';
 import { Icon } from '@iconify/react';
 import api from '../utils/api';
+import LoadMore from './LoadMore';
+import { subscribeToNotifications } from '../utils/notificationStream';
 
 export default function NotificationBell({ orgId }) {
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [isOpen, setIsOpen] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const dropdownRef = useRef(null);
 
   useEffect(() => {
     if (orgId) {
-      fetchUnreadCount();
-      // Poll for new notifications every 30 seconds
-      const interval = setInterval(fetchUnreadCount, 30000);
-      return () => clearInterval(interval);
+      // New notifications and unread counts are pushed by the server
+      return subscribeToNotifications(orgId, {
+        onUnreadCount: setUnreadCount,
+        onNotification: (notification) => {
+          setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+        }
+      });
     }
   }, [orgId]);
 
@@ -29,24 +37,32 @@ export default function NotificationBell({ orgId }) {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
-  const fetchUnreadCount = async () => {
+  const fetchNotifications = async () => {
+    setLoading(true);
     try {
-      const { data } = await api.get(`/notifications/org/${orgId}/unread-count`);
-      setUnreadCount(data.count);
+      const { data } = await api.get(`/notifications/org/${orgId}`, { params: { limit: 20 } });
+      setNotifications(data.data);
+      setTotal(data.pagination.total);
+      setNextCursor(data.pagination.nextCursor);
     } catch (error) {
-      console.error('Failed to fetch unread count:', error);
+      console.error('Failed to fetch notifications:', error);
+    } finally {
+      setLoading(false);
     }
   };
 
-  const fetchNotifications = async () => {
-    setLoading(true);
+  const fetchMoreNotifications = async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
     try {
-      const { data } = await api.get(`/notifications/org/${orgId}`);
-      setNotifications(data);
+      const { data } = await api.get(`/notifications/org/${orgId}`, { params: { limit: 20, cursor: nextCursor } });
+      setNotifications(prev => [...prev, ...data.data.filter(n => !prev.some(p => p.id === n.id))]);
+      setTotal(data.pagination.total);
+      setNextCursor(data.pagination.nextCursor);
     } catch (error) {
       console.error('Failed to fetch notifications:', error);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -184,6 +200,16 @@ export default function NotificationBell({ orgId }) {
                 </div>
               ))
             )}
+            {!loading && nextCursor && (
+              <LoadMore
+                hasMore
+                loading={loadingMore}
+                onLoadMore={fetchMoreNotifications}
+                shown={notifications.length}
+                total={total}
+                noun="notifications"
+              />
+            )}
           </div>
         </div>
       )}
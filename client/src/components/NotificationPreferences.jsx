@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import CustomSelect from './CustomSelect';
+
+const CHANNEL_OPTIONS = [
+  { value: 'in_app', label: 'In-app' },
+  { value: 'email', label: 'In-app and email' },
+  { value: 'digest', label: 'Daily digest' },
+  { value: 'off', label: 'Off' }
+];
+
+/**
+ * How the current user receives each notification type in the current org
+ */
+export default function NotificationPreferences() {
+  const { currentOrg } = useAuth();
+  const [types, setTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (currentOrg) {
+      fetchPreferences();
+    }
+  }, [currentOrg]);
+
+  const fetchPreferences = async () => {
+    try {
+      const { data } = await api.get(`/notifications/org/${currentOrg.id}/preferences`);
+      setTypes(data.types);
+    } catch (err) {
+      setError('Failed to load notification preferences');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateChannel = async (type, channel) => {
+    setSaving(type);
+    setError('');
+    try {
+      const { data } = await api.put(`/notifications/org/${currentOrg.id}/preferences`, {
+        preferences: { [type]: channel }
+      });
+      setTypes(data.types);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save preference');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center gap-3">
+        <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+          <Icon icon="mdi:bell-cog" className="w-5 h-5 text-indigo-400" />
+        </div>
+        <div>
+          <h3 className="font-semibold">Notification Preferences</h3>
+          <p className="text-sm text-[var(--color-text-muted)]">
+            Choose how you hear about each kind of notification in {currentOrg?.name}. Daily digests are emailed once a day.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {error}
+          <button onClick={() => setError('')} className="hover:text-red-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+        </div>
+      ) : (
+        <div className="divide-y divide-[var(--color-border)]">
+          {types.map(type => (
+            <div key={type.type} className="p-4 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="font-medium">{type.label}</p>
+                <p className="text-xs text-[var(--color-text-muted)]">{type.description}</p>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {saving === type.type && (
+                  <Icon icon="mdi:loading" className="w-4 h-4 text-indigo-500 animate-spin" />
+                )}
+                <CustomSelect
+                  value={type.channel}
+                  onChange={(e) => updateChannel(type.type, e.target.value)}
+                  options={CHANNEL_OPTIONS}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+
+/**
+ * Download your own data, or delete your account
+ */
+export default function PersonalDataPanel() {
+  const { logout } = useAuth();
+  const [exporting, setExporting] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      const response = await api.get('/privacy/me/export', { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `personal-data-${new Date().toISOString().split('T')[0]}.json`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setError('');
+    try {
+      await api.delete('/privacy/me', { data: { password } });
+      await logout();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete account');
+      setDeleting(false);
+    }
+  };
+
+  const cancel = () => {
+    setConfirming(false);
+    setPassword('');
+    setError('');
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+            <Icon icon="mdi:shield-account" className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold">Your Data</h3>
+            <p className="text-sm text-[var(--color-text-muted)]">
+              Your profile, attendance, leave, payslips, expenses, comments and notifications
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm border border-[var(--color-border)] text-[var(--color-text-muted)] hover:text-white transition-colors disabled:opacity-50"
+        >
+          <Icon icon={exporting ? 'mdi:loading' : 'mdi:download'} className={`w-4 h-4 ${exporting ? 'animate-spin' : ''}`} />
+          Download
+        </button>
+      </div>
+
+      <div className="p-4">
+        {error && (
+          <div className="mb-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        {confirming ? (
+          <form onSubmit={handleDelete}>
+            <p className="text-sm text-[var(--color-text-muted)] mb-3">
+              Your name, email and sign-in details are erased and you are removed from every organization.
+              Payslips, expenses and other records your organizations must keep stay, marked as a deleted user.
+              This can't be undone.
+            </p>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Your password"
+                className="max-w-[200px]"
+                required
+              />
+              <button
+                type="submit"
+                disabled={deleting}
+                className="px-4 py-2 bg-red-600 hover:bg-red-500 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+              >
+                Delete my account
+              </button>
+              <button type="button" onClick={cancel} className="px-3 py-2 text-sm text-[var(--color-text-muted)] hover:text-white">
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-[var(--color-text-muted)]">
+              Leaving for good? Deleting your account erases your personal details everywhere.
+            </p>
+            <button
+              onClick={() => setConfirming(true)}
+              className="px-3 py-1.5 rounded-lg text-sm text-red-400 hover:bg-red-500/10 border border-red-500/30 transition-colors whitespace-nowrap"
+            >
+              Delete account
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useNavigate } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useDragContext } from './DraggableGrid';
+import { useAuth } from '../context/AuthContext';
 
 // Mini bar chart for department distribution
 function MiniBarChart({ data, maxBars = 4 }) {
@@ -204,6 +205,13 @@ export function AttendanceTrackerCard({ plug, summary, route }) {
             <span className="font-semibold text-white">{data.totalMembers || 0}</span>
           </div>
           
+          {data.isWorkDay === false && (
+            <div className="flex items-center gap-2 text-[var(--color-text-muted)] text-sm">
+              <Icon icon="mdi:calendar-remove" className="w-4 h-4" />
+              <span>Not a working day</span>
+            </div>
+          )}
+          
           {data.pendingLeaves > 0 && (
             <div className="flex items-center gap-2 text-amber-400 text-sm">
               <Icon icon="mdi:clock-alert-outline" className="w-4 h-4" />
@@ -221,11 +229,12 @@ export function PayrollManagerCard({ plug, summary, route }) {
   const navigate = useNavigate();
   const { isDragging } = useDragContext();
   const data = summary?.['payroll-manager'] || {};
+  const { currentOrg } = useAuth();
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-MY', {
       style: 'currency',
-      currency: 'MYR',
+      currency: currentOrg?.base_currency || 'MYR',
       minimumFractionDigits: 0,
       maximumFractionDigits: 0
     }).format(amount || 0);
@@ -608,11 +617,12 @@ export function ExpenseManagerCard({ plug, summary, route }) {
   const navigate = useNavigate();
   const { isDragging } = useDragContext();
   const data = summary?.['expense-manager'] || {};
+  const { currentOrg } = useAuth();
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-MY', {
       style: 'currency',
-      currency: 'MYR',
+      currency: currentOrg?.base_currency || 'MYR',
       minimumFractionDigits: 0,
       maximumFractionDigits: 0
     }).format(amount || 0);
@@ -666,6 +676,13 @@ export function ExpenseManagerCard({ plug, summary, route }) {
           </div>
           <span className="text-sm font-semibold text-white">{formatCurrency(data.approvedTotal)}</span>
         </div>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Icon icon="mdi:calendar-range" className="w-4 h-4 text-emerald-400" />
+            <span className="text-sm text-[var(--color-text-muted)]">This Fiscal Year</span>
+          </div>
+          <span className="text-sm font-semibold text-white">{formatCurrency(data.fiscalYearApprovedTotal || 0)}</span>
+        </div>
         {data.topCategory && (
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-2">
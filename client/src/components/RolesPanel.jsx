@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import ConfirmModal from './ConfirmModal';
+
+export default function RolesPanel() {
+  const { currentOrg, can } = useAuth();
+  const [roles, setRoles] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null); // role being edited, or {} for a new role
+  const [form, setForm] = useState({ name: '', description: '', permissions: [] });
+  const [saving, setSaving] = useState(false);
+  const [confirmRemove, setConfirmRemove] = useState(null);
+  const [removing, setRemoving] = useState(false);
+
+  useEffect(() => {
+    if (currentOrg) {
+      fetchRoles();
+    }
+  }, [currentOrg]);
+
+  const fetchRoles = async () => {
+    try {
+      const [rolesRes, catalogRes] = await Promise.all([
+        api.get(`/roles/org/${currentOrg.id}`),
+        api.get(`/roles/org/${currentOrg.id}/permissions`)
+      ]);
+      setRoles(rolesRes.data);
+      setCatalog(catalogRes.data);
+    } catch (err) {
+      setError('Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Permissions grouped by area, in catalog order
+  const groups = catalog.reduce((acc, permission) => {
+    (acc[permission.group] = acc[permission.group] || []).push(permission);
+    return acc;
+  }, {});
+
+  const startEditing = (role) => {
+    setEditing(role);
+    setForm({
+      name: role.name || '',
+      description: role.description || '',
+      permissions: role.permissions || []
+    });
+  };
+
+  const togglePermission = (key) => {
+    setForm({
+      ...form,
+      permissions: form.permissions.includes(key)
+        ? form.permissions.filter(p => p !== key)
+        : [...form.permissions, key]
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      if (editing.slug) {
+        const payload = editing.builtIn
+          ? { permissions: form.permissions }
+          : form;
+        await api.put(`/roles/org/${currentOrg.id}/${editing.slug}`, payload);
+      } else {
+        await api.post(`/roles/org/${currentOrg.id}`, form);
+      }
+      setEditing(null);
+      fetchRoles();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setRemoving(true);
+    try {
+      await api.delete(`/roles/org/${currentOrg.id}/${confirmRemove.slug}`);
+      setConfirmRemove(null);
+      fetchRoles();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete role');
+      setConfirmRemove(null);
+    } finally {
+      setRemoving(false);
+    }
+  };
+
+  const describePermissions = (role) => {
+    if (role.permissions.includes('*')) return 'All permissions';
+    if (role.permissions.length === 0) return 'No extra permissions';
+    return `${role.permissions.length} permission${role.permissions.length === 1 ? '' : 's'}`;
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+            <Icon icon="mdi:account-key" className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold">Roles</h3>
+            <p className="text-sm text-[var(--color-text-muted)]">What members with each role are allowed to do</p>
+          </div>
+        </div>
+        {!editing && (
+          <button
+            onClick={() => startEditing({})}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors"
+          >
+            <Icon icon="mdi:plus" className="w-4 h-4" />
+            New Role
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {error}
+          <button onClick={() => setError('')} className="hover:text-red-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+        </div>
+      ) : editing ? (
+        <form onSubmit={handleSave} className="p-4 space-y-5">
+          {!editing.builtIn && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-2">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="e.g. Payroll Officer"
+                  autoFocus
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Description</label>
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  placeholder="Optional"
+                />
+              </div>
+            </div>
+          )}
+
+          {editing.builtIn && (
+            <p className="text-sm text-[var(--color-text-muted)]">
+              Editing the built-in <span className="font-medium text-white">{editing.name}</span> role.
+              Reset it at any time to go back to the default permissions.
+            </p>
+          )}
+
+          <div className="space-y-4">
+            {Object.entries(groups).map(([group, permissions]) => (
+              <div key={group}>
+                <h4 className="text-xs font-semibold text-[var(--color-text-muted)] uppercase tracking-wider mb-2">{group}</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                  {permissions.map(permission => (
+                    <label
+                      key={permission.key}
+                      className={`flex items-start gap-3 p-3 rounded-lg border border-[var(--color-border)] bg-[var(--color-bg-elevated)] ${
+                        can(permission.key) ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'
+                      }`}
+                      title={can(permission.key) ? permission.key : "You can't grant a permission you don't have"}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={form.permissions.includes(permission.key)}
+                        onChange={() => togglePermission(permission.key)}
+                        disabled={!can(permission.key)}
+                        className="mt-0.5 w-4 h-4 accent-indigo-600"
+                      />
+                      <div>
+                        <p className="text-sm font-medium">{permission.description || permission.key}</p>
+                        <p className="text-xs text-[var(--color-text-muted)] font-mono">{permission.key}</p>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 rounded-lg text-sm text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editing.slug ? 'Save Role' : 'Create Role'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="divide-y divide-[var(--color-border)]">
+          {roles.map(role => (
+            <div key={role.slug} className="p-4 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{role.name}</span>
+                  {role.builtIn && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-[var(--color-bg-elevated)] text-[var(--color-text-muted)]">Built-in</span>
+                  )}
+                </div>
+                <p className="text-xs text-[var(--color-text-muted)]">
+                  {describePermissions(role)} · {role.memberCount} member{role.memberCount === 1 ? '' : 's'}
+                  {role.description && ` · ${role.description}`}
+                </p>
+              </div>
+              {role.editable && (
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => startEditing(role)}
+                    className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+                    title="Edit role"
+                  >
+                    <Icon icon="mdi:pencil" className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setConfirmRemove(role)}
+                    className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                    title={role.builtIn ? 'Reset to defaults' : 'Delete role'}
+                  >
+                    <Icon icon={role.builtIn ? 'mdi:restore' : 'mdi:delete'} className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!confirmRemove}
+        onClose={() => setConfirmRemove(null)}
+        onConfirm={handleRemove}
+        title={confirmRemove?.builtIn ? `Reset ${confirmRemove?.name}?` : `Delete ${confirmRemove?.name}?`}
+        message={confirmRemove?.builtIn
+          ? 'The role goes back to its default permissions.'
+          : 'Members and pending invites must be moved to another role before it can be deleted.'}
+        confirmText={confirmRemove?.builtIn ? 'Reset' : 'Delete'}
+        loading={removing}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import ConfirmModal from './ConfirmModal';
+
+// Rough browser/OS description from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return { name: 'Unknown device', icon: 'mdi:devices' };
+
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    'Browser';
+
+  const os =
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+
+  const isMobile = /Mobile|iPhone|Android/.test(userAgent);
+
+  return {
+    name: os ? `${browser} on ${os}` : browser,
+    icon: isMobile ? 'mdi:cellphone' : 'mdi:monitor'
+  };
+};
+
+export default function SessionsPanel() {
+  const { logoutEverywhere } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [confirmLogoutAll, setConfirmLogoutAll] = useState(false);
+  const [loggingOut, setLoggingOut] = useState(false);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const res = await api.get('/auth/sessions');
+      setSessions(res.data);
+    } catch (err) {
+      setError('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    try {
+      await api.delete(`/auth/sessions/${sessionId}`);
+      setSessions(sessions.filter(s => s.id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke session');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    setLoggingOut(true);
+    try {
+      await logoutEverywhere();
+      navigate('/login');
+    } catch (err) {
+      setError('Failed to log out of all sessions');
+      setLoggingOut(false);
+      setConfirmLogoutAll(false);
+    }
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+            <Icon icon="mdi:devices" className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold">Active Sessions</h3>
+            <p className="text-sm text-[var(--color-text-muted)]">Devices currently signed in to your account</p>
+          </div>
+        </div>
+        {sessions.length > 0 && (
+          <button
+            onClick={() => setConfirmLogoutAll(true)}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium text-red-400 hover:bg-red-500/10 border border-red-500/30 hover:border-red-500/50 transition-all"
+          >
+            <Icon icon="mdi:logout-variant" className="w-4 h-4" />
+            Log out everywhere
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {error}
+          <button onClick={() => setError('')} className="hover:text-red-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Sessions List */}
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+        </div>
+      ) : (
+        <div className="divide-y divide-[var(--color-border)]">
+          {sessions.map((session) => {
+            const device = describeDevice(session.user_agent);
+            return (
+              <div key={session.id} className="p-4 flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3 min-w-0">
+                  <Icon icon={device.icon} className="w-6 h-6 text-[var(--color-text-muted)] flex-shrink-0" />
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium truncate">{device.name}</span>
+                      {session.current && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-green-500/20 text-green-400">This device</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-[var(--color-text-muted)]">
+                      {session.ip_address || 'Unknown IP'} · Last seen {new Date(session.last_seen_at).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => revokeSession(session.id)}
+                    className="px-3 py-1.5 rounded-lg text-sm text-[var(--color-text-muted)] hover:text-red-400 hover:bg-red-500/10 transition-all flex-shrink-0"
+                  >
+                    Revoke
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmLogoutAll}
+        onClose={() => setConfirmLogoutAll(false)}
+        onConfirm={handleLogoutAll}
+        title="Log out everywhere?"
+        message="This signs out every device, including this one. You will need to log in again."
+        confirmText="Log out everywhere"
+        loading={loggingOut}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import ConfirmModal from './ConfirmModal';
+
+/**
+ * Export the current org as an archive, or import one as a new org
+ */
+export default function TenantArchivePanel() {
+  const { currentOrg, refreshAuth } = useAuth();
+  const navigate = useNavigate();
+
+  const [exporting, setExporting] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [archive, setArchive] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [form, setForm] = useState({ name: '', slug: '' });
+  const [counts, setCounts] = useState(null);
+  const [error, setError] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+  const [confirmImport, setConfirmImport] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      const response = await api.get(`/tenant/org/${currentOrg.id}/export`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${currentOrg.slug}-${new Date().toISOString().split('T')[0]}.plugos.json`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export organization');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const check = async (data, changes = {}) => {
+    setChecking(true);
+    setError('');
+    setImportErrors([]);
+    try {
+      const { data: result } = await api.post('/tenant/import/validate', { archive: data, ...changes });
+      setForm({ name: result.organization?.name || '', slug: result.organization?.slug || '' });
+      setCounts(result.counts);
+      if (!result.valid) {
+        setError(`The archive has ${result.errors.length} problem(s)`);
+        setImportErrors(result.errors);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to check archive');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setArchive(null);
+    setCounts(null);
+    setError('');
+    setImportErrors([]);
+    try {
+      const data = JSON.parse(await file.text());
+      setArchive(data);
+      setFileName(file.name);
+      await check(data);
+    } catch (err) {
+      setError(`${file.name} isn't a PlugOS archive`);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError('');
+    setImportErrors([]);
+    try {
+      const { data } = await api.post('/tenant/import', { archive, ...form });
+      localStorage.setItem('currentOrgId', data.orgId);
+      setConfirmImport(false);
+      await refreshAuth();
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to import organization');
+      setImportErrors((err.response?.data?.details || []).map(({ field, message }) => ({ path: field, error: message })));
+      setConfirmImport(false);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setArchive(null);
+    setFileName('');
+    setCounts(null);
+    setError('');
+    setImportErrors([]);
+  };
+
+  const total = counts ? Object.values(counts).reduce((sum, count) => sum + count, 0) : 0;
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+            <Icon icon="mdi:archive-arrow-down" className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold">Organization archive</h3>
+            <p className="text-sm text-[var(--color-text-muted)]">
+              Members, employees, documents, tasks, workflows, payroll and more.
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className={`inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm border border-[var(--color-border)] text-[var(--color-text-muted)] hover:text-white transition-colors cursor-pointer ${checking ? 'opacity-50 pointer-events-none' : ''}`}>
+            <Icon icon={checking ? 'mdi:loading' : 'mdi:file-upload'} className={`w-4 h-4 ${checking ? 'animate-spin' : ''}`} />
+            Import
+            <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+          >
+            <Icon icon={exporting ? 'mdi:loading' : 'mdi:download'} className={`w-4 h-4 ${exporting ? 'animate-spin' : ''}`} />
+            Export
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
+          <div className="flex items-center justify-between">
+            {error}
+            <button onClick={() => { setError(''); setImportErrors([]); }} className="hover:text-red-300">
+              <Icon icon="mdi:close" className="w-4 h-4" />
+            </button>
+          </div>
+          {importErrors.length > 0 && (
+            <ul className="mt-2 space-y-0.5 text-xs max-h-32 overflow-y-auto">
+              {importErrors.map(({ path, error: message }, i) => (
+                <li key={i}><code>{path}</code>: {message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {archive && counts ? (
+        <div className="p-4">
+          <p className="text-sm mb-3">
+            <span className="font-medium">{fileName}</span>
+            <span className="text-[var(--color-text-muted)]"> · {total} record{total === 1 ? '' : 's'}</span>
+          </p>
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Organization name"
+              className="max-w-[220px]"
+            />
+            <input
+              type="text"
+              value={form.slug}
+              onChange={(e) => setForm({ ...form, slug: e.target.value.toLowerCase() })}
+              placeholder="slug"
+              className="max-w-[180px]"
+            />
+            <button
+              onClick={() => check(archive, form)}
+              disabled={checking}
+              className="px-4 py-2 rounded-lg text-sm border border-[var(--color-border)] text-[var(--color-text-muted)] hover:text-white transition-colors disabled:opacity-50"
+            >
+              Check again
+            </button>
+            <button
+              onClick={() => setConfirmImport(true)}
+              disabled={checking || importErrors.length > 0 || !form.name || !form.slug}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+            >
+              Import
+            </button>
+            <button onClick={handleCancel} className="text-sm text-[var(--color-text-muted)] hover:text-white">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="p-4 text-sm text-[var(--color-text-muted)]">
+          Imports become a new organization, and you keep your own account. Other members' records go to new accounts
+          with placeholder emails. Members whose email has no account here are invited with it, and joining through
+          that invite gives them their imported account.
+        </p>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmImport}
+        onClose={() => setConfirmImport(false)}
+        onConfirm={handleImport}
+        title={`Import ${form.name}?`}
+        message={`A new organization "${form.slug}" will be created with ${total} records from ${fileName}. You'll be switched to it once it's ready.`}
+        confirmText="Import"
+        variant="info"
+        loading={importing}
+      />
+    </div>
+  );
+}
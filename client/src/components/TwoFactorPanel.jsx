@@ -0,0 +1,292 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import api from '../utils/api';
+
+export default function TwoFactorPanel() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, qrCode } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once after generating
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState(null); // 'disable' | 'regenerate'
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const res = await api.get('/auth/2fa');
+      setStatus(res.data);
+    } catch (err) {
+      setError('Failed to load two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setMode(null);
+    setError('');
+  };
+
+  const startSetup = async () => {
+    setError('');
+    setSubmitting(true);
+    try {
+      const res = await api.post('/auth/2fa/setup');
+      setSetup(res.data);
+      setRecoveryCodes(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      const res = await api.post('/auth/2fa/enable', { code });
+      setRecoveryCodes(res.data.recoveryCodes);
+      setSetup(null);
+      resetForm();
+      fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to enable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const regenerateCodes = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      const res = await api.post('/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(res.data.recoveryCodes);
+      resetForm();
+      fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to regenerate recovery codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const disable = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      await api.post('/auth/2fa/disable', { password });
+      setRecoveryCodes(null);
+      resetForm();
+      fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+            <Icon icon="mdi:two-factor-authentication" className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold">Two-Factor Authentication</h3>
+            <p className="text-sm text-[var(--color-text-muted)]">Require a code from an authenticator app when you sign in</p>
+          </div>
+        </div>
+        {status && (
+          <span className={`text-xs px-2 py-1 rounded-full ${
+            status.enabled ? 'bg-green-500/20 text-green-400' : 'bg-[var(--color-bg-elevated)] text-[var(--color-text-muted)]'
+          }`}>
+            {status.enabled ? 'Enabled' : 'Off'}
+          </span>
+        )}
+      </div>
+
+      <div className="p-4 space-y-4">
+        {error && (
+          <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+            {error}
+            <button onClick={() => setError('')} className="hover:text-red-300">
+              <Icon icon="mdi:close" className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+          </div>
+        ) : (
+          <>
+            {status?.required && !status.enabled && (
+              <div className="bg-amber-500/10 border border-amber-500/30 text-amber-300 px-4 py-3 rounded-lg text-sm flex items-center gap-2">
+                <Icon icon="mdi:alert" className="w-5 h-5 flex-shrink-0" />
+                Your organization requires two-factor authentication for your role. Set it up to continue.
+              </div>
+            )}
+
+            {/* Recovery codes (shown once) */}
+            {recoveryCodes && (
+              <div className="bg-[var(--color-bg-elevated)] rounded-lg p-4">
+                <p className="text-sm font-medium mb-1">Save your recovery codes</p>
+                <p className="text-xs text-[var(--color-text-muted)] mb-3">
+                  Each code can be used once if you lose access to your authenticator app. They won't be shown again.
+                </p>
+                <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                  {recoveryCodes.map((recoveryCode) => (
+                    <span key={recoveryCode}>{recoveryCode}</span>
+                  ))}
+                </div>
+                <button
+                  onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n'))}
+                  className="mt-3 inline-flex items-center gap-2 text-sm text-indigo-400 hover:text-indigo-300"
+                >
+                  <Icon icon="mdi:content-copy" className="w-4 h-4" />
+                  Copy codes
+                </button>
+              </div>
+            )}
+
+            {/* Not enrolled */}
+            {!status?.enabled && !setup && (
+              <button
+                onClick={startSetup}
+                disabled={submitting}
+                className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+              >
+                Set up two-factor authentication
+              </button>
+            )}
+
+            {/* Enrolment */}
+            {setup && (
+              <form onSubmit={confirmSetup} className="flex flex-col sm:flex-row gap-6">
+                <img src={setup.qrCode} alt="Authenticator QR code" className="w-44 h-44 rounded-lg bg-white p-2" />
+                <div className="flex-1 space-y-3">
+                  <p className="text-sm">
+                    Scan the QR code with your authenticator app, then enter the 6-digit code it shows.
+                  </p>
+                  <p className="text-xs text-[var(--color-text-muted)]">
+                    Can't scan? Enter this key manually: <span className="font-mono text-white break-all">{setup.secret}</span>
+                  </p>
+                  <input
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="123456"
+                    autoComplete="one-time-code"
+                    required
+                  />
+                  <div className="flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={submitting}
+                      className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      {submitting ? 'Verifying...' : 'Enable'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => { setSetup(null); resetForm(); }}
+                      className="px-4 py-2 text-sm text-[var(--color-text-muted)] hover:text-white transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              </form>
+            )}
+
+            {/* Enrolled */}
+            {status?.enabled && !mode && (
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="text-sm text-[var(--color-text-muted)]">
+                  {status.recoveryCodesRemaining} recovery codes left
+                </span>
+                <button
+                  onClick={() => setMode('regenerate')}
+                  className="px-3 py-1.5 rounded-lg text-sm border border-[var(--color-border)] hover:bg-[var(--color-bg-elevated)] transition-colors"
+                >
+                  New recovery codes
+                </button>
+                {!status.required && (
+                  <button
+                    onClick={() => setMode('disable')}
+                    className="px-3 py-1.5 rounded-lg text-sm text-red-400 hover:bg-red-500/10 border border-red-500/30 transition-colors"
+                  >
+                    Turn off
+                  </button>
+                )}
+              </div>
+            )}
+
+            {mode === 'regenerate' && (
+              <form onSubmit={regenerateCodes} className="flex flex-wrap items-center gap-2">
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="Current code"
+                  autoComplete="one-time-code"
+                  className="max-w-[200px]"
+                  required
+                />
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                >
+                  Generate
+                </button>
+                <button type="button" onClick={resetForm} className="px-3 py-2 text-sm text-[var(--color-text-muted)] hover:text-white">
+                  Cancel
+                </button>
+              </form>
+            )}
+
+            {mode === 'disable' && (
+              <form onSubmit={disable} className="flex flex-wrap items-center gap-2">
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Your password"
+                  className="max-w-[200px]"
+                  required
+                />
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="px-4 py-2 bg-red-600 hover:bg-red-500 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                >
+                  Turn off
+                </button>
+                <button type="button" onClick={resetForm} className="px-3 py-2 text-sm text-[var(--color-text-muted)] hover:text-white">
+                  Cancel
+                </button>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,441 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import { fetchAllPages } from '../utils/pagination';
+import usePagedList from '../hooks/usePagedList';
+import ConfirmModal from './ConfirmModal';
+import LoadMore from './LoadMore';
+
+const EMPTY_FORM = { url: '', description: '', events: [] };
+
+const DELIVERY_STYLES = {
+  succeeded: 'bg-green-500/20 text-green-400',
+  pending: 'bg-yellow-500/20 text-yellow-400',
+  failed: 'bg-red-500/20 text-red-400'
+};
+
+/**
+ * The current org's outgoing webhooks and their delivery logs
+ */
+export default function WebhooksPanel() {
+  const { currentOrg } = useAuth();
+  const basePath = `/webhooks/org/${currentOrg?.id}`;
+
+  const [webhooks, setWebhooks] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null); // 'new' or a webhook
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [newSecret, setNewSecret] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  // Delivery log of the expanded webhook
+  const {
+    items: deliveries,
+    total: totalDeliveries,
+    hasMore: moreDeliveries,
+    loading: loadingDeliveries,
+    loadingMore: loadingMoreDeliveries,
+    loadMore: loadMoreDeliveries,
+    reload: reloadDeliveries
+  } = usePagedList(expanded ? `${basePath}/${expanded}/deliveries` : null, {}, 20);
+
+  useEffect(() => {
+    if (currentOrg) {
+      fetchWebhooks();
+    }
+  }, [currentOrg]);
+
+  const fetchWebhooks = async () => {
+    try {
+      const [allWebhooks, eventsRes] = await Promise.all([
+        fetchAllPages(basePath),
+        api.get(`${basePath}/events`)
+      ]);
+      setWebhooks(allWebhooks);
+      setCatalog(eventsRes.data);
+    } catch (err) {
+      setError('Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleDeliveries = (webhookId) => {
+    setExpanded(expanded === webhookId ? null : webhookId);
+  };
+
+  const startEditing = (webhook) => {
+    setEditing(webhook || 'new');
+    setForm(webhook
+      ? { url: webhook.url, description: webhook.description || '', events: webhook.events }
+      : EMPTY_FORM);
+  };
+
+  const toggleEvent = (event) => {
+    setForm({
+      ...form,
+      events: form.events.includes(event)
+        ? form.events.filter(e => e !== event)
+        : [...form.events, event]
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      if (editing === 'new') {
+        const { data } = await api.post(basePath, form);
+        setNewSecret(data.secret);
+        setCopied(false);
+      } else {
+        await api.put(`${basePath}/${editing.id}`, form);
+      }
+      setEditing(null);
+      setForm(EMPTY_FORM);
+      fetchWebhooks();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (webhook) => {
+    try {
+      const { data } = await api.put(`${basePath}/${webhook.id}`, { is_active: !webhook.is_active });
+      setWebhooks(webhooks.map(w => w.id === webhook.id ? { ...w, is_active: data.is_active } : w));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update webhook');
+    }
+  };
+
+  const rotateSecret = async (webhook) => {
+    try {
+      const { data } = await api.post(`${basePath}/${webhook.id}/rotate-secret`);
+      setNewSecret(data.secret);
+      setCopied(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to rotate secret');
+    }
+  };
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    try {
+      await api.delete(`${basePath}/${confirmDelete.id}`);
+      setWebhooks(webhooks.filter(w => w.id !== confirmDelete.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete webhook');
+    } finally {
+      setConfirmDelete(null);
+      setDeleting(false);
+    }
+  };
+
+  const handleRedeliver = async (webhookId, deliveryId) => {
+    try {
+      await api.post(`${basePath}/${webhookId}/deliveries/${deliveryId}/redeliver`);
+      // Give the first attempt a moment before refreshing the log
+      setTimeout(reloadDeliveries, 1500);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to redeliver');
+    }
+  };
+
+  const copySecret = async () => {
+    await navigator.clipboard.writeText(newSecret);
+    setCopied(true);
+  };
+
+  const describeEvents = (events) => {
+    if (events.includes('*')) return 'All events';
+    return events.length <= 2 ? events.join(', ') : `${events.length} events`;
+  };
+
+  return (
+    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-[var(--color-border)] flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-indigo-500/20 flex items-center justify-center">
+            <Icon icon="mdi:webhook" className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold">Webhooks</h3>
+            <p className="text-sm text-[var(--color-text-muted)]">
+              Signed POST requests to your systems when things happen in {currentOrg?.name}
+            </p>
+          </div>
+        </div>
+        {!editing && (
+          <button
+            onClick={() => startEditing(null)}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors"
+          >
+            <Icon icon="mdi:plus" className="w-4 h-4" />
+            New Webhook
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="m-4 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {error}
+          <button onClick={() => setError('')} className="hover:text-red-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {newSecret && (
+        <div className="m-4 p-4 rounded-lg border border-green-500/50 bg-green-500/10 space-y-3">
+          <p className="text-sm text-green-400">
+            Copy the signing secret now. You won't be able to see it again. Check the <code>X-PlugOS-Signature</code> header of each request with it.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 min-w-0 truncate px-3 py-2 rounded-lg bg-[var(--color-bg-dark)] border border-[var(--color-border)] text-sm">
+              {newSecret}
+            </code>
+            <button
+              onClick={copySecret}
+              className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+              title="Copy"
+            >
+              <Icon icon={copied ? 'mdi:check' : 'mdi:content-copy'} className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setNewSecret(null)}
+              className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+              title="Dismiss"
+            >
+              <Icon icon="mdi:close" className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-indigo-500 animate-spin" />
+        </div>
+      ) : editing ? (
+        <form onSubmit={handleSave} className="p-4 space-y-5">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Payload URL</label>
+              <input
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="https://example.com/plugos-events"
+                autoFocus
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Description</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="e.g. Accounting sync"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form.events.includes('*')}
+                onChange={() => setForm({ ...form, events: form.events.includes('*') ? [] : ['*'] })}
+                className="w-4 h-4 accent-indigo-600"
+              />
+              <span className="text-sm">
+                All events <span className="text-[var(--color-text-muted)]">(including events added later)</span>
+              </span>
+            </label>
+
+            {!form.events.includes('*') && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {catalog.map(item => (
+                  <label
+                    key={item.event}
+                    className="flex items-start gap-3 p-3 rounded-lg border border-[var(--color-border)] bg-[var(--color-bg-elevated)] cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={form.events.includes(item.event)}
+                      onChange={() => toggleEvent(item.event)}
+                      className="mt-0.5 w-4 h-4 accent-indigo-600"
+                    />
+                    <div>
+                      <p className="text-sm font-medium">{item.description || item.event}</p>
+                      <p className="text-xs text-[var(--color-text-muted)] font-mono">
+                        {item.event}{item.source !== 'core' && ` · ${item.source}`}
+                      </p>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => { setEditing(null); setForm(EMPTY_FORM); }}
+              className="px-4 py-2 rounded-lg text-sm text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || form.events.length === 0}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editing === 'new' ? 'Create Webhook' : 'Save Changes'}
+            </button>
+          </div>
+        </form>
+      ) : webhooks.length === 0 ? (
+        <p className="p-4 text-sm text-[var(--color-text-muted)]">No webhooks yet.</p>
+      ) : (
+        <div className="divide-y divide-[var(--color-border)]">
+          {webhooks.map(webhook => (
+            <div key={webhook.id}>
+              <div className="p-4 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className={`w-2 h-2 rounded-full flex-shrink-0 ${webhook.is_active ? 'bg-green-500' : 'bg-gray-500'}`} />
+                    <span className="font-medium truncate">{webhook.description || webhook.url}</span>
+                  </div>
+                  <p className="text-xs text-[var(--color-text-muted)] truncate">
+                    {webhook.description && `${webhook.url} · `}
+                    {describeEvents(webhook.events)}
+                    {' · '}
+                    {webhook.last_delivery_at
+                      ? `Last delivery ${webhook.last_status}${webhook.last_response_status ? ` (${webhook.last_response_status})` : ''}`
+                      : 'No deliveries yet'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => toggleDeliveries(webhook.id)}
+                    className={`p-2 rounded-lg transition-colors ${expanded === webhook.id ? 'text-indigo-400 bg-indigo-500/10' : 'text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)]'}`}
+                    title="Recent deliveries"
+                  >
+                    <Icon icon="mdi:history" className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => toggleActive(webhook)}
+                    className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+                    title={webhook.is_active ? 'Disable' : 'Enable'}
+                  >
+                    <Icon icon={webhook.is_active ? 'mdi:pause' : 'mdi:play'} className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => startEditing(webhook)}
+                    className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+                    title="Edit"
+                  >
+                    <Icon icon="mdi:pencil" className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => rotateSecret(webhook)}
+                    className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors"
+                    title="Rotate signing secret"
+                  >
+                    <Icon icon="mdi:key-change" className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setConfirmDelete(webhook)}
+                    className="p-2 rounded-lg text-[var(--color-text-muted)] hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                    title="Delete webhook"
+                  >
+                    <Icon icon="mdi:delete" className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              {expanded === webhook.id && (
+                <div className="px-4 pb-4">
+                  {loadingDeliveries ? (
+                    <div className="flex justify-center py-4">
+                      <Icon icon="mdi:loading" className="w-5 h-5 text-indigo-500 animate-spin" />
+                    </div>
+                  ) : deliveries.length === 0 ? (
+                    <p className="text-sm text-[var(--color-text-muted)]">No deliveries yet.</p>
+                  ) : (
+                    <div className="rounded-lg border border-[var(--color-border)] divide-y divide-[var(--color-border)]">
+                      {deliveries.map(delivery => (
+                        <div key={delivery.id} className="p-3 flex items-center justify-between gap-4 text-sm">
+                          <div className="min-w-0">
+                            <div className="flex items-center gap-2">
+                              <span className={`text-xs px-2 py-0.5 rounded-full ${DELIVERY_STYLES[delivery.status]}`}>
+                                {delivery.status}
+                              </span>
+                              <code className="text-xs">{delivery.event}</code>
+                              {delivery.response_status && (
+                                <span className="text-xs text-[var(--color-text-muted)]">HTTP {delivery.response_status}</span>
+                              )}
+                            </div>
+                            <p className="text-xs text-[var(--color-text-muted)] truncate mt-1">
+                              {new Date(delivery.created_at).toLocaleString()}
+                              {` · ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}
+                              {delivery.duration_ms !== null && ` · ${delivery.duration_ms}ms`}
+                              {delivery.error && ` · ${delivery.error}`}
+                              {delivery.status === 'pending' && delivery.next_attempt_at && delivery.attempts > 0 &&
+                                ` · Retrying ${new Date(delivery.next_attempt_at).toLocaleTimeString()}`}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => handleRedeliver(webhook.id, delivery.id)}
+                            className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-[var(--color-text-muted)] hover:text-white hover:bg-[var(--color-bg-elevated)] transition-colors flex-shrink-0"
+                          >
+                            <Icon icon="mdi:replay" className="w-4 h-4" />
+                            Redeliver
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {!loadingDeliveries && (
+                    <LoadMore
+                      hasMore={moreDeliveries}
+                      loading={loadingMoreDeliveries}
+                      onLoadMore={loadMoreDeliveries}
+                      shown={deliveries.length}
+                      total={totalDeliveries}
+                      noun="deliveries"
+                      auto={false}
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!confirmDelete}
+        onClose={() => setConfirmDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete webhook?"
+        message={`${confirmDelete?.url} will stop receiving events, and its delivery log will be deleted.`}
+        confirmText="Delete"
+        loading={deleting}
+      />
+    </div>
+  );
+}
@@ -13,9 +13,25 @@ export { default as CustomSelect } from './CustomSelect';
 export { default as ConfirmModal } from './ConfirmModal';
 export { default as PasswordChangeModal } from './PasswordChangeModal';
 
+// Settings Components
+export { default as SessionsPanel } from './SessionsPanel';
+export { default as TwoFactorPanel } from './TwoFactorPanel';
+export { default as RolesPanel } from './RolesPanel';
+export { default as ApiTokensPanel } from './ApiTokensPanel';
+export { default as WebhooksPanel } from './WebhooksPanel';
+export { default as CalendarSettingsPanel } from './CalendarSettingsPanel';
+export { default as CurrencyPanel } from './CurrencyPanel';
+export { default as TenantArchivePanel } from './TenantArchivePanel';
+export { default as PersonalDataPanel } from './PersonalDataPanel';
+export { default as FormerMembersPanel } from './FormerMembersPanel';
+
 // Layout Components
 export { default as Layout } from './Layout';
 export { default as NotificationBell } from './NotificationBell';
+export { default as NotificationPreferences } from './NotificationPreferences';
+export { default as GlobalSearch } from './GlobalSearch';
+export { default as LoadMore } from './LoadMore';
 
 // Hooks (from hooks folder)
 export { default as useBodyScrollLock } from '../hooks/useBodyScrollLock';
+export { default as usePagedList } from '../hooks/usePagedList';
@@ -34,6 +34,7 @@ export function AuthProvider({ children }) {
       }
     } catch (error) {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('currentOrgId');
     } finally {
       setLoading(false);
@@ -42,7 +43,23 @@ export function AuthProvider({ children }) {
 
   const login = async (email, password) => {
     const { data } = await api.post('/auth/login', { email, password });
+    
+    // Password was correct but a second factor is needed (see verifyTwoFactor)
+    if (data.twoFactorRequired) {
+      return data;
+    }
+    
+    return startSession(data);
+  };
+
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const { data } = await api.post('/auth/login/2fa', { challengeToken, code });
+    return startSession(data);
+  };
+
+  const startSession = (data) => {
     localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
     
     // Set loading true so PrivateRoute shows spinner while state settles
     setLoading(true);
@@ -64,16 +81,18 @@ export function AuthProvider({ children }) {
   const register = async (email, password, name, orgName) => {
     const { data } = await api.post('/auth/register', { email, password, name, orgName });
     localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
     localStorage.setItem('currentOrgId', data.organization.id);
     setUser(data.user);
-    setOrganizations([{ ...data.organization, role: 'admin' }]);
-    setCurrentOrg({ ...data.organization, role: 'admin' });
+    setOrganizations([data.organization]);
+    setCurrentOrg(data.organization);
     return data;
   };
 
   const joinOrg = async (email, password, name) => {
     const { data } = await api.post('/auth/join', { email, password, name });
     localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
     localStorage.setItem('currentOrgId', data.organization.id);
     setUser(data.user);
     const orgWithDept = { 
@@ -85,19 +104,46 @@ export function AuthProvider({ children }) {
     return data;
   };
 
-  const logout = () => {
+  const clearAuth = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('currentOrgId');
     setUser(null);
     setOrganizations([]);
     setCurrentOrg(null);
   };
 
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch (error) {
+      // Sign out locally even if the session could not be ended server-side
+    }
+    clearAuth();
+  };
+
+  const logoutEverywhere = async () => {
+    await api.post('/auth/logout-all');
+    clearAuth();
+  };
+
+  // Whether the current user's role in the current org grants a permission
+  const can = (permission) => {
+    const permissions = currentOrg?.permissions || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  };
+
   const switchOrg = (org) => {
     setCurrentOrg(org);
     localStorage.setItem('currentOrgId', org.id);
   };
 
+  // Apply saved org settings (e.g. timezone) without reloading
+  const updateCurrentOrg = (changes) => {
+    setCurrentOrg(org => ({ ...org, ...changes }));
+    setOrganizations(orgs => orgs.map(org => org.id === currentOrg?.id ? { ...org, ...changes } : org));
+  };
+
   return (
     <AuthContext.Provider value={{
       user,
@@ -105,10 +151,15 @@ export function AuthProvider({ children }) {
       currentOrg,
       loading,
       login,
+      verifyTwoFactor,
       register,
       joinOrg,
       logout,
+      logoutEverywhere,
       switchOrg,
+      updateCurrentOrg,
+      refreshAuth: checkAuth,
+      can,
       isAdmin: currentOrg?.role === 'admin',
       isManager: ['admin', 'manager'].includes(currentOrg?.role),
       department: currentOrg?.department || null,
@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import api from '../utils/api';
+
+/**
+ * Hook to load a paginated list endpoint a page at a time
+ * Reloads from the first page whenever the path or params change
+ * @param {string|null} path - API path, e.g. `/tasks/org/${orgId}` (null to skip loading)
+ * @param {Object} params - Query params such as filters, `sort` and `order`
+ * @param {number} limit - Page size
+ * @returns {{ items, setItems, total, setTotal, hasMore, loading, loadingMore, loadMore, reload }}
+ */
+export default function usePagedList(path, params = {}, limit = 50) {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [cursor, setCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Responses for an earlier path/params are ignored once a newer request starts
+  const requestId = useRef(0);
+  const paramsKey = JSON.stringify(params);
+
+  const fetchPage = useCallback(async (after) => {
+    const { data } = await api.get(path, {
+      params: { ...JSON.parse(paramsKey), limit, ...(after && { cursor: after }) }
+    });
+    return data;
+  }, [path, paramsKey, limit]);
+
+  const reload = useCallback(async () => {
+    if (!path) {
+      setLoading(false);
+      return;
+    }
+    const id = ++requestId.current;
+    setLoading(true);
+    try {
+      const page = await fetchPage(null);
+      if (id !== requestId.current) return;
+      setItems(page.data);
+      setTotal(page.pagination.total);
+      setCursor(page.pagination.nextCursor);
+    } catch (error) {
+      console.error('Failed to load list:', error);
+    } finally {
+      if (id === requestId.current) setLoading(false);
+    }
+  }, [path, fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!cursor || loadingMore) return;
+    const id = requestId.current;
+    setLoadingMore(true);
+    try {
+      const page = await fetchPage(cursor);
+      if (id !== requestId.current) return;
+      setItems(prev => [...prev, ...page.data]);
+      setTotal(page.pagination.total);
+      setCursor(page.pagination.nextCursor);
+    } catch (error) {
+      console.error('Failed to load more:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [cursor, loadingMore, fetchPage]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return {
+    items,
+    setItems,
+    total,
+    setTotal,
+    hasMore: Boolean(cursor),
+    loading,
+    loadingMore,
+    loadMore,
+    reload
+  };
+}
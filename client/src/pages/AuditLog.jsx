@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import { Icon } from '@iconify/react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import usePagedList from '../hooks/usePagedList';
+import CustomSelect from '../components/CustomSelect';
+import DatePicker from '../components/DatePicker';
+import LoadMore from '../components/LoadMore';
+
+const RESOURCE_TYPES = [
+  { value: '', label: 'All resources' },
+  { value: 'attendance', label: 'Attendance & leave' },
+  { value: 'employees', label: 'Employees' },
+  { value: 'employee_salary', label: 'Salaries' },
+  { value: 'payroll_period', label: 'Payroll periods' },
+  { value: 'payroll', label: 'Payroll (other)' },
+  { value: 'expenses', label: 'Expenses' },
+  { value: 'documents', label: 'Documents (uploads)' },
+  { value: 'document', label: 'Documents (deleted)' },
+  { value: 'document_folder', label: 'Document folders' },
+  { value: 'user', label: 'Members & passwords' },
+  { value: 'invites', label: 'Invites' },
+  { value: 'role', label: 'Roles' },
+  { value: 'departments', label: 'Departments' },
+  { value: 'organization', label: 'Organization settings' },
+  { value: 'plugs', label: 'Plugs' },
+  { value: 'tasks', label: 'Tasks' },
+  { value: 'workflows', label: 'Workflows' },
+  { value: 'education', label: 'Education' }
+];
+
+export default function AuditLog() {
+  const { currentOrg, can } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [filters, setFilters] = useState({ search: '', actorId: '', resourceType: '', from: '', to: '' });
+  const [expanded, setExpanded] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+  const canView = can('audit.view');
+
+  useEffect(() => {
+    if (currentOrg && canView) {
+      api.get(`/organizations/${currentOrg.id}/members`)
+        .then(res => setMembers(res.data))
+        .catch(() => console.error('Failed to fetch members'));
+    }
+  }, [currentOrg, canView]);
+
+  // Only send filters that are set
+  const buildParams = () => Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value)
+  );
+
+  const {
+    items: events,
+    total,
+    hasMore,
+    loading,
+    loadingMore,
+    loadMore
+  } = usePagedList(currentOrg && canView ? `/audit/org/${currentOrg.id}` : null, buildParams());
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const { data } = await api.get(`/audit/org/${currentOrg.id}/export`, {
+        params: buildParams(),
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const getActionIcon = (event) => {
+    if (event.method === 'DELETE' || /deleted|removed|revoked/.test(event.action)) return 'mdi:delete-outline';
+    if (event.method === 'POST' && !event.action.includes('.')) return 'mdi:plus-circle-outline';
+    if (event.action.startsWith('payroll.')) return 'mdi:cash-multiple';
+    if (event.action.startsWith('user.password')) return 'mdi:lock-reset';
+    if (event.action.startsWith('role.') || event.action.startsWith('member.')) return 'mdi:account-key';
+    return 'mdi:pencil-outline';
+  };
+
+  if (!canView) {
+    return (
+      <div className="max-w-6xl mx-auto text-center py-16">
+        <Icon icon="mdi:shield-lock" className="w-16 h-16 text-red-400 mx-auto mb-4" />
+        <h2 className="text-xl font-bold mb-2">Access Denied</h2>
+        <p className="text-[var(--color-text-muted)]">You don't have permission to view the audit log.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-indigo-500/20 rounded-xl flex items-center justify-center">
+            <Icon icon="mdi:clipboard-text-clock" className="w-5 h-5 text-indigo-400" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold">Audit Log</h1>
+            <p className="text-sm text-[var(--color-text-muted)]">
+              Every change made in {currentOrg?.name}. Entries can't be edited or deleted.
+            </p>
+          </div>
+        </div>
+
+        <button
+          onClick={handleExport}
+          disabled={exporting || total === 0}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-[var(--color-bg-card)] border border-[var(--color-border)] text-[var(--color-text-muted)] hover:text-white hover:border-indigo-500/50 transition-all disabled:opacity-50"
+        >
+          <Icon icon={exporting ? 'mdi:loading' : 'mdi:download'} className={`w-4 h-4 ${exporting ? 'animate-spin' : ''}`} />
+          Export CSV
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm flex items-center justify-between">
+          {error}
+          <button onClick={() => setError('')} className="hover:text-red-300">
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <div className="relative">
+          <Icon icon="mdi:magnify" className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-[var(--color-text-muted)]" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            placeholder="Search actions, people..."
+            className="pl-9 pr-4 py-2 text-sm bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-lg w-56"
+          />
+        </div>
+        <CustomSelect
+          value={filters.actorId}
+          onChange={(e) => updateFilter('actorId', e.target.value)}
+          options={[
+            { value: '', label: 'Everyone' },
+            ...members.map(member => ({ value: member.id, label: member.name }))
+          ]}
+          placeholder="Everyone"
+        />
+        <CustomSelect
+          value={filters.resourceType}
+          onChange={(e) => updateFilter('resourceType', e.target.value)}
+          options={RESOURCE_TYPES}
+          placeholder="All resources"
+        />
+        <DatePicker
+          value={filters.from}
+          onChange={(e) => updateFilter('from', e.target.value)}
+          placeholder="From"
+        />
+        <DatePicker
+          value={filters.to}
+          onChange={(e) => updateFilter('to', e.target.value)}
+          placeholder="To"
+        />
+      </div>
+
+      {/* Event List */}
+      <div className="bg-[var(--color-bg-card)] rounded-xl border border-[var(--color-border)] overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Icon icon="mdi:loading" className="w-8 h-8 text-indigo-500 animate-spin" />
+          </div>
+        ) : events.length === 0 ? (
+          <div className="py-16 text-center">
+            <Icon icon="mdi:clipboard-text-off-outline" className="w-16 h-16 mx-auto mb-4 text-[var(--color-text-muted)] opacity-30" />
+            <p className="text-lg font-medium text-[var(--color-text-muted)]">No audit events found</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-[var(--color-border)]">
+            {events.map(event => (
+              <div key={event.id}>
+                <button
+                  onClick={() => setExpanded(expanded === event.id ? null : event.id)}
+                  className="w-full p-4 flex items-center gap-4 text-left hover:bg-[var(--color-bg-elevated)] transition-colors"
+                >
+                  <Icon icon={getActionIcon(event)} className="w-5 h-5 text-indigo-400 flex-shrink-0" />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-mono text-sm truncate">{event.action}</p>
+                    <p className="text-xs text-[var(--color-text-muted)]">
+                      {event.actor_name || event.actor_email || 'System'}
+                      {event.ip_address && ` · ${event.ip_address}`}
+                      {event.metadata?.status && ` · ${event.metadata.status}`}
+                    </p>
+                  </div>
+                  <span className="text-xs text-[var(--color-text-muted)] flex-shrink-0">
+                    {new Date(event.created_at).toLocaleString()}
+                  </span>
+                  <Icon
+                    icon={expanded === event.id ? 'mdi:chevron-up' : 'mdi:chevron-down'}
+                    className="w-4 h-4 text-[var(--color-text-muted)] flex-shrink-0"
+                  />
+                </button>
+                {expanded === event.id && (
+                  <div className="px-4 pb-4 pl-12 space-y-2 text-sm">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-[var(--color-text-muted)]">
+                      <p>Actor: <span className="text-white">{event.actor_email || '—'}</span></p>
+                      <p>Resource: <span className="text-white">{event.resource_type || '—'} {event.resource_id && `(${event.resource_id})`}</span></p>
+                      <p>Request: <span className="text-white font-mono">{event.method} {event.path}</span></p>
+                      <p className="truncate">Device: <span className="text-white">{event.user_agent || '—'}</span></p>
+                    </div>
+                    {event.metadata && (
+                      <pre className="bg-[var(--color-bg-dark)] border border-[var(--color-border)] rounded-lg p-3 text-xs overflow-x-auto">
+                        {JSON.stringify(event.metadata, null, 2)}
+                      </pre>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {!loading && (
+        <LoadMore
+          hasMore={hasMore}
+          loading={loadingMore}
+          onLoadMore={loadMore}
+          shown={events.length}
+          total={total}
+          noun="events"
+        />
+      )}
+    </div>
+  );
+}
@@ -7,7 +7,8 @@ import PlugCard from '../components/PlugCards';
 import DraggableGrid from '../components/DraggableGrid';
 
 export default function Dashboard() {
-  const { user, currentOrg, isAdmin, loading: authLoading } = useAuth();
+  const { user, currentOrg, can, loading: authLoading } = useAuth();
+  const canManagePlugs = can('plugs.manage');
   const [enabledPlugs, setEnabledPlugs] = useState([]);
   const [plugSummary, setPlugSummary] = useState({});
   const [loading, setLoading] = useState(true);
@@ -97,7 +98,7 @@ export default function Dashboard() {
           <p className="text-[var(--color-text-muted)] mb-6">
             Enable plugs to add functionality to your organization
           </p>
-          {isAdmin && (
+          {canManagePlugs && (
             <Link
               to="/plugs"
               className="inline-flex items-center gap-2 bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-500 hover:to-purple-500 text-white font-medium py-2.5 px-5 rounded-lg transition-all shadow-lg shadow-indigo-500/20"
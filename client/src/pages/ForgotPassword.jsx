@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Icon } from '@iconify/react';
+import api from '../utils/api';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await api.post('/auth/forgot-password', { email });
+      setSent(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send reset email');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <div className="w-full max-w-md">
+        {/* Logo */}
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-white mb-2">
+            Plug<span className="text-indigo-500">OS</span>
+          </h1>
+          <p className="text-[var(--color-text-muted)]">Reset your password</p>
+        </div>
+
+        {/* Card */}
+        <div className="bg-[var(--color-bg-card)] rounded-2xl p-8 border border-[var(--color-border)]">
+          {sent ? (
+            <div className="text-center space-y-4">
+              <Icon icon="mdi:email-check-outline" className="w-12 h-12 text-indigo-400 mx-auto" />
+              <p>
+                If an account exists for <span className="font-medium">{email}</span>, we've sent a link to reset your password.
+              </p>
+              <p className="text-sm text-[var(--color-text-muted)]">
+                The link expires soon and can only be used once.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              {error && (
+                <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@company.com"
+                  autoFocus
+                  required
+                />
+                <p className="text-xs text-[var(--color-text-muted)] mt-2">
+                  We'll email you a link to choose a new password.
+                </p>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-3 px-4 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center text-sm text-[var(--color-text-muted)]">
+            <Link to="/login" className="text-indigo-400 hover:text-indigo-300">
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
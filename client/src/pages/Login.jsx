@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 export default function Login() {
@@ -7,8 +7,18 @@ export default function Login() {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  // Set when redirected here after a password reset
+  const notice = location.state?.message;
+
+  const finishLogin = (data) => {
+    // Send users who must set up 2FA straight to the setup screen
+    navigate(data.twoFactorSetupRequired ? '/settings' : '/dashboard');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -16,8 +26,12 @@ export default function Login() {
     setLoading(true);
 
     try {
-      await login(email, password);
-      navigate('/dashboard');
+      const data = await login(email, password);
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
+      }
+      finishLogin(data);
     } catch (err) {
       setError(err.response?.data?.error || 'Login failed');
     } finally {
@@ -25,6 +39,27 @@ export default function Login() {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const data = await verifyTwoFactor(challengeToken, code);
+      finishLogin(data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const backToPassword = () => {
+    setChallengeToken(null);
+    setCode('');
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center px-4">
       <div className="w-full max-w-md">
@@ -34,49 +69,102 @@ export default function Login() {
             Plug<span className="text-indigo-500">OS</span>
           </h1>
           <p className="text-[var(--color-text-muted)]">
-            Sign in to your organization
+            {challengeToken ? 'Two-factor authentication' : 'Sign in to your organization'}
           </p>
         </div>
 
         {/* Card */}
         <div className="bg-[var(--color-bg-card)] rounded-2xl p-8 border border-[var(--color-border)]">
-          <form onSubmit={handleSubmit} className="space-y-5">
-            {error && (
-              <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
-                {error}
+          {challengeToken ? (
+            <form onSubmit={handleVerify} className="space-y-5">
+              {error && (
+                <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Authentication code</label>
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                />
+                <p className="text-xs text-[var(--color-text-muted)] mt-2">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </p>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-3 px-4 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <button
+                type="button"
+                onClick={backToPassword}
+                className="w-full text-sm text-[var(--color-text-muted)] hover:text-white transition-colors"
+              >
+                Back to sign in
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              {notice && !error && (
+                <div className="bg-green-500/10 border border-green-500/50 text-green-400 px-4 py-3 rounded-lg text-sm">
+                  {notice}
+                </div>
+              )}
+
+              {error && (
+                <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@company.com"
+                  required
+                />
               </div>
-            )}
-
-            <div>
-              <label className="block text-sm font-medium mb-2">Email</label>
-              <input
-                type="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="you@company.com"
-                required
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium mb-2">Password</label>
-              <input
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                placeholder="••••••••"
-                required
-              />
-            </div>
-
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-3 px-4 rounded-lg transition-colors disabled:opacity-50"
-            >
-              {loading ? 'Signing in...' : 'Sign In'}
-            </button>
-          </form>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium">Password</label>
+                  <Link to="/forgot-password" className="text-sm text-indigo-400 hover:text-indigo-300">
+                    Forgot password?
+                  </Link>
+                </div>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="••••••••"
+                  required
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-3 px-4 rounded-lg transition-colors disabled:opacity-50"
+              >
+                {loading ? 'Signing in...' : 'Sign In'}
+              </button>
+            </form>
+          )}
 
           <div className="mt-6 text-center text-sm text-[var(--color-text-muted)]">
             Don't have an account?{' '}
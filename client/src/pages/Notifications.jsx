@@ -2,33 +2,42 @@ import { useState, useEffect } from 'react';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
+import { subscribeToNotifications } from '../utils/notificationStream';
+import NotificationPreferences from '../components/NotificationPreferences';
+import LoadMore from '../components/LoadMore';
+import usePagedList from '../hooks/usePagedList';
 
 export default function Notifications() {
   const { currentOrg } = useAuth();
-  const [notifications, setNotifications] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all'); // all, unread
+  const [showPreferences, setShowPreferences] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
 
+  const {
+    items: notifications,
+    setItems: setNotifications,
+    total,
+    setTotal,
+    hasMore,
+    loading,
+    loadingMore,
+    loadMore
+  } = usePagedList(
+    currentOrg ? `/notifications/org/${currentOrg.id}` : null,
+    filter === 'unread' ? { unreadOnly: true } : {}
+  );
+
+  // Show new notifications as they arrive; the unread count covers every page
   useEffect(() => {
     if (currentOrg) {
-      fetchNotifications();
-    }
-  }, [currentOrg, filter]);
-
-  const fetchNotifications = async () => {
-    setLoading(true);
-    try {
-      const url = filter === 'unread' 
-        ? `/notifications/org/${currentOrg.id}?unreadOnly=true`
-        : `/notifications/org/${currentOrg.id}`;
-      const { data } = await api.get(url);
-      setNotifications(data);
-    } catch (error) {
-      console.error('Failed to fetch notifications:', error);
-    } finally {
-      setLoading(false);
+      return subscribeToNotifications(currentOrg.id, {
+        onUnreadCount: setUnreadCount,
+        onNotification: (notification) => {
+          setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+        }
+      });
     }
-  };
+  }, [currentOrg]);
 
   const markAsRead = async (notificationId) => {
     try {
@@ -36,6 +45,7 @@ export default function Notifications() {
       setNotifications(notifications.map(n => 
         n.id === notificationId ? { ...n, read_at: new Date().toISOString() } : n
       ));
+      setUnreadCount(Math.max(0, unreadCount - 1));
     } catch (error) {
       console.error('Failed to mark as read:', error);
     }
@@ -45,6 +55,7 @@ export default function Notifications() {
     try {
       await api.put(`/notifications/org/${currentOrg.id}/read-all`);
       setNotifications(notifications.map(n => ({ ...n, read_at: new Date().toISOString() })));
+      setUnreadCount(0);
     } catch (error) {
       console.error('Failed to mark all as read:', error);
     }
@@ -53,7 +64,12 @@ export default function Notifications() {
   const deleteNotification = async (notificationId) => {
     try {
       await api.delete(`/notifications/org/${currentOrg.id}/${notificationId}`);
+      const notification = notifications.find(n => n.id === notificationId);
       setNotifications(notifications.filter(n => n.id !== notificationId));
+      setTotal(total - 1);
+      if (notification && !notification.read_at) {
+        setUnreadCount(Math.max(0, unreadCount - 1));
+      }
     } catch (error) {
       console.error('Failed to delete notification:', error);
     }
@@ -85,8 +101,6 @@ export default function Notifications() {
     return date.toLocaleDateString();
   };
 
-  const unreadCount = notifications.filter(n => !n.read_at).length;
-
   return (
     <div className="max-w-4xl mx-auto">
       {/* Header */}
@@ -134,9 +148,28 @@ export default function Notifications() {
               Mark all read
             </button>
           )}
+
+          {/* Preferences */}
+          <button
+            onClick={() => setShowPreferences(!showPreferences)}
+            className={`p-2 rounded-lg border transition-all ${
+              showPreferences
+                ? 'bg-indigo-500/20 border-indigo-500/50 text-indigo-400'
+                : 'bg-[var(--color-bg-card)] border-[var(--color-border)] text-[var(--color-text-muted)] hover:text-white hover:border-indigo-500/50'
+            }`}
+            title="Notification preferences"
+          >
+            <Icon icon="mdi:cog" className="w-5 h-5" />
+          </button>
         </div>
       </div>
 
+      {showPreferences && (
+        <div className="mb-6">
+          <NotificationPreferences />
+        </div>
+      )}
+
       {/* Notification List */}
       <div className="bg-[var(--color-bg-card)] rounded-xl border border-[var(--color-border)] overflow-hidden">
         {loading ? (
@@ -216,6 +249,17 @@ export default function Notifications() {
           </div>
         )}
       </div>
+
+      {!loading && (
+        <LoadMore
+          hasMore={hasMore}
+          loading={loadingMore}
+          onLoadMore={loadMore}
+          shown={notifications.length}
+          total={total}
+          noun="notifications"
+        />
+      )}
     </div>
   );
 }
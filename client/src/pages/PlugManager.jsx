@@ -5,7 +5,8 @@ import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 
 export default function PlugManager() {
-  const { currentOrg, isAdmin } = useAuth();
+  const { currentOrg, can } = useAuth();
+  const canManagePlugs = can('plugs.manage');
   const [availablePlugs, setAvailablePlugs] = useState([]);
   const [enabledPlugs, setEnabledPlugs] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -36,7 +37,7 @@ export default function PlugManager() {
   };
 
   const togglePlug = async (plug) => {
-    if (!isAdmin) return;
+    if (!canManagePlugs) return;
 
     try {
       if (isPlugEnabled(plug.id)) {
@@ -125,7 +126,7 @@ export default function PlugManager() {
                       </div>
                     </div>
 
-                    {isAdmin && (
+                    {canManagePlugs && (
                       <button
                         onClick={() => togglePlug(plug)}
                         className={`relative w-12 h-6 rounded-full transition-colors ${
@@ -3,28 +3,50 @@ import { Link } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
+import SessionsPanel from '../components/SessionsPanel';
+import TwoFactorPanel from '../components/TwoFactorPanel';
+import RolesPanel from '../components/RolesPanel';
+import ApiTokensPanel from '../components/ApiTokensPanel';
+import WebhooksPanel from '../components/WebhooksPanel';
+import CalendarSettingsPanel from '../components/CalendarSettingsPanel';
+import CurrencyPanel from '../components/CurrencyPanel';
+import TenantArchivePanel from '../components/TenantArchivePanel';
+import PersonalDataPanel from '../components/PersonalDataPanel';
+import FormerMembersPanel from '../components/FormerMembersPanel';
 
 export default function Settings() {
-  const { currentOrg, isAdmin } = useAuth();
+  const { currentOrg, can } = useAuth();
+  const canManageSettings = can('organization.settings');
+  const canManageRoles = can('roles.manage');
+  const canManageDepartments = can('departments.manage');
+  const canManageApiKeys = can('api_keys.manage');
+  const canManageWebhooks = can('webhooks.manage');
+  const canManageCurrencies = can('currencies.manage');
+  const canExport = can('organization.export');
+  const canManagePrivacy = can('privacy.manage');
   const [departments, setDepartments] = useState([]);
   const [enabledPlugs, setEnabledPlugs] = useState([]);
+  const [require2fa, setRequire2fa] = useState(false);
+  const [savingSecurity, setSavingSecurity] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
   useEffect(() => {
-    if (currentOrg) {
+    if (currentOrg && (canManageSettings || canManageDepartments)) {
       fetchData();
     }
-  }, [currentOrg]);
+  }, [currentOrg, canManageSettings, canManageDepartments]);
 
   const fetchData = async () => {
     try {
-      const [deptRes, plugsRes] = await Promise.all([
+      const [deptRes, plugsRes, orgRes] = await Promise.all([
         api.get(`/departments/org/${currentOrg.id}`),
-        api.get(`/plugs/org/${currentOrg.id}`)
+        api.get(`/plugs/org/${currentOrg.id}`),
+        api.get(`/organizations/${currentOrg.id}`)
       ]);
       setDepartments(deptRes.data);
       setEnabledPlugs(plugsRes.data);
+      setRequire2fa(orgRes.data.require_2fa);
     } catch (err) {
       setError('Failed to load settings data');
     } finally {
@@ -32,20 +54,17 @@ export default function Settings() {
     }
   };
 
-  if (!isAdmin) {
-    return (
-      <div className="min-h-screen bg-[var(--color-bg-dark)] flex items-center justify-center">
-        <div className="text-center">
-          <Icon icon="mdi:lock" className="w-16 h-16 text-[var(--color-text-muted)] mx-auto mb-4" />
-          <h2 className="text-xl font-bold mb-2">Access Denied</h2>
-          <p className="text-[var(--color-text-muted)]">Only administrators can access settings.</p>
-          <Link to="/dashboard" className="inline-block mt-4 text-indigo-400 hover:text-indigo-300">
-            Return to Dashboard
-          </Link>
-        </div>
-      </div>
-    );
-  }
+  const toggleRequire2fa = async () => {
+    setSavingSecurity(true);
+    try {
+      const res = await api.patch(`/organizations/${currentOrg.id}/settings`, { require_2fa: !require2fa });
+      setRequire2fa(res.data.require_2fa);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update security settings');
+    } finally {
+      setSavingSecurity(false);
+    }
+  };
 
   return (
     <div className="min-h-screen bg-[var(--color-bg-dark)]">
@@ -80,77 +99,237 @@ export default function Settings() {
           </div>
         )}
 
-        {/* Header */}
+        {/* Account */}
         <div className="mb-8">
-          <h2 className="text-2xl font-bold mb-2">Department Plug Access</h2>
+          <h2 className="text-2xl font-bold mb-2">Account</h2>
           <p className="text-[var(--color-text-muted)]">
-            Control which plugs each department can access. Admins always have full access to all plugs.
+            Manage how you sign in, where you are signed in, your API tokens and your data.
           </p>
         </div>
 
-        {loading ? (
-          <div className="flex justify-center py-12">
-            <Icon icon="mdi:loading" className="w-8 h-8 text-indigo-500 animate-spin" />
-          </div>
-        ) : departments.length === 0 ? (
-          <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
-            <Icon icon="mdi:office-building-outline" className="w-12 h-12 text-[var(--color-text-muted)] mx-auto mb-4" />
-            <h3 className="text-lg font-semibold mb-2">No departments yet</h3>
-            <p className="text-[var(--color-text-muted)] mb-4">
-              Create departments in the Employee Directory plug first.
+        <div className="mb-12 space-y-6">
+          <TwoFactorPanel />
+          <SessionsPanel />
+          <ApiTokensPanel />
+          <PersonalDataPanel />
+        </div>
+
+        {canManageSettings && (
+          <>
+          {/* Organization Security */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">Security</h2>
+            <p className="text-[var(--color-text-muted)]">
+              Sign-in requirements for everyone in {currentOrg?.name}.
             </p>
-            <Link
-              to="/employees"
-              className="inline-flex items-center gap-2 text-indigo-400 hover:text-indigo-300"
+          </div>
+
+          <div className="mb-12 bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-4 flex items-center justify-between gap-4">
+            <div>
+              <h3 className="font-semibold">Require two-factor authentication for privileged roles</h3>
+              <p className="text-sm text-[var(--color-text-muted)]">
+                Members whose role can manage the organization, its people or their pay and data (admins, managers and custom roles like them) will be asked to set it up before they can continue.
+                You need it enabled on your own account first.
+              </p>
+            </div>
+            <button
+              onClick={toggleRequire2fa}
+              disabled={loading || savingSecurity}
+              className={`relative w-12 h-6 rounded-full transition-colors flex-shrink-0 disabled:opacity-50 ${
+                require2fa ? 'bg-indigo-600' : 'bg-[var(--color-bg-elevated)]'
+              }`}
             >
-              <Icon icon="mdi:arrow-right" className="w-4 h-4" />
-              Go to Employee Directory
-            </Link>
+              <span className={`absolute top-0.5 left-0.5 w-5 h-5 bg-white rounded-full transition-transform ${
+                require2fa ? 'translate-x-6' : ''
+              }`} />
+            </button>
           </div>
-        ) : enabledPlugs.length === 0 ? (
-          <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
-            <Icon icon="mdi:puzzle-outline" className="w-12 h-12 text-[var(--color-text-muted)] mx-auto mb-4" />
-            <h3 className="text-lg font-semibold mb-2">No plugs enabled</h3>
-            <p className="text-[var(--color-text-muted)] mb-4">
-              Enable some plugs for your organization first.
+
+          {/* Organization Calendar */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">Calendar</h2>
+            <p className="text-[var(--color-text-muted)]">
+              Where {currentOrg?.name} works and when: its timezone, work week and fiscal year.
             </p>
-            <Link
-              to="/plugs"
-              className="inline-flex items-center gap-2 text-indigo-400 hover:text-indigo-300"
-            >
-              <Icon icon="mdi:arrow-right" className="w-4 h-4" />
-              Go to Plug Manager
-            </Link>
           </div>
-        ) : (
-          <div className="space-y-6">
-            {departments.map((dept) => (
-              <DepartmentPlugAccess
-                key={dept.id}
-                department={dept}
-                enabledPlugs={enabledPlugs}
-                orgId={currentOrg.id}
-                onError={setError}
-              />
-            ))}
+
+          <div className="mb-12">
+            <CalendarSettingsPanel />
+          </div>
+          </>
+        )}
+
+        {canManageCurrencies && (
+          <>
+          {/* Currencies */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">Currencies</h2>
+            <p className="text-[var(--color-text-muted)]">
+              The currency {currentOrg?.name} reports in, and the rates for converting claims and salaries paid in others.
+            </p>
+          </div>
+
+          <div className="mb-12">
+            <CurrencyPanel />
+          </div>
+          </>
+        )}
+
+        {canExport && (
+          <>
+          {/* Export & Import */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">Export & Import</h2>
+            <p className="text-[var(--color-text-muted)]">
+              Download everything in {currentOrg?.name} as one file, or bring an exported organization into this instance.
+            </p>
+          </div>
+
+          <div className="mb-12">
+            <TenantArchivePanel />
+          </div>
+          </>
+        )}
+
+        {canManagePrivacy && (
+          <>
+          {/* Personal Data */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">Personal Data</h2>
+            <p className="text-[var(--color-text-muted)]">
+              Answer data requests from people who have left {currentOrg?.name}, and erase them once their records no longer need a name.
+            </p>
+          </div>
+
+          <div className="mb-12">
+            <FormerMembersPanel />
           </div>
+          </>
         )}
 
-        {/* Info Box */}
-        {departments.length > 0 && enabledPlugs.length > 0 && (
-          <div className="mt-8 bg-indigo-500/10 border border-indigo-500/30 rounded-xl p-4">
-            <div className="flex items-start gap-3">
-              <Icon icon="mdi:information" className="w-5 h-5 text-indigo-400 mt-0.5" />
-              <div className="text-sm text-indigo-200">
-                <p className="font-medium mb-1">How department access works:</p>
-                <ul className="list-disc list-inside space-y-1 text-indigo-300">
-                  <li>Admins always see all enabled plugs</li>
-                  <li>Employees only see plugs assigned to their department</li>
-                  <li>Employees without a department see all enabled plugs</li>
-                </ul>
+        {canManageRoles && (
+          <>
+          {/* Roles */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">Roles & Permissions</h2>
+            <p className="text-[var(--color-text-muted)]">
+              Fine-tune the built-in roles or create your own, like a payroll officer who can finalize pay runs.
+            </p>
+          </div>
+
+          <div className="mb-12">
+            <RolesPanel />
+          </div>
+          </>
+        )}
+
+        {canManageApiKeys && (
+          <>
+          {/* API Keys */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">API Keys</h2>
+            <p className="text-[var(--color-text-muted)]">
+              Keys let other systems work with {currentOrg?.name}. Each key acts as the member who created it, limited to the scopes you pick.
+            </p>
+          </div>
+
+          <div className="mb-12">
+            <ApiTokensPanel orgKeys />
+          </div>
+          </>
+        )}
+
+        {canManageWebhooks && (
+          <>
+          {/* Webhooks */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">Webhooks</h2>
+            <p className="text-[var(--color-text-muted)]">
+              Send events such as approved expenses or new employees to your own systems as they happen.
+            </p>
+          </div>
+
+          <div className="mb-12">
+            <WebhooksPanel />
+          </div>
+          </>
+        )}
+
+        {canManageDepartments && (
+          <>
+          {/* Header */}
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold mb-2">Department Plug Access</h2>
+            <p className="text-[var(--color-text-muted)]">
+              Control which plugs each department can access. Admins always have full access to all plugs.
+            </p>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <Icon icon="mdi:loading" className="w-8 h-8 text-indigo-500 animate-spin" />
+            </div>
+          ) : departments.length === 0 ? (
+            <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
+              <Icon icon="mdi:office-building-outline" className="w-12 h-12 text-[var(--color-text-muted)] mx-auto mb-4" />
+              <h3 className="text-lg font-semibold mb-2">No departments yet</h3>
+              <p className="text-[var(--color-text-muted)] mb-4">
+                Create departments in the Employee Directory plug first.
+              </p>
+              <Link
+                to="/employees"
+                className="inline-flex items-center gap-2 text-indigo-400 hover:text-indigo-300"
+              >
+                <Icon icon="mdi:arrow-right" className="w-4 h-4" />
+                Go to Employee Directory
+              </Link>
+            </div>
+          ) : enabledPlugs.length === 0 ? (
+            <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
+              <Icon icon="mdi:puzzle-outline" className="w-12 h-12 text-[var(--color-text-muted)] mx-auto mb-4" />
+              <h3 className="text-lg font-semibold mb-2">No plugs enabled</h3>
+              <p className="text-[var(--color-text-muted)] mb-4">
+                Enable some plugs for your organization first.
+              </p>
+              <Link
+                to="/plugs"
+                className="inline-flex items-center gap-2 text-indigo-400 hover:text-indigo-300"
+              >
+                <Icon icon="mdi:arrow-right" className="w-4 h-4" />
+                Go to Plug Manager
+              </Link>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {departments.map((dept) => (
+                <DepartmentPlugAccess
+                  key={dept.id}
+                  department={dept}
+                  enabledPlugs={enabledPlugs}
+                  orgId={currentOrg.id}
+                  onError={setError}
+                />
+              ))}
+            </div>
+          )}
+
+          {/* Info Box */}
+          {departments.length > 0 && enabledPlugs.length > 0 && (
+            <div className="mt-8 bg-indigo-500/10 border border-indigo-500/30 rounded-xl p-4">
+              <div className="flex items-start gap-3">
+                <Icon icon="mdi:information" className="w-5 h-5 text-indigo-400 mt-0.5" />
+                <div className="text-sm text-indigo-200">
+                  <p className="font-medium mb-1">How department access works:</p>
+                  <ul className="list-disc list-inside space-y-1 text-indigo-300">
+                    <li>Admins always see all enabled plugs</li>
+                    <li>Employees only see plugs assigned to their department</li>
+                    <li>Employees without a department see all enabled plugs</li>
+                  </ul>
+                </div>
               </div>
             </div>
-          </div>
+          )}
+          </>
         )}
       </main>
     </div>
@@ -6,9 +6,13 @@ import api from '../../utils/api';
 import CustomSelect from '../../components/CustomSelect';
 import DatePicker from '../../components/DatePicker';
 import useBodyScrollLock from '../../hooks/useBodyScrollLock';
+import usePagedList from '../../hooks/usePagedList';
+import LoadMore from '../../components/LoadMore';
 
 export default function AttendanceTracker() {
-  const { currentOrg, isManager, isAdmin, user } = useAuth();
+  const { currentOrg, can, user } = useAuth();
+  const canViewTeam = can('attendance.view_team');
+  const canReviewLeave = can('leave.review');
   const [activeTab, setActiveTab] = useState(() => {
     return localStorage.getItem('attendance-tab') || 'clock';
   });
@@ -21,12 +25,7 @@ export default function AttendanceTracker() {
   const [currentRecord, setCurrentRecord] = useState(null);
   const [clockLoading, setClockLoading] = useState(false);
   
-  // Attendance history
-  const [attendance, setAttendance] = useState([]);
-  
   // Leave requests
-  const [leaveRequests, setLeaveRequests] = useState([]);
-  const [pendingLeave, setPendingLeave] = useState([]);
   const [showLeaveModal, setShowLeaveModal] = useState(false);
   const [leaveTypes, setLeaveTypes] = useState([]);
   
@@ -34,8 +33,8 @@ export default function AttendanceTracker() {
   const [showLeaveTypeModal, setShowLeaveTypeModal] = useState(false);
   
   // Team attendance
-  const [teamAttendance, setTeamAttendance] = useState([]);
-  const [teamDate, setTeamDate] = useState(new Date().toISOString().split('T')[0]);
+  // Open on today in the org's timezone ('en-CA' formats as YYYY-MM-DD)
+  const [teamDate, setTeamDate] = useState(() => new Date().toLocaleDateString('en-CA', { timeZone: currentOrg?.timezone || 'UTC' }));
   const [teamDepartment, setTeamDepartment] = useState('');
   const [teamSearch, setTeamSearch] = useState('');
   const [departments, setDepartments] = useState([]);
@@ -48,6 +47,29 @@ export default function AttendanceTracker() {
   const [leaveStartDate, setLeaveStartDate] = useState('');
   const [leaveEndDate, setLeaveEndDate] = useState('');
 
+  // History and leave load a page at a time, and only while their tab is open
+  const history = usePagedList(
+    currentOrg && activeTab === 'history' ? `/attendance/org/${currentOrg.id}/my-attendance` : null,
+    { ...(historyStartDate && { startDate: historyStartDate }), ...(historyEndDate && { endDate: historyEndDate }) }
+  );
+  const myLeave = usePagedList(
+    currentOrg && activeTab === 'leave' ? `/attendance/org/${currentOrg.id}/leave` : null,
+    { ...(leaveStartDate && { startDate: leaveStartDate }), ...(leaveEndDate && { endDate: leaveEndDate }) }
+  );
+  const attendance = history.items;
+  const leaveRequests = myLeave.items;
+
+  // The team tab pages the day's attendance and the leave waiting for review
+  const team = usePagedList(
+    currentOrg && activeTab === 'team' && canViewTeam ? `/attendance/org/${currentOrg.id}/team` : null,
+    { date: teamDate, ...(teamDepartment && { department: teamDepartment }), ...(teamSearch && { search: teamSearch }) }
+  );
+  const pending = usePagedList(
+    currentOrg && activeTab === 'team' && canReviewLeave ? `/attendance/org/${currentOrg.id}/leave/pending` : null
+  );
+  const teamAttendance = team.items;
+  const pendingLeave = pending.items;
+
   useEffect(() => {
     if (currentOrg) {
       fetchDepartments();
@@ -63,7 +85,7 @@ export default function AttendanceTracker() {
     if (currentOrg) {
       fetchData();
     }
-  }, [currentOrg, activeTab, teamDate, teamDepartment, teamSearch, historyStartDate, historyEndDate, leaveStartDate, leaveEndDate]);
+  }, [currentOrg, activeTab]);
 
   const fetchDepartments = async () => {
     try {
@@ -85,39 +107,6 @@ export default function AttendanceTracker() {
       setClockedIn(statusRes.data.clockedIn);
       setCurrentRecord(statusRes.data.record);
       setLeaveTypes(typesRes.data);
-
-      if (activeTab === 'history') {
-        let url = `/attendance/org/${currentOrg.id}/my-attendance`;
-        const params = new URLSearchParams();
-        if (historyStartDate) params.append('startDate', historyStartDate);
-        if (historyEndDate) params.append('endDate', historyEndDate);
-        if (params.toString()) url += '?' + params.toString();
-        
-        const historyRes = await api.get(url);
-        setAttendance(historyRes.data);
-      } else if (activeTab === 'leave') {
-        const leaveRes = await api.get(`/attendance/org/${currentOrg.id}/leave`);
-        // Filter by date on frontend for leave requests
-        let filtered = leaveRes.data;
-        if (leaveStartDate) {
-          filtered = filtered.filter(r => r.start_date >= leaveStartDate);
-        }
-        if (leaveEndDate) {
-          filtered = filtered.filter(r => r.end_date <= leaveEndDate);
-        }
-        setLeaveRequests(filtered);
-      } else if (activeTab === 'team' && (isManager || isAdmin)) {
-        let url = `/attendance/org/${currentOrg.id}/team?date=${teamDate}`;
-        if (teamDepartment) url += `&department=${encodeURIComponent(teamDepartment)}`;
-        if (teamSearch) url += `&search=${encodeURIComponent(teamSearch)}`;
-        
-        const [teamRes, pendingRes] = await Promise.all([
-          api.get(url),
-          api.get(`/attendance/org/${currentOrg.id}/leave/pending`)
-        ]);
-        setTeamAttendance(teamRes.data);
-        setPendingLeave(pendingRes.data);
-      }
     } catch (err) {
       console.error('Fetch error:', err);
     } finally {
@@ -130,6 +119,7 @@ export default function AttendanceTracker() {
     setError('');
     try {
       await api.post(`/attendance/org/${currentOrg.id}/clock-in`);
+      history.reload();
       setSuccess('Clocked in successfully!');
       fetchData();
       setTimeout(() => setSuccess(''), 3000);
@@ -145,6 +135,7 @@ export default function AttendanceTracker() {
     setError('');
     try {
       await api.post(`/attendance/org/${currentOrg.id}/clock-out`);
+      history.reload();
       setSuccess('Clocked out successfully!');
       fetchData();
       setTimeout(() => setSuccess(''), 3000);
@@ -159,7 +150,7 @@ export default function AttendanceTracker() {
     try {
       await api.put(`/attendance/org/${currentOrg.id}/leave/${leaveId}/review`, { status });
       setSuccess(`Leave request ${status}!`);
-      fetchData();
+      pending.reload();
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to review leave');
@@ -236,13 +227,13 @@ export default function AttendanceTracker() {
             icon="mdi:calendar-clock"
             label="Leave Requests"
           />
-          {(isManager || isAdmin) && (
+          {(canViewTeam || canReviewLeave) && (
             <TabButton 
               active={activeTab === 'team'} 
               onClick={() => setActiveTab('team')}
               icon="mdi:account-group"
               label="Team"
-              badge={pendingLeave.length > 0 ? pendingLeave.length : null}
+              badge={pending.total > 0 ? pending.total : null}
             />
           )}
         </div>
@@ -325,7 +316,11 @@ export default function AttendanceTracker() {
                     </div>
                   </div>
                 </div>
-                {attendance.length > 0 ? (
+                {history.loading ? (
+                  <div className="flex justify-center py-12">
+                    <Icon icon="mdi:loading" className="w-8 h-8 text-emerald-500 animate-spin" />
+                  </div>
+                ) : attendance.length > 0 ? (
                   <div className="divide-y divide-[var(--color-border)]">
                     {attendance.map((record) => (
                       <div key={record.id} className="p-4 flex items-center justify-between">
@@ -347,6 +342,14 @@ export default function AttendanceTracker() {
                         </div>
                       </div>
                     ))}
+                    <LoadMore
+                      hasMore={history.hasMore}
+                      loading={history.loadingMore}
+                      onLoadMore={history.loadMore}
+                      shown={attendance.length}
+                      total={history.total}
+                      noun="records"
+                    />
                   </div>
                 ) : (
                   <div className="p-12 text-center text-[var(--color-text-muted)]">
@@ -375,7 +378,7 @@ export default function AttendanceTracker() {
                         placeholder="To"
                       />
                     </div>
-                    {isAdmin && (
+                    {can('leave.manage_types') && (
                       <button
                         onClick={() => setShowLeaveTypeModal(true)}
                         className="inline-flex items-center gap-2 border border-[var(--color-border)] hover:bg-[var(--color-bg-elevated)] text-[var(--color-text-muted)] hover:text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -394,13 +397,25 @@ export default function AttendanceTracker() {
                   </div>
                 </div>
                 
-                {leaveRequests.length > 0 ? (
+                {myLeave.loading ? (
+                  <div className="flex justify-center py-12">
+                    <Icon icon="mdi:loading" className="w-8 h-8 text-emerald-500 animate-spin" />
+                  </div>
+                ) : leaveRequests.length > 0 ? (
                   <div className="grid gap-4">
                     {leaveRequests.map((request) => (
                       <div key={request.id} className="animate-item">
                         <LeaveCard request={request} />
                       </div>
                     ))}
+                    <LoadMore
+                      hasMore={myLeave.hasMore}
+                      loading={myLeave.loadingMore}
+                      onLoadMore={myLeave.loadMore}
+                      shown={leaveRequests.length}
+                      total={myLeave.total}
+                      noun="leave requests"
+                    />
                   </div>
                 ) : (
                   <div className="animate-item bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
@@ -411,15 +426,15 @@ export default function AttendanceTracker() {
               </>
             )}
 
-            {/* Team Tab (Managers/Admins) */}
-            {activeTab === 'team' && (isManager || isAdmin) && (
+            {/* Team Tab (team attendance and leave approvals) */}
+            {activeTab === 'team' && (canViewTeam || canReviewLeave) && (
               <>
                 {/* Pending Leave Approvals */}
                 {pendingLeave.length > 0 && (
                   <div className="animate-item mb-8">
                     <h3 className="font-semibold mb-4 flex items-center gap-2">
                       <Icon icon="mdi:clock-alert" className="w-5 h-5 text-yellow-400" />
-                      Pending Leave Requests ({pendingLeave.length})
+                      Pending Leave Requests ({pending.total})
                     </h3>
                     <div className="grid gap-4">
                       {pendingLeave.map((request) => (
@@ -465,79 +480,97 @@ export default function AttendanceTracker() {
                         </div>
                       ))}
                     </div>
+                    <LoadMore
+                      hasMore={pending.hasMore}
+                      loading={pending.loadingMore}
+                      onLoadMore={pending.loadMore}
+                      shown={pendingLeave.length}
+                      total={pending.total}
+                      noun="pending requests"
+                    />
                   </div>
                 )}
 
                 {/* Team Attendance */}
-                <div>
-                  <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-4">
-                    <h3 className="font-semibold">Team Attendance</h3>
-                    <div className="flex flex-wrap items-center gap-3">
-                      {/* Search by name */}
-                      <div className="relative">
-                        <Icon icon="mdi:magnify" className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-[var(--color-text-muted)]" />
-                        <input
-                          type="text"
-                          value={teamSearch}
-                          onChange={(e) => setTeamSearch(e.target.value)}
-                          placeholder="Search name..."
-                          className="pl-9 pr-4 py-2 text-sm bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-lg w-44"
+                {canViewTeam && (
+                  <div>
+                    <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-4">
+                      <h3 className="font-semibold">Team Attendance</h3>
+                      <div className="flex flex-wrap items-center gap-3">
+                        {/* Search by name */}
+                        <div className="relative">
+                          <Icon icon="mdi:magnify" className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-[var(--color-text-muted)]" />
+                          <input
+                            type="text"
+                            value={teamSearch}
+                            onChange={(e) => setTeamSearch(e.target.value)}
+                            placeholder="Search name..."
+                            className="pl-9 pr-4 py-2 text-sm bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-lg w-44"
+                          />
+                        </div>
+                        
+                        {/* Department filter */}
+                        <CustomSelect
+                          value={teamDepartment}
+                          onChange={(e) => setTeamDepartment(e.target.value)}
+                          options={[
+                            { value: '', label: 'All Departments' },
+                            ...departments.map(d => ({ value: d.name, label: d.name }))
+                          ]}
+                          placeholder="All Departments"
+                        />
+                        
+                        {/* Date picker */}
+                        <DatePicker
+                          value={teamDate}
+                          onChange={(e) => setTeamDate(e.target.value)}
+                          placeholder="Select date"
                         />
                       </div>
-                      
-                      {/* Department filter */}
-                      <CustomSelect
-                        value={teamDepartment}
-                        onChange={(e) => setTeamDepartment(e.target.value)}
-                        options={[
-                          { value: '', label: 'All Departments' },
-                          ...departments.map(d => ({ value: d.name, label: d.name }))
-                        ]}
-                        placeholder="All Departments"
-                      />
-                      
-                      {/* Date picker */}
-                      <DatePicker
-                        value={teamDate}
-                        onChange={(e) => setTeamDate(e.target.value)}
-                        placeholder="Select date"
-                      />
                     </div>
-                  </div>
-                  
-                  {teamAttendance.length > 0 ? (
-                    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
-                      <div className="divide-y divide-[var(--color-border)]">
-                        {teamAttendance.map((record) => (
-                          <div key={record.id} className="p-4 flex items-center justify-between">
-                            <div className="flex items-center gap-3">
-                              <div className="w-10 h-10 bg-emerald-500/20 text-emerald-400 rounded-full flex items-center justify-center font-semibold">
-                                {record.user_name?.charAt(0).toUpperCase()}
+                    
+                    {teamAttendance.length > 0 ? (
+                      <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl overflow-hidden">
+                        <div className="divide-y divide-[var(--color-border)]">
+                          {teamAttendance.map((record) => (
+                            <div key={record.id} className="p-4 flex items-center justify-between">
+                              <div className="flex items-center gap-3">
+                                <div className="w-10 h-10 bg-emerald-500/20 text-emerald-400 rounded-full flex items-center justify-center font-semibold">
+                                  {record.user_name?.charAt(0).toUpperCase()}
+                                </div>
+                                <div>
+                                  <p className="font-medium">{record.user_name}</p>
+                                  <p className="text-xs text-[var(--color-text-muted)]">{record.user_email}</p>
+                                </div>
                               </div>
-                              <div>
-                                <p className="font-medium">{record.user_name}</p>
-                                <p className="text-xs text-[var(--color-text-muted)]">{record.user_email}</p>
+                              <div className="text-right">
+                                <p className="text-sm">
+                                  {formatTime(record.clock_in)} - {formatTime(record.clock_out)}
+                                </p>
+                                <p className="text-xs font-mono text-emerald-400">
+                                  {formatDuration(record.clock_in, record.clock_out)}
+                                </p>
                               </div>
                             </div>
-                            <div className="text-right">
-                              <p className="text-sm">
-                                {formatTime(record.clock_in)} - {formatTime(record.clock_out)}
-                              </p>
-                              <p className="text-xs font-mono text-emerald-400">
-                                {formatDuration(record.clock_in, record.clock_out)}
-                              </p>
-                            </div>
-                          </div>
-                        ))}
+                          ))}
+                        </div>
+                        <LoadMore
+                          hasMore={team.hasMore}
+                          loading={team.loadingMore}
+                          onLoadMore={team.loadMore}
+                          shown={teamAttendance.length}
+                          total={team.total}
+                          noun="records"
+                        />
                       </div>
-                    </div>
-                  ) : (
-                    <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
-                      <Icon icon="mdi:account-clock" className="w-12 h-12 mx-auto mb-4 text-[var(--color-text-muted)]" />
-                      <p className="text-[var(--color-text-muted)]">No attendance records for this date</p>
-                    </div>
-                  )}
-                </div>
+                    ) : (
+                      <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
+                        <Icon icon="mdi:account-clock" className="w-12 h-12 mx-auto mb-4 text-[var(--color-text-muted)]" />
+                        <p className="text-[var(--color-text-muted)]">No attendance records for this date</p>
+                      </div>
+                    )}
+                  </div>
+                )}
               </>
             )}
           </>
@@ -553,7 +586,7 @@ export default function AttendanceTracker() {
           onSuccess={() => {
             setShowLeaveModal(false);
             setSuccess('Leave request submitted!');
-            fetchData();
+            myLeave.reload();
             setTimeout(() => setSuccess(''), 3000);
           }}
         />
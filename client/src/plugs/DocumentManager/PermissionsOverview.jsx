@@ -3,10 +3,11 @@ import { Link } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
+import { fetchAllPages } from '../../utils/pagination';
 import CustomSelect from '../../components/CustomSelect';
 
 export default function PermissionsOverview() {
-  const { currentOrg, isAdmin } = useAuth();
+  const { currentOrg, can } = useAuth();
   const [folders, setFolders] = useState([]);
   const [permissions, setPermissions] = useState({});
   const [departments, setDepartments] = useState([]);
@@ -23,14 +24,14 @@ export default function PermissionsOverview() {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [foldersRes, deptsRes, empsRes] = await Promise.all([
+      const [foldersRes, deptsRes, emps] = await Promise.all([
         api.get(`/documents/org/${currentOrg.id}/folders`),
         api.get(`/departments/org/${currentOrg.id}`),
-        api.get(`/employees/org/${currentOrg.id}`)
+        fetchAllPages(`/employees/org/${currentOrg.id}`)
       ]);
       setFolders(foldersRes.data);
       setDepartments(deptsRes.data);
-      setEmployees(empsRes.data);
+      setEmployees(emps);
 
       // Fetch permissions for each folder
       const permsMap = {};
@@ -81,13 +82,13 @@ export default function PermissionsOverview() {
     return path.join(' / ');
   };
 
-  if (!isAdmin) {
+  if (!can('documents.manage')) {
     return (
       <div className="min-h-screen bg-[var(--color-bg-dark)] flex items-center justify-center">
         <div className="text-center">
           <Icon icon="mdi:shield-lock" className="w-16 h-16 text-red-400 mx-auto mb-4" />
           <h2 className="text-xl font-bold mb-2">Access Denied</h2>
-          <p className="text-[var(--color-text-muted)]">Only admins can access this page.</p>
+          <p className="text-[var(--color-text-muted)]">You don't have permission to manage document access.</p>
           <Link to="/documents" className="inline-block mt-4 text-amber-400 hover:underline">← Back to Documents</Link>
         </div>
       </div>
@@ -1,14 +1,16 @@
 import { useState, useEffect, useRef } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
+import { fetchAllPages } from '../../utils/pagination';
 import ConfirmModal from '../../components/ConfirmModal';
 import CustomSelect from '../../components/CustomSelect';
 import useBodyScrollLock from '../../hooks/useBodyScrollLock';
 
 export default function DocumentManager() {
-  const { currentOrg, isAdmin, user } = useAuth();
+  const { currentOrg, can, user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [documents, setDocuments] = useState([]);
   const [folders, setFolders] = useState([]);
   const [currentFolder, setCurrentFolder] = useState(null);
@@ -20,7 +22,8 @@ export default function DocumentManager() {
   const [confirmModal, setConfirmModal] = useState(null);
   const [contextMenu, setContextMenu] = useState(null);
   const [permissionsFolder, setPermissionsFolder] = useState(null);
-  const isManager = isAdmin;
+  const canManageDocuments = can('documents.manage');
+  const canUpload = can('documents.upload');
 
   useEffect(() => {
     if (currentOrg) {
@@ -28,6 +31,20 @@ export default function DocumentManager() {
     }
   }, [currentOrg, currentFolder]);
 
+  // Open the folder and document linked from search (/documents?folder=<id>&search=<name>)
+  useEffect(() => {
+    const folderId = searchParams.get('folder');
+    const search = searchParams.get('search');
+    if (!folderId && !search) return;
+    if (folderId) {
+      if (folders.length === 0) return;
+      const folder = folders.find(f => f.id === folderId);
+      if (folder) setCurrentFolder(folder);
+    }
+    if (search) setSearchQuery(search);
+    setSearchParams({}, { replace: true });
+  }, [searchParams, folders]);
+
   useEffect(() => {
     const handleClick = () => setContextMenu(null);
     document.addEventListener('click', handleClick);
@@ -96,7 +113,7 @@ export default function DocumentManager() {
     }
   };
 
-  const canDeleteDocument = (doc) => isManager || doc.uploaded_by === user?.id;
+  const canDeleteDocument = (doc) => canManageDocuments || doc.uploaded_by === user?.id;
 
   const confirmDeleteDocument = (doc) => {
     setConfirmModal({
@@ -216,7 +233,7 @@ export default function DocumentManager() {
                 <Icon icon="mdi:folder-outline" className="w-5 h-5 text-amber-400" />
                 Folders
               </h3>
-              {isManager && (
+              {canManageDocuments && (
                 <button onClick={() => setShowFolderModal(true)} className="p-2 hover:bg-amber-500/10 rounded-lg transition-colors" title="New Folder">
                   <Icon icon="mdi:folder-plus" className="w-5 h-5 text-amber-400" />
                 </button>
@@ -302,17 +319,19 @@ export default function DocumentManager() {
                 </div>
 
                 {/* Action Buttons */}
-                <button onClick={() => setShowUploadModal(true)} className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-amber-500 to-orange-500 hover:from-amber-600 hover:to-orange-600 text-white font-medium rounded-lg shadow-lg shadow-amber-500/20 transition-all">
-                  <Icon icon="mdi:cloud-upload" className="w-4 h-4" />
-                  Upload
-                </button>
-                {isManager && (
+                {canUpload && (
+                  <button onClick={() => setShowUploadModal(true)} className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-amber-500 to-orange-500 hover:from-amber-600 hover:to-orange-600 text-white font-medium rounded-lg shadow-lg shadow-amber-500/20 transition-all">
+                    <Icon icon="mdi:cloud-upload" className="w-4 h-4" />
+                    Upload
+                  </button>
+                )}
+                {canManageDocuments && (
                   <button onClick={() => setShowFolderModal(true)} className="flex items-center gap-2 px-4 py-2 bg-[var(--color-bg-elevated)] hover:bg-amber-500/10 text-amber-400 font-medium rounded-lg border border-amber-500/30 transition-all">
                     <Icon icon="mdi:folder-plus" className="w-4 h-4" />
                     New Folder
                   </button>
                 )}
-                {isManager && (
+                {canManageDocuments && (
                   <Link to="/documents/permissions" className="flex items-center gap-2 px-4 py-2 bg-[var(--color-bg-elevated)] hover:bg-[var(--color-bg-dark)] text-[var(--color-text-muted)] hover:text-white font-medium rounded-lg border border-[var(--color-border)] transition-all">
                     <Icon icon="mdi:shield-account" className="w-4 h-4" />
                     Permissions
@@ -338,11 +357,13 @@ export default function DocumentManager() {
               <h3 className="text-xl font-semibold mb-2">No files yet</h3>
               <p className="text-[var(--color-text-muted)] mb-6 max-w-sm mx-auto">Upload documents or create folders to organize your files</p>
               <div className="flex gap-3 justify-center">
-                <button onClick={() => setShowUploadModal(true)} className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-amber-500 to-orange-500 text-white font-medium rounded-lg">
-                  <Icon icon="mdi:cloud-upload" className="w-5 h-5" />
-                  Upload File
-                </button>
-                {isManager && (
+                {canUpload && (
+                  <button onClick={() => setShowUploadModal(true)} className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-amber-500 to-orange-500 text-white font-medium rounded-lg">
+                    <Icon icon="mdi:cloud-upload" className="w-5 h-5" />
+                    Upload File
+                  </button>
+                )}
+                {canManageDocuments && (
                   <button onClick={() => setShowFolderModal(true)} className="flex items-center gap-2 px-5 py-2.5 bg-[var(--color-bg-elevated)] text-amber-400 font-medium rounded-lg border border-amber-500/30">
                     <Icon icon="mdi:folder-plus" className="w-5 h-5" />
                     Create Folder
@@ -464,7 +485,8 @@ export default function DocumentManager() {
           y={contextMenu.y}
           type={contextMenu.type}
           item={contextMenu.item}
-          isManager={isManager}
+          canManageDocuments={canManageDocuments}
+          canUpload={canUpload}
           canDelete={contextMenu.item ? canDeleteDocument(contextMenu.item) : false}
           onUpload={() => { setShowUploadModal(true); setContextMenu(null); }}
           onCreateFolder={() => { setShowFolderModal(true); setContextMenu(null); }}
@@ -487,7 +509,7 @@ export default function DocumentManager() {
   );
 }
 
-function ContextMenu({ x, y, type, item, isManager, canDelete, onUpload, onCreateFolder, onDownload, onDelete, onOpen, onManagePermissions }) {
+function ContextMenu({ x, y, type, item, canManageDocuments, canUpload, canDelete, onUpload, onCreateFolder, onDownload, onDelete, onOpen, onManagePermissions }) {
   const menuRef = useRef(null);
   const [pos, setPos] = useState({ x, y });
 
@@ -505,10 +527,12 @@ function ContextMenu({ x, y, type, item, isManager, canDelete, onUpload, onCreat
     <div ref={menuRef} className="fixed bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl shadow-xl py-2 min-w-[180px] z-50" style={{ left: pos.x, top: pos.y }} onClick={(e) => e.stopPropagation()}>
       {type === 'empty' && (
         <>
-          <button onClick={onUpload} className="w-full flex items-center gap-3 px-4 py-2 hover:bg-[var(--color-bg-elevated)] text-left">
-            <Icon icon="mdi:upload" className="w-5 h-5 text-amber-400" /><span>Upload Document</span>
-          </button>
-          {isManager && (
+          {canUpload && (
+            <button onClick={onUpload} className="w-full flex items-center gap-3 px-4 py-2 hover:bg-[var(--color-bg-elevated)] text-left">
+              <Icon icon="mdi:upload" className="w-5 h-5 text-amber-400" /><span>Upload Document</span>
+            </button>
+          )}
+          {canManageDocuments && (
             <button onClick={onCreateFolder} className="w-full flex items-center gap-3 px-4 py-2 hover:bg-[var(--color-bg-elevated)] text-left">
               <Icon icon="mdi:folder-plus" className="w-5 h-5 text-amber-400" /><span>Create Folder</span>
             </button>
@@ -532,7 +556,7 @@ function ContextMenu({ x, y, type, item, isManager, canDelete, onUpload, onCreat
           <button onClick={onOpen} className="w-full flex items-center gap-3 px-4 py-2 hover:bg-[var(--color-bg-elevated)] text-left">
             <Icon icon="mdi:folder-open" className="w-5 h-5 text-amber-400" /><span>Open</span>
           </button>
-          {isManager && (
+          {canManageDocuments && (
             <>
               <button onClick={onManagePermissions} className="w-full flex items-center gap-3 px-4 py-2 hover:bg-[var(--color-bg-elevated)] text-left">
                 <Icon icon="mdi:shield-account" className="w-5 h-5 text-amber-400" /><span>Manage Permissions</span>
@@ -634,11 +658,11 @@ function FolderPermissionsModal({ folder, orgId, onClose }) {
       const [p, d, e] = await Promise.all([
         api.get(`/documents/folders/${folder.id}/permissions`),
         api.get(`/departments/org/${orgId}`),
-        api.get(`/employees/org/${orgId}`)
+        fetchAllPages(`/employees/org/${orgId}`)
       ]);
       setPermissions(p.data);
       setDepartments(d.data);
-      setEmployees(e.data);
+      setEmployees(e);
     } catch (err) { console.error(err); } finally { setLoading(false); }
   };
 
@@ -1,11 +1,13 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
 import useBodyScrollLock from '../../hooks/useBodyScrollLock';
 
 export default function EducationManager() {
-  const { currentOrg, isManager, isAdmin } = useAuth();
+  const { currentOrg, can } = useAuth();
+  const canManage = can('education.manage');
   const [activeTab, setActiveTab] = useState(() => {
     return localStorage.getItem('education-tab') || 'classrooms';
   });
@@ -17,6 +19,7 @@ export default function EducationManager() {
   const [classrooms, setClassrooms] = useState([]);
   const [students, setStudents] = useState([]);
   const [selectedClassroom, setSelectedClassroom] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
   const [assignments, setAssignments] = useState([]);
   const [announcements, setAnnouncements] = useState([]);
   const [roster, setRoster] = useState([]);
@@ -44,6 +47,20 @@ export default function EducationManager() {
     }
   }, [currentOrg, activeTab, selectedClassroom]);
 
+  // Open the classroom linked from search (/education?classroom=<id>)
+  useEffect(() => {
+    const classroomId = searchParams.get('classroom');
+    if (!classroomId) return;
+    if (activeTab !== 'classrooms') {
+      setActiveTab('classrooms');
+      return;
+    }
+    if (loading || classrooms.length === 0) return;
+    const classroom = classrooms.find(c => c.id === classroomId);
+    if (classroom) setSelectedClassroom(classroom);
+    setSearchParams({}, { replace: true });
+  }, [searchParams, activeTab, classrooms, loading]);
+
   const fetchData = async () => {
     setLoading(true);
     try {
@@ -218,7 +235,7 @@ export default function EducationManager() {
             <div>
               <div className="flex justify-between items-center mb-6">
                 <h3 className="font-semibold">All Classrooms</h3>
-                {(isAdmin || isManager) && (
+                {canManage && (
                   <button
                     onClick={() => setShowClassroomModal(true)}
                     className="inline-flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -241,7 +258,7 @@ export default function EducationManager() {
                         <div className="w-12 h-12 bg-indigo-500/20 text-indigo-400 rounded-xl flex items-center justify-center">
                           <Icon icon="mdi:google-classroom" className="w-6 h-6" />
                         </div>
-                        {(isAdmin || isManager) && (
+                        {canManage && (
                           <button
                             onClick={(e) => { e.stopPropagation(); handleDeleteClassroom(classroom.id); }}
                             className="opacity-0 group-hover:opacity-100 p-2 hover:bg-red-500/20 text-red-400 rounded-lg transition-all"
@@ -269,7 +286,7 @@ export default function EducationManager() {
                 <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
                   <Icon icon="mdi:google-classroom" className="w-16 h-16 mx-auto mb-4 text-[var(--color-text-muted)]" />
                   <p className="text-[var(--color-text-muted)] mb-4">No classrooms yet</p>
-                  {(isAdmin || isManager) && (
+                  {canManage && (
                     <button
                       onClick={() => setShowClassroomModal(true)}
                       className="inline-flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -349,7 +366,7 @@ export default function EducationManager() {
                       <Icon icon="mdi:bullhorn" className="w-5 h-5 text-indigo-400" />
                       Announcements
                     </h4>
-                    {(isAdmin || isManager) && (
+                    {canManage && (
                       <button
                         onClick={() => setShowAnnouncementModal(true)}
                         className="inline-flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -386,7 +403,7 @@ export default function EducationManager() {
                       <Icon icon="mdi:clipboard-text" className="w-5 h-5 text-indigo-400" />
                       Assignments
                     </h4>
-                    {(isAdmin || isManager) && (
+                    {canManage && (
                       <button
                         onClick={() => setShowAssignmentModal(true)}
                         className="inline-flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -431,7 +448,7 @@ export default function EducationManager() {
                       <Icon icon="mdi:account-group" className="w-5 h-5 text-indigo-400" />
                       Enrolled Students ({roster.length})
                     </h4>
-                    {(isAdmin || isManager) && (
+                    {canManage && (
                       <button
                         onClick={() => setShowEnrollModal(true)}
                         className="inline-flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -482,7 +499,7 @@ export default function EducationManager() {
                     className="pl-9 pr-4 py-2 text-sm bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-lg w-64"
                   />
                 </div>
-                {(isAdmin || isManager) && (
+                {canManage && (
                   <button
                     onClick={() => setShowStudentModal(true)}
                     className="inline-flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -511,7 +528,7 @@ export default function EducationManager() {
                           <span className="text-xs text-[var(--color-text-muted)]">
                             {student.enrolledClassrooms?.length || 0} classes
                           </span>
-                          {(isAdmin || isManager) && (
+                          {canManage && (
                             <button
                               onClick={() => handleDeleteStudent(student.id)}
                               className="p-2 hover:bg-red-500/20 text-red-400 rounded-lg transition-colors"
@@ -1,21 +1,28 @@
 import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
 import ConfirmModal from '../../components/ConfirmModal';
 import CustomSelect from '../../components/CustomSelect';
 import useBodyScrollLock from '../../hooks/useBodyScrollLock';
+import usePagedList from '../../hooks/usePagedList';
+import LoadMore from '../../components/LoadMore';
+
+const SEARCH_DEBOUNCE_MS = 300;
 
 export default function EmployeeDirectory() {
-  const { currentOrg, isManager, isAdmin } = useAuth();
+  const { currentOrg, can } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const canManageEmployees = can('employees.manage');
+  const canManageDepartments = can('departments.manage');
   const [activeTab, setActiveTab] = useState(() => {
     return localStorage.getItem('employee-tab') || 'employees';
   });
-  const [employees, setEmployees] = useState([]);
   const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [showDeptModal, setShowDeptModal] = useState(false);
   const [editingEmployee, setEditingEmployee] = useState(null);
@@ -41,6 +48,33 @@ export default function EmployeeDirectory() {
     localStorage.setItem('employee-tab', activeTab);
   }, [activeTab]);
 
+  // Search on the server once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const {
+    items: employees,
+    setItems: setEmployees,
+    total: employeeTotal,
+    setTotal: setEmployeeTotal,
+    hasMore,
+    loading: employeesLoading,
+    loadingMore,
+    loadMore,
+    reload: reloadEmployees
+  } = usePagedList(currentOrg ? `/employees/org/${currentOrg.id}` : null, debouncedSearch ? { search: debouncedSearch } : {});
+
+  // Show the employee linked from search (/employees?search=<name>)
+  useEffect(() => {
+    const linked = searchParams.get('search');
+    if (!linked) return;
+    setActiveTab('employees');
+    setSearch(linked);
+    setSearchParams({}, { replace: true });
+  }, [searchParams]);
+
   useEffect(() => {
     if (currentOrg) {
       fetchData();
@@ -49,11 +83,7 @@ export default function EmployeeDirectory() {
 
   const fetchData = async () => {
     try {
-      const [empRes, deptRes] = await Promise.all([
-        api.get(`/employees/org/${currentOrg.id}`),
-        api.get(`/departments/org/${currentOrg.id}`)
-      ]);
-      setEmployees(empRes.data);
+      const deptRes = await api.get(`/departments/org/${currentOrg.id}`);
       setDepartments(deptRes.data);
     } catch (error) {
       console.error('Failed to fetch data:', error);
@@ -75,6 +105,7 @@ export default function EmployeeDirectory() {
         try {
           await api.delete(`/employees/org/${currentOrg.id}/${employee.id}`);
           setEmployees(employees.filter(e => e.id !== employee.id));
+          setEmployeeTotal(total => total - 1);
           setConfirmModal(prev => ({ ...prev, isOpen: false }));
         } catch (error) {
           console.error('Failed to delete employee:', error);
@@ -154,13 +185,6 @@ export default function EmployeeDirectory() {
     setConfirmModal(prev => ({ ...prev, isOpen: false }));
   };
 
-  const filteredEmployees = employees.filter(emp =>
-    emp.name.toLowerCase().includes(search.toLowerCase()) ||
-    emp.email?.toLowerCase().includes(search.toLowerCase()) ||
-    emp.department?.toLowerCase().includes(search.toLowerCase()) ||
-    emp.position?.toLowerCase().includes(search.toLowerCase())
-  );
-
   const openAddModal = () => {
     setEditingEmployee(null);
     setShowModal(true);
@@ -216,9 +240,9 @@ export default function EmployeeDirectory() {
             }`}
           >
             <Icon icon="mdi:account-group" className="w-4 h-4 inline mr-2" />
-            Employees ({employees.length})
+            Employees ({employeeTotal})
           </button>
-          {isAdmin && (
+          {canManageDepartments && (
             <button
               onClick={() => setActiveTab('departments')}
               className={`px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
@@ -254,7 +278,7 @@ export default function EmployeeDirectory() {
                       className="pl-10 w-full"
                     />
                   </div>
-                  {isManager && (
+                  {canManageEmployees && (
                     <button
                       onClick={openAddModal}
                       className="inline-flex items-center gap-2 bg-cyan-600 hover:bg-cyan-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -266,26 +290,40 @@ export default function EmployeeDirectory() {
                 </div>
 
                 {/* Employee List */}
-                {filteredEmployees.length > 0 ? (
+                {employeesLoading ? (
+                  <div className="flex justify-center py-12">
+                    <Icon icon="mdi:loading" className="w-8 h-8 text-cyan-500 animate-spin" />
+                  </div>
+                ) : employees.length > 0 ? (
+                  <>
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                    {filteredEmployees.map((employee) => (
+                    {employees.map((employee) => (
                       <EmployeeCard
                         key={employee.id}
                         employee={employee}
-                        isManager={isManager}
-                        isAdmin={isAdmin}
+                        canManage={canManageEmployees}
+                        canResetPassword={can('employees.reset_password')}
                         onEdit={() => openEditModal(employee)}
                         onDelete={() => confirmDeleteEmployee(employee)}
                         onResetPassword={() => confirmResetPassword(employee)}
                       />
                     ))}
                   </div>
+                  <LoadMore
+                    hasMore={hasMore}
+                    loading={loadingMore}
+                    onLoadMore={loadMore}
+                    shown={employees.length}
+                    total={employeeTotal}
+                    noun="employees"
+                  />
+                  </>
                 ) : (
                   <EmptyState
                     icon="mdi:account-group-outline"
                     title={search ? 'No employees found' : 'No employees yet'}
                     description={search ? 'Try a different search term' : 'Add your first employee to get started'}
-                    showAction={isManager && !search}
+                    showAction={canManageEmployees && !search}
                     actionLabel="Add Employee"
                     onAction={openAddModal}
                   />
@@ -294,7 +332,7 @@ export default function EmployeeDirectory() {
             )}
 
             {/* Departments Tab */}
-            {activeTab === 'departments' && isAdmin && (
+            {activeTab === 'departments' && canManageDepartments && (
               <>
                 <div className="flex justify-between items-center mb-6">
                   <p className="text-sm text-[var(--color-text-muted)]">
@@ -312,7 +350,6 @@ export default function EmployeeDirectory() {
                 {departments.length > 0 ? (
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                     {departments.map((dept) => {
-                      const deptEmployees = employees.filter(e => e.department === dept.name);
                       return (
                         <div
                           key={dept.id}
@@ -326,7 +363,7 @@ export default function EmployeeDirectory() {
                               <div>
                                 <h3 className="font-semibold">{dept.name}</h3>
                                 <p className="text-xs text-[var(--color-text-muted)]">
-                                  {deptEmployees.length} employee{deptEmployees.length !== 1 ? 's' : ''}
+                                  {dept.employee_count} employee{dept.employee_count !== 1 ? 's' : ''}
                                 </p>
                               </div>
                             </div>
@@ -368,8 +405,10 @@ export default function EmployeeDirectory() {
             if (editingEmployee) {
               setEmployees(employees.map(e => e.id === employee.id ? employee : e));
             } else {
-              setEmployees([...employees, employee]);
+              // Reload so the new employee lands in sort order
+              reloadEmployees();
             }
+            fetchData();
             setShowModal(false);
           }}
         />
@@ -484,7 +523,7 @@ export default function EmployeeDirectory() {
 }
 
 // Employee Card Component
-function EmployeeCard({ employee, isManager, isAdmin, onEdit, onDelete, onResetPassword }) {
+function EmployeeCard({ employee, canManage, canResetPassword, onEdit, onDelete, onResetPassword }) {
   return (
     <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-5 hover:border-[var(--color-border)] hover:bg-[var(--color-bg-elevated)] transition-all group">
       <div className="flex items-start gap-4">
@@ -519,7 +558,7 @@ function EmployeeCard({ employee, isManager, isAdmin, onEdit, onDelete, onResetP
         )}
       </div>
 
-      {isManager && (
+      {canManage && (
         <div className="mt-4 pt-4 border-t border-[var(--color-border)]">
           <div className="flex gap-2">
             <button
@@ -537,7 +576,7 @@ function EmployeeCard({ employee, isManager, isAdmin, onEdit, onDelete, onResetP
               Delete
             </button>
           </div>
-          {isAdmin && employee.email && (
+          {canResetPassword && employee.email && (
             <button
               onClick={onResetPassword}
               className="mt-2 w-full inline-flex items-center justify-center gap-1 text-sm text-amber-400 hover:text-amber-300 py-2 rounded-lg hover:bg-amber-500/10 border border-amber-500/30 transition-colors"
@@ -577,7 +616,9 @@ function EmptyState({ icon, title, description, showAction, actionLabel, onActio
 // Employee Modal Component
 function EmployeeModal({ employee, orgId, departments, onClose, onSave }) {
   useBodyScrollLock();
-  const { isAdmin } = useAuth();
+  const { can } = useAuth();
+  const canCreateAccount = !employee && can('members.invite');
+  const [roles, setRoles] = useState([]);
   const [formData, setFormData] = useState({
     name: employee?.name || '',
     email: employee?.email || '',
@@ -592,6 +633,17 @@ function EmployeeModal({ employee, orgId, departments, onClose, onSave }) {
   const [error, setError] = useState('');
   const [successData, setSuccessData] = useState(null);
 
+  useEffect(() => {
+    if (canCreateAccount) {
+      api.get(`/roles/org/${orgId}`)
+        .then(res => setRoles(res.data))
+        .catch(() => console.error('Failed to fetch roles'));
+    }
+  }, [canCreateAccount, orgId]);
+
+  // Only offer roles the current user is allowed to hand out
+  const grantableRoles = roles.filter(role => role.permissions.every(permission => can(permission)));
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -758,7 +810,7 @@ function EmployeeModal({ employee, orgId, departments, onClose, onSave }) {
           </div>
 
           {/* Create Account Section - Only for new employees */}
-          {!employee && isAdmin && (
+          {canCreateAccount && (
             <div className="pt-4 border-t border-[var(--color-border)]">
               <label className="flex items-center gap-3 cursor-pointer">
                 <input
@@ -782,11 +834,7 @@ function EmployeeModal({ employee, orgId, departments, onClose, onSave }) {
                     <CustomSelect
                       value={formData.role}
                       onChange={(e) => setFormData({ ...formData, role: e.target.value })}
-                      options={[
-                        { value: 'employee', label: 'Employee' },
-                        { value: 'manager', label: 'Manager' },
-                        { value: 'admin', label: 'Admin' }
-                      ]}
+                      options={grantableRoles.map(role => ({ value: role.slug, label: role.name }))}
                     />
                   </div>
                   <div className="bg-cyan-500/10 border border-cyan-500/30 rounded-lg p-3">
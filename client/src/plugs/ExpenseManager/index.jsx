@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
@@ -6,13 +7,16 @@ import ConfirmModal from '../../components/ConfirmModal';
 import DatePicker from '../../components/DatePicker';
 import CustomSelect from '../../components/CustomSelect';
 import useBodyScrollLock from '../../hooks/useBodyScrollLock';
+import usePagedList from '../../hooks/usePagedList';
+import LoadMore from '../../components/LoadMore';
 
 export default function ExpenseManager() {
-  const { currentOrg, isAdmin, isManager, user } = useAuth();
-  const canReview = isAdmin || isManager;
+  const { currentOrg, can, user } = useAuth();
+  const canReview = can('expenses.review');
+  const canViewAnalytics = can('expenses.analytics');
+  const canManageCategories = can('expenses.manage_categories');
+  const [searchParams, setSearchParams] = useSearchParams();
   const [activeTab, setActiveTab] = useState('my-expenses');
-  const [myExpenses, setMyExpenses] = useState([]);
-  const [allExpenses, setAllExpenses] = useState([]);
   const [categories, setCategories] = useState([]);
   const [analytics, setAnalytics] = useState(null);
   const [analyticsPeriod, setAnalyticsPeriod] = useState('month');
@@ -35,24 +39,38 @@ export default function ExpenseManager() {
 
   useBodyScrollLock(showExpenseModal || showCategoryModal || showReviewModal || showReceiptModal);
 
+  // Expense lists load a page at a time, and only while their tab is open
+  const myExpenses = usePagedList(
+    currentOrg && activeTab === 'my-expenses' ? `/expenses/org/${currentOrg.id}/my-expenses` : null
+  );
+  const allExpenses = usePagedList(
+    currentOrg && activeTab === 'all-expenses' && canReview ? `/expenses/org/${currentOrg.id}/expenses` : null,
+    statusFilter ? { status: statusFilter } : {}
+  );
+  const listLoading = (activeTab === 'my-expenses' && myExpenses.loading) ||
+    (activeTab === 'all-expenses' && allExpenses.loading);
+
   useEffect(() => {
     if (currentOrg) fetchData();
   }, [currentOrg, activeTab, analyticsPeriod, analyticsStartDate, analyticsEndDate]);
 
+  // Open the tab linked from search (/expenses?tab=all-expenses)
+  useEffect(() => {
+    const tab = searchParams.get('tab');
+    if (!tab) return;
+    if (tab === 'my-expenses' || (tab === 'all-expenses' && canReview)) {
+      setActiveTab(tab);
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams]);
+
   const fetchData = async () => {
     try {
       setLoading(true);
       const catRes = await api.get(`/expenses/org/${currentOrg.id}/categories`);
       setCategories(catRes.data);
 
-      if (activeTab === 'my-expenses') {
-        const res = await api.get(`/expenses/org/${currentOrg.id}/my-expenses`);
-        setMyExpenses(res.data);
-      } else if (activeTab === 'all-expenses' && canReview) {
-        const params = statusFilter ? `?status=${statusFilter}` : '';
-        const res = await api.get(`/expenses/org/${currentOrg.id}/expenses${params}`);
-        setAllExpenses(res.data);
-      } else if (activeTab === 'analytics' && canReview) {
+      if (activeTab === 'analytics' && canViewAnalytics) {
         const res = await api.get(`/expenses/org/${currentOrg.id}/analytics?period=${analyticsPeriod}&start_date=${analyticsStartDate}&end_date=${analyticsEndDate}`);
         setAnalytics(res.data);
       }
@@ -63,20 +81,10 @@ export default function ExpenseManager() {
     }
   };
 
-  useEffect(() => {
-    if (currentOrg && activeTab === 'all-expenses' && canReview) {
-      const fetchFiltered = async () => {
-        try {
-          const params = statusFilter ? `?status=${statusFilter}` : '';
-          const res = await api.get(`/expenses/org/${currentOrg.id}/expenses${params}`);
-          setAllExpenses(res.data);
-        } catch (error) {
-          console.error('Failed to fetch expenses:', error);
-        }
-      };
-      fetchFiltered();
-    }
-  }, [statusFilter]);
+  const refreshExpenses = () => {
+    myExpenses.reload();
+    allExpenses.reload();
+  };
 
   const handleDeleteExpense = (expense) => {
     setConfirmModal({
@@ -88,7 +96,7 @@ export default function ExpenseManager() {
         try {
           await api.delete(`/expenses/org/${currentOrg.id}/expenses/${expense.id}`);
           setConfirmModal(null);
-          fetchData();
+          refreshExpenses();
         } catch (error) {
           console.error('Failed to delete expense:', error);
         }
@@ -114,14 +122,28 @@ export default function ExpenseManager() {
     });
   };
 
-  const formatCurrency = (amount) => {
+  const baseCurrency = currentOrg?.base_currency || 'MYR';
+
+  const formatCurrency = (amount, currency = baseCurrency) => {
     return new Intl.NumberFormat('en-MY', {
       style: 'currency',
-      currency: 'MYR',
+      currency,
       minimumFractionDigits: 2,
     }).format(amount || 0);
   };
 
+  // An expense in its own currency, with the base currency amount under it
+  const formatExpenseAmount = (expense) => (
+    <>
+      <div>{formatCurrency(expense.amount, expense.currency)}</div>
+      {expense.currency !== baseCurrency && (
+        <div className="text-xs font-normal text-[var(--color-text-muted)]">
+          {expense.base_amount !== null ? `≈ ${formatCurrency(expense.base_amount)}` : 'No exchange rate'}
+        </div>
+      )}
+    </>
+  );
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-MY', {
       year: 'numeric', month: 'short', day: 'numeric'
@@ -144,11 +166,9 @@ export default function ExpenseManager() {
 
   const tabs = [
     { id: 'my-expenses', label: 'My Expenses', icon: 'mdi:receipt-text-outline' },
-    ...(canReview ? [
-      { id: 'all-expenses', label: 'All Expenses', icon: 'mdi:format-list-checks' },
-      { id: 'analytics', label: 'Analytics', icon: 'mdi:chart-bar' },
-    ] : []),
-    ...(isAdmin ? [{ id: 'categories', label: 'Categories', icon: 'mdi:tag-multiple' }] : []),
+    ...(canReview ? [{ id: 'all-expenses', label: 'All Expenses', icon: 'mdi:format-list-checks' }] : []),
+    ...(canViewAnalytics ? [{ id: 'analytics', label: 'Analytics', icon: 'mdi:chart-bar' }] : []),
+    ...(canManageCategories ? [{ id: 'categories', label: 'Categories', icon: 'mdi:tag-multiple' }] : []),
   ];
 
   return (
@@ -187,7 +207,7 @@ export default function ExpenseManager() {
         ))}
       </div>
 
-      {loading ? (
+      {loading || listLoading ? (
         <div className="flex justify-center py-16">
           <Icon icon="mdi:loading" className="w-8 h-8 text-emerald-500 animate-spin" />
         </div>
@@ -195,8 +215,8 @@ export default function ExpenseManager() {
         <>
           {activeTab === 'my-expenses' && (
             <MyExpensesTab
-              expenses={myExpenses}
-              formatCurrency={formatCurrency}
+              list={myExpenses}
+              formatExpenseAmount={formatExpenseAmount}
               formatDate={formatDate}
               getStatusBadge={getStatusBadge}
               onEdit={(e) => { setEditingExpense(e); setShowExpenseModal(true); }}
@@ -206,8 +226,8 @@ export default function ExpenseManager() {
           )}
           {activeTab === 'all-expenses' && canReview && (
             <AllExpensesTab
-              expenses={allExpenses}
-              formatCurrency={formatCurrency}
+              list={allExpenses}
+              formatExpenseAmount={formatExpenseAmount}
               formatDate={formatDate}
               getStatusBadge={getStatusBadge}
               statusFilter={statusFilter}
@@ -216,7 +236,7 @@ export default function ExpenseManager() {
               onViewReceipt={setShowReceiptModal}
             />
           )}
-          {activeTab === 'analytics' && canReview && (
+          {activeTab === 'analytics' && canViewAnalytics && (
             <AnalyticsTab
               analytics={analytics}
               period={analyticsPeriod}
@@ -226,9 +246,10 @@ export default function ExpenseManager() {
               endDate={analyticsEndDate}
               onStartDateChange={setAnalyticsStartDate}
               onEndDateChange={setAnalyticsEndDate}
+              fiscalYearStartMonth={currentOrg?.fiscal_year_start_month || 1}
             />
           )}
-          {activeTab === 'categories' && isAdmin && (
+          {activeTab === 'categories' && canManageCategories && (
             <CategoriesTab
               categories={categories}
               onAdd={() => setShowCategoryModal(true)}
@@ -243,9 +264,10 @@ export default function ExpenseManager() {
         <ExpenseModal
           orgId={currentOrg.id}
           categories={categories}
+          baseCurrency={baseCurrency}
           expense={editingExpense}
           onClose={() => { setShowExpenseModal(false); setEditingExpense(null); }}
-          onSave={() => { setShowExpenseModal(false); setEditingExpense(null); fetchData(); }}
+          onSave={() => { setShowExpenseModal(false); setEditingExpense(null); refreshExpenses(); }}
         />
       )}
       {showCategoryModal && (
@@ -260,8 +282,8 @@ export default function ExpenseManager() {
           orgId={currentOrg.id}
           expense={showReviewModal}
           onClose={() => setShowReviewModal(null)}
-          onSave={() => { setShowReviewModal(null); fetchData(); }}
-          formatCurrency={formatCurrency}
+          onSave={() => { setShowReviewModal(null); refreshExpenses(); }}
+          formatExpenseAmount={formatExpenseAmount}
         />
       )}
       {showReceiptModal && (
@@ -285,7 +307,9 @@ export default function ExpenseManager() {
 }
 
 // ==================== MY EXPENSES TAB ====================
-function MyExpensesTab({ expenses, formatCurrency, formatDate, getStatusBadge, onEdit, onDelete, onViewReceipt }) {
+function MyExpensesTab({ list, formatExpenseAmount, formatDate, getStatusBadge, onEdit, onDelete, onViewReceipt }) {
+  const expenses = list.items;
+
   if (expenses.length === 0) {
     return (
       <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-12 text-center">
@@ -329,7 +353,7 @@ function MyExpensesTab({ expenses, formatCurrency, formatDate, getStatusBadge, o
                 )}
               </td>
               <td className="px-6 py-4 text-sm text-[var(--color-text-muted)]">{formatDate(expense.expense_date)}</td>
-              <td className="px-6 py-4 text-right font-semibold">{formatCurrency(expense.amount)}</td>
+              <td className="px-6 py-4 text-right font-semibold">{formatExpenseAmount(expense)}</td>
               <td className="px-6 py-4 text-center">{getStatusBadge(expense.status)}</td>
               <td className="px-6 py-4">
                 <div className="flex items-center justify-end gap-1">
@@ -359,12 +383,21 @@ function MyExpensesTab({ expenses, formatCurrency, formatDate, getStatusBadge, o
           ))}
         </tbody>
       </table>
+      <LoadMore
+        hasMore={list.hasMore}
+        loading={list.loadingMore}
+        onLoadMore={list.loadMore}
+        shown={expenses.length}
+        total={list.total}
+        noun="expenses"
+      />
     </div>
   );
 }
 
 // ==================== ALL EXPENSES TAB ====================
-function AllExpensesTab({ expenses, formatCurrency, formatDate, getStatusBadge, statusFilter, onFilterChange, onReview, onViewReceipt }) {
+function AllExpensesTab({ list, formatExpenseAmount, formatDate, getStatusBadge, statusFilter, onFilterChange, onReview, onViewReceipt }) {
+  const expenses = list.items;
   const filterOptions = [
     { value: '', label: 'All Statuses' },
     { value: 'pending', label: 'Pending' },
@@ -383,7 +416,7 @@ function AllExpensesTab({ expenses, formatCurrency, formatDate, getStatusBadge,
             placeholder="Filter by status"
           />
         </div>
-        <span className="text-sm text-[var(--color-text-muted)]">{expenses.length} expense{expenses.length !== 1 ? 's' : ''}</span>
+        <span className="text-sm text-[var(--color-text-muted)]">{list.total} expense{list.total !== 1 ? 's' : ''}</span>
       </div>
 
       {expenses.length === 0 ? (
@@ -434,7 +467,7 @@ function AllExpensesTab({ expenses, formatCurrency, formatDate, getStatusBadge,
                     )}
                   </td>
                   <td className="px-6 py-4 text-sm text-[var(--color-text-muted)]">{formatDate(expense.expense_date)}</td>
-                  <td className="px-6 py-4 text-right font-semibold">{formatCurrency(expense.amount)}</td>
+                  <td className="px-6 py-4 text-right font-semibold">{formatExpenseAmount(expense)}</td>
                   <td className="px-6 py-4 text-center">{getStatusBadge(expense.status)}</td>
                   <td className="px-6 py-4">
                     <div className="flex items-center justify-end gap-1">
@@ -455,6 +488,14 @@ function AllExpensesTab({ expenses, formatCurrency, formatDate, getStatusBadge,
               ))}
             </tbody>
           </table>
+          <LoadMore
+            hasMore={list.hasMore}
+            loading={list.loadingMore}
+            onLoadMore={list.loadMore}
+            shown={expenses.length}
+            total={list.total}
+            noun="expenses"
+          />
         </div>
       )}
     </div>
@@ -462,7 +503,7 @@ function AllExpensesTab({ expenses, formatCurrency, formatDate, getStatusBadge,
 }
 
 // ==================== ANALYTICS TAB ====================
-function AnalyticsTab({ analytics, period, onPeriodChange, formatCurrency, startDate, endDate, onStartDateChange, onEndDateChange }) {
+function AnalyticsTab({ analytics, period, onPeriodChange, formatCurrency, startDate, endDate, onStartDateChange, onEndDateChange, fiscalYearStartMonth }) {
   const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
   const currentYear = new Date().getFullYear();
   const years = Array.from({ length: 7 }, (_, i) => currentYear - 5 + i); // 5 years back + current + 1 ahead
@@ -488,6 +529,13 @@ function AnalyticsTab({ analytics, period, onPeriodChange, formatCurrency, start
     }
   };
 
+  // Fiscal years are named by the calendar year they start in
+  const isCalendarYear = fiscalYearStartMonth === 1;
+  const currentFiscalYear = new Date().getMonth() + 1 >= fiscalYearStartMonth ? currentYear : currentYear - 1;
+  const setFiscalYear = (year) => isCalendarYear
+    ? setRange(year, 1, year, 12)
+    : setRange(year, fiscalYearStartMonth, year + 1, fiscalYearStartMonth - 1);
+
   const quickPresets = [
     { label: 'Last 3 months', fn: () => {
       const d = new Date(); d.setMonth(d.getMonth() - 2);
@@ -501,8 +549,8 @@ function AnalyticsTab({ analytics, period, onPeriodChange, formatCurrency, start
       const d = new Date(); d.setMonth(d.getMonth() - 11);
       setRange(d.getFullYear(), d.getMonth() + 1, currentYear, new Date().getMonth() + 1);
     }},
-    { label: 'This year', fn: () => setRange(currentYear, 1, currentYear, 12) },
-    { label: 'Last year', fn: () => setRange(currentYear - 1, 1, currentYear - 1, 12) },
+    { label: isCalendarYear ? 'This year' : 'This fiscal year', fn: () => setFiscalYear(currentFiscalYear) },
+    { label: isCalendarYear ? 'Last year' : 'Last fiscal year', fn: () => setFiscalYear(currentFiscalYear - 1) },
   ];
 
   const monthOptions = MONTHS.map((m, i) => ({ value: String(i + 1), label: m }));
@@ -510,7 +558,8 @@ function AnalyticsTab({ analytics, period, onPeriodChange, formatCurrency, start
 
   if (!analytics) return null;
 
-  const { chart, summary, topCategories, topSpenders } = analytics;
+  const { chart, summary, topCategories, topSpenders, baseCurrency, currencies = [] } = analytics;
+  const unconverted = parseInt(summary.unconverted_count || 0);
   const maxValue = Math.max(...chart.map(d => parseFloat(d.total || 0)), 1);
 
   return (
@@ -590,6 +639,14 @@ function AnalyticsTab({ analytics, period, onPeriodChange, formatCurrency, start
         </div>
       </div>
 
+      {/* Totals leave out expenses that have no exchange rate for their date */}
+      {unconverted > 0 && (
+        <div className="bg-amber-500/10 border border-amber-500/30 text-amber-300 px-4 py-3 rounded-lg text-sm flex items-center gap-2">
+          <Icon icon="mdi:alert" className="w-4 h-4 flex-shrink-0" />
+          {unconverted} expense{unconverted === 1 ? '' : 's'} in this range {unconverted === 1 ? 'has' : 'have'} no exchange rate to {baseCurrency} and {unconverted === 1 ? 'is' : 'are'} left out of the totals.
+        </div>
+      )}
+
       {/* Summary Cards */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         <SummaryCard icon="mdi:receipt-text" label="Total Expenses" value={parseInt(summary.total_expenses)} color="emerald" />
@@ -650,6 +707,33 @@ function AnalyticsTab({ analytics, period, onPeriodChange, formatCurrency, start
         )}
       </div>
 
+      {/* Currencies */}
+      {currencies.length > 1 && (
+        <div className="bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-xl p-6">
+          <h3 className="text-sm font-semibold text-[var(--color-text-muted)] uppercase tracking-wider mb-4">By Currency</h3>
+          <div className="space-y-3">
+            {currencies.map((row) => (
+              <div key={row.currency} className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium">{row.currency}</span>
+                  <span className="text-xs text-[var(--color-text-muted)]">({row.count})</span>
+                </div>
+                <div className="text-right">
+                  <span className="text-sm font-semibold">{formatCurrency(row.total, row.currency)}</span>
+                  {row.currency !== baseCurrency && (
+                    <span className="text-xs text-[var(--color-text-muted)] ml-2">
+                      {parseInt(row.unconverted_count) > 0
+                        ? `${row.unconverted_count} without a rate`
+                        : `≈ ${formatCurrency(row.base_total, baseCurrency)}`}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Bottom Panels */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {/* Top Categories */}
@@ -768,10 +852,12 @@ function CategoriesTab({ categories, onAdd, onDelete }) {
 }
 
 // ==================== EXPENSE MODAL ====================
-function ExpenseModal({ orgId, categories, expense, onClose, onSave }) {
+function ExpenseModal({ orgId, categories, baseCurrency, expense, onClose, onSave }) {
   const [title, setTitle] = useState(expense?.title || '');
   const [description, setDescription] = useState(expense?.description || '');
   const [amount, setAmount] = useState(expense?.amount || '');
+  const [currency, setCurrency] = useState(expense?.currency || baseCurrency);
+  const [knownCurrencies, setKnownCurrencies] = useState([baseCurrency]);
   const [expenseDate, setExpenseDate] = useState(expense?.expense_date?.split('T')[0] || new Date().toISOString().split('T')[0]);
   const [categoryId, setCategoryId] = useState(expense?.category_id || '');
   const [receiptData, setReceiptData] = useState(expense?.receipt_data || null);
@@ -782,6 +868,13 @@ function ExpenseModal({ orgId, categories, expense, onClose, onSave }) {
     ...categories.map(c => ({ value: c.id, label: c.name }))
   ];
 
+  // Suggest the currencies the org has exchange rates for
+  useEffect(() => {
+    api.get(`/currencies/org/${orgId}`)
+      .then(({ data }) => setKnownCurrencies([data.base_currency, ...data.currencies.map(c => c.currency)]))
+      .catch(() => {});
+  }, [orgId]);
+
   const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -804,6 +897,7 @@ function ExpenseModal({ orgId, categories, expense, onClose, onSave }) {
         title: title.trim(),
         description: description.trim() || null,
         amount: parseFloat(amount),
+        currency: currency.trim().toUpperCase(),
         expense_date: expenseDate,
         category_id: categoryId || null,
         receipt_data: receiptData,
@@ -856,9 +950,9 @@ function ExpenseModal({ orgId, categories, expense, onClose, onSave }) {
             />
           </div>
 
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium mb-2">Amount (MYR) *</label>
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2">
+              <label className="block text-sm font-medium mb-2">Amount *</label>
               <input
                 type="number"
                 step="0.01"
@@ -870,11 +964,27 @@ function ExpenseModal({ orgId, categories, expense, onClose, onSave }) {
               />
             </div>
             <div>
-              <label className="block text-sm font-medium mb-2">Date *</label>
-              <DatePicker value={expenseDate} onChange={setExpenseDate} />
+              <label className="block text-sm font-medium mb-2">Currency *</label>
+              <input
+                type="text"
+                list="expense-currencies"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                maxLength={3}
+                pattern="[A-Za-z]{3}"
+                required
+              />
+              <datalist id="expense-currencies">
+                {knownCurrencies.map(code => <option key={code} value={code} />)}
+              </datalist>
             </div>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium mb-2">Date *</label>
+            <DatePicker value={expenseDate} onChange={setExpenseDate} />
+          </div>
+
           <div>
             <label className="block text-sm font-medium mb-2">Category</label>
             <CustomSelect
@@ -1003,7 +1113,7 @@ function CategoryModal({ orgId, onClose, onSave }) {
 }
 
 // ==================== REVIEW MODAL ====================
-function ReviewModal({ orgId, expense, onClose, onSave, formatCurrency }) {
+function ReviewModal({ orgId, expense, onClose, onSave, formatExpenseAmount }) {
   const [status, setStatus] = useState('approved');
   const [reviewNotes, setReviewNotes] = useState('');
   const [saving, setSaving] = useState(false);
@@ -1042,7 +1152,7 @@ function ReviewModal({ orgId, expense, onClose, onSave, formatCurrency }) {
               <h4 className="font-semibold">{expense.title}</h4>
               <p className="text-sm text-[var(--color-text-muted)]">by {expense.user_name}</p>
             </div>
-            <span className="text-lg font-bold text-emerald-400">{formatCurrency(expense.amount)}</span>
+            <div className="text-lg font-bold text-emerald-400 text-right">{formatExpenseAmount(expense)}</div>
           </div>
           {expense.description && <p className="text-sm text-[var(--color-text-muted)]">{expense.description}</p>}
           {expense.receipt_data && (
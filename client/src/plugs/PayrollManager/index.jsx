@@ -8,7 +8,10 @@ import CustomSelect from '../../components/CustomSelect';
 import useBodyScrollLock from '../../hooks/useBodyScrollLock';
 
 export default function PayrollManager() {
-  const { currentOrg, isAdmin } = useAuth();
+  const { currentOrg, can } = useAuth();
+  const canManagePayroll = can('payroll.manage');
+  const canFinalizePayroll = can('payroll.finalize');
+  const canViewPeriods = canManagePayroll || canFinalizePayroll;
   const [activeTab, setActiveTab] = useState(() => {
     return localStorage.getItem('payroll-tab') || 'payslips';
   });
@@ -57,14 +60,14 @@ export default function PayrollManager() {
       if (activeTab === 'payslips') {
         const res = await api.get(`/payroll/org/${currentOrg.id}/my-payslips`);
         setMyPayslips(res.data);
-      } else if (activeTab === 'salaries' && isAdmin) {
+      } else if (activeTab === 'salaries' && canManagePayroll) {
         const [salRes, empRes] = await Promise.all([
           api.get(`/payroll/org/${currentOrg.id}/salaries`),
           api.get(`/payroll/org/${currentOrg.id}/employees-without-salary`)
         ]);
         setSalaries(salRes.data);
         setEmployeesWithoutSalary(empRes.data);
-      } else if (activeTab === 'periods' && isAdmin) {
+      } else if (activeTab === 'periods' && canViewPeriods) {
         const res = await api.get(`/payroll/org/${currentOrg.id}/periods`);
         setPeriods(res.data);
       }
@@ -161,7 +164,9 @@ export default function PayrollManager() {
     });
   };
 
-  const formatCurrency = (amount, currency = 'MYR') => {
+  const baseCurrency = currentOrg?.base_currency || 'MYR';
+
+  const formatCurrency = (amount, currency = baseCurrency) => {
     return new Intl.NumberFormat('en-MY', {
       style: 'currency',
       currency: currency
@@ -208,21 +213,21 @@ export default function PayrollManager() {
           icon="mdi:file-document"
           label="My Payslips"
         />
-        {isAdmin && (
-          <>
-            <TabButton
-              active={activeTab === 'salaries'}
-              onClick={() => setActiveTab('salaries')}
-              icon="mdi:account-cash"
-              label="Salary Setup"
-            />
-            <TabButton
-              active={activeTab === 'periods'}
-              onClick={() => setActiveTab('periods')}
-              icon="mdi:calendar-month"
-              label="Payroll Periods"
-            />
-          </>
+        {canManagePayroll && (
+          <TabButton
+            active={activeTab === 'salaries'}
+            onClick={() => setActiveTab('salaries')}
+            icon="mdi:account-cash"
+            label="Salary Setup"
+          />
+        )}
+        {canViewPeriods && (
+          <TabButton
+            active={activeTab === 'periods'}
+            onClick={() => setActiveTab('periods')}
+            icon="mdi:calendar-month"
+            label="Payroll Periods"
+          />
         )}
       </div>
 
@@ -252,7 +257,7 @@ export default function PayrollManager() {
                         </div>
                         <div className="text-right">
                           <p className="text-2xl font-bold text-green-400">
-                            {formatCurrency(payslip.net_pay)}
+                            {formatCurrency(payslip.net_pay, payslip.currency)}
                           </p>
                           <span className={`text-xs px-2 py-0.5 rounded ${
                             payslip.period_status === 'finalized'
@@ -277,7 +282,7 @@ export default function PayrollManager() {
           )}
 
           {/* Salary Setup Tab (Admin) */}
-          {activeTab === 'salaries' && isAdmin && (
+          {activeTab === 'salaries' && canManagePayroll && (
             <div>
               <div className="flex justify-between items-center mb-6">
                 <p className="text-sm text-[var(--color-text-muted)]">
@@ -351,18 +356,20 @@ export default function PayrollManager() {
           )}
 
           {/* Payroll Periods Tab (Admin) */}
-          {activeTab === 'periods' && isAdmin && (
+          {activeTab === 'periods' && canViewPeriods && (
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
               {/* Periods List */}
               <div className="lg:col-span-1">
                 <div className="flex justify-between items-center mb-4">
                   <h3 className="font-semibold">Periods</h3>
-                  <button
-                    onClick={() => setShowPeriodModal(true)}
-                    className="p-2 bg-violet-600 hover:bg-violet-700 text-white rounded-lg transition-colors"
-                  >
-                    <Icon icon="mdi:plus" className="w-5 h-5" />
-                  </button>
+                  {canManagePayroll && (
+                    <button
+                      onClick={() => setShowPeriodModal(true)}
+                      className="p-2 bg-violet-600 hover:bg-violet-700 text-white rounded-lg transition-colors"
+                    >
+                      <Icon icon="mdi:plus" className="w-5 h-5" />
+                    </button>
+                  )}
                 </div>
                 
                 <div className="space-y-2">
@@ -393,6 +400,10 @@ export default function PayrollManager() {
                       </p>
                       <p className="text-xs text-[var(--color-text-muted)] mt-1">
                         {period.payslip_count} payslips
+                        {period.base_net_pay !== null && ` · ${formatCurrency(period.base_net_pay)}`}
+                        {parseInt(period.unconverted_count) > 0 && (
+                          <span className="text-amber-400"> · {period.unconverted_count} without a rate</span>
+                        )}
                       </p>
                     </div>
                   ))}
@@ -420,14 +431,16 @@ export default function PayrollManager() {
                       <div className="flex gap-2">
                         {selectedPeriod.status !== 'finalized' && (
                           <>
-                            <button
-                              onClick={() => handleGeneratePayslips(selectedPeriod)}
-                              className="inline-flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors"
-                            >
-                              <Icon icon="mdi:calculator" className="w-4 h-4" />
-                              Generate
-                            </button>
-                            {parseInt(selectedPeriod.payslip_count) > 0 && (
+                            {canManagePayroll && (
+                              <button
+                                onClick={() => handleGeneratePayslips(selectedPeriod)}
+                                className="inline-flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors"
+                              >
+                                <Icon icon="mdi:calculator" className="w-4 h-4" />
+                                Generate
+                              </button>
+                            )}
+                            {canFinalizePayroll && parseInt(selectedPeriod.payslip_count) > 0 && (
                               <button
                                 onClick={() => handleFinalizePeriod(selectedPeriod)}
                                 className="inline-flex items-center gap-1 px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white text-sm rounded-lg transition-colors"
@@ -436,12 +449,14 @@ export default function PayrollManager() {
                                 Finalize
                               </button>
                             )}
-                            <button
-                              onClick={() => handleDeletePeriod(selectedPeriod)}
-                              className="p-1.5 text-red-400 hover:bg-red-500/10 rounded-lg transition-colors"
-                            >
-                              <Icon icon="mdi:delete" className="w-4 h-4" />
-                            </button>
+                            {canManagePayroll && (
+                              <button
+                                onClick={() => handleDeletePeriod(selectedPeriod)}
+                                className="p-1.5 text-red-400 hover:bg-red-500/10 rounded-lg transition-colors"
+                              >
+                                <Icon icon="mdi:delete" className="w-4 h-4" />
+                              </button>
+                            )}
                           </>
                         )}
                       </div>
@@ -464,10 +479,15 @@ export default function PayrollManager() {
                             </div>
                             <div className="text-right">
                               <p className="font-mono font-semibold text-green-400">
-                                {formatCurrency(payslip.net_pay)}
+                                {formatCurrency(payslip.net_pay, payslip.currency)}
                               </p>
+                              {payslip.currency !== baseCurrency && (
+                                <p className="text-xs text-[var(--color-text-muted)]">
+                                  {payslip.base_net_pay !== null ? `≈ ${formatCurrency(payslip.base_net_pay)}` : `No ${payslip.currency} rate`}
+                                </p>
+                              )}
                               <p className="text-xs text-[var(--color-text-muted)]">
-                                Base: {formatCurrency(payslip.base_salary)}
+                                Base: {formatCurrency(payslip.base_salary, payslip.currency)}
                               </p>
                             </div>
                           </div>
@@ -498,6 +518,7 @@ export default function PayrollManager() {
         <SalaryModal
           orgId={currentOrg.id}
           salary={editingSalary}
+          baseCurrency={baseCurrency}
           employees={employeesWithoutSalary}
           onClose={() => {
             setShowSalaryModal(false);
@@ -531,6 +552,7 @@ export default function PayrollManager() {
       {showPayslipDetail && (
         <PayslipDetailModal
           payslip={showPayslipDetail}
+          baseCurrency={baseCurrency}
           onClose={() => setShowPayslipDetail(null)}
           formatCurrency={formatCurrency}
           formatDate={formatDate}
@@ -592,7 +614,7 @@ function EmptyState({ icon, title, description, showAction, actionLabel, onActio
 }
 
 // Salary Modal
-function SalaryModal({ orgId, salary, employees, onClose, onSave }) {
+function SalaryModal({ orgId, salary, employees, baseCurrency, onClose, onSave }) {
   useBodyScrollLock();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -600,7 +622,7 @@ function SalaryModal({ orgId, salary, employees, onClose, onSave }) {
     user_id: salary?.user_id || '',
     base_salary: salary?.base_salary || '',
     hourly_rate: salary?.hourly_rate || '',
-    currency: salary?.currency || 'MYR'
+    currency: salary?.currency || baseCurrency
   });
 
   const handleSubmit = async (e) => {
@@ -674,6 +696,19 @@ function SalaryModal({ orgId, salary, employees, onClose, onSave }) {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium mb-2">Currency</label>
+            <input
+              type="text"
+              value={formData.currency}
+              onChange={(e) => setFormData({ ...formData, currency: e.target.value.toUpperCase() })}
+              maxLength={3}
+              pattern="[A-Za-z]{3}"
+              placeholder={baseCurrency}
+              required
+            />
+          </div>
+
           <div className="flex gap-3 pt-4">
             <button
               type="button"
@@ -794,7 +829,7 @@ function PeriodModal({ orgId, onClose, onSave }) {
 }
 
 // Payslip Detail Modal
-function PayslipDetailModal({ payslip, onClose, formatCurrency, formatDate }) {
+function PayslipDetailModal({ payslip, baseCurrency, onClose, formatCurrency, formatDate }) {
   useBodyScrollLock();
   return (
     <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-modal-overlay">
@@ -817,7 +852,7 @@ function PayslipDetailModal({ payslip, onClose, formatCurrency, formatDate }) {
           <div className="space-y-3">
             <div className="flex justify-between">
               <span className="text-[var(--color-text-muted)]">Base Salary</span>
-              <span className="font-mono">{formatCurrency(payslip.base_salary)}</span>
+              <span className="font-mono">{formatCurrency(payslip.base_salary, payslip.currency)}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-[var(--color-text-muted)]">Hours Worked</span>
@@ -829,18 +864,18 @@ function PayslipDetailModal({ payslip, onClose, formatCurrency, formatDate }) {
             </div>
             <div className="flex justify-between">
               <span className="text-[var(--color-text-muted)]">Overtime Pay</span>
-              <span className="font-mono text-amber-400">+{formatCurrency(payslip.overtime_pay)}</span>
+              <span className="font-mono text-amber-400">+{formatCurrency(payslip.overtime_pay, payslip.currency)}</span>
             </div>
             {parseFloat(payslip.bonuses) > 0 && (
               <div className="flex justify-between">
                 <span className="text-[var(--color-text-muted)]">Bonuses</span>
-                <span className="font-mono text-green-400">+{formatCurrency(payslip.bonuses)}</span>
+                <span className="font-mono text-green-400">+{formatCurrency(payslip.bonuses, payslip.currency)}</span>
               </div>
             )}
             {parseFloat(payslip.deductions) > 0 && (
               <div className="flex justify-between">
                 <span className="text-[var(--color-text-muted)]">Deductions</span>
-                <span className="font-mono text-red-400">-{formatCurrency(payslip.deductions)}</span>
+                <span className="font-mono text-red-400">-{formatCurrency(payslip.deductions, payslip.currency)}</span>
               </div>
             )}
           </div>
@@ -848,8 +883,15 @@ function PayslipDetailModal({ payslip, onClose, formatCurrency, formatDate }) {
           <div className="pt-4 border-t border-[var(--color-border)]">
             <div className="flex justify-between items-center">
               <span className="font-semibold">Net Pay</span>
-              <span className="text-2xl font-bold text-green-400">{formatCurrency(payslip.net_pay)}</span>
+              <span className="text-2xl font-bold text-green-400">{formatCurrency(payslip.net_pay, payslip.currency)}</span>
             </div>
+            {payslip.currency !== baseCurrency && (
+              <p className="text-xs text-right text-[var(--color-text-muted)] mt-1">
+                {payslip.base_net_pay !== null
+                  ? `≈ ${formatCurrency(payslip.base_net_pay)} at ${parseFloat(payslip.exchange_rate)}`
+                  : `No ${payslip.currency} to ${baseCurrency} rate for this period`}
+              </p>
+            )}
           </div>
 
           <button
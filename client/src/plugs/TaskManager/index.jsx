@@ -1,8 +1,12 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
 import useBodyScrollLock from '../../hooks/useBodyScrollLock';
+import usePagedList from '../../hooks/usePagedList';
+import { fetchAllPages } from '../../utils/pagination';
+import LoadMore from '../../components/LoadMore';
 import DatePicker from '../../components/DatePicker';
 import CustomSelect from '../../components/CustomSelect';
 
@@ -22,14 +26,13 @@ const PRIORITIES = {
 };
 
 export default function TaskManager() {
-  const { currentOrg, isManager, isAdmin, user } = useAuth();
+  const { currentOrg, can, user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [viewMode, setViewMode] = useState(() => localStorage.getItem('task-view-mode') || 'kanban');
-  const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
   // Data state
-  const [tasks, setTasks] = useState([]);
   const [employees, setEmployees] = useState([]);
   const [departments, setDepartments] = useState([]);
   const [myEmployeeId, setMyEmployeeId] = useState(null);
@@ -45,6 +48,8 @@ export default function TaskManager() {
   const [priorityFilter, setPriorityFilter] = useState('');
   const [assigneeFilter, setAssigneeFilter] = useState('');
   const [showMyTasks, setShowMyTasks] = useState(false);
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [stats, setStats] = useState({ total: 0, completed: 0, overdue: 0, dueThisWeek: 0, completionRate: 0 });
 
   // Drag state for Kanban
   const [draggedTask, setDraggedTask] = useState(null);
@@ -55,6 +60,37 @@ export default function TaskManager() {
     localStorage.setItem('task-view-mode', viewMode);
   }, [viewMode]);
 
+  // Search on the server once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Filters the server can apply; the client-side filter below covers combinations
+  // it can't (an assignee filter together with "my tasks")
+  const taskParams = useMemo(() => {
+    const params = {};
+    if (debouncedSearch) params.search = debouncedSearch;
+    if (priorityFilter) params.priority = priorityFilter;
+    if (assigneeFilter) {
+      const isDepartment = departments.some(d => d.id === assigneeFilter);
+      params[isDepartment ? 'departmentId' : 'assigneeId'] = assigneeFilter;
+    }
+    if (showMyTasks && myEmployeeId && !params.assigneeId) params.assigneeId = myEmployeeId;
+    return params;
+  }, [debouncedSearch, priorityFilter, assigneeFilter, showMyTasks, myEmployeeId, departments]);
+
+  const {
+    items: tasks,
+    setItems: setTasks,
+    total: matchingTotal,
+    hasMore,
+    loading,
+    loadingMore,
+    loadMore,
+    reload: reloadTasks
+  } = usePagedList(currentOrg ? `/tasks/org/${currentOrg.id}` : null, taskParams);
+
   // Fetch data
   useEffect(() => {
     if (currentOrg) {
@@ -63,37 +99,44 @@ export default function TaskManager() {
   }, [currentOrg]);
 
   const fetchInitialData = async () => {
-    setLoading(true);
     try {
-      const [tasksRes, empRes, deptRes] = await Promise.all([
-        api.get(`/tasks/org/${currentOrg.id}`),
-        api.get(`/employees/org/${currentOrg.id}`),
-        api.get(`/departments/org/${currentOrg.id}`)
+      const [empList, deptRes] = await Promise.all([
+        fetchAllPages(`/employees/org/${currentOrg.id}`),
+        api.get(`/departments/org/${currentOrg.id}`),
+        fetchStats()
       ]);
-      setTasks(tasksRes.data);
-      setEmployees(empRes.data);
+      setEmployees(empList);
       setDepartments(deptRes.data);
       
       // Find current user's employee ID
-      const me = empRes.data.find(e => e.email === user.email);
+      const me = empList.find(e => e.email === user.email);
       if (me) setMyEmployeeId(me.id);
     } catch (err) {
       console.error('Fetch error:', err);
       setError('Failed to fetch tasks');
-    } finally {
-      setLoading(false);
     }
   };
 
-  const fetchTasks = useCallback(async () => {
+  // Header counts cover every task, not just the pages loaded so far
+  const fetchStats = useCallback(async () => {
     try {
-      const res = await api.get(`/tasks/org/${currentOrg.id}`);
-      setTasks(res.data);
+      const { data } = await api.get(`/tasks/org/${currentOrg.id}/stats`);
+      setStats({
+        total: data.total,
+        completed: data.completed,
+        overdue: data.overdue,
+        dueThisWeek: data.due_this_week,
+        completionRate: data.total > 0 ? Math.round((data.completed / data.total) * 100) : 0
+      });
     } catch (err) {
-      console.error('Fetch tasks error:', err);
+      console.error('Fetch task stats error:', err);
     }
   }, [currentOrg?.id]);
 
+  const fetchTasks = useCallback(async () => {
+    await Promise.all([reloadTasks(), fetchStats()]);
+  }, [reloadTasks, fetchStats]);
+
   // Check if user is assigned to a task
   const isUserAssignedToTask = useCallback((task) => {
     if (!task.assignees || !myEmployeeId) return false;
@@ -126,24 +169,6 @@ export default function TaskManager() {
     });
   }, [tasks, searchQuery, priorityFilter, assigneeFilter, showMyTasks, isUserAssignedToTask]);
 
-  // Memoized statistics
-  const stats = useMemo(() => {
-    const now = new Date();
-    const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-    
-    const total = tasks.length;
-    const completed = tasks.filter(t => t.status === 'Completed').length;
-    const overdue = tasks.filter(t => t.due_date && new Date(t.due_date) < now && t.status !== 'Completed').length;
-    const dueThisWeek = tasks.filter(t => {
-      if (!t.due_date || t.status === 'Completed') return false;
-      const due = new Date(t.due_date);
-      return due >= now && due <= weekFromNow;
-    }).length;
-    const completionRate = total > 0 ? Math.round((completed / total) * 100) : 0;
-    
-    return { total, completed, overdue, dueThisWeek, completionRate };
-  }, [tasks]);
-
   // Tasks grouped by status for Kanban
   const tasksByStatus = useMemo(() => {
     const grouped = {};
@@ -177,6 +202,22 @@ export default function TaskManager() {
     setShowDetailModal(true);
   }, []);
 
+  // Open the task linked from search (/tasks?task=<id>)
+  useEffect(() => {
+    const taskId = searchParams.get('task');
+    if (!taskId || loading) return;
+    const task = tasks.find(t => t.id === taskId);
+    if (task) {
+      handleViewTask(task);
+    } else {
+      // Not in the pages loaded so far
+      api.get(`/tasks/org/${currentOrg.id}/${taskId}`)
+        .then(({ data }) => handleViewTask(data))
+        .catch(err => console.error('Fetch linked task error:', err));
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, tasks, loading]);
+
   const handleSaveTask = async (data) => {
     try {
       if (modalMode === 'create') {
@@ -199,12 +240,13 @@ export default function TaskManager() {
     setTasks(prev => prev.map(t => t.id === taskId ? { ...t, status: newStatus } : t));
     try {
       await api.put(`/tasks/org/${currentOrg.id}/${taskId}/status`, { status: newStatus });
+      fetchStats();
     } catch (err) {
       fetchTasks(); // Revert on error
       setError(err.response?.data?.error || 'Failed to update status');
       setTimeout(() => setError(''), 3000);
     }
-  }, [currentOrg?.id, fetchTasks]);
+  }, [currentOrg?.id, fetchTasks, fetchStats]);
 
   const handleDeleteTask = useCallback(async (taskId, e) => {
     e?.stopPropagation();
@@ -213,11 +255,12 @@ export default function TaskManager() {
       await api.delete(`/tasks/org/${currentOrg.id}/${taskId}`);
       setSuccess('Task deleted!');
       setTasks(prev => prev.filter(t => t.id !== taskId));
+      fetchStats();
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
       setError('Failed to delete task');
     }
-  }, [currentOrg?.id]);
+  }, [currentOrg?.id, fetchStats]);
 
   // Drag and drop handlers
   const handleDragStart = useCallback((e, task) => {
@@ -272,7 +315,7 @@ export default function TaskManager() {
   }, []);
 
   // Check if user can edit/delete tasks
-  const canManageTasks = isAdmin || isManager;
+  const canManageTasks = can('tasks.manage');
 
   // Combined assignee options for filter
   const assigneeOptions = useMemo(() => [
@@ -432,6 +475,7 @@ export default function TaskManager() {
           </div>
         ) : viewMode === 'kanban' ? (
         /* Kanban Board View */
+        <>
         <div className="flex-1 min-h-0 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 pb-2">
           {STATUSES.map((status) => (
             <div
@@ -486,6 +530,17 @@ export default function TaskManager() {
             </div>
           ))}
         </div>
+        {/* The footer is always in view under the board, so pages load on click */}
+        <LoadMore
+          hasMore={hasMore}
+          loading={loadingMore}
+          onLoadMore={loadMore}
+          shown={tasks.length}
+          total={matchingTotal}
+          noun="tasks"
+          auto={false}
+        />
+        </>
       ) : (
         /* List View - Independently Scrollable */
         <div className="flex-1 min-h-0 bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-2xl overflow-hidden flex flex-col">
@@ -549,6 +604,14 @@ export default function TaskManager() {
                   )}
                 </div>
               ))}
+              <LoadMore
+                hasMore={hasMore}
+                loading={loadingMore}
+                onLoadMore={loadMore}
+                shown={tasks.length}
+                total={matchingTotal}
+                noun="tasks"
+              />
               </div>
             ) : (
               <EmptyState 
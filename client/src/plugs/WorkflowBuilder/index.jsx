@@ -13,11 +13,28 @@ import {
   useUpdateNodeInternals
 } from '@xyflow/react';
 import '@xyflow/react/dist/style.css';
+import { useSearchParams } from 'react-router-dom';
 import { Icon } from '@iconify/react';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../utils/api';
+import { fetchAllPages } from '../../utils/pagination';
 import useBodyScrollLock from '../../hooks/useBodyScrollLock';
 
+// Platform events a trigger node can start a workflow from
+const TRIGGER_EVENT_LABELS = {
+  'expense.submitted': 'Expense submitted',
+  'expense.reviewed': 'Expense reviewed',
+  'leave.requested': 'Leave requested',
+  'leave.reviewed': 'Leave reviewed',
+  'attendance.clocked_in': 'Clocked in',
+  'attendance.clocked_out': 'Clocked out',
+  'employee.created': 'Employee added',
+  'employee.updated': 'Employee updated',
+  'employee.deleted': 'Employee removed',
+  'task.created': 'Task created',
+  'task.completed': 'Task completed'
+};
+
 // ============ Custom Node Components ============
 
 function StartNode({ data }) {
@@ -32,6 +49,21 @@ function StartNode({ data }) {
   );
 }
 
+function TriggerNode({ data }) {
+  return (
+    <div className="px-4 py-2 rounded-2xl bg-gradient-to-r from-blue-600 to-indigo-600 border-2 border-blue-400 shadow-lg shadow-blue-500/20 min-w-[140px] text-center">
+      <div className="flex items-center justify-center gap-2">
+        <Icon icon="mdi:lightning-bolt" className="w-5 h-5 text-white" />
+        <span className="text-sm font-semibold text-white">{data.label || 'Trigger'}</span>
+      </div>
+      <p className="text-[10px] text-blue-100 mt-0.5">
+        {data.event ? TRIGGER_EVENT_LABELS[data.event] || data.event : 'No event selected'}
+      </p>
+      <Handle type="source" position={Position.Bottom} className="!bg-blue-400 !w-3 !h-3" />
+    </div>
+  );
+}
+
 function EndNode({ data }) {
   return (
     <div className="px-4 py-2 rounded-full bg-gradient-to-r from-rose-600 to-red-600 border-2 border-rose-400 shadow-lg shadow-rose-500/20 min-w-[100px] text-center">
@@ -326,6 +358,7 @@ function NoteNode({ data, selected }) {
 
 const nodeTypes = {
   start: StartNode,
+  trigger: TriggerNode,
   end: EndNode,
   task: TaskNode,
   decision: DecisionNode,
@@ -335,7 +368,7 @@ const nodeTypes = {
 // ============ Main Component ============
 
 function WorkflowBuilderInner() {
-  const { currentOrg, isManager, isAdmin } = useAuth();
+  const { currentOrg, can } = useAuth();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -343,7 +376,9 @@ function WorkflowBuilderInner() {
   // Data state
   const [workflows, setWorkflows] = useState([]);
   const [tasks, setTasks] = useState([]);
+  const [triggerEvents, setTriggerEvents] = useState([]);
   const [selectedWorkflow, setSelectedWorkflow] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // React Flow state
   const [nodes, setNodes] = useState([]);
@@ -355,6 +390,8 @@ function WorkflowBuilderInner() {
   const [showNodePanel, setShowNodePanel] = useState(false);
   const [selectedNode, setSelectedNode] = useState(null);
   const [showTaskLinkModal, setShowTaskLinkModal] = useState(false);
+  const [showRunsPanel, setShowRunsPanel] = useState(false);
+  const [runsRefreshKey, setRunsRefreshKey] = useState(0);
   
   // Context menu state
   const [contextMenu, setContextMenu] = useState(null);
@@ -364,13 +401,15 @@ function WorkflowBuilderInner() {
   const updateNodeInternals = useUpdateNodeInternals();
 
   // Permissions
-  const canManage = isAdmin || isManager;
+  const canManage = can('workflows.manage');
+  const canRun = can('workflows.run');
 
   // Fetch initial data
   useEffect(() => {
     if (currentOrg) {
       fetchWorkflows();
       fetchTasks();
+      fetchTriggerEvents();
     }
   }, [currentOrg]);
 
@@ -389,13 +428,21 @@ function WorkflowBuilderInner() {
 
   const fetchTasks = async () => {
     try {
-      const res = await api.get(`/tasks/org/${currentOrg.id}`);
-      setTasks(res.data);
+      setTasks(await fetchAllPages(`/tasks/org/${currentOrg.id}`));
     } catch (err) {
       console.error('Fetch tasks error:', err);
     }
   };
 
+  const fetchTriggerEvents = async () => {
+    try {
+      const res = await api.get('/workflows/trigger-events');
+      setTriggerEvents(res.data);
+    } catch (err) {
+      console.error('Fetch trigger events error:', err);
+    }
+  };
+
   const loadWorkflow = async (workflow) => {
     try {
       const res = await api.get(`/workflows/org/${currentOrg.id}/${workflow.id}`);
@@ -408,6 +455,14 @@ function WorkflowBuilderInner() {
     }
   };
 
+  // Open the workflow linked from search (/workflows?workflow=<id>)
+  useEffect(() => {
+    const workflowId = searchParams.get('workflow');
+    if (!workflowId || !currentOrg) return;
+    loadWorkflow({ id: workflowId });
+    setSearchParams({}, { replace: true });
+  }, [searchParams, currentOrg]);
+
   // React Flow handlers
   const onNodesChange = useCallback(
     (changes) => setNodes((nds) => applyNodeChanges(changes, nds)),
@@ -478,6 +533,7 @@ function WorkflowBuilderInner() {
     const id = `${type}-${Date.now()}`;
     const defaultLabels = {
       start: 'Start',
+      trigger: 'Trigger',
       end: 'End',
       task: 'New Task',
       decision: 'Decision'
@@ -498,6 +554,7 @@ function WorkflowBuilderInner() {
     const id = `${type}-${Date.now()}`;
     const defaultLabels = {
       start: 'Start',
+      trigger: 'Trigger',
       end: 'End',
       task: 'New Task',
       decision: 'Decision',
@@ -526,7 +583,27 @@ function WorkflowBuilderInner() {
       setSuccess('Workflow saved!');
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
-      setError('Failed to save workflow');
+      setError(err.response?.data?.error || 'Failed to save workflow');
+    }
+  };
+
+  // Save and start a run of the workflow
+  const runWorkflow = async () => {
+    if (!selectedWorkflow) return;
+    
+    try {
+      await api.put(`/workflows/org/${currentOrg.id}/${selectedWorkflow.id}`, {
+        nodes,
+        edges
+      });
+      await api.post(`/workflows/org/${currentOrg.id}/${selectedWorkflow.id}/runs`, {});
+      setShowNodePanel(false);
+      setShowRunsPanel(true);
+      setRunsRefreshKey((k) => k + 1);
+      setSuccess('Workflow run started!');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start workflow run');
     }
   };
 
@@ -651,7 +728,7 @@ function WorkflowBuilderInner() {
           {viewMode === 'editor' && (
             <>
               <button
-                onClick={() => { setViewMode('list'); setSelectedWorkflow(null); }}
+                onClick={() => { setViewMode('list'); setSelectedWorkflow(null); setShowRunsPanel(false); }}
                 className="px-4 py-2 text-sm font-medium rounded-xl border border-[var(--color-border)] text-[var(--color-text-muted)] hover:border-teal-500/30 transition-all flex items-center gap-2"
               >
                 <Icon icon="mdi:arrow-left" className="w-4 h-4" />
@@ -664,6 +741,26 @@ function WorkflowBuilderInner() {
                 <Icon icon="mdi:content-save" className="w-4 h-4" />
                 Save
               </button>
+              <button
+                onClick={() => { setShowRunsPanel(!showRunsPanel); setShowNodePanel(false); }}
+                className={`px-4 py-2 text-sm font-medium rounded-xl border transition-all flex items-center gap-2 ${
+                  showRunsPanel
+                    ? 'border-teal-500/50 text-teal-400 bg-teal-500/10'
+                    : 'border-[var(--color-border)] text-[var(--color-text-muted)] hover:border-teal-500/30'
+                }`}
+              >
+                <Icon icon="mdi:history" className="w-4 h-4" />
+                Runs
+              </button>
+              {canRun && (
+                <button
+                  onClick={runWorkflow}
+                  className="px-4 py-2.5 bg-emerald-600 hover:bg-emerald-700 text-white font-medium rounded-xl transition-all shadow-lg shadow-emerald-900/20 flex items-center gap-2"
+                >
+                  <Icon icon="mdi:play" className="w-4 h-4" />
+                  Run
+                </button>
+              )}
             </>
           )}
           {viewMode === 'list' && canManage && (
@@ -746,6 +843,12 @@ function WorkflowBuilderInner() {
                   )}
                 </div>
                 <h3 className="font-semibold text-lg mb-1">{workflow.name}</h3>
+                {workflow.trigger_event && (
+                  <span className="inline-flex items-center gap-1 text-[10px] px-2 py-0.5 mb-2 rounded-full bg-blue-500/20 text-blue-400">
+                    <Icon icon="mdi:lightning-bolt" className="w-3 h-3" />
+                    {TRIGGER_EVENT_LABELS[workflow.trigger_event] || workflow.trigger_event}
+                  </span>
+                )}
                 <p className="text-sm text-[var(--color-text-muted)] line-clamp-2 mb-4">
                   {workflow.description || 'No description'}
                 </p>
@@ -771,6 +874,7 @@ function WorkflowBuilderInner() {
             <h4 className="text-xs font-semibold uppercase text-[var(--color-text-muted)] mb-2">Add Nodes</h4>
             {[
               { type: 'start', icon: 'mdi:play-circle', label: 'Start', color: 'emerald' },
+              { type: 'trigger', icon: 'mdi:lightning-bolt', label: 'Trigger', color: 'blue' },
               { type: 'end', icon: 'mdi:stop-circle', label: 'End', color: 'rose' },
               { type: 'task', icon: 'mdi:clipboard-check', label: 'Task', color: 'teal' },
               { type: 'decision', icon: 'mdi:help-rhombus', label: 'Decision', color: 'amber' },
@@ -812,7 +916,7 @@ function WorkflowBuilderInner() {
               <Background color="#333" gap={20} />
               <MiniMap 
                 nodeColor={(node) => {
-                  const colors = { start: '#10b981', end: '#f43f5e', task: '#14b8a6', decision: '#f59e0b', note: '#a855f7' };
+                  const colors = { start: '#10b981', trigger: '#3b82f6', end: '#f43f5e', task: '#14b8a6', decision: '#f59e0b', note: '#a855f7' };
                   return colors[node.type] || '#666';
                 }}
                 className="!bg-[#1a1a1a] !border-[#333] !rounded-xl"
@@ -831,6 +935,18 @@ function WorkflowBuilderInner() {
             )}
           </div>
 
+          {/* Runs Panel */}
+          {showRunsPanel && !showNodePanel && (
+            <RunsPanel
+              orgId={currentOrg.id}
+              workflowId={selectedWorkflow?.id}
+              canManage={canRun}
+              refreshKey={runsRefreshKey}
+              onError={setError}
+              onClose={() => setShowRunsPanel(false)}
+            />
+          )}
+
           {/* Node Properties Panel */}
           {showNodePanel && selectedNode && (
             <div className="w-72 bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-2xl p-4 flex flex-col">
@@ -882,6 +998,26 @@ function WorkflowBuilderInner() {
                   </div>
                 )}
 
+                {/* Trigger Event Selector */}
+                {selectedNode.type === 'trigger' && (
+                  <div>
+                    <label className="text-xs text-[var(--color-text-muted)] mb-1 block">Start When</label>
+                    <select
+                      value={selectedNode.data?.event || ''}
+                      onChange={(e) => updateNodeData(selectedNode.id, { event: e.target.value || null })}
+                      className="w-full px-3 py-2 bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+                    >
+                      <option value="">Select an event...</option>
+                      {triggerEvents.map((event) => (
+                        <option key={event} value={event}>{TRIGGER_EVENT_LABELS[event] || event}</option>
+                      ))}
+                    </select>
+                    <p className="text-[10px] text-[var(--color-text-muted)] mt-2">
+                      The workflow starts automatically when this event happens. Its data is available to decisions as <code>input.*</code>
+                    </p>
+                  </div>
+                )}
+
                 {/* Decision Node Branches Editor */}
                 {selectedNode.type === 'decision' && (
                   <div>
@@ -939,6 +1075,63 @@ function WorkflowBuilderInner() {
                       ))}
                     </div>
                     <p className="text-[10px] text-[var(--color-text-muted)] mt-2">Min 2 branches required</p>
+
+                    {/* Automatic branch selection */}
+                    <label className="text-xs text-[var(--color-text-muted)] mt-4 mb-1 block">Decide Automatically On</label>
+                    <input
+                      type="text"
+                      value={selectedNode.data?.field || ''}
+                      onChange={(e) => updateNodeData(selectedNode.id, { field: e.target.value })}
+                      className="w-full px-2 py-1.5 bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-lg text-sm"
+                      placeholder="e.g. input.amount"
+                    />
+                    {selectedNode.data?.field && (
+                      <div className="space-y-2 mt-2">
+                        {(selectedNode.data?.branches || [
+                          { id: 'yes', label: 'Yes' },
+                          { id: 'no', label: 'No' }
+                        ]).map((branch, idx) => (
+                          <div key={branch.id} className="flex items-center gap-1">
+                            <span className="w-14 text-xs truncate text-amber-400">{branch.label}</span>
+                            <select
+                              value={branch.condition?.operator || ''}
+                              onChange={(e) => {
+                                const branches = [...(selectedNode.data?.branches || [
+                                  { id: 'yes', label: 'Yes' },
+                                  { id: 'no', label: 'No' }
+                                ])];
+                                const operator = e.target.value;
+                                branches[idx] = {
+                                  ...branches[idx],
+                                  condition: operator ? { operator, value: branches[idx].condition?.value || '' } : undefined
+                                };
+                                updateNodeData(selectedNode.id, { branches });
+                              }}
+                              className="px-1 py-1.5 bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-lg text-xs"
+                            >
+                              <option value="">Otherwise</option>
+                              {Object.entries(CONDITION_OPERATORS).map(([op, label]) => (
+                                <option key={op} value={op}>{label}</option>
+                              ))}
+                            </select>
+                            {branch.condition && (
+                              <input
+                                type="text"
+                                value={branch.condition.value}
+                                onChange={(e) => {
+                                  const branches = [...selectedNode.data.branches];
+                                  branches[idx] = { ...branches[idx], condition: { ...branches[idx].condition, value: e.target.value } };
+                                  updateNodeData(selectedNode.id, { branches });
+                                }}
+                                className="flex-1 min-w-0 px-2 py-1.5 bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-lg text-xs"
+                                placeholder="Value"
+                              />
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    <p className="text-[10px] text-[var(--color-text-muted)] mt-2">Leave empty to decide manually during a run</p>
                   </div>
                 )}
 
@@ -992,6 +1185,190 @@ function WorkflowBuilderInner() {
 
 // ============ Sub Components ============
 
+const CONDITION_OPERATORS = {
+  eq: '=',
+  neq: '≠',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  contains: 'contains'
+};
+
+const RUN_STATUS_STYLES = {
+  running: 'bg-blue-500/20 text-blue-400',
+  completed: 'bg-green-500/20 text-green-400',
+  cancelled: 'bg-gray-500/20 text-gray-400',
+  failed: 'bg-red-500/20 text-red-400',
+  waiting: 'bg-amber-500/20 text-amber-400'
+};
+
+function RunsPanel({ orgId, workflowId, canManage, refreshKey, onError, onClose }) {
+  const [runs, setRuns] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchRuns = async () => {
+    try {
+      const res = await api.get(`/workflows/org/${orgId}/${workflowId}/runs`);
+      setRuns(res.data);
+      if (res.data.length > 0) {
+        loadRun(res.data[0].id);
+      }
+    } catch (err) {
+      onError('Failed to load workflow runs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadRun = async (runId) => {
+    try {
+      const res = await api.get(`/workflows/org/${orgId}/runs/${runId}`);
+      setSelectedRun(res.data);
+    } catch (err) {
+      onError('Failed to load workflow run');
+    }
+  };
+
+  useEffect(() => {
+    if (workflowId) fetchRuns();
+  }, [workflowId, refreshKey]);
+
+  const updateRun = (run) => {
+    setSelectedRun(run);
+    setRuns((prev) => prev.map((r) => (r.id === run.id ? { ...r, status: run.status } : r)));
+  };
+
+  const cancelRun = async () => {
+    if (!confirm('Cancel this run? Tasks it already created will be kept.')) return;
+    try {
+      const res = await api.post(`/workflows/org/${orgId}/runs/${selectedRun.id}/cancel`);
+      updateRun(res.data);
+    } catch (err) {
+      onError(err.response?.data?.error || 'Failed to cancel workflow run');
+    }
+  };
+
+  const decide = async (stepId, branchId) => {
+    try {
+      const res = await api.post(`/workflows/org/${orgId}/runs/${selectedRun.id}/steps/${stepId}/decide`, { branchId });
+      updateRun(res.data);
+    } catch (err) {
+      onError(err.response?.data?.error || 'Failed to record decision');
+    }
+  };
+
+  return (
+    <div className="w-72 bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded-2xl p-4 flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-semibold">Runs</h4>
+        <div className="flex items-center gap-1">
+          {selectedRun && (
+            <button
+              onClick={() => loadRun(selectedRun.id)}
+              className="p-1 hover:bg-[var(--color-bg-elevated)] rounded-lg transition-colors"
+              title="Refresh"
+            >
+              <Icon icon="mdi:refresh" className="w-4 h-4" />
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-[var(--color-bg-elevated)] rounded-lg transition-colors"
+          >
+            <Icon icon="mdi:close" className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Icon icon="mdi:loading" className="w-6 h-6 text-teal-500 animate-spin" />
+        </div>
+      ) : runs.length === 0 ? (
+        <p className="text-sm text-[var(--color-text-muted)] text-center py-8">No runs yet</p>
+      ) : (
+        <>
+          <select
+            value={selectedRun?.id || ''}
+            onChange={(e) => loadRun(e.target.value)}
+            className="w-full px-2 py-1.5 mb-4 bg-[var(--color-bg-elevated)] border border-[var(--color-border)] rounded-lg text-sm"
+          >
+            {runs.map((run) => (
+              <option key={run.id} value={run.id}>
+                {new Date(run.started_at).toLocaleString()} · {run.status}
+              </option>
+            ))}
+          </select>
+
+          {selectedRun && (
+            <div className="flex-1 overflow-y-auto space-y-2">
+              <div className="flex items-center justify-between mb-2">
+                <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${RUN_STATUS_STYLES[selectedRun.status]}`}>
+                  {selectedRun.status}
+                </span>
+                <span className="text-[10px] text-[var(--color-text-muted)]">
+                  {selectedRun.trigger_event
+                    ? `on ${TRIGGER_EVENT_LABELS[selectedRun.trigger_event] || selectedRun.trigger_event}`
+                    : `by ${selectedRun.started_by_name || 'Unknown'}`}
+                </span>
+              </div>
+              {selectedRun.error && (
+                <p className="text-xs text-red-400">{selectedRun.error}</p>
+              )}
+
+              {selectedRun.steps.map((step) => (
+                <div key={step.id} className="p-2 bg-[var(--color-bg-elevated)] rounded-xl">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm truncate">{step.label || step.node_type}</span>
+                    <span className={`text-[10px] px-1.5 py-0.5 rounded-full capitalize shrink-0 ${RUN_STATUS_STYLES[step.status] || RUN_STATUS_STYLES.completed}`}>
+                      {step.status}
+                    </span>
+                  </div>
+                  {step.task_id && (
+                    <p className="text-[10px] text-[var(--color-text-muted)] mt-1 truncate">
+                      Task: {step.task_title || 'Deleted'}{step.task_status ? ` · ${step.task_status}` : ''}
+                    </p>
+                  )}
+                  {step.node_type === 'decision' && step.branch_id && (
+                    <p className="text-[10px] text-amber-400 mt-1">
+                      → {step.branches?.find((b) => b.id === step.branch_id)?.label || step.branch_id}
+                    </p>
+                  )}
+                  {step.node_type === 'decision' && step.status === 'waiting' && canManage && selectedRun.status === 'running' && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {step.branches?.map((branch) => (
+                        <button
+                          key={branch.id}
+                          onClick={() => decide(step.id, branch.id)}
+                          className="text-xs px-2 py-1 bg-amber-500/20 text-amber-400 rounded-lg hover:bg-amber-500/30 transition-colors"
+                        >
+                          {branch.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              {selectedRun.status === 'running' && canManage && (
+                <button
+                  onClick={cancelRun}
+                  className="mt-2 w-full px-3 py-2 bg-red-500/10 border border-red-500/30 text-red-400 rounded-xl text-sm font-medium hover:bg-red-500/20 transition-colors flex items-center justify-center gap-2"
+                >
+                  <Icon icon="mdi:cancel" className="w-4 h-4" />
+                  Cancel Run
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
 function CreateWorkflowModal({ onClose, onCreate }) {
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
@@ -1137,6 +1514,7 @@ function ContextMenu({ x, y, type, onAction, onClose }) {
     ],
     pane: [
       { icon: 'mdi:play-circle', label: 'Add Start', action: 'add-start', color: 'text-emerald-400' },
+      { icon: 'mdi:lightning-bolt', label: 'Add Trigger', action: 'add-trigger', color: 'text-blue-400' },
       { icon: 'mdi:stop-circle', label: 'Add End', action: 'add-end', color: 'text-rose-400' },
       { icon: 'mdi:clipboard-check', label: 'Add Task', action: 'add-task', color: 'text-teal-400' },
       { icon: 'mdi:help-rhombus', label: 'Add Decision', action: 'add-decision', color: 'text-amber-400' },
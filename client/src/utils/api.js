@@ -23,14 +23,69 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle auth errors
+// Shared so that concurrent 401s only trigger one refresh
+let refreshPromise = null;
+
+// Held across tabs while one of them refreshes
+const REFRESH_LOCK = 'plugos-token-refresh';
+
+// Refresh tokens are single use and every tab shares them through
+// localStorage, so tabs take turns with a Web Lock. A tab that waited for
+// the lock finds the tokens another tab just stored and uses those instead
+// of spending the old refresh token again (which would revoke the session).
+const refreshTokens = async (staleToken) => {
+  const refresh = async () => {
+    const current = localStorage.getItem('token');
+    if (current && current !== staleToken) {
+      return current;
+    }
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      throw new Error('No refresh token');
+    }
+
+    // Use plain axios so this request skips the interceptors below
+    const { data } = await axios.post('/api/auth/refresh', { refreshToken });
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    return data.token;
+  };
+
+  return navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh();
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('currentOrgId');
+  window.location.href = '/login';
+};
+
+// Handle auth errors: refresh the access token once, then retry
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('currentOrgId');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+
+    if (error.response?.status === 401 && original && !original._retried && !original.url?.startsWith('/auth/login')) {
+      original._retried = true;
+      try {
+        const staleToken = original.headers.Authorization?.replace(/^Bearer /, '');
+        refreshPromise = refreshPromise || refreshTokens(staleToken).finally(() => { refreshPromise = null; });
+        const token = await refreshPromise;
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        clearSession();
+      }
+    } else if (error.response?.status === 401 && !original?.url?.startsWith('/auth/login')) {
+      clearSession();
+    }
+
+    // The org requires 2FA for this user's role: send them to set it up
+    if (error.response?.data?.code === 'TWO_FACTOR_REQUIRED' && window.location.pathname !== '/settings') {
+      window.location.href = '/settings';
     }
     return Promise.reject(error);
   }
@@ -0,0 +1,119 @@
+/**
+ * Live Notification Stream
+ *
+ * Keeps one Server-Sent Events connection to the current org's notification
+ * stream, shared by everything that shows notifications (sidebar badge,
+ * NotificationBell, the Notifications page).
+ *
+ * If the connection drops, the unread count is fetched again through `api`
+ * (which also refreshes an expired access token) before reconnecting.
+ */
+
+import api from './api';
+
+const MIN_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+
+const listeners = new Set();
+let orgId = null;
+let source = null;
+let retryTimer = null;
+let retryDelay = MIN_RETRY_MS;
+let unreadCount = null;
+
+const emit = (method, ...args) => {
+  listeners.forEach(listener => listener[method]?.(...args));
+};
+
+const setUnreadCount = (count) => {
+  unreadCount = count;
+  emit('onUnreadCount', count);
+};
+
+const disconnect = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (source) {
+    source.close();
+    source = null;
+  }
+};
+
+const connect = () => {
+  const token = localStorage.getItem('token');
+  if (!orgId || !token) return;
+
+  source = new EventSource(`/api/notifications/org/${orgId}/stream?token=${encodeURIComponent(token)}`);
+
+  source.addEventListener('open', () => {
+    retryDelay = MIN_RETRY_MS;
+  });
+
+  source.addEventListener('unread_count', (e) => {
+    setUnreadCount(JSON.parse(e.data).count);
+  });
+
+  source.addEventListener('notification', (e) => {
+    const { notification, unreadCount: count } = JSON.parse(e.data);
+    unreadCount = count;
+    emit('onNotification', notification, count);
+    emit('onUnreadCount', count);
+  });
+
+  source.addEventListener('error', () => {
+    // Reconnect ourselves so the token can be refreshed first
+    disconnect();
+    retryTimer = setTimeout(reconnect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+  });
+};
+
+const reconnect = async () => {
+  const streamOrgId = orgId;
+  try {
+    const { data } = await api.get(`/notifications/org/${streamOrgId}/unread-count`);
+    if (streamOrgId === orgId) setUnreadCount(data.count);
+  } catch (error) {
+    console.error('Failed to fetch unread count:', error);
+  }
+  if (streamOrgId === orgId && listeners.size > 0 && !source) {
+    connect();
+  }
+};
+
+/**
+ * Listen to the org's notifications. The connection opens with the first
+ * listener and closes when the last one unsubscribes.
+ * @param {string} id - Organization ID
+ * @param {Object} listener
+ * @param {Function} [listener.onNotification] - Called with (notification, unreadCount) for each new notification
+ * @param {Function} [listener.onUnreadCount] - Called with the unread count whenever it changes
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToNotifications(id, listener) {
+  if (id !== orgId) {
+    disconnect();
+    orgId = id;
+    unreadCount = null;
+    retryDelay = MIN_RETRY_MS;
+  }
+
+  listeners.add(listener);
+  if (unreadCount !== null) {
+    listener.onUnreadCount?.(unreadCount);
+  }
+  if (!source && !retryTimer) {
+    connect();
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+      orgId = null;
+      unreadCount = null;
+    }
+  };
+}
+
+export default subscribeToNotifications;
@@ -0,0 +1,26 @@
+import api from './api';
+
+// Largest page the server hands out (MAX_LIMIT in server/src/middleware/paginate.js)
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Fetch every page of a paginated list endpoint
+ * For pickers and lookups that need the whole list; pages should use usePagedList
+ * @param {string} path - API path, e.g. `/employees/org/${orgId}`
+ * @param {Object} params - Query params such as filters
+ * @returns {Promise<Array>} All items
+ */
+export async function fetchAllPages(path, params = {}) {
+  const items = [];
+  let cursor = null;
+  do {
+    const { data } = await api.get(path, {
+      params: { ...params, limit: MAX_PAGE_SIZE, ...(cursor && { cursor }) }
+    });
+    items.push(...data.data);
+    cursor = data.pagination.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+export default { fetchAllPages };
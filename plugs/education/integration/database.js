@@ -32,6 +32,57 @@ ON CONFLICT (slug) DO UPDATE SET
   is_active = EXCLUDED.is_active;
 `;
 
+/**
+ * SQL to create the tables used by PostgresAdapter
+ * Each collection gets its own table, keyed by organization and record ID
+ */
+export const createTablesSQL = `
+CREATE TABLE IF NOT EXISTS edu_students (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS edu_classrooms (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS edu_assignments (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS edu_submissions (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS edu_announcements (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+`;
+
 /**
  * Route configuration for integration
  */
@@ -44,5 +95,6 @@ export const routeConfig = {
 export default {
   plugMetadata,
   insertPlugSQL,
+  createTablesSQL,
   routeConfig
 };
@@ -6,7 +6,7 @@
  */
 
 // Database configuration and SQL
-export { plugMetadata, insertPlugSQL, routeConfig } from './database.js';
+export { plugMetadata, insertPlugSQL, createTablesSQL, routeConfig } from './database.js';
 
 // Express routes factory
 export { createEducationRoutes } from './routes.js';
@@ -1,5 +1,5 @@
 import express from 'express';
-import { EduSDK } from '../src/index.js';
+import { EduSDK, PostgresAdapter } from '../src/index.js';
 
 /**
  * Creates Express routes for the Education plug
@@ -7,9 +7,10 @@ import { EduSDK } from '../src/index.js';
  * @param {Function} options.authenticate - Authentication middleware
  * @param {Function} options.requireOrg - Org validation middleware
  * @param {Function} options.requireRole - Role check middleware
+ * @param {Object} [options.db] - Database pool; when provided, data is persisted with PostgresAdapter
  * @returns {express.Router} Express router
  */
-export function createEducationRoutes({ authenticate, requireOrg, requireRole }) {
+export function createEducationRoutes({ authenticate, requireOrg, requireRole, db }) {
   const router = express.Router();
 
   // Create a shared storage adapter per organization
@@ -17,7 +18,8 @@ export function createEducationRoutes({ authenticate, requireOrg, requireRole })
 
   function getOrgSDK(orgId) {
     if (!orgAdapters.has(orgId)) {
-      orgAdapters.set(orgId, new EduSDK());
+      const adapter = db ? new PostgresAdapter(db, { orgId }) : undefined;
+      orgAdapters.set(orgId, new EduSDK({ adapter }));
     }
     return orgAdapters.get(orgId);
   }
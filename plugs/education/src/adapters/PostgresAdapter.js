@@ -0,0 +1,125 @@
+import StorageAdapter from './StorageAdapter.js';
+
+/**
+ * Default mapping of SDK collections to database tables
+ */
+const DEFAULT_TABLES = {
+  students: 'edu_students',
+  classrooms: 'edu_classrooms',
+  assignments: 'edu_assignments',
+  submissions: 'edu_submissions',
+  announcements: 'edu_announcements'
+};
+
+/**
+ * PostgresAdapter - PostgreSQL storage adapter
+ * Each collection is stored in its own table as JSONB documents,
+ * scoped by an organization ID so tenants never see each other's data.
+ * Ideal for server-side production deployments
+ *
+ * @example
+ * import pg from 'pg';
+ * import { EduSDK, PostgresAdapter } from 'plugos-plugs-education';
+ *
+ * const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+ * const edu = new EduSDK({
+ *   adapter: new PostgresAdapter(pool, { orgId: 'org-uuid' })
+ * });
+ */
+class PostgresAdapter extends StorageAdapter {
+  /**
+   * @param {Object} db - Any object exposing query(sql, params), e.g. a pg Pool
+   * @param {Object} options - Adapter options
+   * @param {string} options.orgId - Organization ID used to scope all rows
+   * @param {Object} [options.tables] - Override collection to table mapping
+   */
+  constructor(db, options = {}) {
+    super();
+
+    if (!db || typeof db.query !== 'function') {
+      throw new Error('PostgresAdapter requires a database client with a query method');
+    }
+    if (!options.orgId) {
+      throw new Error('PostgresAdapter requires an orgId');
+    }
+
+    this.db = db;
+    this.orgId = options.orgId;
+    this.tables = { ...DEFAULT_TABLES, ...options.tables };
+  }
+
+  /**
+   * Get the table name for a collection
+   * @param {string} collection - Collection name
+   * @returns {string} Table name
+   */
+  _getTable(collection) {
+    const table = this.tables[collection];
+    if (!table) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    if (!/^[a-z_][a-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid table name for collection ${collection}: ${table}`);
+    }
+    return table;
+  }
+
+  async get(collection, id) {
+    const table = this._getTable(collection);
+    const result = await this.db.query(
+      `SELECT data FROM ${table} WHERE org_id = $1 AND id = $2`,
+      [this.orgId, id]
+    );
+    return result.rows[0]?.data || null;
+  }
+
+  async set(collection, id, data) {
+    const table = this._getTable(collection);
+    const item = { ...data, id };
+    const result = await this.db.query(`
+      INSERT INTO ${table} (org_id, id, data)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (org_id, id) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()
+      RETURNING data
+    `, [this.orgId, id, JSON.stringify(item)]);
+    return result.rows[0].data;
+  }
+
+  async delete(collection, id) {
+    const table = this._getTable(collection);
+    const result = await this.db.query(
+      `DELETE FROM ${table} WHERE org_id = $1 AND id = $2`,
+      [this.orgId, id]
+    );
+    return result.rowCount > 0;
+  }
+
+  async list(collection, filters = {}) {
+    const table = this._getTable(collection);
+    // Simple equality filters map directly onto JSONB containment
+    const result = await this.db.query(`
+      SELECT data FROM ${table}
+      WHERE org_id = $1 AND data @> $2::jsonb
+      ORDER BY created_at, id
+    `, [this.orgId, JSON.stringify(filters)]);
+    return result.rows.map(row => row.data);
+  }
+
+  async query(collection, predicate) {
+    const items = await this.list(collection);
+    return items.filter(predicate);
+  }
+
+  async clear(collection) {
+    const table = this._getTable(collection);
+    await this.db.query(`DELETE FROM ${table} WHERE org_id = $1`, [this.orgId]);
+  }
+
+  async clearAll() {
+    for (const collection of Object.keys(this.tables)) {
+      await this.clear(collection);
+    }
+  }
+}
+
+export default PostgresAdapter;
@@ -12,6 +12,7 @@ export { default as EduSDK } from './EduSDK.js';
 export { default as StorageAdapter } from './adapters/StorageAdapter.js';
 export { default as MemoryAdapter } from './adapters/MemoryAdapter.js';
 export { default as LocalStorageAdapter } from './adapters/LocalStorageAdapter.js';
+export { default as PostgresAdapter } from './adapters/PostgresAdapter.js';
 
 // Managers (for advanced usage)
 export { default as StudentManager } from './modules/StudentManager.js';
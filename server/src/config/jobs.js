@@ -0,0 +1,98 @@
+import pool from './db.js';
+import { getQueueStats, listJobs, listSchedules, retryJob } from '../services/jobQueue.js';
+
+const USAGE = `Usage: npm run jobs -- <command>
+
+  status              Count jobs by name and state, and list schedules
+  list <state> [name] List recent jobs in a state (pending, running, completed, dead)
+  dead [name]         List dead jobs with their last error
+  retry <id>          Put a dead job back in the queue`;
+
+async function showStatus() {
+  const stats = await getQueueStats();
+  if (stats.length === 0) {
+    console.log('No jobs');
+  }
+
+  const byName = new Map();
+  for (const { name, status, count } of stats) {
+    byName.set(name, { ...byName.get(name), [status]: count });
+  }
+  for (const [name, counts] of byName) {
+    const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+    console.log(`${counts.dead ? '💀' : '✅'} ${name}  ${summary}`);
+  }
+
+  const schedules = await listSchedules();
+  if (schedules.length > 0) {
+    console.log('\nSchedules:');
+    for (const schedule of schedules) {
+      const zone = schedule.timezone ? ` ${schedule.timezone}` : '';
+      console.log(`⏰ ${schedule.name}  "${schedule.cron}"${zone} -> ${schedule.job_name}  next ${schedule.next_run_at.toISOString()}`);
+    }
+  }
+}
+
+async function showJobs(status, name) {
+  const jobs = await listJobs({ status, name: name || null });
+  if (jobs.length === 0) {
+    console.log(`No ${status} jobs`);
+    return;
+  }
+
+  for (const job of jobs) {
+    console.log(`${job.id}  ${job.name}  attempts ${job.attempts}/${job.max_attempts}  run at ${job.run_at.toISOString()}`);
+    if (status === 'dead' && job.last_error) {
+      console.log(`  ${job.last_error.split('\n')[0]}`);
+    }
+  }
+}
+
+async function runCommand(command, arg, extra) {
+  switch (command) {
+    case 'status':
+      await showStatus();
+      return;
+
+    case 'list':
+      if (!['pending', 'running', 'completed', 'dead'].includes(arg)) {
+        throw new Error('State must be pending, running, completed or dead');
+      }
+      await showJobs(arg, extra);
+      return;
+
+    case 'dead':
+      await showJobs('dead', arg);
+      return;
+
+    case 'retry': {
+      if (!arg) {
+        throw new Error('Job ID is required');
+      }
+      const job = await retryJob(arg);
+      if (!job) {
+        throw new Error(`No dead job with ID ${arg}`);
+      }
+      console.log(`✅ Queued ${job.name} (${job.id}) again`);
+      return;
+    }
+
+    case 'help':
+      console.log(USAGE);
+      return;
+
+    default:
+      console.error(`Unknown command: ${command}\n`);
+      console.log(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+const [command = 'status', arg, extra] = process.argv.slice(2);
+
+runCommand(command, arg, extra)
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,338 +1,79 @@
 import pool from './db.js';
+import { Migrator } from './migrator.js';
 
-const migrations = `
--- Users table
-CREATE TABLE IF NOT EXISTS users (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  email VARCHAR(255) UNIQUE NOT NULL,
-  password_hash VARCHAR(255) NOT NULL,
-  name VARCHAR(255) NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
+const USAGE = `Usage: npm run migrate -- <command>
 
--- Organizations table
-CREATE TABLE IF NOT EXISTS organizations (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  name VARCHAR(255) NOT NULL,
-  slug VARCHAR(255) UNIQUE NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
+  status          List migrations and whether they have been applied
+  up [version]    Apply pending migrations (optionally only up to a version)
+  down [steps]    Roll back the last migration (or the last <steps>)`;
 
--- Departments table (formalized departments for an org)
-CREATE TABLE IF NOT EXISTS departments (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  name VARCHAR(255) NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(org_id, name)
-);
-
--- Organization members (links users to orgs with roles)
-CREATE TABLE IF NOT EXISTS org_members (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
-  role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'manager', 'employee')),
-  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(user_id, org_id)
-);
-
--- Plugs registry (available plugs)
-CREATE TABLE IF NOT EXISTS plugs (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  name VARCHAR(255) NOT NULL,
-  slug VARCHAR(255) UNIQUE NOT NULL,
-  description TEXT,
-  icon VARCHAR(50),
-  is_active BOOLEAN DEFAULT true,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Organization plugs (which plugs are enabled for which org)
-CREATE TABLE IF NOT EXISTS org_plugs (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  plug_id UUID REFERENCES plugs(id) ON DELETE CASCADE,
-  settings JSONB DEFAULT '{}',
-  enabled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(org_id, plug_id)
-);
-
--- Department plug access (which departments can see which plugs)
-CREATE TABLE IF NOT EXISTS department_plugs (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
-  plug_id UUID REFERENCES plugs(id) ON DELETE CASCADE,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(department_id, plug_id)
-);
-
--- Employee invites (pre-registration list)
-CREATE TABLE IF NOT EXISTS employee_invites (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  email VARCHAR(255) NOT NULL,
-  department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
-  role VARCHAR(50) NOT NULL DEFAULT 'employee' CHECK (role IN ('admin', 'manager', 'employee')),
-  invited_by UUID REFERENCES users(id),
-  registered_at TIMESTAMP,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(org_id, email)
-);
-
--- Employees table (for Employee Directory plug)
-CREATE TABLE IF NOT EXISTS employees (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  name VARCHAR(255) NOT NULL,
-  email VARCHAR(255),
-  phone VARCHAR(50),
-  department VARCHAR(255),
-  position VARCHAR(255),
-  avatar_url TEXT,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Insert default plugs
-INSERT INTO plugs (name, slug, description, icon) VALUES 
-  ('Employee Directory', 'employee-directory', 'Manage your organization''s employee information', 'mdi:account-group')
-ON CONFLICT (slug) DO NOTHING;
-
--- Document folders table (for Document Manager plug)
-CREATE TABLE IF NOT EXISTS document_folders (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  name VARCHAR(255) NOT NULL,
-  parent_id UUID REFERENCES document_folders(id) ON DELETE CASCADE,
-  created_by UUID REFERENCES users(id),
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Documents table (for Document Manager plug)
-CREATE TABLE IF NOT EXISTS documents (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  folder_id UUID REFERENCES document_folders(id) ON DELETE SET NULL,
-  name VARCHAR(255) NOT NULL,
-  file_type VARCHAR(100),
-  file_size INTEGER,
-  uploaded_by UUID REFERENCES users(id),
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Document content table (separated for performance)
-CREATE TABLE IF NOT EXISTS document_content (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  document_id UUID UNIQUE REFERENCES documents(id) ON DELETE CASCADE,
-  content TEXT NOT NULL
-);
-
--- Insert Document Manager plug
-INSERT INTO plugs (name, slug, description, icon) VALUES 
-  ('Document Manager', 'document-manager', 'Upload, organize, and share documents with your team', 'mdi:file-document-multiple')
-ON CONFLICT (slug) DO NOTHING;
-
--- Folder permissions table (for Document Manager plug)
-CREATE TABLE IF NOT EXISTS folder_permissions (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  folder_id UUID NOT NULL REFERENCES document_folders(id) ON DELETE CASCADE,
-  department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
-  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  -- Either department_id OR user_id should be set, not both
-  CONSTRAINT check_permission_target CHECK (
-    (department_id IS NOT NULL AND user_id IS NULL) OR 
-    (department_id IS NULL AND user_id IS NOT NULL)
-  )
-);
-
--- Migration: Add department_id to org_members if it doesn't exist
-DO $$ 
-BEGIN
-  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
-                 WHERE table_name = 'org_members' AND column_name = 'department_id') THEN
-    ALTER TABLE org_members ADD COLUMN department_id UUID REFERENCES departments(id) ON DELETE SET NULL;
-  END IF;
-END $$;
-
--- Notifications table
-CREATE TABLE IF NOT EXISTS notifications (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
-  type VARCHAR(50) NOT NULL,
-  title VARCHAR(255) NOT NULL,
-  message TEXT,
-  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
-  link VARCHAR(255),
-  data JSONB DEFAULT '{}',
-  read_at TIMESTAMP,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
-CREATE INDEX IF NOT EXISTS idx_notifications_user_org ON notifications(user_id, org_id);
-CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id, org_id, read_at) WHERE read_at IS NULL;
-
--- Insert Education Manager plug
-INSERT INTO plugs (name, slug, description, icon) VALUES 
-  ('Education Manager', 'education-manager', 'Manage classrooms, students, assignments, and announcements like Google Classroom', 'mdi:school')
-ON CONFLICT (slug) DO NOTHING;
-
--- Plug categories table (for organizing plugs in sidebar)
-CREATE TABLE IF NOT EXISTS plug_categories (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  name VARCHAR(100) NOT NULL,
-  icon VARCHAR(50) DEFAULT 'mdi:folder',
-  color VARCHAR(7) DEFAULT '#6366f1',
-  sort_order INTEGER DEFAULT 0,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(org_id, name)
-);
-
--- Add category_id to org_plugs if it doesn't exist
-DO $$ 
-BEGIN
-  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
-                 WHERE table_name = 'org_plugs' AND column_name = 'category_id') THEN
-    ALTER TABLE org_plugs ADD COLUMN category_id UUID REFERENCES plug_categories(id) ON DELETE SET NULL;
-  END IF;
-END $$;
-
--- Tasks table
-CREATE TABLE IF NOT EXISTS tasks (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  title VARCHAR(255) NOT NULL,
-  description TEXT,
-  status VARCHAR(50) DEFAULT 'To Do',
-  priority VARCHAR(50) DEFAULT 'Medium',
-  due_date TIMESTAMP,
-  assignee_id UUID REFERENCES employees(id) ON DELETE SET NULL,
-  created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Task comments table
-CREATE TABLE IF NOT EXISTS task_comments (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
-  employee_id UUID REFERENCES employees(id) ON DELETE CASCADE,
-  content TEXT NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Task assignees junction table (supports multiple assignees per task)
-CREATE TABLE IF NOT EXISTS task_assignees (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
-  employee_id UUID REFERENCES employees(id) ON DELETE CASCADE,
-  department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  CONSTRAINT chk_assignee CHECK (
-    (employee_id IS NOT NULL AND department_id IS NULL) OR
-    (employee_id IS NULL AND department_id IS NOT NULL)
-  )
-);
-
-CREATE INDEX IF NOT EXISTS idx_task_assignees_task ON task_assignees(task_id);
-CREATE INDEX IF NOT EXISTS idx_task_assignees_employee ON task_assignees(employee_id);
-CREATE INDEX IF NOT EXISTS idx_task_assignees_department ON task_assignees(department_id);
-
--- Insert Task Manager plug
-INSERT INTO plugs (name, slug, description, icon) VALUES 
-  ('Task Manager', 'task-manager', 'Assign and track tasks within your organization', 'mdi:clipboard-check-outline')
-ON CONFLICT (slug) DO NOTHING;
-
--- Workflows table (for Workflow Builder plug)
-CREATE TABLE IF NOT EXISTS workflows (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
-  name VARCHAR(255) NOT NULL,
-  description TEXT,
-  nodes JSONB DEFAULT '[]',
-  edges JSONB DEFAULT '[]',
-  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
-CREATE INDEX IF NOT EXISTS idx_workflows_org ON workflows(org_id);
-
--- Migration: Add nodes and edges columns to workflows if they don't exist
-DO $$ 
-BEGIN
-  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
-                 WHERE table_name = 'workflows' AND column_name = 'nodes') THEN
-    ALTER TABLE workflows ADD COLUMN nodes JSONB DEFAULT '[]';
-  END IF;
-  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
-                 WHERE table_name = 'workflows' AND column_name = 'edges') THEN
-    ALTER TABLE workflows ADD COLUMN edges JSONB DEFAULT '[]';
-  END IF;
-END $$;
-
--- Insert Workflow Builder plug
-INSERT INTO plugs (name, slug, description, icon) VALUES 
-  ('Workflow Builder', 'workflow-builder', 'Build visual task workflows for your organization', 'mdi:sitemap')
-ON CONFLICT (slug) DO NOTHING;
-
--- Expense Categories table (for Expense Manager plug)
-CREATE TABLE IF NOT EXISTS expense_categories (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
-  name VARCHAR(100) NOT NULL,
-  icon VARCHAR(50) DEFAULT 'mdi:tag',
-  created_at TIMESTAMPTZ DEFAULT NOW(),
-  UNIQUE(org_id, name)
-);
-
-CREATE INDEX IF NOT EXISTS idx_expense_categories_org ON expense_categories(org_id);
+async function showStatus(migrator) {
+  const rows = await migrator.status();
+  if (rows.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
 
--- Expenses table (for Expense Manager plug)
-CREATE TABLE IF NOT EXISTS expenses (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
-  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  category_id UUID REFERENCES expense_categories(id) ON DELETE SET NULL,
-  title VARCHAR(255) NOT NULL,
-  description TEXT,
-  amount DECIMAL(12,2) NOT NULL,
-  currency VARCHAR(10) DEFAULT 'MYR',
-  expense_date DATE NOT NULL,
-  receipt_data TEXT,
-  status VARCHAR(20) DEFAULT 'pending',
-  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
-  reviewed_at TIMESTAMPTZ,
-  review_notes TEXT,
-  created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
-);
+  for (const row of rows) {
+    const state = row.missing ? 'missing file'
+      : row.applied ? `applied ${row.appliedAt.toISOString()}`
+      : 'pending';
+    const notes = [
+      row.modified && 'changed since applied',
+      !row.reversible && !row.missing && 'no down script'
+    ].filter(Boolean);
 
-CREATE INDEX IF NOT EXISTS idx_expenses_org ON expenses(org_id);
-CREATE INDEX IF NOT EXISTS idx_expenses_user ON expenses(org_id, user_id);
-CREATE INDEX IF NOT EXISTS idx_expenses_status ON expenses(org_id, status);
-CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date);
+    console.log(`${row.applied ? '✅' : '⏳'} ${row.version}_${row.name}  ${state}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+  }
 
--- Insert Expense Manager plug
-INSERT INTO plugs (name, slug, description, icon) VALUES
-  ('Expense Manager', 'expense-manager', 'Submit and manage expense claims with approval workflows', 'mdi:receipt-text')
-ON CONFLICT (slug) DO NOTHING;
-`;
+  const pending = rows.filter(row => !row.applied).length;
+  console.log(`\n${pending} pending migration${pending === 1 ? '' : 's'}`);
+}
 
-async function runMigrations() {
-  try {
-    console.log('🔄 Running database migrations...');
-    await pool.query(migrations);
-    console.log('✅ Migrations completed successfully!');
-    process.exit(0);
-  } catch (error) {
-    console.error('❌ Migration failed:', error);
-    process.exit(1);
+async function runCommand(command, arg) {
+  const migrator = new Migrator({ db: pool });
+
+  switch (command) {
+    case 'status':
+      await showStatus(migrator);
+      return;
+
+    case 'up': {
+      console.log('🔄 Running database migrations...');
+      const applied = await migrator.up({ to: arg || null });
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration${applied.length === 1 ? '' : 's'}`
+        : '✅ Database is up to date');
+      return;
+    }
+
+    case 'down': {
+      const steps = arg ? parseInt(arg) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive number');
+      }
+      console.log(`🔄 Rolling back ${steps} migration${steps === 1 ? '' : 's'}...`);
+      const rolledBack = await migrator.down({ steps });
+      console.log(`✅ Rolled back ${rolledBack.length > 0 ? rolledBack.join(', ') : 'nothing'}`);
+      return;
+    }
+
+    case 'help':
+      console.log(USAGE);
+      return;
+
+    default:
+      console.error(`Unknown command: ${command}\n`);
+      console.log(USAGE);
+      process.exitCode = 1;
   }
 }
 
-runMigrations();
+const [command = 'up', arg] = process.argv.slice(2);
+
+runCommand(command, arg)
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
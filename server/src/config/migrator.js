@@ -0,0 +1,259 @@
+/**
+ * Migration Runner
+ *
+ * Applies numbered SQL migrations in order and records each one in the
+ * schema_migrations table. Core migrations live in server/src/migrations;
+ * plugins run their own migrations folder through the same runner
+ * (PluginContext.runMigrations), tracked under a `plugin:<id>` scope.
+ *
+ * Files are named `<version>_<name>.up.sql`, with an optional matching
+ * `<version>_<name>.down.sql` to roll it back. A plain `<version>_<name>.sql`
+ * is an up-only migration. Each migration runs in its own transaction, and
+ * an advisory lock stops two runners (e.g. two servers starting) overlapping.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const CORE_SCOPE = 'core';
+export const CORE_MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+const FILE_PATTERN = /^(\d+)_([\w-]+?)(?:\.(up|down))?\.sql$/;
+const LOCK_NAME = 'plugos_schema_migrations';
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Tracking scope for a plugin's migrations
+ * @param {string} pluginId - Plugin ID
+ */
+export const pluginScope = (pluginId) => `plugin:${pluginId}`;
+
+/**
+ * Read the migrations in a folder, oldest first
+ * @param {string} dir - Migrations folder
+ * @returns {Array<{version: string, name: string, up: string, down: string|null}>}
+ */
+export function readMigrations(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction = 'up'] = match;
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migrations ${version}_${migration.name} and ${version}_${name} share a version number`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()];
+  const missingUp = migrations.find(migration => migration.up === null);
+  if (missingUp) {
+    throw new Error(`Migration ${missingUp.version}_${missingUp.name} has a down script but no up script`);
+  }
+
+  return migrations.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+export class Migrator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Database pool
+   * @param {string} [options.scope] - Tracking scope (`core`, or `plugin:<id>`)
+   * @param {string} [options.dir] - Migrations folder
+   * @param {Object} [options.logger] - Logger with an info method (defaults to console)
+   */
+  constructor({ db, scope = CORE_SCOPE, dir = CORE_MIGRATIONS_DIR, logger = console }) {
+    this.db = db;
+    this.scope = scope;
+    this.dir = dir;
+    this.logger = logger;
+  }
+
+  /**
+   * Create the tracking table if needed
+   */
+  async ensureTable(client = this.db) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        scope VARCHAR(100) NOT NULL,
+        version VARCHAR(50) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64),
+        applied_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (scope, version)
+      )
+    `);
+  }
+
+  /**
+   * Applied migrations for this scope, keyed by version
+   * @private
+   */
+  async _getApplied(client) {
+    const result = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations WHERE scope = $1',
+      [this.scope]
+    );
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Every known migration and whether it has been applied. `modified` means
+   * the up script changed after it was applied; `missing` means it was
+   * applied but its file is gone.
+   * @returns {Promise<Array<{version, name, applied, appliedAt, reversible, modified, missing}>>}
+   */
+  async status() {
+    await this.ensureTable();
+    const migrations = readMigrations(this.dir);
+    const applied = await this._getApplied(this.db);
+
+    const rows = migrations.map(migration => {
+      const record = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: !!record,
+        appliedAt: record?.applied_at || null,
+        reversible: migration.down !== null,
+        modified: !!record?.checksum && record.checksum !== checksum(migration.up),
+        missing: false
+      };
+    });
+
+    for (const record of applied.values()) {
+      if (!migrations.some(migration => migration.version === record.version)) {
+        rows.push({
+          version: record.version,
+          name: record.name,
+          applied: true,
+          appliedAt: record.applied_at,
+          reversible: false,
+          modified: false,
+          missing: true
+        });
+      }
+    }
+
+    return rows.sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} [options]
+   * @param {string} [options.to] - Stop after this version
+   * @returns {Promise<string[]>} Migrations applied
+   */
+  async up({ to = null } = {}) {
+    return this._withLock(async (client) => {
+      const applied = await this._getApplied(client);
+      const pending = readMigrations(this.dir).filter(migration =>
+        !applied.has(migration.version) && (to === null || Number(migration.version) <= Number(to))
+      );
+
+      const done = [];
+      for (const migration of pending) {
+        const label = `${migration.version}_${migration.name}`;
+        this.logger.info(`Applying migration ${label}`);
+        await this._runInTransaction(client, label, async () => {
+          await client.query(migration.up);
+          await client.query(
+            'INSERT INTO schema_migrations (scope, version, name, checksum) VALUES ($1, $2, $3, $4)',
+            [this.scope, migration.version, migration.name, checksum(migration.up)]
+          );
+        });
+        done.push(label);
+      }
+      return done;
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {Object} [options]
+   * @param {number} [options.steps] - How many to roll back (default 1)
+   * @returns {Promise<string[]>} Migrations rolled back
+   */
+  async down({ steps = 1 } = {}) {
+    return this._withLock(async (client) => {
+      const applied = await this._getApplied(client);
+      const migrations = readMigrations(this.dir);
+      const targets = [...applied.values()]
+        .sort((a, b) => Number(b.version) - Number(a.version))
+        .slice(0, steps);
+
+      const done = [];
+      for (const record of targets) {
+        const label = `${record.version}_${record.name}`;
+        const migration = migrations.find(m => m.version === record.version);
+        if (!migration?.down) {
+          throw new Error(`Migration ${label} can't be rolled back (no down script)`);
+        }
+
+        this.logger.info(`Rolling back migration ${label}`);
+        await this._runInTransaction(client, label, async () => {
+          await client.query(migration.down);
+          await client.query(
+            'DELETE FROM schema_migrations WHERE scope = $1 AND version = $2',
+            [this.scope, record.version]
+          );
+        });
+        done.push(label);
+      }
+      return done;
+    });
+  }
+
+  /**
+   * Forget every migration recorded for this scope without running down
+   * scripts (used when a plugin is uninstalled and removes its own data)
+   */
+  async forget() {
+    await this.ensureTable();
+    await this.db.query('DELETE FROM schema_migrations WHERE scope = $1', [this.scope]);
+  }
+
+  /**
+   * Run fn with a dedicated client holding the migrations lock
+   * @private
+   */
+  async _withLock(fn) {
+    const client = await this.db.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_NAME]);
+      try {
+        await this.ensureTable(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_NAME]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run one migration step in a transaction, rolling it back on failure
+   * @private
+   */
+  async _runInTransaction(client, label, fn) {
+    try {
+      await client.query('BEGIN');
+      await fn();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${label} failed: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+export default Migrator;
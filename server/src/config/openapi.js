@@ -0,0 +1,96 @@
+import fs from 'fs';
+import pool from './db.js';
+import { coreRoutes } from '../routes/index.js';
+import { createPluginAdminRoutes } from '../routes/pluginAdmin.js';
+import { buildOpenApiSpec } from '../services/openapi.js';
+
+const SPEC_FILE = new URL('../../../docs/openapi.json', import.meta.url);
+
+const USAGE = `Usage: npm run openapi -- <command>
+
+  write   Write the spec of the built-in routes to docs/openapi.json
+  check   Fail if docs/openapi.json doesn't match the routes`;
+
+// The same routers the server mounts before plugins load. The plugin admin
+// routes are only described here, never called, so they need no manager.
+const buildSpec = () => buildOpenApiSpec([
+  ...coreRoutes,
+  ['/api/admin/plugins', createPluginAdminRoutes(null)]
+]);
+
+// "METHOD /path" -> operation JSON
+const operations = (spec) => {
+  const result = new Map();
+  for (const [path, methods] of Object.entries(spec.paths || {})) {
+    for (const [method, operation] of Object.entries(methods)) {
+      result.set(`${method.toUpperCase()} ${path}`, JSON.stringify(operation));
+    }
+  }
+  return result;
+};
+
+function checkSpec() {
+  if (!fs.existsSync(SPEC_FILE)) {
+    console.error('❌ docs/openapi.json is missing; run `npm run openapi -- write`');
+    process.exitCode = 1;
+    return;
+  }
+
+  const committed = JSON.parse(fs.readFileSync(SPEC_FILE, 'utf8'));
+  const current = buildSpec();
+  if (JSON.stringify(committed) === JSON.stringify(current)) {
+    console.log('✅ docs/openapi.json is up to date');
+    return;
+  }
+
+  const before = operations(committed);
+  const after = operations(current);
+  for (const [key, operation] of after) {
+    if (!before.has(key)) console.log(`+ ${key}`);
+    else if (before.get(key) !== operation) console.log(`~ ${key}`);
+  }
+  for (const key of before.keys()) {
+    if (!after.has(key)) console.log(`- ${key}`);
+  }
+  if (JSON.stringify({ ...committed, paths: null }) !== JSON.stringify({ ...current, paths: null })) {
+    console.log('~ info or components');
+  }
+
+  console.error('\n❌ docs/openapi.json is out of date; run `npm run openapi -- write`');
+  process.exitCode = 1;
+}
+
+function runCommand(command) {
+  switch (command) {
+    case 'write': {
+      const spec = buildSpec();
+      fs.writeFileSync(SPEC_FILE, `${JSON.stringify(spec, null, 2)}\n`);
+      console.log(`✅ Wrote ${Object.keys(spec.paths).length} paths to docs/openapi.json`);
+      return;
+    }
+
+    case 'check':
+      checkSpec();
+      return;
+
+    case 'help':
+      console.log(USAGE);
+      return;
+
+    default:
+      console.error(`Unknown command: ${command}\n`);
+      console.log(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+const [command = 'check'] = process.argv.slice(2);
+
+try {
+  runCommand(command);
+} catch (error) {
+  console.error('❌ OpenAPI spec failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  pool.end();
+}
@@ -9,25 +9,22 @@ dotenv.config();
 import pool from './config/db.js';
 
 // Import routes
-import authRoutes from './routes/auth.js';
-import organizationRoutes from './routes/organizations.js';
-import plugRoutes from './routes/plugs.js';
-import employeeRoutes from './routes/employees.js';
-import departmentRoutes from './routes/departments.js';
-import inviteRoutes from './routes/invites.js';
-import attendanceRoutes from './routes/attendance.js';
-import payrollRoutes from './routes/payroll.js';
-import documentRoutes from './routes/documents.js';
-import notificationRoutes from './routes/notifications.js';
-import educationRoutes from './routes/education.js';
-import categoryRoutes from './routes/categories.js';
-import taskRoutes from './routes/tasks.js';
-import workflowRoutes from './routes/workflows.js';
-import expenseRoutes from './routes/expenses.js';
+import { coreRoutes } from './routes/index.js';
+import { handleBodyErrors } from './middleware/validate.js';
 
 // Import Plugin SDK
-import { PluginManager } from './sdk/index.js';
+import { PluginManager, PostgresTransport } from './sdk/index.js';
 import { createPluginAdminRoutes } from './routes/pluginAdmin.js';
+import { createOpenApiRoutes } from './routes/openapi.js';
+
+// Import services
+import { registerWorkflowTriggers } from './services/workflowTriggers.js';
+import { registerNotificationJobs } from './services/notifications.js';
+import { shareStreams } from './services/notificationStream.js';
+import { registerPasswordResetJobs } from './services/passwordReset.js';
+import { startJobWorker } from './services/jobQueue.js';
+import { registerWebhookJobs, startWebhookDispatcher } from './services/webhooks.js';
+import { auditRequests } from './services/audit.js';
 
 // Import Education SDK
 import { EduSDK } from 'plugos-plugs-education';
@@ -37,7 +34,11 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' })); // Increased for base64 file uploads
+// Increased for base64 file uploads. Archive imports are parsed by the tenant
+// router once the caller is signed in, with their own limit.
+const parseJson = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path.startsWith('/api/tenant/import') ? next() : parseJson(req, res, next)));
+app.use('/api', auditRequests); // Audit log of every non-GET request in an org
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -45,41 +46,63 @@ app.get('/api/health', (req, res) => {
 });
 
 // Built-in routes
-app.use('/api/auth', authRoutes);
-app.use('/api/organizations', organizationRoutes);
-app.use('/api/plugs', plugRoutes);
-app.use('/api/employees', employeeRoutes);
-app.use('/api/departments', departmentRoutes);
-app.use('/api/invites', inviteRoutes);
-app.use('/api/attendance', attendanceRoutes);
-app.use('/api/payroll', payrollRoutes);
-app.use('/api/documents', documentRoutes);
-app.use('/api/notifications', notificationRoutes);
-app.use('/api/education', educationRoutes);
-app.use('/api/categories', categoryRoutes);
-app.use('/api/tasks', taskRoutes);
-app.use('/api/workflows', workflowRoutes);
-app.use('/api/expenses', expenseRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
+for (const [prefix, router] of coreRoutes) {
+  app.use(prefix, router);
+}
 
 // Initialize Plugin System and start server
 async function startServer() {
   try {
     // Initialize Plugin Manager
     const pluginManager = new PluginManager(app, pool);
+
+    // Share events with the other server processes
+    if (process.env.EVENT_BUS_TRANSPORT === 'postgres') {
+      await pluginManager.getEventBus().useTransport(new PostgresTransport({ db: pool }));
+      // Live notifications reach the user on whichever process holds their stream
+      await shareStreams(new PostgresTransport({ db: pool, channel: 'plugos_notifications' }));
+    }
+
     await pluginManager.initialize();
 
     // Mount plugin admin routes
-    app.use('/api/admin/plugins', createPluginAdminRoutes(pluginManager));
+    const pluginAdminRoutes = createPluginAdminRoutes(pluginManager);
+    app.use('/api/admin/plugins', pluginAdminRoutes);
+
+    // API spec at /api/openapi.json and docs at /api/docs
+    app.use('/api', createOpenApiRoutes(() => [
+      ...coreRoutes,
+      ['/api/admin/plugins', pluginAdminRoutes],
+      ...pluginManager.getRouters()
+    ]));
 
     // Store plugin manager on app for access in other routes if needed
     app.set('pluginManager', pluginManager);
 
+    // Start workflows from domain events
+    registerWorkflowTriggers(pluginManager.getEventBus());
+
+    // Send events to the orgs' webhooks; deliveries and retries run as jobs
+    startWebhookDispatcher(pluginManager.getEventBus());
+    await registerWebhookJobs();
+
+    // Notification delivery, emails and the daily digest run as jobs
+    await registerNotificationJobs();
+
+    // Password reset emails are sent by a job, so the request answers in the same time either way
+    registerPasswordResetJobs();
+
+    // Error handling middleware, after every route mounted at startup (plugin
+    // routes activated later catch their own errors)
+    app.use(handleBodyErrors);
+    app.use((err, req, res, next) => {
+      console.error(err.stack);
+      res.status(500).json({ error: 'Something went wrong!' });
+    });
+
+    // Run queued jobs (core and plugin) in this process
+    startJobWorker();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`🚀 PlugOS server running on http://localhost:${PORT}`);
@@ -1,7 +1,10 @@
 import jwt from 'jsonwebtoken';
 import pool from '../config/db.js';
+import { resolvePermissions, hasPermission, holdsSensitivePermission } from '../services/permissions.js';
+import { isApiToken, authenticateApiToken, restrictToScopes } from '../services/apiTokens.js';
+import { checkPlugAccess } from '../services/plugAccess.js';
 
-// Verify JWT token
+// Verify JWT token (or a personal access token / org API key)
 export const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -11,25 +14,90 @@ export const authenticate = async (req, res, next) => {
     }
     
     const token = authHeader.split(' ')[1];
+    
+    if (isApiToken(token)) {
+      const auth = await authenticateApiToken(token, req);
+      if (!auth) {
+        return res.status(401).json({ error: 'Invalid or expired API token' });
+      }
+      req.user = auth.user;
+      req.apiToken = auth.apiToken;
+      return next();
+    }
+    
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Access tokens are bound to a session so they stop working once it is revoked
+    if (!decoded.sessionId) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    
     // Get user from database
-    const result = await pool.query(
-      'SELECT id, email, name FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const result = await pool.query(`
+      SELECT u.id, u.email, u.name
+      FROM users u
+      JOIN user_sessions s ON s.user_id = u.id
+      WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+    `, [decoded.userId, decoded.sessionId]);
     
     if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found' });
+      return res.status(401).json({ error: 'Session expired' });
     }
     
+    // Track activity for the sessions list (at most once a minute)
+    await pool.query(`
+      UPDATE user_sessions SET last_seen_at = NOW()
+      WHERE id = $1 AND last_seen_at < NOW() - INTERVAL '1 minute'
+    `, [decoded.sessionId]);
+    
     req.user = result.rows[0];
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
 };
 
+// Admit the user to an org: check membership, the org's API key and 2FA
+// rules, then set req.orgId, req.orgRole and req.permissions (limited to the
+// API token's scopes). Shared by requireOrg and routes that find the org
+// from a record. Returns the error to answer with, or null if admitted.
+export const admitToOrg = async (req, orgId) => {
+  // Org API keys only work in their own org
+  if (req.apiToken?.orgId && req.apiToken.orgId !== orgId) {
+    return { status: 403, error: 'This API key belongs to another organization' };
+  }
+  
+  const result = await pool.query(`
+    SELECT om.role, r.permissions, o.require_2fa, u.totp_enabled
+    FROM org_members om
+    JOIN organizations o ON om.org_id = o.id
+    JOIN users u ON om.user_id = u.id
+    LEFT JOIN org_roles r ON r.org_id = om.org_id AND r.slug = om.role
+    WHERE om.user_id = $1 AND om.org_id = $2
+  `, [req.user.id, orgId]);
+  
+  if (result.rows.length === 0) {
+    return { status: 403, error: 'Not a member of this organization' };
+  }
+  
+  // Orgs can require two-factor authentication for roles with sensitive permissions
+  const { role, require_2fa, totp_enabled } = result.rows[0];
+  const permissions = resolvePermissions(role, result.rows[0].permissions);
+  if (require_2fa && !totp_enabled && holdsSensitivePermission(permissions)) {
+    return {
+      status: 403,
+      error: 'This organization requires two-factor authentication for your role',
+      code: 'TWO_FACTOR_REQUIRED'
+    };
+  }
+  
+  req.orgId = orgId;
+  req.orgRole = role;
+  req.permissions = req.apiToken ? restrictToScopes(permissions, req.apiToken.scopes) : permissions;
+  return null;
+};
+
 // Check if user belongs to organization
 export const requireOrg = async (req, res, next) => {
   try {
@@ -39,29 +107,77 @@ export const requireOrg = async (req, res, next) => {
       return res.status(400).json({ error: 'Organization ID required' });
     }
     
-    const result = await pool.query(
-      'SELECT role FROM org_members WHERE user_id = $1 AND org_id = $2',
-      [req.user.id, orgId]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'Not a member of this organization' });
+    const denied = await admitToOrg(req, orgId);
+    if (denied) {
+      const { status, ...body } = denied;
+      return res.status(status).json(body);
     }
-    
-    req.orgId = orgId;
-    req.orgRole = result.rows[0].role;
     next();
   } catch (error) {
     return res.status(500).json({ error: 'Organization check failed' });
   }
 };
 
-// Role-based access control
+// Permission-based access control (requires every listed permission)
+export const requirePermission = (...permissionKeys) => {
+  const middleware = (req, res, next) => {
+    if (!req.permissions || !permissionKeys.every(key => hasPermission(req.permissions, key))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+  middleware.permissions = permissionKeys; // Listed in the OpenAPI spec
+  return middleware;
+};
+
+// Permission-based access control (requires at least one listed permission)
+export const requireAnyPermission = (...permissionKeys) => {
+  const middleware = (req, res, next) => {
+    if (!req.permissions || !permissionKeys.some(key => hasPermission(req.permissions, key))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+  middleware.anyPermissions = permissionKeys;
+  return middleware;
+};
+
+// Plug access: the plug must be enabled for the org and available to the
+// member's department (use after requireOrg). Listing several plugs lets in
+// members of any of them, e.g. the employee list used by Task Manager.
+export const requirePlug = (...plugSlugs) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const denied = await checkPlugAccess(req, req.orgId, plugSlugs);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+      next();
+    } catch (error) {
+      console.error('Plug access check error:', error);
+      res.status(500).json({ error: 'Failed to check plug status' });
+    }
+  };
+  middleware.plugs = plugSlugs;
+  return middleware;
+};
+
+// Account routes (password, 2FA, sessions, tokens) need a signed-in user, not an API token
+export const rejectApiTokens = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'Not available with an API token' });
+  }
+  next();
+};
+
+// Role-based access control (prefer requirePermission)
 export const requireRole = (...allowedRoles) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!allowedRoles.includes(req.orgRole)) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
     next();
   };
+  middleware.roles = allowedRoles;
+  return middleware;
 };
@@ -0,0 +1,199 @@
+import pool from '../config/db.js';
+import { compileSchema, sendValidationError } from './validate.js';
+
+// Cursor pagination for list routes.
+//
+// A route names the columns it can be sorted by and reads one page at a time:
+//
+//   const SORTS = { name: 'lower(e.name)', created_at: 'e.created_at' };
+//
+//   router.get('/org/:orgId', authenticate, requireOrg, paginate(SORTS, { sort: 'name', order: 'asc' }),
+//     async (req, res) => {
+//       res.json(await queryPage(req.page, { select: 'e.*', from: 'employees e', where: 'e.org_id = $1', params: [req.orgId] }));
+//     });
+//
+// Clients pass `?limit=&sort=&order=` and then `?cursor=<nextCursor>` for each
+// following page. Responses look like:
+//
+//   { "data": [...], "pagination": { "limit": 50, "sort": "name", "order": "asc",
+//     "total": 130, "hasMore": true, "nextCursor": "..." } }
+//
+// Pages are keyset based (rows after the last one seen, by sort value then
+// id), so rows added while a client scrolls don't shift or repeat the list.
+// Sort expressions must not be NULL; wrap nullable columns in COALESCE.
+// List routes answer a bad cursor with `if (sendCursorError(res, error)) return;`
+// at the top of their catch block.
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+// error.code queryPage throws for a cursor whose sort value doesn't fit the column
+export const INVALID_CURSOR = 'INVALID_CURSOR';
+// Postgres errors for a value it can't read as a number, date or timestamp
+const CURSOR_VALUE_ERRORS = ['22P02', '22007', '22008', '22003'];
+
+const isCursor = compileSchema({
+  type: 'array',
+  items: [{ type: 'string' }, { type: 'string' }, { type: 'string', format: 'uuid' }],
+  minItems: 3,
+  maxItems: 3
+});
+
+/**
+ * Encode the position after a row
+ * @param {string} sort - Sort key the page was read with
+ * @param {string} value - The row's sort value, as text
+ * @param {string} id - The row's ID
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor
+ * @returns {{sort: string, value: string, id: string}|null} Null if it isn't a valid cursor
+ */
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!isCursor(decoded)) {
+      return null;
+    }
+    const [sort, value, id] = decoded;
+    return { sort, value, id };
+  } catch {
+    return null;
+  }
+}
+
+// Read `limit`, `sort`, `order` and `cursor` from the query string into req.page
+export const paginate = (sorts, defaults = {}) => {
+  const sortKeys = Object.keys(sorts);
+  const defaultSort = defaults.sort || sortKeys[0];
+  const defaultOrder = defaults.order || 'desc';
+
+  const middleware = (req, res, next) => {
+    const { limit, sort = defaultSort, order = defaultOrder, cursor } = req.query;
+    const details = [];
+    const problem = (field, message) => details.push({ in: 'query', field, message: `${field} ${message}` });
+
+    const size = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_LIMIT) {
+      problem('limit', `must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+    if (!sortKeys.includes(sort)) {
+      problem('sort', `must be one of: ${sortKeys.join(', ')}`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      problem('order', 'must be one of: asc, desc');
+    }
+
+    let after = null;
+    if (cursor !== undefined) {
+      after = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+      if (!after) {
+        problem('cursor', "isn't a valid cursor");
+      } else if (after.sort !== sort) {
+        // Cursors point into one ordering; reusing one with another sort would skip rows
+        problem('cursor', `was made for sort=${after.sort}; start again without a cursor`);
+      }
+    }
+
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    req.page = { limit: size, sort, order, column: sorts[sort], after };
+    next();
+  };
+  middleware.pagination = { sorts: sortKeys, sort: defaultSort, order: defaultOrder };
+  return middleware;
+};
+
+/**
+ * Answer a 400 if a list route failed because of its cursor. A cursor is
+ * only checked for shape when decoded, so a tampered or stale sort value
+ * first fails in Postgres.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by queryPage
+ * @returns {boolean} Whether the error was the cursor's (and was answered)
+ */
+export function sendCursorError(res, error) {
+  if (error.code !== INVALID_CURSOR) return false;
+  sendValidationError(res, [{ in: 'query', field: 'cursor', message: "cursor isn't a valid cursor" }]);
+  return true;
+}
+
+/**
+ * Read one page of a list and count every matching row
+ * @param {Object} page - req.page, set by paginate()
+ * @param {Object} query
+ * @param {string} query.select - Columns to return, e.g. 'e.*, u.name as user_name'
+ * @param {string} query.from - Table and joins, e.g. 'expenses e JOIN users u ON e.user_id = u.id'
+ * @param {string} query.where - Conditions, using $1..$n from params
+ * @param {Array} query.params - Values for the conditions
+ * @param {string} [query.id] - Unique column that orders rows with the same sort value
+ * @returns {Promise<{data: Array, pagination: Object}>}
+ * @throws {Error} With code INVALID_CURSOR if the cursor's value doesn't fit the sort column
+ */
+export async function queryPage(page, { select, from, where, params, id = 'id' }) {
+  const direction = page.order === 'asc' ? 'ASC' : 'DESC';
+  const pageParams = [...params];
+  let conditions = where;
+
+  if (page.after) {
+    pageParams.push(page.after.value, page.after.id);
+    const operator = page.order === 'asc' ? '>' : '<';
+    conditions += ` AND (${page.column}, ${id}) ${operator} ($${pageParams.length - 1}, $${pageParams.length})`;
+  }
+
+  // One extra row tells us whether there is another page
+  let rows;
+  let count;
+  try {
+    [rows, count] = await Promise.all([
+      pool.query(`
+        SELECT ${select}, (${page.column})::text AS page_sort_value
+        FROM ${from}
+        WHERE ${conditions}
+        ORDER BY ${page.column} ${direction}, ${id} ${direction}
+        LIMIT ${page.limit + 1}
+      `, pageParams),
+      pool.query(`SELECT COUNT(*) FROM ${from} WHERE ${where}`, params)
+    ]);
+  } catch (error) {
+    if (page.after && CURSOR_VALUE_ERRORS.includes(error.code)) {
+      throw Object.assign(new Error('Invalid cursor'), { code: INVALID_CURSOR });
+    }
+    throw error;
+  }
+
+  const hasMore = rows.rows.length > page.limit;
+  const data = rows.rows.slice(0, page.limit);
+  const last = data[data.length - 1];
+
+  return {
+    data: data.map(({ page_sort_value, ...row }) => row),
+    pagination: {
+      limit: page.limit,
+      sort: page.sort,
+      order: page.order,
+      total: parseInt(count.rows[0].count),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page.sort, last.page_sort_value, last.id) : null
+    }
+  };
+}
+
+export default {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  INVALID_CURSOR,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  sendCursorError,
+  queryPage
+};
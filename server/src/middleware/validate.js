@@ -0,0 +1,249 @@
+import Ajv from 'ajv';
+
+// Request validation with JSON Schema (Ajv).
+//
+// Routes declare schemas for the parts of the request they read:
+//
+//   router.post('/org/:orgId/things', authenticate, requireOrg,
+//     validate({ body: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } }),
+//     handler);
+//
+// Invalid requests get a 400 in one format:
+//
+//   { "error": "name is required", "code": "VALIDATION_ERROR",
+//     "details": [{ "in": "body", "field": "name", "message": "name is required" }] }
+//
+// `error` is the first problem (so clients that show `error` keep working)
+// and `details` lists every one. Values are coerced to the schema's types,
+// so `?limit=10` validates as `{ type: 'integer' }` and form inputs can send
+// `"12.50"` for a number; handlers see the coerced values.
+
+export const VALIDATION_ERROR = 'VALIDATION_ERROR';
+
+// Route params that hold UUIDs (see checkUuidParams)
+export const UUID_PARAMS = [
+  'orgId', 'id', 'userId', 'memberId', 'deptId', 'employeeId', 'taskId', 'workflowId', 'runId',
+  'stepId', 'categoryId', 'folderId', 'inviteId', 'leaveId', 'notificationId', 'periodId', 'permId',
+  'plugId', 'typeId', 'deliveryId', 'sessionId'
+];
+
+const FORMATS = {
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  month: /^\d{4}-(0[1-9]|1[0-2])$/,
+  // Calendar dates such as "2025-01-31" (and not "2025-02-31")
+  date: (value) => {
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(time) && new Date(time).toISOString().startsWith(value);
+  },
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(value) && !isNaN(Date.parse(value)),
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  // 3-letter currency codes such as "USD"
+  currency: /^[A-Za-z]{3}$/,
+  // Times of day such as "09:00"
+  time: /^([01]\d|2[0-3]):([0-5]\d)(:00)?$/,
+  // IANA timezones such as "Asia/Kuala_Lumpur"
+  timezone: (value) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+// How each format is described in messages
+const FORMAT_NAMES = {
+  uuid: 'a valid UUID',
+  month: 'a month such as "2025-01"',
+  date: 'a date such as "2025-01-31"',
+  'date-time': 'a date and time such as "2025-01-31T09:00:00Z"',
+  email: 'a valid email address',
+  currency: 'a 3-letter code such as "USD"',
+  time: 'a time such as "09:00"',
+  timezone: 'an IANA timezone such as "Asia/Kuala_Lumpur"'
+};
+
+// Pattern for strings that need more than whitespace
+export const NOT_BLANK = '\\S';
+
+// Schemas for common fields, e.g. properties: { expense_date: fields.date }
+export const fields = {
+  uuid: { type: 'string', format: 'uuid' },
+  optionalUuid: { type: ['string', 'null'], format: 'uuid' },
+  date: { type: 'string', format: 'date' },
+  dateTime: { type: 'string', format: 'date-time' },
+  email: { type: 'string', format: 'email', maxLength: 255 },
+  name: { type: 'string', pattern: NOT_BLANK, maxLength: 255 },
+  text: { type: ['string', 'null'] },
+  currency: { type: 'string', format: 'currency' },
+  amount: { type: 'number', exclusiveMinimum: 0 }
+};
+
+const COMPARISONS = { '>=': 'at least', '>': 'greater than', '<=': 'at most', '<': 'less than' };
+
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, ...options });
+  for (const [name, format] of Object.entries(FORMATS)) {
+    ajv.addFormat(name, format);
+  }
+  return ajv;
+};
+
+const ajv = createAjv({ coerceTypes: true });
+
+/**
+ * Compile a JSON Schema with the shared validator
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} Ajv validate function
+ */
+export function compileSchema(schema) {
+  return ajv.compile(schema);
+}
+
+const joinPath = (base, key) => {
+  if (/^\d+$/.test(key)) return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+/**
+ * Turn Ajv errors into `{ in, field, message }` details
+ * @param {Array} errors - Ajv errors
+ * @param {string} location - 'body', 'params' or 'query'
+ * @returns {Array<{in: string, field: string, message: string}>}
+ */
+export function formatErrors(errors, location) {
+  return (errors || []).map((error) => {
+    let field = error.instancePath
+      .split('/')
+      .slice(1)
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce(joinPath, '');
+    const { params } = error;
+    let message;
+
+    switch (error.keyword) {
+      case 'required':
+        field = joinPath(field, params.missingProperty);
+        message = 'is required';
+        break;
+      case 'additionalProperties':
+        field = joinPath(field, params.additionalProperty);
+        message = "isn't allowed";
+        break;
+      case 'type': {
+        // One type, or a list for nullable fields such as ['string', 'null']
+        const types = [].concat(params.type).join(',').split(',');
+        message = `must be ${/^[aeiou]/.test(types[0]) ? 'an' : 'a'} ${types.join(' or ')}`;
+        break;
+      }
+      case 'format':
+        message = `must be ${FORMAT_NAMES[params.format] || `a valid ${params.format}`}`;
+        break;
+      case 'pattern':
+        message = params.pattern === NOT_BLANK ? "can't be empty" : "isn't in the right format";
+        break;
+      case 'enum':
+        message = `must be one of: ${params.allowedValues.join(', ')}`;
+        break;
+      case 'minLength':
+        message = params.limit === 1 ? "can't be empty" : `must be at least ${params.limit} characters`;
+        break;
+      case 'maxLength':
+        message = `must be at most ${params.limit} characters`;
+        break;
+      case 'minItems':
+        message = `must have at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+        break;
+      case 'maxItems':
+        message = `must have at most ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+        break;
+      case 'minimum':
+      case 'maximum':
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+        message = `must be ${COMPARISONS[params.comparison]} ${params.limit}`;
+        break;
+      default:
+        message = error.message;
+    }
+
+    return { in: location, field: field || location, message: `${field || location} ${message}` };
+  });
+}
+
+/**
+ * Send a validation error
+ * @param {Object} res - Express response
+ * @param {Array<{in: string, field: string, message: string}>} details - Every problem found
+ * @param {number} [status] - HTTP status, 400 unless the body was too large
+ */
+export function sendValidationError(res, details, status = 400) {
+  const more = details.length > 1 ? ` (and ${details.length - 1} more)` : '';
+  return res.status(status).json({ error: `${details[0].message}${more}`, code: VALIDATION_ERROR, details });
+}
+
+// Error middleware that answers the JSON body parser's errors in the same
+// format; anything else goes on to the next error handler
+export const handleBodyErrors = (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ in: 'body', field: 'body', message: "body isn't valid JSON" }]);
+  }
+  if (err.type === 'entity.too.large') {
+    return sendValidationError(res, [{ in: 'body', field: 'body', message: `body must be at most ${err.limit} bytes` }], 413);
+  }
+  next(err);
+};
+
+// Validate request parts against JSON Schemas: validate({ body, params, query })
+// Schemas are compiled once, when the route is defined
+export const validate = (schemas) => {
+  const validators = ['params', 'body', 'query']
+    .filter(location => schemas[location])
+    .map(location => [location, compileSchema(schemas[location])]);
+
+  const middleware = (req, res, next) => {
+    const details = [];
+    for (const [location, check] of validators) {
+      // A missing JSON body validates as an empty object
+      if (location === 'body' && req.body === undefined) {
+        req.body = {};
+      }
+      if (!check(req[location])) {
+        details.push(...formatErrors(check.errors, location));
+      }
+    }
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+    next();
+  };
+  middleware.schemas = schemas; // Describes the route in the OpenAPI spec
+  return middleware;
+};
+
+// Reject malformed IDs in route params (see UUID_PARAMS) before they reach a query
+export const checkUuidParams = (router) => {
+  for (const name of UUID_PARAMS) {
+    router.param(name, (req, res, next, value) => {
+      if (!FORMATS.uuid.test(value)) {
+        return sendValidationError(res, [{ in: 'params', field: name, message: `${name} must be a valid UUID` }]);
+      }
+      next();
+    });
+  }
+  return router;
+};
+
+export default {
+  VALIDATION_ERROR,
+  UUID_PARAMS,
+  NOT_BLANK,
+  fields,
+  compileSchema,
+  formatErrors,
+  sendValidationError,
+  handleBodyErrors,
+  validate,
+  checkUuidParams
+};
@@ -0,0 +1,562 @@
+-- Initial schema: core tables plus the built-in plugs' tables.
+-- Written to be safe on databases created before versioned migrations.
+
+-- Users table
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User sessions (one per sign-in; refresh tokens are stored hashed and rotated on use)
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  previous_token_hash VARCHAR(64),
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+
+-- Migration: Add two-factor authentication columns to users
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'users' AND column_name = 'totp_secret') THEN
+    ALTER TABLE users ADD COLUMN totp_secret VARCHAR(64);
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'users' AND column_name = 'totp_enabled') THEN
+    ALTER TABLE users ADD COLUMN totp_enabled BOOLEAN DEFAULT FALSE;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'users' AND column_name = 'totp_last_step') THEN
+    ALTER TABLE users ADD COLUMN totp_last_step BIGINT;
+  END IF;
+END $$;
+
+-- Two-factor recovery codes (single use, stored hashed)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+-- Password reset tokens (single use, stored hashed)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  requested_ip VARCHAR(64),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+-- Organizations table
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Migration: Add require_2fa setting to organizations (forces 2FA for admins and managers)
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'organizations' AND column_name = 'require_2fa') THEN
+    ALTER TABLE organizations ADD COLUMN require_2fa BOOLEAN DEFAULT FALSE;
+  END IF;
+END $$;
+
+-- Departments table (formalized departments for an org)
+CREATE TABLE IF NOT EXISTS departments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(org_id, name)
+);
+
+-- Organization members (links users to orgs with roles)
+CREATE TABLE IF NOT EXISTS org_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
+  role VARCHAR(50) NOT NULL,
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, org_id)
+);
+
+-- Roles are no longer limited to admin/manager/employee
+ALTER TABLE org_members DROP CONSTRAINT IF EXISTS org_members_role_check;
+
+-- Org roles: custom roles, plus permission overrides for the built-in
+-- manager and employee roles (members reference roles by slug)
+CREATE TABLE IF NOT EXISTS org_roles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  slug VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  permissions JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(org_id, slug)
+);
+
+-- API tokens: personal access tokens and org API keys (only hashes are stored)
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('personal', 'org')),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_prefix VARCHAR(20) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  scopes JSONB NOT NULL DEFAULT '[]',
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip VARCHAR(64),
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (kind = 'personal' OR org_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_org ON api_tokens(org_id);
+
+-- Audit log (append-only). No foreign keys, so entries outlive the
+-- users and organizations they mention; actor details are copied in.
+CREATE TABLE IF NOT EXISTS audit_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL,
+  actor_id UUID,
+  actor_name VARCHAR(255),
+  actor_email VARCHAR(255),
+  action VARCHAR(255) NOT NULL,
+  resource_type VARCHAR(100),
+  resource_id VARCHAR(255),
+  method VARCHAR(10),
+  path TEXT,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  metadata JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_org ON audit_events(org_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(org_id, actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_resource ON audit_events(org_id, resource_type, resource_id);
+
+CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_events_no_update ON audit_events;
+CREATE TRIGGER audit_events_no_update
+  BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+
+DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events;
+CREATE TRIGGER audit_events_no_truncate
+  BEFORE TRUNCATE ON audit_events
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only();
+
+-- Plugs registry (available plugs)
+CREATE TABLE IF NOT EXISTS plugs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) UNIQUE NOT NULL,
+  description TEXT,
+  icon VARCHAR(50),
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Organization plugs (which plugs are enabled for which org)
+CREATE TABLE IF NOT EXISTS org_plugs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  plug_id UUID REFERENCES plugs(id) ON DELETE CASCADE,
+  settings JSONB DEFAULT '{}',
+  enabled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(org_id, plug_id)
+);
+
+-- Department plug access (which departments can see which plugs)
+CREATE TABLE IF NOT EXISTS department_plugs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
+  plug_id UUID REFERENCES plugs(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(department_id, plug_id)
+);
+
+-- Employee invites (pre-registration list)
+CREATE TABLE IF NOT EXISTS employee_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
+  role VARCHAR(50) NOT NULL DEFAULT 'employee',
+  invited_by UUID REFERENCES users(id),
+  registered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(org_id, email)
+);
+
+ALTER TABLE employee_invites DROP CONSTRAINT IF EXISTS employee_invites_role_check;
+
+-- Employees table (for Employee Directory plug)
+CREATE TABLE IF NOT EXISTS employees (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  department VARCHAR(255),
+  position VARCHAR(255),
+  avatar_url TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Insert default plugs
+INSERT INTO plugs (name, slug, description, icon) VALUES 
+  ('Employee Directory', 'employee-directory', 'Manage your organization''s employee information', 'mdi:account-group')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Document folders table (for Document Manager plug)
+CREATE TABLE IF NOT EXISTS document_folders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  parent_id UUID REFERENCES document_folders(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Documents table (for Document Manager plug)
+CREATE TABLE IF NOT EXISTS documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  folder_id UUID REFERENCES document_folders(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  file_type VARCHAR(100),
+  file_size INTEGER,
+  uploaded_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Document content table (separated for performance)
+CREATE TABLE IF NOT EXISTS document_content (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id UUID UNIQUE REFERENCES documents(id) ON DELETE CASCADE,
+  content TEXT NOT NULL
+);
+
+-- Insert Document Manager plug
+INSERT INTO plugs (name, slug, description, icon) VALUES 
+  ('Document Manager', 'document-manager', 'Upload, organize, and share documents with your team', 'mdi:file-document-multiple')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Folder permissions table (for Document Manager plug)
+CREATE TABLE IF NOT EXISTS folder_permissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  folder_id UUID NOT NULL REFERENCES document_folders(id) ON DELETE CASCADE,
+  department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Either department_id OR user_id should be set, not both
+  CONSTRAINT check_permission_target CHECK (
+    (department_id IS NOT NULL AND user_id IS NULL) OR 
+    (department_id IS NULL AND user_id IS NOT NULL)
+  )
+);
+
+-- Migration: Add department_id to org_members if it doesn't exist
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'org_members' AND column_name = 'department_id') THEN
+    ALTER TABLE org_members ADD COLUMN department_id UUID REFERENCES departments(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Notifications table
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  link VARCHAR(255),
+  data JSONB DEFAULT '{}',
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_org ON notifications(user_id, org_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id, org_id, read_at) WHERE read_at IS NULL;
+
+-- Insert Education Manager plug
+INSERT INTO plugs (name, slug, description, icon) VALUES 
+  ('Education Manager', 'education-manager', 'Manage classrooms, students, assignments, and announcements like Google Classroom', 'mdi:school')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Education Manager storage (one JSONB document table per collection, scoped by org)
+CREATE TABLE IF NOT EXISTS edu_students (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS edu_classrooms (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS edu_assignments (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS edu_submissions (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS edu_announcements (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  id VARCHAR(64) NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (org_id, id)
+);
+
+-- Plug categories table (for organizing plugs in sidebar)
+CREATE TABLE IF NOT EXISTS plug_categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  icon VARCHAR(50) DEFAULT 'mdi:folder',
+  color VARCHAR(7) DEFAULT '#6366f1',
+  sort_order INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(org_id, name)
+);
+
+-- Add category_id to org_plugs if it doesn't exist
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'org_plugs' AND column_name = 'category_id') THEN
+    ALTER TABLE org_plugs ADD COLUMN category_id UUID REFERENCES plug_categories(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Tasks table
+CREATE TABLE IF NOT EXISTS tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  status VARCHAR(50) DEFAULT 'To Do',
+  priority VARCHAR(50) DEFAULT 'Medium',
+  due_date TIMESTAMP,
+  assignee_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Task comments table
+CREATE TABLE IF NOT EXISTS task_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+  employee_id UUID REFERENCES employees(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_org_id ON tasks(org_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_assignee_id ON tasks(assignee_id);
+
+-- Task assignees junction table (supports multiple assignees per task)
+CREATE TABLE IF NOT EXISTS task_assignees (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+  employee_id UUID REFERENCES employees(id) ON DELETE CASCADE,
+  department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_assignee CHECK (
+    (employee_id IS NOT NULL AND department_id IS NULL) OR
+    (employee_id IS NULL AND department_id IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_assignees_task ON task_assignees(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_assignees_employee ON task_assignees(employee_id);
+CREATE INDEX IF NOT EXISTS idx_task_assignees_department ON task_assignees(department_id);
+
+-- Insert Task Manager plug
+INSERT INTO plugs (name, slug, description, icon) VALUES 
+  ('Task Manager', 'task-manager', 'Assign and track tasks within your organization', 'mdi:clipboard-check-outline')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Workflows table (for Workflow Builder plug)
+CREATE TABLE IF NOT EXISTS workflows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  nodes JSONB DEFAULT '[]',
+  edges JSONB DEFAULT '[]',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflows_org ON workflows(org_id);
+
+-- Migration: Add nodes, edges and trigger_event columns to workflows if they don't exist
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'workflows' AND column_name = 'nodes') THEN
+    ALTER TABLE workflows ADD COLUMN nodes JSONB DEFAULT '[]';
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'workflows' AND column_name = 'edges') THEN
+    ALTER TABLE workflows ADD COLUMN edges JSONB DEFAULT '[]';
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'workflows' AND column_name = 'trigger_event') THEN
+    ALTER TABLE workflows ADD COLUMN trigger_event VARCHAR(100);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_workflows_trigger ON workflows(org_id, trigger_event) WHERE trigger_event IS NOT NULL;
+
+-- Workflow runs (executions of a workflow, with a snapshot of its graph)
+CREATE TABLE IF NOT EXISTS workflow_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  workflow_id UUID REFERENCES workflows(id) ON DELETE CASCADE,
+  status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'cancelled', 'failed')),
+  nodes JSONB DEFAULT '[]',
+  edges JSONB DEFAULT '[]',
+  context JSONB DEFAULT '{}',
+  error TEXT,
+  started_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  trigger_event VARCHAR(100),
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  cancelled_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_workflow ON workflow_runs(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_org_status ON workflow_runs(org_id, status);
+
+-- Workflow run steps (one row per node visited during a run)
+CREATE TABLE IF NOT EXISTS workflow_run_steps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id UUID REFERENCES workflow_runs(id) ON DELETE CASCADE,
+  node_id VARCHAR(100) NOT NULL,
+  node_type VARCHAR(50) NOT NULL,
+  label VARCHAR(255),
+  status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'completed', 'cancelled', 'failed')),
+  task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+  branch_id VARCHAR(100),
+  started_at TIMESTAMP DEFAULT clock_timestamp(),
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_run_steps_run ON workflow_run_steps(run_id);
+CREATE INDEX IF NOT EXISTS idx_workflow_run_steps_task ON workflow_run_steps(task_id) WHERE status = 'waiting';
+
+-- Insert Workflow Builder plug
+INSERT INTO plugs (name, slug, description, icon) VALUES 
+  ('Workflow Builder', 'workflow-builder', 'Build visual task workflows for your organization', 'mdi:sitemap')
+ON CONFLICT (slug) DO NOTHING;
+
+-- Expense Categories table (for Expense Manager plug)
+CREATE TABLE IF NOT EXISTS expense_categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  icon VARCHAR(50) DEFAULT 'mdi:tag',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(org_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_categories_org ON expense_categories(org_id);
+
+-- Expenses table (for Expense Manager plug)
+CREATE TABLE IF NOT EXISTS expenses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category_id UUID REFERENCES expense_categories(id) ON DELETE SET NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  amount DECIMAL(12,2) NOT NULL,
+  currency VARCHAR(10) DEFAULT 'MYR',
+  expense_date DATE NOT NULL,
+  receipt_data TEXT,
+  status VARCHAR(20) DEFAULT 'pending',
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_org ON expenses(org_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_user ON expenses(org_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_status ON expenses(org_id, status);
+CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date);
+
+-- Insert Expense Manager plug
+INSERT INTO plugs (name, slug, description, icon) VALUES
+  ('Expense Manager', 'expense-manager', 'Submit and manage expense claims with approval workflows', 'mdi:receipt-text')
+ON CONFLICT (slug) DO NOTHING;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS leave_types;
+DROP TABLE IF EXISTS leave_requests;
+DROP TABLE IF EXISTS attendance_records;
+
+DELETE FROM plugs WHERE slug = 'attendance-tracker';
@@ -1,5 +1,4 @@
--- Attendance Tracker Plug Schema
--- Run this SQL migration in your PostgreSQL client
+-- Attendance Tracker plug
 
 -- Add plug entry
 INSERT INTO plugs (name, slug, description, icon, is_active)
@@ -49,6 +48,3 @@ CREATE TABLE IF NOT EXISTS leave_types (
 );
 
 CREATE INDEX IF NOT EXISTS idx_leave_types_org ON leave_types(org_id);
-
--- Insert default leave types (will be called per org when enabling plug)
--- These are just examples, admins can add their own
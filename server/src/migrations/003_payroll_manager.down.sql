@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS payslips;
+DROP TABLE IF EXISTS payroll_periods;
+DROP TABLE IF EXISTS employee_salaries;
+
+DELETE FROM plugs WHERE slug = 'payroll-manager';
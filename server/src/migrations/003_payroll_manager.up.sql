@@ -1,5 +1,4 @@
--- Payroll Manager Plug Schema
--- Run this SQL migration in your PostgreSQL client
+-- Payroll Manager plug
 
 -- Add plug entry
 INSERT INTO plugs (name, slug, description, icon, is_active)
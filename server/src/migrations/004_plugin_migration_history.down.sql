@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS plugin_migrations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plugin_id VARCHAR(100) NOT NULL,
+  migration_name VARCHAR(255) NOT NULL,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(plugin_id, migration_name)
+);
+
+INSERT INTO plugin_migrations (plugin_id, migration_name, applied_at)
+SELECT substring(scope from 8), version || '_' || name, applied_at
+FROM schema_migrations
+WHERE scope LIKE 'plugin:%'
+ON CONFLICT (plugin_id, migration_name) DO NOTHING;
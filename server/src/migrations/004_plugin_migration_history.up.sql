@@ -0,0 +1,17 @@
+-- Plugin migrations are now tracked in schema_migrations (scope 'plugin:<id>').
+-- Carry over what the old plugin_migrations table recorded, then drop it.
+DO $$
+BEGIN
+  IF to_regclass('plugin_migrations') IS NOT NULL THEN
+    INSERT INTO schema_migrations (scope, version, name, applied_at)
+    SELECT 'plugin:' || plugin_id,
+           substring(migration_name from '^[0-9]+'),
+           regexp_replace(migration_name, '^[0-9]+_', ''),
+           applied_at
+    FROM plugin_migrations
+    WHERE migration_name ~ '^[0-9]+'
+    ON CONFLICT (scope, version) DO NOTHING;
+
+    DROP TABLE plugin_migrations;
+  END IF;
+END $$;
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_notifications_digest;
+ALTER TABLE notifications DROP COLUMN IF EXISTS emailed_at;
+ALTER TABLE notifications DROP COLUMN IF EXISTS channel;
+
+DROP TABLE IF EXISTS notification_preferences;
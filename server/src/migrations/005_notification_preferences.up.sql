@@ -0,0 +1,20 @@
+-- Per-user notification preferences and email digests
+
+-- How each member wants each notification type delivered in an org.
+-- No row means the type's default (in-app).
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('in_app', 'email', 'digest', 'off')),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, org_id, type)
+);
+
+-- Channel each notification was delivered through, and when it went out by email
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS channel VARCHAR(20) NOT NULL DEFAULT 'in_app';
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMP;
+
+-- Unread notifications still waiting for the next digest
+CREATE INDEX IF NOT EXISTS idx_notifications_digest ON notifications(user_id, created_at)
+  WHERE channel = 'digest' AND read_at IS NULL AND emailed_at IS NULL;
@@ -0,0 +1,37 @@
+-- Background job queue and recurring schedules
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(150) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  last_error TEXT,
+  -- Enqueueing again with the same key while a job is pending or running is a no-op
+  dedupe_key VARCHAR(255),
+  schedule_name VARCHAR(150),
+  locked_by VARCHAR(100),
+  locked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_dead ON jobs(created_at DESC) WHERE status = 'dead';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe ON jobs(name, dedupe_key)
+  WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'running');
+
+-- Cron-style schedules that enqueue a job each time they fire
+CREATE TABLE IF NOT EXISTS job_schedules (
+  name VARCHAR(150) PRIMARY KEY,
+  job_name VARCHAR(150) NOT NULL,
+  cron VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  next_run_at TIMESTAMPTZ NOT NULL,
+  last_run_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,11 @@
+-- Event payloads too large for a NOTIFY message, read by the other
+-- server processes when the EventBus uses the Postgres transport
+
+CREATE TABLE IF NOT EXISTS event_bus_payloads (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event VARCHAR(150) NOT NULL,
+  data JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_bus_payloads_created ON event_bus_payloads(created_at);
@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_edu_classrooms_search;
+DROP INDEX IF EXISTS idx_workflows_search;
+DROP INDEX IF EXISTS idx_expenses_search;
+DROP INDEX IF EXISTS idx_documents_search;
+DROP INDEX IF EXISTS idx_task_comments_search;
+DROP INDEX IF EXISTS idx_tasks_search;
+DROP INDEX IF EXISTS idx_employees_search;
@@ -0,0 +1,30 @@
+-- Full-text indexes for global search. The expressions must match the
+-- queries in services/search.js exactly for Postgres to use them.
+
+CREATE INDEX IF NOT EXISTS idx_employees_search ON employees USING GIN (
+  to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(position, '') || ' ' || coalesce(department, ''))
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN (
+  to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(description, ''))
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_comments_search ON task_comments USING GIN (
+  to_tsvector('simple', content)
+);
+
+CREATE INDEX IF NOT EXISTS idx_documents_search ON documents USING GIN (
+  to_tsvector('simple', name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_search ON expenses USING GIN (
+  to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(description, ''))
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflows_search ON workflows USING GIN (
+  to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(description, ''))
+);
+
+CREATE INDEX IF NOT EXISTS idx_edu_classrooms_search ON edu_classrooms USING GIN (
+  to_tsvector('simple', coalesce(data->>'name', '') || ' ' || coalesce(data->>'subject', '') || ' ' || coalesce(data->>'description', ''))
+);
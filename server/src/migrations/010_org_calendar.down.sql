@@ -0,0 +1,5 @@
+ALTER TABLE organizations DROP COLUMN IF EXISTS fiscal_year_start_month;
+ALTER TABLE organizations DROP COLUMN IF EXISTS business_hours_end;
+ALTER TABLE organizations DROP COLUMN IF EXISTS business_hours_start;
+ALTER TABLE organizations DROP COLUMN IF EXISTS work_days;
+ALTER TABLE organizations DROP COLUMN IF EXISTS timezone;
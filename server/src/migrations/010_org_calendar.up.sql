@@ -0,0 +1,15 @@
+-- Organization calendar: timezone, work week, business hours and fiscal year.
+-- "Today", payroll periods and expense reporting follow these instead of
+-- the server's clock.
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- Working days as day-of-week numbers (0 = Sunday ... 6 = Saturday)
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS work_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}';
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS business_hours_start TIME NOT NULL DEFAULT '09:00';
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS business_hours_end TIME NOT NULL DEFAULT '17:00';
+
+-- Month the fiscal year starts in (1 = January)
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS fiscal_year_start_month SMALLINT NOT NULL DEFAULT 1
+  CHECK (fiscal_year_start_month BETWEEN 1 AND 12);
@@ -0,0 +1,9 @@
+ALTER TABLE payslips DROP COLUMN IF EXISTS base_net_pay;
+ALTER TABLE payslips DROP COLUMN IF EXISTS exchange_rate;
+ALTER TABLE payslips DROP COLUMN IF EXISTS currency;
+
+DROP FUNCTION IF EXISTS exchange_rate_on(UUID, VARCHAR, DATE);
+
+DROP TABLE IF EXISTS exchange_rates;
+
+ALTER TABLE organizations DROP COLUMN IF EXISTS base_currency;
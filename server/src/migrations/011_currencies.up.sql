@@ -0,0 +1,64 @@
+-- Multi-currency: each org reports in a base currency, and amounts in other
+-- currencies are converted with the org's exchange rates
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3) NOT NULL DEFAULT 'MYR';
+
+-- One unit of `currency` is worth `rate` of `base_currency`, from
+-- `effective_date` until the pair's next rate. Rates are kept per base
+-- currency, so changing the base doesn't silently reuse old ones.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  base_currency VARCHAR(3) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+  effective_date DATE NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'import')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (org_id, base_currency, currency, effective_date)
+);
+
+-- Currency codes were free text; store them as upper-case ISO codes
+UPDATE expenses SET currency = UPPER(TRIM(currency)) WHERE currency <> UPPER(TRIM(currency));
+UPDATE expenses SET currency = 'MYR' WHERE currency IS NULL;
+UPDATE employee_salaries SET currency = UPPER(TRIM(currency)) WHERE currency <> UPPER(TRIM(currency));
+UPDATE employee_salaries SET currency = 'MYR' WHERE currency IS NULL;
+
+-- Rate to convert an amount in `p_currency` into the org's base currency on
+-- a date: 1 for the base currency itself, NULL if no rate covers the date
+CREATE OR REPLACE FUNCTION exchange_rate_on(p_org_id UUID, p_currency VARCHAR, p_date DATE) RETURNS NUMERIC AS $$
+  SELECT CASE
+    WHEN p_currency = o.base_currency THEN 1
+    ELSE (
+      SELECT r.rate FROM exchange_rates r
+      WHERE r.org_id = o.id
+        AND r.base_currency = o.base_currency
+        AND r.currency = p_currency
+        AND r.effective_date <= p_date
+      ORDER BY r.effective_date DESC
+      LIMIT 1
+    )
+  END
+  FROM organizations o
+  WHERE o.id = p_org_id
+$$ LANGUAGE sql STABLE;
+
+-- Payslips are paid in the salary's currency and converted to the base
+-- currency at the rate on the period's last day when generated
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS currency VARCHAR(10);
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18, 8);
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS base_net_pay DECIMAL(12, 2);
+
+UPDATE payslips ps
+SET currency = COALESCE(
+  (SELECT es.currency FROM employee_salaries es WHERE es.org_id = ps.org_id AND es.user_id = ps.user_id),
+  'MYR'
+);
+
+UPDATE payslips ps
+SET exchange_rate = exchange_rate_on(ps.org_id, ps.currency, pp.end_date)
+FROM payroll_periods pp
+WHERE pp.id = ps.period_id;
+
+UPDATE payslips SET base_net_pay = ROUND(net_pay * exchange_rate, 2);
@@ -0,0 +1,5 @@
+-- Personal data erasure. Erased users and employees stay in place as
+-- tombstones so payslips, expenses and other records keep their owner.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
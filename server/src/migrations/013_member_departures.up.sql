@@ -0,0 +1,26 @@
+-- When people left each org. Erasing or exporting a former member is only
+-- allowed where they really were a member, which can't be told from the
+-- records an org holds (those can come from an imported archive).
+CREATE TABLE IF NOT EXISTS org_member_departures (
+  org_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  left_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (org_id, user_id)
+);
+
+-- Removals made before this table existed are in the audit log
+WITH removals AS (
+  SELECT org_id, created_at,
+         CASE WHEN resource_id ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+              THEN resource_id::uuid END AS user_id
+  FROM audit_events
+  WHERE action = 'member.removed'
+)
+INSERT INTO org_member_departures (org_id, user_id, left_at)
+SELECT r.org_id, r.user_id, MAX(r.created_at)
+FROM removals r
+JOIN organizations o ON o.id = r.org_id
+JOIN users u ON u.id = r.user_id
+WHERE NOT EXISTS (SELECT 1 FROM org_members om WHERE om.org_id = r.org_id AND om.user_id = r.user_id)
+GROUP BY r.org_id, r.user_id
+ON CONFLICT (org_id, user_id) DO NOTHING;
@@ -0,0 +1 @@
+ALTER TABLE employee_invites DROP COLUMN IF EXISTS claims_user_id;
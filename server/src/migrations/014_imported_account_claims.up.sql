@@ -0,0 +1,5 @@
+-- Invites that hand an imported org member's account to the real person.
+-- Imported accounts get placeholder emails; joining through such an invite
+-- sets the real email and password on that account instead of making a new one.
+
+ALTER TABLE employee_invites ADD COLUMN IF NOT EXISTS claims_user_id UUID REFERENCES users(id) ON DELETE CASCADE;
@@ -0,0 +1,11 @@
+-- Failed code attempts per 2FA login challenge, keyed by the challenge
+-- token's jti. Kept here rather than in memory so every server process
+-- counts the same attempts and a restart doesn't reset them.
+
+CREATE TABLE IF NOT EXISTS login_challenge_attempts (
+  jti UUID PRIMARY KEY,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_challenge_attempts_expires ON login_challenge_attempts(expires_at);
@@ -0,0 +1 @@
+ALTER TABLE job_schedules DROP COLUMN IF EXISTS timezone;
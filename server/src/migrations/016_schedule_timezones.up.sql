@@ -0,0 +1,4 @@
+-- Timezone a schedule's cron expression is in (IANA name). NULL is server
+-- time, as before.
+
+ALTER TABLE job_schedules ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
@@ -0,0 +1 @@
+-- The addresses aren't kept, so there's nothing to restore
@@ -0,0 +1,11 @@
+-- Password reset jobs used to carry the address the user entered (in the
+-- payload and the dedupe key), which stayed in the jobs table for its whole
+-- retention. They carry the user id now; swap it in for jobs already queued.
+
+UPDATE jobs SET
+  payload = jsonb_build_object(
+    'userId', (SELECT id FROM users WHERE LOWER(email) = LOWER(jobs.payload->>'email')),
+    'ip', jobs.payload->'ip'
+  ),
+  dedupe_key = (SELECT id::text FROM users WHERE LOWER(email) = LOWER(jobs.payload->>'email'))
+WHERE name = 'auth.password_reset' AND payload ? 'email';
@@ -0,0 +1,175 @@
+import express from 'express';
+import { authenticate, requireOrg, requirePermission, rejectApiTokens } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError, fields } from '../middleware/validate.js';
+import { getPermissionCatalog, hasPermission } from '../services/permissions.js';
+import {
+  checkScopes,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken
+} from '../services/apiTokens.js';
+import { recordAuditEvent } from '../services/audit.js';
+
+const router = express.Router();
+checkUuidParams(router);
+
+// Tokens can't be used to manage tokens
+router.use(authenticate, rejectApiTokens);
+
+const MAX_EXPIRY_DAYS = 365;
+
+// A new token; scopes are checked against the permission catalog by checkScopes
+const validateToken = validate({
+  body: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { ...fields.name, maxLength: 100 },
+      scopes: { type: 'array', minItems: 1, items: { type: 'string' } },
+      expiresInDays: { type: ['integer', 'null'], minimum: 1, maximum: MAX_EXPIRY_DAYS }
+    }
+  }
+});
+
+const sendScopeError = (res, message) => sendValidationError(res, [{ in: 'body', field: 'scopes', message }]);
+
+// Get the scopes a personal token can have
+router.get('/personal/scopes', async (req, res) => {
+  try {
+    res.json(await getPermissionCatalog());
+  } catch (error) {
+    console.error('Get token scopes error:', error);
+    res.status(500).json({ error: 'Failed to get scopes' });
+  }
+});
+
+// Get current user's personal access tokens
+router.get('/personal', async (req, res) => {
+  try {
+    res.json(await listApiTokens({ userId: req.user.id }));
+  } catch (error) {
+    console.error('Get personal tokens error:', error);
+    res.status(500).json({ error: 'Failed to get tokens' });
+  }
+});
+
+// Create a personal access token (the token is only returned here)
+router.post('/personal', validateToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = null } = req.body;
+
+    const invalid = await checkScopes(scopes);
+    if (invalid) {
+      return sendScopeError(res, invalid);
+    }
+
+    const { token, apiToken } = await createApiToken({
+      kind: 'personal',
+      userId: req.user.id,
+      name: name.trim(),
+      scopes,
+      expiresInDays
+    });
+
+    res.status(201).json({ ...apiToken, token });
+  } catch (error) {
+    console.error('Create personal token error:', error);
+    res.status(500).json({ error: 'Failed to create token' });
+  }
+});
+
+// Revoke a personal access token
+router.delete('/personal/:id', async (req, res) => {
+  try {
+    const revoked = await revokeApiToken(req.params.id, { userId: req.user.id });
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    console.error('Revoke personal token error:', error);
+    res.status(500).json({ error: 'Failed to revoke token' });
+  }
+});
+
+// Get the scopes the current member can give an org API key
+router.get('/org/:orgId/scopes', requireOrg, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const catalog = await getPermissionCatalog();
+    res.json(catalog.filter(permission => hasPermission(req.permissions, permission.key)));
+  } catch (error) {
+    console.error('Get key scopes error:', error);
+    res.status(500).json({ error: 'Failed to get scopes' });
+  }
+});
+
+// Get organization's API keys
+router.get('/org/:orgId', requireOrg, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    res.json(await listApiTokens({ orgId: req.orgId }));
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to get API keys' });
+  }
+});
+
+// Create an org API key (the key is only returned here)
+router.post('/org/:orgId', requireOrg, requirePermission('api_keys.manage'), validateToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = null } = req.body;
+
+    const invalid = await checkScopes(scopes, req.permissions);
+    if (invalid) {
+      return sendScopeError(res, invalid);
+    }
+
+    const { token, apiToken } = await createApiToken({
+      kind: 'org',
+      userId: req.user.id,
+      orgId: req.orgId,
+      name: name.trim(),
+      scopes,
+      expiresInDays
+    });
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'api_key.created',
+      resourceType: 'api_key',
+      resourceId: apiToken.id,
+      metadata: { name: apiToken.name, prefix: apiToken.token_prefix, scopes: apiToken.scopes, expiresAt: apiToken.expires_at },
+      req
+    });
+
+    res.status(201).json({ ...apiToken, token });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke an org API key
+router.delete('/org/:orgId/:id', requireOrg, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const revoked = await revokeApiToken(req.params.id, { orgId: req.orgId });
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'api_key.revoked',
+      resourceType: 'api_key',
+      resourceId: revoked.id,
+      metadata: { name: revoked.name, prefix: revoked.token_prefix },
+      req
+    });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
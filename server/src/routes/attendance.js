@@ -1,32 +1,30 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePlug, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
+import { paginate, queryPage, sendCursorError } from '../middleware/paginate.js';
+import eventBus, { SystemEvents } from '../sdk/EventBus.js';
+import { notifyAdmins } from '../services/notifications.js';
+import { getOrgCalendar, localDate } from '../services/orgCalendar.js';
 
 const router = express.Router();
+checkUuidParams(router);
 
-// Middleware to check if Attendance Tracker plug is enabled
-const checkPlugEnabled = async (req, res, next) => {
-  try {
-    const result = await pool.query(`
-      SELECT op.id FROM org_plugs op
-      JOIN plugs p ON op.plug_id = p.id
-      WHERE op.org_id = $1 AND p.slug = 'attendance-tracker'
-    `, [req.orgId]);
-    
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'Attendance Tracker plug is not enabled' });
-    }
-    
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to check plug status' });
-  }
-};
+const PLUG_SLUG = 'attendance-tracker';
+
+const ATTENDANCE_SORTS = { clock_in: 'clock_in' };
+
+const LEAVE_SORTS = { created_at: 'lr.created_at', start_date: 'lr.start_date' };
+
+const TEAM_SORTS = { clock_in: 'ar.clock_in', user_name: 'lower(u.name)' };
+
+// Clocking in or out takes an optional note
+const NOTES_BODY = { type: 'object', properties: { notes: fields.text } };
 
 // ==================== CLOCK IN/OUT ====================
 
 // Get current clock status (is user clocked in?)
-router.get('/org/:orgId/status', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/status', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     // Find any open attendance record (clocked in but not out) for today
     const result = await pool.query(`
@@ -52,7 +50,7 @@ router.get('/org/:orgId/status', authenticate, requireOrg, checkPlugEnabled, asy
 });
 
 // Clock in
-router.post('/org/:orgId/clock-in', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId/clock-in', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({ body: NOTES_BODY }), async (req, res) => {
   try {
     const { notes } = req.body;
     
@@ -72,6 +70,13 @@ router.post('/org/:orgId/clock-in', authenticate, requireOrg, checkPlugEnabled,
       RETURNING *
     `, [req.orgId, req.user.id, notes || null]);
     
+    // Not awaited: subscribers (plugins, workflow triggers) must not hold up the response
+    eventBus.emit(SystemEvents.ATTENDANCE_CLOCKED_IN, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      record: result.rows[0]
+    });
+    
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Clock-in error:', error);
@@ -80,7 +85,7 @@ router.post('/org/:orgId/clock-in', authenticate, requireOrg, checkPlugEnabled,
 });
 
 // Clock out
-router.post('/org/:orgId/clock-out', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId/clock-out', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({ body: NOTES_BODY }), async (req, res) => {
   try {
     const { notes } = req.body;
     
@@ -103,6 +108,12 @@ router.post('/org/:orgId/clock-out', authenticate, requireOrg, checkPlugEnabled,
       RETURNING *
     `, [notes, existing.rows[0].id]);
     
+    eventBus.emit(SystemEvents.ATTENDANCE_CLOCKED_OUT, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      record: result.rows[0]
+    });
+    
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Clock-out error:', error);
@@ -111,70 +122,77 @@ router.post('/org/:orgId/clock-out', authenticate, requireOrg, checkPlugEnabled,
 });
 
 // Get my attendance records
-router.get('/org/:orgId/my-attendance', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/my-attendance', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  query: { type: 'object', properties: { startDate: fields.date, endDate: fields.date } }
+}), paginate(ATTENDANCE_SORTS), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
+    const { timezone } = await getOrgCalendar(req.orgId);
     
-    let query = `
-      SELECT * FROM attendance_records 
-      WHERE org_id = $1 AND user_id = $2
-    `;
+    // Dates are days in the org's timezone, both included
+    let where = 'org_id = $1 AND user_id = $2';
     const params = [req.orgId, req.user.id];
     
     if (startDate) {
-      params.push(startDate);
-      query += ` AND clock_in >= $${params.length}`;
+      params.push(startDate, timezone);
+      where += ` AND clock_in >= ($${params.length - 1}::date::timestamp AT TIME ZONE $${params.length})`;
     }
     if (endDate) {
-      params.push(endDate);
-      query += ` AND clock_in <= $${params.length}`;
+      params.push(endDate, timezone);
+      where += ` AND clock_in < (($${params.length - 1}::date + 1)::timestamp AT TIME ZONE $${params.length})`;
     }
     
-    query += ' ORDER BY clock_in DESC LIMIT 100';
-    
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await queryPage(req.page, { select: '*', from: 'attendance_records', where, params }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('My attendance error:', error);
     res.status(500).json({ error: 'Failed to get attendance records' });
   }
 });
 
-// Get team attendance (managers/admins only)
-router.get('/org/:orgId/team', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Get team attendance (requires attendance.view_team)
+router.get('/org/:orgId/team', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('attendance.view_team'), validate({
+  query: {
+    type: 'object',
+    properties: {
+      date: fields.date,
+      department: { type: 'string', maxLength: 255 },
+      search: { type: 'string', maxLength: 255 }
+    }
+  }
+}), paginate(TEAM_SORTS), async (req, res) => {
   try {
     const { date, department, search } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
+    const { timezone } = await getOrgCalendar(req.orgId);
+    const targetDate = date || localDate(timezone);
     
-    let query = `
-      SELECT 
-        ar.*,
-        u.name as user_name,
-        u.email as user_email,
-        e.department as department
-      FROM attendance_records ar
-      JOIN users u ON ar.user_id = u.id
-      LEFT JOIN employees e ON e.org_id = ar.org_id AND e.email = u.email
-      WHERE ar.org_id = $1 
-        AND DATE(ar.clock_in) = $2
-    `;
-    const params = [req.orgId, targetDate];
+    // Records clocked in on that day in the org's timezone
+    let where = `ar.org_id = $1
+      AND ar.clock_in >= ($2::date::timestamp AT TIME ZONE $3)
+      AND ar.clock_in < (($2::date + 1)::timestamp AT TIME ZONE $3)`;
+    const params = [req.orgId, targetDate, timezone];
     
     if (department) {
       params.push(department);
-      query += ` AND e.department = $${params.length}`;
+      where += ` AND e.department = $${params.length}`;
     }
     
     if (search) {
       params.push(`%${search}%`);
-      query += ` AND (u.name ILIKE $${params.length} OR u.email ILIKE $${params.length})`;
+      where += ` AND (u.name ILIKE $${params.length} OR u.email ILIKE $${params.length})`;
     }
     
-    query += ' ORDER BY ar.clock_in DESC';
-    
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await queryPage(req.page, {
+      select: 'ar.*, u.name as user_name, u.email as user_email, e.department as department',
+      from: `attendance_records ar
+        JOIN users u ON ar.user_id = u.id
+        LEFT JOIN employees e ON e.org_id = ar.org_id AND e.email = u.email`,
+      where,
+      params,
+      id: 'ar.id'
+    }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('Team attendance error:', error);
     res.status(500).json({ error: 'Failed to get team attendance' });
   }
@@ -183,15 +201,22 @@ router.get('/org/:orgId/team', authenticate, requireOrg, checkPlugEnabled, requi
 // ==================== LEAVE REQUESTS ====================
 
 // Submit leave request
-router.post('/org/:orgId/leave', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId/leave', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  body: {
+    type: 'object',
+    required: ['leave_type', 'start_date', 'end_date'],
+    properties: {
+      leave_type: { ...fields.name, maxLength: 50 },
+      start_date: fields.date,
+      end_date: fields.date,
+      reason: fields.text
+    }
+  }
+}), async (req, res) => {
   try {
     const { leave_type, start_date, end_date, reason } = req.body;
     
-    if (!leave_type || !start_date || !end_date) {
-      return res.status(400).json({ error: 'Leave type, start date, and end date are required' });
-    }
-    
-    if (new Date(start_date) > new Date(end_date)) {
+    if (start_date > end_date) {
       return res.status(400).json({ error: 'Start date must be before end date' });
     }
     
@@ -203,11 +228,11 @@ router.post('/org/:orgId/leave', authenticate, requireOrg, checkPlugEnabled, asy
     
     const leaveRequest = result.rows[0];
     
-    // Notify all admins and managers about the new leave request
+    // Queue notifications for everyone who can review leave
     try {
-      const { notifyAdmins } = await import('./notifications.js');
       await notifyAdmins({
         orgId: req.orgId,
+        permission: 'leave.review',
         type: 'leave_request',
         title: 'New Leave Request',
         message: `${req.user.name} has submitted a ${leave_type} leave request from ${start_date} to ${end_date}`,
@@ -220,6 +245,12 @@ router.post('/org/:orgId/leave', authenticate, requireOrg, checkPlugEnabled, asy
       // Don't fail the request if notifications fail
     }
     
+    eventBus.emit(SystemEvents.LEAVE_REQUESTED, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      leaveRequest
+    });
+    
     res.status(201).json(leaveRequest);
   } catch (error) {
     console.error('Leave request error:', error);
@@ -228,56 +259,64 @@ router.post('/org/:orgId/leave', authenticate, requireOrg, checkPlugEnabled, asy
 });
 
 // Get my leave requests
-router.get('/org/:orgId/leave', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/leave', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  query: { type: 'object', properties: { startDate: fields.date, endDate: fields.date } }
+}), paginate(LEAVE_SORTS), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
-        lr.*,
-        reviewer.name as reviewed_by_name
-      FROM leave_requests lr
-      LEFT JOIN users reviewer ON lr.reviewed_by = reviewer.id
-      WHERE lr.org_id = $1 AND lr.user_id = $2
-      ORDER BY lr.created_at DESC
-    `, [req.orgId, req.user.id]);
+    const { startDate, endDate } = req.query;
     
-    res.json(result.rows);
+    // Leave that lies within the dates given
+    let where = 'lr.org_id = $1 AND lr.user_id = $2';
+    const params = [req.orgId, req.user.id];
+    
+    if (startDate) {
+      params.push(startDate);
+      where += ` AND lr.start_date >= $${params.length}`;
+    }
+    if (endDate) {
+      params.push(endDate);
+      where += ` AND lr.end_date <= $${params.length}`;
+    }
+    
+    res.json(await queryPage(req.page, {
+      select: 'lr.*, reviewer.name as reviewed_by_name',
+      from: 'leave_requests lr LEFT JOIN users reviewer ON lr.reviewed_by = reviewer.id',
+      where,
+      params,
+      id: 'lr.id'
+    }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('My leave error:', error);
     res.status(500).json({ error: 'Failed to get leave requests' });
   }
 });
 
-// Get pending leave requests (managers/admins only)
-router.get('/org/:orgId/leave/pending', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Get pending leave requests (requires leave.review)
+router.get('/org/:orgId/leave/pending', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('leave.review'), paginate(LEAVE_SORTS, { sort: 'created_at', order: 'asc' }), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
-        lr.*,
-        u.name as user_name,
-        u.email as user_email
-      FROM leave_requests lr
-      JOIN users u ON lr.user_id = u.id
-      WHERE lr.org_id = $1 AND lr.status = 'pending'
-      ORDER BY lr.created_at ASC
-    `, [req.orgId]);
-    
-    res.json(result.rows);
+    res.json(await queryPage(req.page, {
+      select: 'lr.*, u.name as user_name, u.email as user_email',
+      from: 'leave_requests lr JOIN users u ON lr.user_id = u.id',
+      where: "lr.org_id = $1 AND lr.status = 'pending'",
+      params: [req.orgId],
+      id: 'lr.id'
+    }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('Pending leave error:', error);
     res.status(500).json({ error: 'Failed to get pending leave requests' });
   }
 });
 
-// Review leave request (approve/reject) - managers/admins only
-router.put('/org/:orgId/leave/:leaveId/review', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Review leave request (approve/reject) - requires leave.review
+router.put('/org/:orgId/leave/:leaveId/review', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('leave.review'), validate({
+  body: { type: 'object', required: ['status'], properties: { status: { enum: ['approved', 'rejected'] } } }
+}), async (req, res) => {
   try {
     const { leaveId } = req.params;
     const { status } = req.body;
     
-    if (!['approved', 'rejected'].includes(status)) {
-      return res.status(400).json({ error: 'Status must be "approved" or "rejected"' });
-    }
-    
     const result = await pool.query(`
       UPDATE leave_requests 
       SET status = $1, reviewed_by = $2, reviewed_at = NOW()
@@ -289,6 +328,12 @@ router.put('/org/:orgId/leave/:leaveId/review', authenticate, requireOrg, checkP
       return res.status(404).json({ error: 'Leave request not found or already reviewed' });
     }
     
+    eventBus.emit(SystemEvents.LEAVE_REVIEWED, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      leaveRequest: result.rows[0]
+    });
+    
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Review leave error:', error);
@@ -296,25 +341,34 @@ router.put('/org/:orgId/leave/:leaveId/review', authenticate, requireOrg, checkP
   }
 });
 
-// Get all leave requests (managers/admins only)
-router.get('/org/:orgId/leave/all', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Get all leave requests (requires leave.review)
+router.get('/org/:orgId/leave/all', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('leave.review'), validate({
+  query: { type: 'object', properties: { status: { enum: ['pending', 'approved', 'rejected'] } } }
+}), paginate(LEAVE_SORTS), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
+    let where = 'lr.org_id = $1';
+    const params = [req.orgId];
+    
+    if (req.query.status) {
+      params.push(req.query.status);
+      where += ` AND lr.status = $${params.length}`;
+    }
+    
+    res.json(await queryPage(req.page, {
+      select: `
         lr.*,
         u.name as user_name,
         u.email as user_email,
-        reviewer.name as reviewed_by_name
-      FROM leave_requests lr
+        reviewer.name as reviewed_by_name`,
+      from: `leave_requests lr
       JOIN users u ON lr.user_id = u.id
-      LEFT JOIN users reviewer ON lr.reviewed_by = reviewer.id
-      WHERE lr.org_id = $1
-      ORDER BY lr.created_at DESC
-      LIMIT 100
-    `, [req.orgId]);
-    
-    res.json(result.rows);
+      LEFT JOIN users reviewer ON lr.reviewed_by = reviewer.id`,
+      where,
+      params,
+      id: 'lr.id'
+    }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('All leave error:', error);
     res.status(500).json({ error: 'Failed to get leave requests' });
   }
@@ -323,7 +377,7 @@ router.get('/org/:orgId/leave/all', authenticate, requireOrg, checkPlugEnabled,
 // ==================== LEAVE TYPES ====================
 
 // Get leave types for organization
-router.get('/org/:orgId/leave-types', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/leave-types', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT * FROM leave_types WHERE org_id = $1 ORDER BY name
@@ -346,15 +400,17 @@ router.get('/org/:orgId/leave-types', authenticate, requireOrg, checkPlugEnabled
   }
 });
 
-// Add new leave type (admin only)
-router.post('/org/:orgId/leave-types', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+// Add new leave type (requires leave.manage_types)
+router.post('/org/:orgId/leave-types', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('leave.manage_types'), validate({
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { ...fields.name, maxLength: 50 }, color: { type: ['string', 'null'], maxLength: 20 } }
+  }
+}), async (req, res) => {
   try {
     const { name, color } = req.body;
     
-    if (!name) {
-      return res.status(400).json({ error: 'Leave type name is required' });
-    }
-    
     const result = await pool.query(`
       INSERT INTO leave_types (org_id, name, color)
       VALUES ($1, $2, $3)
@@ -371,8 +427,8 @@ router.post('/org/:orgId/leave-types', authenticate, requireOrg, checkPlugEnable
   }
 });
 
-// Delete leave type (admin only)
-router.delete('/org/:orgId/leave-types/:typeId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+// Delete leave type (requires leave.manage_types)
+router.delete('/org/:orgId/leave-types/:typeId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('leave.manage_types'), async (req, res) => {
   try {
     const { typeId } = req.params;
     
@@ -0,0 +1,63 @@
+import express from 'express';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
+import { paginate, sendCursorError } from '../middleware/paginate.js';
+import { listAuditEvents, exportAuditEventsCsv } from '../services/audit.js';
+
+const router = express.Router();
+checkUuidParams(router);
+
+const AUDIT_SORTS = { created_at: 'created_at' };
+
+// Filters shared by the list and the CSV export
+const FILTER_FIELDS = {
+  actorId: fields.uuid,
+  action: { type: 'string', maxLength: 255 },
+  resourceType: { type: 'string', maxLength: 100 },
+  resourceId: { type: 'string', maxLength: 255 },
+  from: fields.date,
+  to: fields.date,
+  search: { type: 'string', maxLength: 255 }
+};
+
+const getFilters = (query) => ({
+  actorId: query.actorId || null,
+  action: query.action || null,
+  resourceType: query.resourceType || null,
+  resourceId: query.resourceId || null,
+  from: query.from || null,
+  to: query.to || null,
+  search: query.search || null
+});
+
+// Get audit events for organization (requires audit.view)
+router.get('/org/:orgId', authenticate, requireOrg, requirePermission('audit.view'), validate({
+  query: { type: 'object', properties: FILTER_FIELDS }
+}), paginate(AUDIT_SORTS, { sort: 'created_at', order: 'desc' }), async (req, res) => {
+  try {
+    res.json(await listAuditEvents(req.orgId, getFilters(req.query), req.page));
+  } catch (error) {
+    if (sendCursorError(res, error)) return;
+    console.error('Get audit events error:', error);
+    res.status(500).json({ error: 'Failed to get audit events' });
+  }
+});
+
+// Export audit events as CSV (requires audit.view)
+router.get('/org/:orgId/export', authenticate, requireOrg, requirePermission('audit.view'), validate({
+  query: { type: 'object', properties: FILTER_FIELDS }
+}), async (req, res) => {
+  try {
+    const csv = await exportAuditEventsCsv(req.orgId, getFilters(req.query));
+    const date = new Date().toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export audit events error:', error);
+    res.status(500).json({ error: 'Failed to export audit events' });
+  }
+});
+
+export default router;
@@ -1,21 +1,80 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import pool from '../config/db.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, rejectApiTokens } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError, fields } from '../middleware/validate.js';
+import {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} from '../services/sessions.js';
+import twoFactor from '../services/twoFactor.js';
+import { requestPasswordReset, resetPassword } from '../services/passwordReset.js';
+import { attachPermissions, resolvePermissions } from '../services/permissions.js';
+import { recordAuditEvent } from '../services/audit.js';
 
 const router = express.Router();
+checkUuidParams(router);
+
+// A password being checked, not set: any non-empty string
+const PASSWORD = { type: 'string', minLength: 1 };
+
+// Codes from an authenticator app or a recovery code
+const CODE = { type: 'string', minLength: 1, maxLength: 32 };
+
+// New passwords are at least 8 characters (bcrypt reads at most 72 bytes);
+// getPasswordError checks what they contain
+const NEW_PASSWORD = { type: 'string', minLength: 8, maxLength: 72 };
+
+// Password strength rules for new passwords
+// Returns an error message, or null if the password is acceptable
+const getPasswordError = (password) => {
+  const hasUpperCase = /[A-Z]/.test(password);
+  const hasLowerCase = /[a-z]/.test(password);
+  const hasNumber = /\d/.test(password);
+  
+  if (!hasUpperCase || !hasLowerCase || !hasNumber) {
+    return 'newPassword must contain an uppercase letter, a lowercase letter and a number';
+  }
+  
+  return null;
+};
+
+// Finish a login: start a session and return the user's organizations
+const completeLogin = async (user, req, res) => {
+  const orgsResult = await pool.query(`
+    SELECT o.id, o.name, o.slug, o.timezone, o.fiscal_year_start_month, o.base_currency, om.role 
+    FROM organizations o 
+    JOIN org_members om ON o.id = om.org_id 
+    WHERE om.user_id = $1
+  `, [user.id]);
+  
+  const { token, refreshToken } = await createSession(user.id, req);
+  const twoFactorStatus = await twoFactor.getStatus(user.id);
+  
+  res.json({
+    user: { id: user.id, email: user.email, name: user.name },
+    organizations: await attachPermissions(orgsResult.rows),
+    token,
+    refreshToken,
+    // Set when an org requires 2FA for this user's role but it isn't set up yet
+    twoFactorSetupRequired: twoFactorStatus.required && !twoFactorStatus.enabled
+  });
+};
 
 // Register new user + create organization
-router.post('/register', async (req, res) => {
+router.post('/register', validate({
+  body: {
+    type: 'object',
+    required: ['email', 'password', 'name', 'orgName'],
+    properties: { email: fields.email, password: { ...PASSWORD, maxLength: 72 }, name: fields.name, orgName: { ...fields.name, pattern: '[A-Za-z0-9]' } }
+  }
+}), async (req, res) => {
   try {
     const { email, password, name, orgName } = req.body;
     
-    // Validate input
-    if (!email || !password || !name || !orgName) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
-    
     // Check if user exists
     const existingUser = await pool.query(
       'SELECT id FROM users WHERE email = $1',
@@ -69,17 +128,14 @@ router.post('/register', async (req, res) => {
       
       await client.query('COMMIT');
       
-      // Generate JWT
-      const token = jwt.sign(
-        { userId: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-      );
+      // Start a session
+      const { token, refreshToken } = await createSession(user.id, req);
       
       res.status(201).json({
         user: { id: user.id, email: user.email, name: user.name },
-        organization: org,
-        token
+        organization: { ...org, role: 'admin', permissions: [...resolvePermissions('admin')] },
+        token,
+        refreshToken
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -94,17 +150,15 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', validate({
+  body: { type: 'object', required: ['email', 'password'], properties: { email: { type: 'string', minLength: 1 }, password: PASSWORD } }
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
-    
     // Get user
     const result = await pool.query(
-      'SELECT id, email, name, password_hash FROM users WHERE email = $1',
+      'SELECT id, email, name, password_hash, totp_enabled FROM users WHERE email = $1',
       [email]
     );
     
@@ -120,49 +174,244 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    // Get user's organizations
-    const orgsResult = await pool.query(`
-      SELECT o.id, o.name, o.slug, om.role 
-      FROM organizations o 
-      JOIN org_members om ON o.id = om.org_id 
-      WHERE om.user_id = $1
-    `, [user.id]);
+    // Second step required: the client sends a code with this challenge
+    if (user.totp_enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: twoFactor.createChallenge(user.id)
+      });
+    }
+    
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Login step two: verify an authenticator or recovery code
+router.post('/login/2fa', validate({
+  body: { type: 'object', required: ['challengeToken', 'code'], properties: { challengeToken: { type: 'string', minLength: 1 }, code: CODE } }
+}), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    let userId;
+    try {
+      userId = await twoFactor.completeChallenge(challengeToken, code);
+    } catch (challengeError) {
+      return res.status(401).json({ error: challengeError.message });
+    }
     
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    
+    const result = await pool.query(
+      'SELECT id, email, name FROM users WHERE id = $1',
+      [userId]
     );
     
-    res.json({
-      user: { id: user.id, email: user.email, name: user.name },
-      organizations: orgsResult.rows,
-      token
-    });
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    await completeLogin(result.rows[0], req, res);
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Login 2FA error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+// Get two-factor authentication status
+router.get('/2fa', authenticate, rejectApiTokens, async (req, res) => {
+  try {
+    res.json(await twoFactor.getStatus(req.user.id));
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+// Start 2FA enrolment (returns the secret and a QR code for the authenticator app)
+router.post('/2fa/setup', authenticate, rejectApiTokens, async (req, res) => {
+  try {
+    const status = await twoFactor.getStatus(req.user.id);
+    
+    if (status.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    res.json(await twoFactor.beginEnrolment(req.user));
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish 2FA enrolment with a code from the authenticator app
+router.post('/2fa/enable', authenticate, rejectApiTokens, validate({
+  body: { type: 'object', required: ['code'], properties: { code: CODE } }
+}), async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const recoveryCodes = await twoFactor.confirmEnrolment(req.user.id, code);
+    
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid code. Check the time on your device and try again.' });
+    }
+    
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Regenerate recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', authenticate, rejectApiTokens, validate({
+  body: { type: 'object', required: ['code'], properties: { code: CODE } }
+}), async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!(await twoFactor.verifyCode(req.user.id, code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = await twoFactor.generateRecoveryCodes(req.user.id);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Disable 2FA (requires password)
+router.post('/2fa/disable', authenticate, rejectApiTokens, validate({
+  body: { type: 'object', required: ['password'], properties: { password: PASSWORD } }
+}), async (req, res) => {
+  try {
+    const { password } = req.body;
+    
+    const userResult = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    
+    const validPassword = await bcrypt.compare(password, userResult.rows[0].password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    
+    const status = await twoFactor.getStatus(req.user.id);
+    if (status.required) {
+      return res.status(400).json({ error: 'Your organization requires two-factor authentication for your role' });
+    }
+    
+    await twoFactor.disable(req.user.id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Exchange a refresh token for new tokens (the refresh token is rotated)
+router.post('/refresh', validate({
+  body: { type: 'object', required: ['refreshToken'], properties: { refreshToken: { type: 'string', minLength: 1 } } }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const tokens = await rotateSession(refreshToken, req);
+    
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    
+    res.json({ token: tokens.token, refreshToken: tokens.refreshToken });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Logout (ends the current session)
+router.post('/logout', authenticate, rejectApiTokens, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.sessionId);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Logout everywhere (ends all of the user's sessions, including this one)
+router.post('/logout-all', authenticate, rejectApiTokens, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+    res.json({ message: 'Logged out of all sessions', count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all sessions' });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticate, rejectApiTokens, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// Revoke a session
+router.delete('/sessions/:sessionId', authenticate, rejectApiTokens, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.sessionId);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 // Get current user
 router.get('/me', authenticate, async (req, res) => {
   try {
     // Get user's organizations with department info
     const orgsResult = await pool.query(`
-      SELECT o.id, o.name, o.slug, om.role, om.department_id, d.name as department_name
+      SELECT o.id, o.name, o.slug, o.timezone, o.fiscal_year_start_month, o.base_currency, om.role, om.department_id, d.name as department_name
       FROM organizations o 
       JOIN org_members om ON o.id = om.org_id 
       LEFT JOIN departments d ON om.department_id = d.id
       WHERE om.user_id = $1
     `, [req.user.id]);
     
-    const organizations = orgsResult.rows.map(org => ({
+    const organizations = (await attachPermissions(orgsResult.rows)).map(org => ({
       id: org.id,
       name: org.name,
       slug: org.slug,
+      timezone: org.timezone,
+      fiscal_year_start_month: org.fiscal_year_start_month,
+      base_currency: org.base_currency,
       role: org.role,
+      permissions: org.permissions,
       department: org.department_id ? {
         id: org.department_id,
         name: org.department_name
@@ -180,19 +429,16 @@ router.get('/me', authenticate, async (req, res) => {
 });
 
 // Employee registration (join existing organization via invite)
-router.post('/join', async (req, res) => {
+router.post('/join', validate({
+  body: {
+    type: 'object',
+    required: ['email', 'password', 'name'],
+    properties: { email: fields.email, password: { type: 'string', minLength: 6, maxLength: 72 }, name: fields.name }
+  }
+}), async (req, res) => {
   try {
     const { email, password, name } = req.body;
     
-    // Validate input
-    if (!email || !password || !name) {
-      return res.status(400).json({ error: 'Email, password, and name are required' });
-    }
-    
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
-    }
-    
     // Check if user already exists
     const existingUser = await pool.query(
       'SELECT id FROM users WHERE email = $1',
@@ -210,6 +456,7 @@ router.post('/join', async (req, res) => {
         ei.org_id,
         ei.role,
         ei.department_id,
+        ei.claims_user_id,
         o.name as org_name,
         o.slug as org_slug,
         d.name as department_name
@@ -235,16 +482,28 @@ router.post('/join', async (req, res) => {
     try {
       await client.query('BEGIN');
       
-      // Create user
-      const userResult = await client.query(
-        'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id, email, name',
-        [email.toLowerCase(), passwordHash, name]
-      );
+      // An invite from an org import hands over the account made for this
+      // person, with its records; otherwise create a user
+      let userResult = { rows: [] };
+      if (invite.claims_user_id) {
+        userResult = await client.query(`
+          UPDATE users SET email = $2, password_hash = $3, name = $4
+          WHERE id = $1 AND email LIKE '%@imported.invalid'
+          RETURNING id, email, name
+        `, [invite.claims_user_id, email.toLowerCase(), passwordHash, name]);
+      }
+      if (userResult.rows.length === 0) {
+        userResult = await client.query(
+          'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id, email, name',
+          [email.toLowerCase(), passwordHash, name]
+        );
+      }
       const user = userResult.rows[0];
       
       // Add user to organization with role and department from invite
+      // (an imported account may already be a member)
       await client.query(
-        'INSERT INTO org_members (user_id, org_id, role, department_id) VALUES ($1, $2, $3, $4)',
+        'INSERT INTO org_members (user_id, org_id, role, department_id) VALUES ($1, $2, $3, $4) ON CONFLICT (user_id, org_id) DO NOTHING',
         [user.id, invite.org_id, invite.role, invite.department_id]
       );
       
@@ -256,26 +515,24 @@ router.post('/join', async (req, res) => {
       
       await client.query('COMMIT');
       
-      // Generate JWT
-      const token = jwt.sign(
-        { userId: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-      );
+      // Start a session
+      const { token, refreshToken } = await createSession(user.id, req);
+      const [organization] = await attachPermissions([{
+        id: invite.org_id,
+        name: invite.org_name,
+        slug: invite.org_slug,
+        role: invite.role
+      }]);
       
       res.status(201).json({
         user: { id: user.id, email: user.email, name: user.name },
-        organization: { 
-          id: invite.org_id, 
-          name: invite.org_name, 
-          slug: invite.org_slug,
-          role: invite.role
-        },
+        organization,
         department: invite.department_id ? {
           id: invite.department_id,
           name: invite.department_name
         } : null,
-        token
+        token,
+        refreshToken
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -289,29 +546,76 @@ router.post('/join', async (req, res) => {
   }
 });
 
-// Change password (requires current password for security)
-router.post('/change-password', authenticate, async (req, res) => {
+// Request a password reset email
+router.post('/forgot-password', validate({
+  body: { type: 'object', required: ['email'], properties: { email: fields.email } }
+}), async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { email } = req.body;
     
-    // Validate input
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ error: 'Current password and new password are required' });
+    await requestPasswordReset(email, req);
+    
+    // Same answer whether or not the account exists
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+// Set a new password with a token from a reset email
+router.post('/reset-password', validate({
+  body: { type: 'object', required: ['token', 'newPassword'], properties: { token: { type: 'string', minLength: 1 }, newPassword: NEW_PASSWORD } }
+}), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    const passwordError = getPasswordError(newPassword);
+    if (passwordError) {
+      return sendValidationError(res, [{ in: 'body', field: 'newPassword', message: passwordError }]);
     }
     
-    if (newPassword.length < 8) {
-      return res.status(400).json({ error: 'New password must be at least 8 characters' });
+    const userId = await resetPassword(token, newPassword);
+    if (!userId) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
     }
     
-    // Check password strength
-    const hasUpperCase = /[A-Z]/.test(newPassword);
-    const hasLowerCase = /[a-z]/.test(newPassword);
-    const hasNumber = /\d/.test(newPassword);
+    // Show the reset in the audit log of every org the user belongs to
+    const memberships = await pool.query(`
+      SELECT om.org_id, u.name, u.email
+      FROM org_members om
+      JOIN users u ON om.user_id = u.id
+      WHERE om.user_id = $1
+    `, [userId]);
+    
+    await Promise.all(memberships.rows.map(row => recordAuditEvent({
+      orgId: row.org_id,
+      action: 'user.password_reset',
+      resourceType: 'user',
+      resourceId: userId,
+      metadata: { method: 'email_link' },
+      actor: { id: userId, name: row.name, email: row.email },
+      req
+    })));
+    
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Change password (requires current password for security)
+router.post('/change-password', authenticate, rejectApiTokens, validate({
+  body: { type: 'object', required: ['currentPassword', 'newPassword'], properties: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD } }
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
     
-    if (!hasUpperCase || !hasLowerCase || !hasNumber) {
-      return res.status(400).json({ 
-        error: 'Password must contain at least one uppercase letter, one lowercase letter, and one number' 
-      });
+    // Check password strength
+    const passwordError = getPasswordError(newPassword);
+    if (passwordError) {
+      return sendValidationError(res, [{ in: 'body', field: 'newPassword', message: passwordError }]);
     }
     
     // Get current password hash
@@ -339,6 +643,9 @@ router.post('/change-password', authenticate, async (req, res) => {
       [newPasswordHash, req.user.id]
     );
     
+    // Sign out every other device that knew the old password
+    await revokeAllSessions(req.user.id, req.sessionId);
+    
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -1,8 +1,17 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
 
 const router = express.Router();
+checkUuidParams(router);
+
+const CATEGORY_FIELDS = {
+  name: { ...fields.name, maxLength: 100 },
+  icon: { type: ['string', 'null'], maxLength: 50 },
+  color: { type: ['string', 'null'], pattern: '^#[0-9A-Fa-f]{6}$' },
+  sort_order: { type: 'integer' }
+};
 
 // Get all categories for an organization
 router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
@@ -21,15 +30,13 @@ router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
   }
 });
 
-// Create a new category (admin only)
-router.post('/org/:orgId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Create a new category (requires plugs.manage)
+router.post('/org/:orgId', authenticate, requireOrg, requirePermission('plugs.manage'), validate({
+  body: { type: 'object', required: ['name'], properties: CATEGORY_FIELDS }
+}), async (req, res) => {
   try {
     const { name, icon, color } = req.body;
     
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Category name is required' });
-    }
-    
     // Get max sort order
     const maxOrder = await pool.query(
       'SELECT COALESCE(MAX(sort_order), 0) + 1 as next_order FROM plug_categories WHERE org_id = $1',
@@ -52,8 +59,10 @@ router.post('/org/:orgId', authenticate, requireOrg, requireRole('admin'), async
   }
 });
 
-// Update a category (admin only)
-router.put('/org/:orgId/:categoryId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Update a category (requires plugs.manage)
+router.put('/org/:orgId/:categoryId', authenticate, requireOrg, requirePermission('plugs.manage'), validate({
+  body: { type: 'object', properties: CATEGORY_FIELDS }
+}), async (req, res) => {
   try {
     const { categoryId } = req.params;
     const { name, icon, color, sort_order } = req.body;
@@ -88,8 +97,8 @@ router.put('/org/:orgId/:categoryId', authenticate, requireOrg, requireRole('adm
   }
 });
 
-// Delete a category (admin only) - plugs move to uncategorized
-router.delete('/org/:orgId/:categoryId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Delete a category (requires plugs.manage) - plugs move to uncategorized
+router.delete('/org/:orgId/:categoryId', authenticate, requireOrg, requirePermission('plugs.manage'), async (req, res) => {
   try {
     const { categoryId } = req.params;
     
@@ -116,8 +125,10 @@ router.delete('/org/:orgId/:categoryId', authenticate, requireOrg, requireRole('
   }
 });
 
-// Assign a plug to a category (admin only)
-router.put('/org/:orgId/plug/:plugId/category', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Assign a plug to a category (requires plugs.manage)
+router.put('/org/:orgId/plug/:plugId/category', authenticate, requireOrg, requirePermission('plugs.manage'), validate({
+  body: { type: 'object', properties: { categoryId: fields.optionalUuid } }
+}), async (req, res) => {
   try {
     const { plugId } = req.params;
     const { categoryId } = req.body; // null to remove from category
@@ -0,0 +1,180 @@
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError, fields } from '../middleware/validate.js';
+import { paginate, queryPage, sendCursorError } from '../middleware/paginate.js';
+import {
+  normalizeCurrency,
+  getBaseCurrency,
+  validateRate,
+  parseRatesCsv,
+  saveRate,
+  importRates
+} from '../services/currency.js';
+import { recordAuditEvent } from '../services/audit.js';
+
+const router = express.Router();
+checkUuidParams(router);
+
+const RATE_SORTS = { effective_date: 'r.effective_date', created_at: 'r.created_at' };
+
+// Get the base currency and the latest rate for each other currency
+router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
+  try {
+    const baseCurrency = await getBaseCurrency(req.orgId);
+    const result = await pool.query(`
+      SELECT DISTINCT ON (currency) currency, rate, effective_date
+      FROM exchange_rates
+      WHERE org_id = $1 AND base_currency = $2
+      ORDER BY currency, effective_date DESC
+    `, [req.orgId, baseCurrency]);
+
+    res.json({ base_currency: baseCurrency, currencies: result.rows });
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({ error: 'Failed to get currencies' });
+  }
+});
+
+// Change the base currency (requires currencies.manage)
+router.put('/org/:orgId/base', authenticate, requireOrg, requirePermission('currencies.manage'), validate({
+  body: { type: 'object', required: ['base_currency'], properties: { base_currency: fields.currency } }
+}), async (req, res) => {
+  try {
+    const baseCurrency = normalizeCurrency(req.body.base_currency);
+
+    const previous = await getBaseCurrency(req.orgId);
+    await pool.query('UPDATE organizations SET base_currency = $1 WHERE id = $2', [baseCurrency, req.orgId]);
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'currency.base_changed',
+      resourceType: 'organization',
+      resourceId: req.orgId,
+      metadata: { before: previous, after: baseCurrency },
+      req
+    });
+
+    res.json({ base_currency: baseCurrency });
+  } catch (error) {
+    console.error('Change base currency error:', error);
+    res.status(500).json({ error: 'Failed to change base currency' });
+  }
+});
+
+// Get exchange rates into the base currency, newest first
+router.get('/org/:orgId/rates', authenticate, requireOrg, validate({
+  query: { type: 'object', properties: { currency: fields.currency } }
+}), paginate(RATE_SORTS), async (req, res) => {
+  try {
+    const baseCurrency = await getBaseCurrency(req.orgId);
+    const params = [req.orgId, baseCurrency];
+    let where = 'r.org_id = $1 AND r.base_currency = $2';
+
+    if (req.query.currency) {
+      params.push(normalizeCurrency(req.query.currency));
+      where += ` AND r.currency = $${params.length}`;
+    }
+
+    res.json(await queryPage(req.page, {
+      select: 'r.*, u.name as created_by_name',
+      from: 'exchange_rates r LEFT JOIN users u ON r.created_by = u.id',
+      where,
+      params,
+      id: 'r.id'
+    }));
+  } catch (error) {
+    if (sendCursorError(res, error)) return;
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ error: 'Failed to get exchange rates' });
+  }
+});
+
+// Add an exchange rate (requires currencies.manage)
+router.post('/org/:orgId/rates', authenticate, requireOrg, requirePermission('currencies.manage'), validate({
+  body: {
+    type: 'object',
+    required: ['currency', 'rate', 'effective_date'],
+    properties: { currency: fields.currency, rate: fields.amount, effective_date: fields.date }
+  }
+}), async (req, res) => {
+  try {
+    const baseCurrency = await getBaseCurrency(req.orgId);
+    // Only a rate for the base currency itself gets past the schema
+    const { rate, error } = validateRate(req.body, baseCurrency);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await saveRate({ orgId: req.orgId, baseCurrency, rate, userId: req.user.id });
+
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Add exchange rate error:', error);
+    res.status(500).json({ error: 'Failed to add exchange rate' });
+  }
+});
+
+// Import exchange rates from CSV (requires currencies.manage)
+// Nothing is imported if any row is invalid
+router.post('/org/:orgId/rates/import', authenticate, requireOrg, requirePermission('currencies.manage'), validate({
+  body: { type: 'object', required: ['csv'], properties: { csv: { type: 'string', minLength: 1 } } }
+}), async (req, res) => {
+  try {
+    const baseCurrency = await getBaseCurrency(req.orgId);
+    const { rows, error } = parseRatesCsv(req.body.csv);
+    if (error) {
+      return sendValidationError(res, [{ in: 'body', field: 'csv', message: error }]);
+    }
+
+    const rates = [];
+    const errors = [];
+    for (const row of rows) {
+      const checked = validateRate(row, baseCurrency);
+      if (checked.error) {
+        errors.push({ in: 'body', field: 'csv', message: `Line ${row.line}: ${checked.error}` });
+      } else {
+        rates.push(checked.rate);
+      }
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const imported = await importRates({ orgId: req.orgId, baseCurrency, rates, userId: req.user.id });
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'currency.rates_imported',
+      resourceType: 'exchange_rate',
+      metadata: { count: imported, currencies: [...new Set(rates.map(rate => rate.currency))] },
+      req
+    });
+
+    res.json({ imported });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ error: 'Failed to import exchange rates' });
+  }
+});
+
+// Delete an exchange rate (requires currencies.manage)
+router.delete('/org/:orgId/rates/:id', authenticate, requireOrg, requirePermission('currencies.manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM exchange_rates WHERE id = $1 AND org_id = $2 RETURNING id',
+      [req.params.id, req.orgId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ error: 'Failed to delete exchange rate' });
+  }
+});
+
+export default router;
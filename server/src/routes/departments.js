@@ -1,16 +1,25 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
 
 const router = express.Router();
+checkUuidParams(router);
 
-// Get all departments for organization
+const departmentSchema = {
+  body: { type: 'object', required: ['name'], properties: { name: fields.name } }
+};
+
+// Get all departments for organization, with how many directory employees are in each
 router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, created_at FROM departments WHERE org_id = $1 ORDER BY name',
-      [req.orgId]
-    );
+    const result = await pool.query(`
+      SELECT d.id, d.name, d.created_at,
+        (SELECT COUNT(*)::int FROM employees e WHERE e.org_id = d.org_id AND e.department = d.name) as employee_count
+      FROM departments d
+      WHERE d.org_id = $1
+      ORDER BY d.name
+    `, [req.orgId]);
     res.json(result.rows);
   } catch (error) {
     console.error('Failed to get departments:', error);
@@ -18,15 +27,11 @@ router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
   }
 });
 
-// Create department (admin only)
-router.post('/org/:orgId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Create department (requires departments.manage)
+router.post('/org/:orgId', authenticate, requireOrg, requirePermission('departments.manage'), validate(departmentSchema), async (req, res) => {
   try {
     const { name } = req.body;
     
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Department name is required' });
-    }
-    
     const result = await pool.query(
       'INSERT INTO departments (org_id, name) VALUES ($1, $2) RETURNING *',
       [req.orgId, name.trim()]
@@ -42,16 +47,12 @@ router.post('/org/:orgId', authenticate, requireOrg, requireRole('admin'), async
   }
 });
 
-// Update department (admin only)
-router.put('/org/:orgId/:deptId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Update department (requires departments.manage)
+router.put('/org/:orgId/:deptId', authenticate, requireOrg, requirePermission('departments.manage'), validate(departmentSchema), async (req, res) => {
   try {
     const { name } = req.body;
     const { deptId } = req.params;
     
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Department name is required' });
-    }
-    
     const result = await pool.query(
       'UPDATE departments SET name = $1 WHERE id = $2 AND org_id = $3 RETURNING *',
       [name.trim(), deptId, req.orgId]
@@ -71,8 +72,8 @@ router.put('/org/:orgId/:deptId', authenticate, requireOrg, requireRole('admin')
   }
 });
 
-// Delete department (admin only)
-router.delete('/org/:orgId/:deptId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Delete department (requires departments.manage)
+router.delete('/org/:orgId/:deptId', authenticate, requireOrg, requirePermission('departments.manage'), async (req, res) => {
   try {
     const { deptId } = req.params;
     
@@ -111,8 +112,8 @@ router.get('/org/:orgId/:deptId/plugs', authenticate, requireOrg, async (req, re
   }
 });
 
-// Assign plug to department (admin only)
-router.post('/org/:orgId/:deptId/plugs/:plugId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Assign plug to department (requires departments.manage)
+router.post('/org/:orgId/:deptId/plugs/:plugId', authenticate, requireOrg, requirePermission('departments.manage'), async (req, res) => {
   try {
     const { deptId, plugId } = req.params;
     
@@ -149,8 +150,8 @@ router.post('/org/:orgId/:deptId/plugs/:plugId', authenticate, requireOrg, requi
   }
 });
 
-// Remove plug from department (admin only)
-router.delete('/org/:orgId/:deptId/plugs/:plugId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Remove plug from department (requires departments.manage)
+router.delete('/org/:orgId/:deptId/plugs/:plugId', authenticate, requireOrg, requirePermission('departments.manage'), async (req, res) => {
   try {
     const { deptId, plugId } = req.params;
     
@@ -1,41 +1,74 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, admitToOrg } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError, fields } from '../middleware/validate.js';
+import { hasPermission } from '../services/permissions.js';
+import { checkPlugAccess } from '../services/plugAccess.js';
+import { recordAuditEvent } from '../services/audit.js';
 
 const router = express.Router();
+checkUuidParams(router);
+
+const PLUG_SLUG = 'document-manager';
+
+// Check org membership (the same checks as requireOrg) and Document Manager
+// access, then continue
+const admitMember = async (req, res, next, orgId) => {
+  const notAdmitted = await admitToOrg(req, orgId);
+  if (notAdmitted) {
+    const { status, ...body } = notAdmitted;
+    return res.status(status).json(body);
+  }
+
+  const denied = await checkPlugAccess(req, orgId, [PLUG_SLUG]);
+  if (denied) {
+    return res.status(denied.status).json({ error: denied.error });
+  }
+
+  next();
+};
 
 // Middleware to check org membership
 const checkOrgMember = async (req, res, next) => {
-  const { orgId } = req.params;
-  const userId = req.user.id;
+  try {
+    await admitMember(req, res, next, req.params.orgId);
+  } catch (error) {
+    console.error('Error checking org membership:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
 
+// Same checks for routes addressed by a document or folder ID, using the
+// org the record belongs to
+const checkRecordOrg = (table, param, notFoundError) => async (req, res, next) => {
   try {
-    const { rows } = await pool.query(
-      'SELECT role FROM org_members WHERE user_id = $1 AND org_id = $2',
-      [userId, orgId]
-    );
+    const { rows } = await pool.query(`SELECT org_id FROM ${table} WHERE id = $1`, [req.params[param]]);
 
     if (rows.length === 0) {
-      return res.status(403).json({ error: 'Not a member of this organization' });
+      return res.status(404).json({ error: notFoundError });
     }
 
-    req.orgRole = rows[0].role;
-    next();
+    await admitMember(req, res, next, rows[0].org_id);
   } catch (error) {
     console.error('Error checking org membership:', error);
     res.status(500).json({ error: 'Server error' });
   }
 };
 
+const checkDocumentOrg = checkRecordOrg('documents', 'id', 'Document not found');
+const checkFolderOrg = (param = 'id') => checkRecordOrg('document_folders', param, 'Folder not found');
+
 // Get all documents for an organization
-router.get('/org/:orgId', authenticate, checkOrgMember, async (req, res) => {
+router.get('/org/:orgId', authenticate, checkOrgMember, validate({
+  query: { type: 'object', properties: { folderId: fields.uuid } }
+}), async (req, res) => {
   const { orgId } = req.params;
   const { folderId } = req.query;
   const userId = req.user.id;
 
   try {
-    // If accessing a specific folder and user is an employee, check permissions
-    if (folderId && req.orgRole === 'employee') {
+    // If accessing a specific folder without documents.manage, check folder permissions
+    if (folderId && !hasPermission(req.permissions, 'documents.manage')) {
       // Get user's department
       const memberResult = await pool.query(
         'SELECT department_id FROM org_members WHERE user_id = $1 AND org_id = $2',
@@ -97,8 +130,8 @@ router.get('/org/:orgId/folders', authenticate, checkOrgMember, async (req, res)
   const userId = req.user.id;
 
   try {
-    // If admin or manager, return all folders
-    if (req.orgRole === 'admin' || req.orgRole === 'manager') {
+    // Members who manage documents see all folders
+    if (hasPermission(req.permissions, 'documents.manage')) {
       const { rows } = await pool.query(
         `SELECT f.*, u.name as created_by_name,
           (SELECT COUNT(*) FROM documents WHERE folder_id = f.id) as document_count
@@ -147,7 +180,7 @@ router.get('/org/:orgId/folders', authenticate, checkOrgMember, async (req, res)
 });
 
 // Get document metadata
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, checkDocumentOrg, async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -171,7 +204,7 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // Download document content
-router.get('/:id/download', authenticate, async (req, res) => {
+router.get('/:id/download', authenticate, checkDocumentOrg, async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -200,19 +233,26 @@ router.get('/:id/download', authenticate, async (req, res) => {
 });
 
 // Upload a new document
-router.post('/org/:orgId', authenticate, checkOrgMember, async (req, res) => {
+router.post('/org/:orgId', authenticate, checkOrgMember, validate({
+  body: {
+    type: 'object',
+    required: ['name', 'content'],
+    properties: {
+      name: fields.name,
+      fileType: { type: ['string', 'null'], maxLength: 100 },
+      // 5MB limit
+      fileSize: { type: 'integer', minimum: 0, maximum: 5 * 1024 * 1024 },
+      content: { type: 'string' },
+      folderId: fields.optionalUuid
+    }
+  }
+}), async (req, res) => {
   const { orgId } = req.params;
   const { name, fileType, fileSize, content, folderId } = req.body;
   const userId = req.user.id;
 
-  // Check if user is admin or manager
-  if (req.orgRole === 'employee') {
-    return res.status(403).json({ error: 'Only admins and managers can upload documents' });
-  }
-
-  // Validate file size (5MB limit)
-  if (fileSize > 5 * 1024 * 1024) {
-    return res.status(400).json({ error: 'File size exceeds 5MB limit' });
+  if (!hasPermission(req.permissions, 'documents.upload')) {
+    return res.status(403).json({ error: 'You do not have permission to upload documents' });
   }
 
   try {
@@ -253,14 +293,15 @@ router.post('/org/:orgId', authenticate, checkOrgMember, async (req, res) => {
 });
 
 // Create a new folder
-router.post('/org/:orgId/folders', authenticate, checkOrgMember, async (req, res) => {
+router.post('/org/:orgId/folders', authenticate, checkOrgMember, validate({
+  body: { type: 'object', required: ['name'], properties: { name: fields.name, parentId: fields.optionalUuid } }
+}), async (req, res) => {
   const { orgId } = req.params;
   const { name, parentId } = req.body;
   const userId = req.user.id;
 
-  // Check if user is admin or manager
-  if (req.orgRole === 'employee') {
-    return res.status(403).json({ error: 'Only admins and managers can create folders' });
+  if (!hasPermission(req.permissions, 'documents.manage')) {
+    return res.status(403).json({ error: 'You do not have permission to create folders' });
   }
 
   try {
@@ -279,7 +320,9 @@ router.post('/org/:orgId/folders', authenticate, checkOrgMember, async (req, res
 });
 
 // Update document (move to folder, rename)
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, checkDocumentOrg, validate({
+  body: { type: 'object', properties: { name: fields.name, folderId: fields.optionalUuid } }
+}), async (req, res) => {
   const { id } = req.params;
   const { name, folderId } = req.body;
 
@@ -306,13 +349,13 @@ router.put('/:id', authenticate, async (req, res) => {
 });
 
 // Delete document
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, checkDocumentOrg, async (req, res) => {
   const { id } = req.params;
 
   try {
     // Get the document to check ownership and org membership
     const docResult = await pool.query(
-      'SELECT org_id, uploaded_by FROM documents WHERE id = $1', 
+      'SELECT org_id, name, uploaded_by FROM documents WHERE id = $1', 
       [id]
     );
     
@@ -324,24 +367,29 @@ router.delete('/:id', authenticate, async (req, res) => {
     const orgId = doc.org_id;
     const isOwner = doc.uploaded_by === req.user.id;
 
-    // Check user's role in the org
-    const memberResult = await pool.query(
-      'SELECT role FROM org_members WHERE user_id = $1 AND org_id = $2',
-      [req.user.id, orgId]
-    );
+    // Check user's permissions in the org
+    const member = await getRequestPermissions(req, orgId);
 
-    if (memberResult.rows.length === 0) {
+    if (!member) {
       return res.status(403).json({ error: 'Not a member of this organization' });
     }
 
-    const isAdminOrManager = memberResult.rows[0].role !== 'employee';
-
-    // Allow deletion if user is admin/manager OR if they are the owner
-    if (!isAdminOrManager && !isOwner) {
+    // Allow deletion if user manages documents OR if they are the owner
+    if (!hasPermission(member.permissions, 'documents.manage') && !isOwner) {
       return res.status(403).json({ error: 'You can only delete documents you uploaded' });
     }
 
     await pool.query('DELETE FROM documents WHERE id = $1', [id]);
+
+    await recordAuditEvent({
+      orgId,
+      action: 'document.deleted',
+      resourceType: 'document',
+      resourceId: id,
+      metadata: { name: doc.name, uploadedBy: doc.uploaded_by },
+      req
+    });
+
     res.json({ message: 'Document deleted successfully' });
   } catch (error) {
     console.error('Error deleting document:', error);
@@ -350,12 +398,12 @@ router.delete('/:id', authenticate, async (req, res) => {
 });
 
 // Delete folder
-router.delete('/folders/:id', authenticate, async (req, res) => {
+router.delete('/folders/:id', authenticate, checkFolderOrg(), async (req, res) => {
   const { id } = req.params;
 
   try {
     // Get the folder to check org membership
-    const folderResult = await pool.query('SELECT org_id FROM document_folders WHERE id = $1', [id]);
+    const folderResult = await pool.query('SELECT org_id, name FROM document_folders WHERE id = $1', [id]);
     
     if (folderResult.rows.length === 0) {
       return res.status(404).json({ error: 'Folder not found' });
@@ -363,17 +411,24 @@ router.delete('/folders/:id', authenticate, async (req, res) => {
 
     const orgId = folderResult.rows[0].org_id;
 
-    // Check if user is admin or manager
-    const memberResult = await pool.query(
-      'SELECT role FROM org_members WHERE user_id = $1 AND org_id = $2',
-      [req.user.id, orgId]
-    );
+    // Check if user can manage documents
+    const member = await getRequestPermissions(req, orgId);
 
-    if (memberResult.rows.length === 0 || memberResult.rows[0].role === 'employee') {
-      return res.status(403).json({ error: 'Only admins and managers can delete folders' });
+    if (!member || !hasPermission(member.permissions, 'documents.manage')) {
+      return res.status(403).json({ error: 'You do not have permission to delete folders' });
     }
 
     await pool.query('DELETE FROM document_folders WHERE id = $1', [id]);
+
+    await recordAuditEvent({
+      orgId,
+      action: 'document_folder.deleted',
+      resourceType: 'document_folder',
+      resourceId: id,
+      metadata: { name: folderResult.rows[0].name },
+      req
+    });
+
     res.json({ message: 'Folder deleted successfully' });
   } catch (error) {
     console.error('Error deleting folder:', error);
@@ -416,7 +471,7 @@ router.get('/org/:orgId/summary', authenticate, checkOrgMember, async (req, res)
 });
 
 // Get folder permissions
-router.get('/folders/:id/permissions', authenticate, async (req, res) => {
+router.get('/folders/:id/permissions', authenticate, checkFolderOrg(), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -439,16 +494,15 @@ router.get('/folders/:id/permissions', authenticate, async (req, res) => {
 });
 
 // Add folder permission (admin only)
-router.post('/folders/:id/permissions', authenticate, async (req, res) => {
+router.post('/folders/:id/permissions', authenticate, checkFolderOrg(), validate({
+  body: { type: 'object', properties: { departmentId: fields.optionalUuid, userId: fields.optionalUuid } }
+}), async (req, res) => {
   const { id } = req.params;
   const { departmentId, userId } = req.body;
 
-  if (!departmentId && !userId) {
-    return res.status(400).json({ error: 'Must specify either departmentId or userId' });
-  }
-
-  if (departmentId && userId) {
-    return res.status(400).json({ error: 'Cannot specify both departmentId and userId' });
+  // Access goes to a department or to one person
+  if (Boolean(departmentId) === Boolean(userId)) {
+    return sendValidationError(res, [{ in: 'body', field: 'departmentId', message: 'Set either departmentId or userId' }]);
   }
 
   try {
@@ -460,14 +514,11 @@ router.post('/folders/:id/permissions', authenticate, async (req, res) => {
 
     const orgId = folderResult.rows[0].org_id;
 
-    // Check if user is admin
-    const memberResult = await pool.query(
-      'SELECT role FROM org_members WHERE user_id = $1 AND org_id = $2',
-      [req.user.id, orgId]
-    );
+    // Check if user can manage documents
+    const member = await getRequestPermissions(req, orgId);
 
-    if (memberResult.rows.length === 0 || memberResult.rows[0].role === 'employee') {
-      return res.status(403).json({ error: 'Only admins and managers can manage permissions' });
+    if (!member || !hasPermission(member.permissions, 'documents.manage')) {
+      return res.status(403).json({ error: 'You do not have permission to manage folder access' });
     }
 
     // Insert permission
@@ -477,6 +528,15 @@ router.post('/folders/:id/permissions', authenticate, async (req, res) => {
       RETURNING *
     `, [id, departmentId || null, userId || null]);
 
+    await recordAuditEvent({
+      orgId,
+      action: 'document_folder.access_granted',
+      resourceType: 'document_folder',
+      resourceId: id,
+      metadata: { departmentId: departmentId || null, userId: userId || null },
+      req
+    });
+
     res.status(201).json(rows[0]);
   } catch (error) {
     console.error('Error adding folder permission:', error);
@@ -485,7 +545,7 @@ router.post('/folders/:id/permissions', authenticate, async (req, res) => {
 });
 
 // Remove folder permission (admin only)
-router.delete('/folders/:folderId/permissions/:permId', authenticate, async (req, res) => {
+router.delete('/folders/:folderId/permissions/:permId', authenticate, checkFolderOrg('folderId'), async (req, res) => {
   const { folderId, permId } = req.params;
 
   try {
@@ -497,17 +557,29 @@ router.delete('/folders/:folderId/permissions/:permId', authenticate, async (req
 
     const orgId = folderResult.rows[0].org_id;
 
-    // Check if user is admin
-    const memberResult = await pool.query(
-      'SELECT role FROM org_members WHERE user_id = $1 AND org_id = $2',
-      [req.user.id, orgId]
+    // Check if user can manage documents
+    const member = await getRequestPermissions(req, orgId);
+
+    if (!member || !hasPermission(member.permissions, 'documents.manage')) {
+      return res.status(403).json({ error: 'You do not have permission to manage folder access' });
+    }
+
+    const removed = await pool.query(
+      'DELETE FROM folder_permissions WHERE id = $1 AND folder_id = $2 RETURNING department_id, user_id',
+      [permId, folderId]
     );
 
-    if (memberResult.rows.length === 0 || memberResult.rows[0].role === 'employee') {
-      return res.status(403).json({ error: 'Only admins and managers can manage permissions' });
+    if (removed.rows.length > 0) {
+      await recordAuditEvent({
+        orgId,
+        action: 'document_folder.access_revoked',
+        resourceType: 'document_folder',
+        resourceId: folderId,
+        metadata: { departmentId: removed.rows[0].department_id, userId: removed.rows[0].user_id },
+        req
+      });
     }
 
-    await pool.query('DELETE FROM folder_permissions WHERE id = $1', [permId]);
     res.json({ message: 'Permission removed successfully' });
   } catch (error) {
     console.error('Error removing folder permission:', error);
@@ -1,33 +1,62 @@
 import express from 'express';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
-import { EduSDK, MemoryAdapter } from 'plugos-plugs-education';
+import pool from '../config/db.js';
+import { authenticate, requireOrg, requirePlug, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError, fields, NOT_BLANK } from '../middleware/validate.js';
+import { EduSDK, PostgresAdapter, ValidationError } from 'plugos-plugs-education';
 
 const router = express.Router();
+checkUuidParams(router);
 
-// Create a shared storage adapter per organization
+// One SDK instance per organization, persisted in Postgres and scoped by org_id
 const orgAdapters = new Map();
 
 function getOrgSDK(orgId) {
   if (!orgAdapters.has(orgId)) {
-    orgAdapters.set(orgId, new EduSDK());
+    orgAdapters.set(orgId, new EduSDK({
+      adapter: new PostgresAdapter(pool, { orgId })
+    }));
   }
   return orgAdapters.get(orgId);
 }
 
-// Middleware to check if Education plug is enabled
-const checkPlugEnabled = async (req, res, next) => {
-  try {
-    // For now, just pass through - can add plug check later
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to check plug status' });
+const PLUG_SLUG = 'education-manager';
+
+// The SDK throws ValidationError for bad input and plain errors for missing
+// records and broken rules (already enrolled, wrong join code). Anything
+// else, like a database error, is a failure.
+const sendEduError = (res, error, failure) => {
+  if (error instanceof ValidationError) {
+    return sendValidationError(res, [{ in: 'body', field: error.field, message: error.message }]);
   }
+  if (error.code) {
+    return res.status(500).json({ error: failure });
+  }
+  res.status(/not found$/i.test(error.message) ? 404 : 400).json({ error: error.message });
+};
+
+// Body schemas. Updates are merged into the stored record, so only these
+// fields are accepted.
+const body = (properties, required = []) => validate({
+  body: { type: 'object', required, properties, additionalProperties: false }
+});
+
+const ID = { type: 'string', minLength: 1, maxLength: 100 };
+
+const STUDENT_FIELDS = { name: fields.name, email: fields.email, profile: { type: 'object' } };
+const CLASSROOM_FIELDS = { name: fields.name, description: fields.text, subject: { type: ['string', 'null'], maxLength: 255 } };
+const ASSIGNMENT_FIELDS = {
+  title: fields.name,
+  description: fields.text,
+  dueDate: { type: ['string', 'null'], maxLength: 40 },
+  points: { type: 'number', minimum: 0 },
+  type: { type: 'string', maxLength: 50 }
 };
+const ANNOUNCEMENT_FIELDS = { title: { type: 'string', maxLength: 255 }, content: { type: 'string', pattern: NOT_BLANK } };
 
 // ==================== STUDENTS ====================
 
 // Get all students
-router.get('/org/:orgId/students', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/students', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const students = await edu.students.list();
@@ -39,19 +68,19 @@ router.get('/org/:orgId/students', authenticate, requireOrg, checkPlugEnabled, a
 });
 
 // Create student
-router.post('/org/:orgId/students', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.post('/org/:orgId/students', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body(STUDENT_FIELDS, ['name', 'email']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const student = await edu.students.create(req.body);
     res.status(201).json(student);
   } catch (error) {
     console.error('Create student error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to create student');
   }
 });
 
 // Get single student
-router.get('/org/:orgId/students/:studentId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/students/:studentId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const student = await edu.students.get(req.params.studentId);
@@ -66,31 +95,33 @@ router.get('/org/:orgId/students/:studentId', authenticate, requireOrg, checkPlu
 });
 
 // Update student
-router.put('/org/:orgId/students/:studentId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.put('/org/:orgId/students/:studentId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body(STUDENT_FIELDS), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const student = await edu.students.update(req.params.studentId, req.body);
     res.json(student);
   } catch (error) {
     console.error('Update student error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to update student');
   }
 });
 
 // Delete student
-router.delete('/org/:orgId/students/:studentId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.delete('/org/:orgId/students/:studentId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     await edu.students.delete(req.params.studentId);
     res.json({ message: 'Student deleted' });
   } catch (error) {
     console.error('Delete student error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to delete student');
   }
 });
 
 // Search students
-router.get('/org/:orgId/students/search/:query', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/students/search/:query', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  params: { type: 'object', properties: { query: { type: 'string', minLength: 1, maxLength: 100 } } }
+}), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const students = await edu.students.search(req.params.query);
@@ -104,7 +135,7 @@ router.get('/org/:orgId/students/search/:query', authenticate, requireOrg, check
 // ==================== CLASSROOMS ====================
 
 // Get all classrooms
-router.get('/org/:orgId/classrooms', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/classrooms', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const classrooms = await edu.classrooms.list();
@@ -116,7 +147,7 @@ router.get('/org/:orgId/classrooms', authenticate, requireOrg, checkPlugEnabled,
 });
 
 // Create classroom
-router.post('/org/:orgId/classrooms', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.post('/org/:orgId/classrooms', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body(CLASSROOM_FIELDS, ['name']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const classroom = await edu.classrooms.create({
@@ -126,12 +157,12 @@ router.post('/org/:orgId/classrooms', authenticate, requireOrg, checkPlugEnabled
     res.status(201).json(classroom);
   } catch (error) {
     console.error('Create classroom error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to create classroom');
   }
 });
 
 // Get single classroom
-router.get('/org/:orgId/classrooms/:classroomId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/classrooms/:classroomId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const classroom = await edu.classrooms.get(req.params.classroomId);
@@ -146,31 +177,31 @@ router.get('/org/:orgId/classrooms/:classroomId', authenticate, requireOrg, chec
 });
 
 // Update classroom
-router.put('/org/:orgId/classrooms/:classroomId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.put('/org/:orgId/classrooms/:classroomId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body(CLASSROOM_FIELDS), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const classroom = await edu.classrooms.update(req.params.classroomId, req.body);
     res.json(classroom);
   } catch (error) {
     console.error('Update classroom error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to update classroom');
   }
 });
 
 // Delete classroom
-router.delete('/org/:orgId/classrooms/:classroomId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.delete('/org/:orgId/classrooms/:classroomId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     await edu.classrooms.delete(req.params.classroomId);
     res.json({ message: 'Classroom deleted' });
   } catch (error) {
     console.error('Delete classroom error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to delete classroom');
   }
 });
 
 // Enroll student in classroom
-router.post('/org/:orgId/classrooms/:classroomId/enroll', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.post('/org/:orgId/classrooms/:classroomId/enroll', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body({ studentId: ID }, ['studentId']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const { studentId } = req.body;
@@ -178,12 +209,12 @@ router.post('/org/:orgId/classrooms/:classroomId/enroll', authenticate, requireO
     res.json(classroom);
   } catch (error) {
     console.error('Enroll student error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to enroll student');
   }
 });
 
 // Remove student from classroom
-router.post('/org/:orgId/classrooms/:classroomId/unenroll', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.post('/org/:orgId/classrooms/:classroomId/unenroll', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body({ studentId: ID }, ['studentId']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const { studentId } = req.body;
@@ -191,24 +222,24 @@ router.post('/org/:orgId/classrooms/:classroomId/unenroll', authenticate, requir
     res.json(classroom);
   } catch (error) {
     console.error('Unenroll student error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to unenroll student');
   }
 });
 
 // Get classroom roster
-router.get('/org/:orgId/classrooms/:classroomId/roster', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/classrooms/:classroomId/roster', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const roster = await edu.classrooms.getRoster(req.params.classroomId);
     res.json(roster);
   } catch (error) {
     console.error('Get roster error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to get roster');
   }
 });
 
 // Join classroom with code
-router.post('/org/:orgId/classrooms/join', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId/classrooms/join', authenticate, requireOrg, requirePlug(PLUG_SLUG), body({ code: { type: 'string', minLength: 1, maxLength: 20 }, studentId: ID }, ['code', 'studentId']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const { code, studentId } = req.body;
@@ -216,14 +247,14 @@ router.post('/org/:orgId/classrooms/join', authenticate, requireOrg, checkPlugEn
     res.json(classroom);
   } catch (error) {
     console.error('Join classroom error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to join classroom');
   }
 });
 
 // ==================== ASSIGNMENTS ====================
 
 // Get assignments for classroom
-router.get('/org/:orgId/classrooms/:classroomId/assignments', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/classrooms/:classroomId/assignments', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const assignments = await edu.assignments.getByClassroom(req.params.classroomId);
@@ -235,7 +266,7 @@ router.get('/org/:orgId/classrooms/:classroomId/assignments', authenticate, requ
 });
 
 // Create assignment
-router.post('/org/:orgId/classrooms/:classroomId/assignments', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.post('/org/:orgId/classrooms/:classroomId/assignments', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body(ASSIGNMENT_FIELDS, ['title']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const assignment = await edu.assignments.create({
@@ -245,12 +276,12 @@ router.post('/org/:orgId/classrooms/:classroomId/assignments', authenticate, req
     res.status(201).json(assignment);
   } catch (error) {
     console.error('Create assignment error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to create assignment');
   }
 });
 
 // Get single assignment
-router.get('/org/:orgId/assignments/:assignmentId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/assignments/:assignmentId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const assignment = await edu.assignments.get(req.params.assignmentId);
@@ -265,31 +296,35 @@ router.get('/org/:orgId/assignments/:assignmentId', authenticate, requireOrg, ch
 });
 
 // Update assignment
-router.put('/org/:orgId/assignments/:assignmentId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.put('/org/:orgId/assignments/:assignmentId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body(ASSIGNMENT_FIELDS), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const assignment = await edu.assignments.update(req.params.assignmentId, req.body);
     res.json(assignment);
   } catch (error) {
     console.error('Update assignment error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to update assignment');
   }
 });
 
 // Delete assignment
-router.delete('/org/:orgId/assignments/:assignmentId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.delete('/org/:orgId/assignments/:assignmentId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     await edu.assignments.delete(req.params.assignmentId);
     res.json({ message: 'Assignment deleted' });
   } catch (error) {
     console.error('Delete assignment error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to delete assignment');
   }
 });
 
 // Submit assignment
-router.post('/org/:orgId/assignments/:assignmentId/submit', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId/assignments/:assignmentId/submit', authenticate, requireOrg, requirePlug(PLUG_SLUG), body({
+  studentId: ID,
+  content: fields.text,
+  attachments: { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'object' }] } }
+}, ['studentId']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const { studentId, content, attachments } = req.body;
@@ -297,12 +332,16 @@ router.post('/org/:orgId/assignments/:assignmentId/submit', authenticate, requir
     res.status(201).json(submission);
   } catch (error) {
     console.error('Submit assignment error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to submit assignment');
   }
 });
 
 // Grade submission
-router.post('/org/:orgId/assignments/:assignmentId/grade', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.post('/org/:orgId/assignments/:assignmentId/grade', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body({
+  studentId: ID,
+  grade: { type: 'number', minimum: 0 },
+  feedback: fields.text
+}, ['studentId', 'grade']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const { studentId, grade, feedback } = req.body;
@@ -310,12 +349,12 @@ router.post('/org/:orgId/assignments/:assignmentId/grade', authenticate, require
     res.json(submission);
   } catch (error) {
     console.error('Grade assignment error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to grade assignment');
   }
 });
 
 // Get submissions for assignment
-router.get('/org/:orgId/assignments/:assignmentId/submissions', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/assignments/:assignmentId/submissions', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const submissions = await edu.assignments.getSubmissions(req.params.assignmentId);
@@ -327,7 +366,7 @@ router.get('/org/:orgId/assignments/:assignmentId/submissions', authenticate, re
 });
 
 // Get student grades
-router.get('/org/:orgId/students/:studentId/grades/:classroomId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/students/:studentId/grades/:classroomId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const grades = await edu.assignments.getStudentGrades(req.params.studentId, req.params.classroomId);
@@ -341,7 +380,7 @@ router.get('/org/:orgId/students/:studentId/grades/:classroomId', authenticate,
 // ==================== ANNOUNCEMENTS ====================
 
 // Get announcements for classroom
-router.get('/org/:orgId/classrooms/:classroomId/announcements', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/classrooms/:classroomId/announcements', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const announcements = await edu.announcements.getByClassroom(req.params.classroomId);
@@ -353,7 +392,7 @@ router.get('/org/:orgId/classrooms/:classroomId/announcements', authenticate, re
 });
 
 // Create announcement
-router.post('/org/:orgId/classrooms/:classroomId/announcements', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+router.post('/org/:orgId/classrooms/:classroomId/announcements', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('education.manage'), body(ANNOUNCEMENT_FIELDS, ['content']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const announcement = await edu.announcements.create({
@@ -364,12 +403,12 @@ router.post('/org/:orgId/classrooms/:classroomId/announcements', authenticate, r
     res.status(201).json(announcement);
   } catch (error) {
     console.error('Create announcement error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to create announcement');
   }
 });
 
 // Add comment to announcement
-router.post('/org/:orgId/announcements/:announcementId/comments', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId/announcements/:announcementId/comments', authenticate, requireOrg, requirePlug(PLUG_SLUG), body({ content: { type: 'string', pattern: NOT_BLANK } }, ['content']), async (req, res) => {
   try {
     const edu = getOrgSDK(req.orgId);
     const announcement = await edu.announcements.addComment(req.params.announcementId, {
@@ -379,7 +418,7 @@ router.post('/org/:orgId/announcements/:announcementId/comments', authenticate,
     res.json(announcement);
   } catch (error) {
     console.error('Add comment error:', error);
-    res.status(400).json({ error: error.message });
+    sendEduError(res, error, 'Failed to add comment');
   }
 });
 
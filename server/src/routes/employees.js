@@ -1,57 +1,79 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePlug, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
+import { paginate, queryPage, sendCursorError } from '../middleware/paginate.js';
+import eventBus, { SystemEvents } from '../sdk/EventBus.js';
+import { revokeAllSessions } from '../services/sessions.js';
+import { checkRoleAssignment, hasPermission } from '../services/permissions.js';
+import { recordAuditEvent } from '../services/audit.js';
 
 const router = express.Router();
+checkUuidParams(router);
 
-// Middleware to check if Employee Directory plug is enabled
-const checkPlugEnabled = async (req, res, next) => {
-  try {
-    const result = await pool.query(`
-      SELECT op.id FROM org_plugs op
-      JOIN plugs p ON op.plug_id = p.id
-      WHERE op.org_id = $1 AND p.slug = 'employee-directory'
-    `, [req.orgId]);
-    
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'Employee Directory plug is not enabled' });
-    }
-    
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to check plug status' });
-  }
+const PLUG_SLUG = 'employee-directory';
+
+const EMPLOYEE_SORTS = {
+  name: 'lower(name)',
+  department: "lower(COALESCE(department, ''))",
+  position: "lower(COALESCE(position, ''))",
+  created_at: 'created_at'
+};
+
+// Contact fields may be sent blank from the directory form
+const EMPLOYEE_FIELDS = {
+  name: fields.name,
+  email: { type: ['string', 'null'], maxLength: 255 },
+  phone: { type: ['string', 'null'], maxLength: 50 },
+  department: { type: ['string', 'null'], maxLength: 100 },
+  position: { type: ['string', 'null'], maxLength: 100 },
+  avatar_url: fields.text
 };
 
-// Get all employees for organization
-router.get('/org/:orgId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+// Get all employees for organization (also used as the people picker in
+// Task Manager and Document Manager)
+router.get('/org/:orgId', authenticate, requireOrg, requirePlug(PLUG_SLUG, 'task-manager', 'document-manager'), validate({
+  query: { type: 'object', properties: { search: { type: 'string', maxLength: 255 }, department: { type: 'string', maxLength: 255 } } }
+}), paginate(EMPLOYEE_SORTS, { sort: 'name', order: 'asc' }), async (req, res) => {
   try {
     const { search, department } = req.query;
     
-    let query = 'SELECT * FROM employees WHERE org_id = $1';
+    let where = 'org_id = $1';
     const params = [req.orgId];
     
     if (search) {
-      query += ' AND (name ILIKE $2 OR email ILIKE $2 OR position ILIKE $2)';
+      where += ' AND (name ILIKE $2 OR email ILIKE $2 OR department ILIKE $2 OR position ILIKE $2)';
       params.push(`%${search}%`);
     }
     
     if (department) {
-      query += ` AND department = $${params.length + 1}`;
+      where += ` AND department = $${params.length + 1}`;
       params.push(department);
     }
     
-    query += ' ORDER BY name';
-    
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await queryPage(req.page, { select: '*', from: 'employees', where, params }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     res.status(500).json({ error: 'Failed to get employees' });
   }
 });
 
+// Get departments list (declared before /:employeeId so it isn't taken for an ID)
+router.get('/org/:orgId/departments', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT DISTINCT department FROM employees WHERE org_id = $1 AND department IS NOT NULL ORDER BY department',
+      [req.orgId]
+    );
+    
+    res.json(result.rows.map(r => r.department));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get departments' });
+  }
+});
+
 // Get single employee
-router.get('/org/:orgId/:employeeId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/:employeeId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const result = await pool.query(
       'SELECT * FROM employees WHERE id = $1 AND org_id = $2',
@@ -68,20 +90,38 @@ router.get('/org/:orgId/:employeeId', authenticate, requireOrg, checkPlugEnabled
   }
 });
 
-// Create employee (admin/manager only) - optionally create user account
-router.post('/org/:orgId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Create employee (requires employees.manage) - optionally create user account
+router.post('/org/:orgId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('employees.manage'), validate({
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      ...EMPLOYEE_FIELDS,
+      createAccount: { type: 'boolean' },
+      role: { type: 'string', maxLength: 50 },
+      department_id: fields.optionalUuid
+    }
+  }
+}), async (req, res) => {
   try {
     const { name, email, phone, department, position, avatar_url, createAccount, role, department_id } = req.body;
     
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    
     // If creating an account, email is required
     if (createAccount && !email) {
       return res.status(400).json({ error: 'Email is required to create a user account' });
     }
     
+    if (createAccount) {
+      // A login account makes the employee an org member
+      if (!hasPermission(req.permissions, 'members.invite')) {
+        return res.status(403).json({ error: 'You do not have permission to add members' });
+      }
+      const denied = await checkRoleAssignment(req.orgId, role || 'employee', req.permissions);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+    }
+    
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
@@ -133,6 +173,13 @@ router.post('/org/:orgId', authenticate, requireOrg, checkPlugEnabled, requireRo
       
       await client.query('COMMIT');
       
+      // Not awaited: subscribers (plugins, workflow triggers) must not hold up the response
+      eventBus.emit(SystemEvents.EMPLOYEE_CREATED, {
+        orgId: req.orgId,
+        userId: req.user.id,
+        employee
+      });
+      
       res.status(201).json({
         ...employee,
         account_created: createAccount && email,
@@ -151,8 +198,10 @@ router.post('/org/:orgId', authenticate, requireOrg, checkPlugEnabled, requireRo
   }
 });
 
-// Update employee (admin/manager only)
-router.put('/org/:orgId/:employeeId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Update employee (requires employees.manage)
+router.put('/org/:orgId/:employeeId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('employees.manage'), validate({
+  body: { type: 'object', properties: EMPLOYEE_FIELDS }
+}), async (req, res) => {
   try {
     const { name, email, phone, department, position, avatar_url } = req.body;
     const { employeeId } = req.params;
@@ -191,6 +240,13 @@ router.put('/org/:orgId/:employeeId', authenticate, requireOrg, checkPlugEnabled
       }
       
       await client.query('COMMIT');
+      
+      eventBus.emit(SystemEvents.EMPLOYEE_UPDATED, {
+        orgId: req.orgId,
+        userId: req.user.id,
+        employee: updatedEmployee
+      });
+      
       res.json(updatedEmployee);
     } catch (error) {
       await client.query('ROLLBACK');
@@ -204,11 +260,11 @@ router.put('/org/:orgId/:employeeId', authenticate, requireOrg, checkPlugEnabled
   }
 });
 
-// Delete employee (admin/manager only)
-router.delete('/org/:orgId/:employeeId', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Delete employee (requires employees.manage)
+router.delete('/org/:orgId/:employeeId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('employees.manage'), async (req, res) => {
   try {
     const result = await pool.query(
-      'DELETE FROM employees WHERE id = $1 AND org_id = $2 RETURNING id',
+      'DELETE FROM employees WHERE id = $1 AND org_id = $2 RETURNING *',
       [req.params.employeeId, req.orgId]
     );
     
@@ -216,28 +272,20 @@ router.delete('/org/:orgId/:employeeId', authenticate, requireOrg, checkPlugEnab
       return res.status(404).json({ error: 'Employee not found' });
     }
     
+    eventBus.emit(SystemEvents.EMPLOYEE_DELETED, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      employee: result.rows[0]
+    });
+    
     res.json({ message: 'Employee deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete employee' });
   }
 });
 
-// Get departments list
-router.get('/org/:orgId/departments', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT DISTINCT department FROM employees WHERE org_id = $1 AND department IS NOT NULL ORDER BY department',
-      [req.orgId]
-    );
-    
-    res.json(result.rows.map(r => r.department));
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to get departments' });
-  }
-});
-
-// Reset employee password (admin only) - generates new secure random password
-router.post('/org/:orgId/:employeeId/reset-password', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+// Reset employee password (requires employees.reset_password) - generates new secure random password
+router.post('/org/:orgId/:employeeId/reset-password', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('employees.reset_password'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     
@@ -296,6 +344,18 @@ router.post('/org/:orgId/:employeeId/reset-password', authenticate, requireOrg,
       [passwordHash, userId]
     );
     
+    // Sign the employee out everywhere so only the new password works
+    await revokeAllSessions(userId);
+    
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'user.password_reset',
+      resourceType: 'user',
+      resourceId: userId,
+      metadata: { employeeId, email: employeeEmail, method: 'admin' },
+      req
+    });
+    
     // Return the new password (admin should securely share this with employee)
     res.json({ 
       message: 'Password reset successfully',
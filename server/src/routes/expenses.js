@@ -1,32 +1,51 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePlug, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
+import { paginate, queryPage, sendCursorError } from '../middleware/paginate.js';
+import eventBus, { SystemEvents } from '../sdk/EventBus.js';
+import { hasPermission } from '../services/permissions.js';
+import { queueNotification, notifyAdmins } from '../services/notifications.js';
+import { getOrgCalendar, localDate, fiscalYearStart } from '../services/orgCalendar.js';
+import { normalizeCurrency, getBaseCurrency } from '../services/currency.js';
 
 const router = express.Router();
+checkUuidParams(router);
+
+const PLUG_SLUG = 'expense-manager';
+
+// An expense's amount in the org's base currency, at the rate on its
+// expense date (NULL when there is no rate for its currency yet)
+const baseAmount = (table = 'e') =>
+  `(${table}.amount * exchange_rate_on(${table}.org_id, ${table}.currency, ${table}.expense_date))`;
+
+const EXPENSE_FIELDS = {
+  title: fields.name,
+  description: fields.text,
+  amount: fields.amount,
+  currency: fields.currency,
+  expense_date: fields.date,
+  category_id: fields.optionalUuid,
+  receipt_data: fields.text
+};
 
-// Middleware to check if Expense Manager plug is enabled
-const checkPlugEnabled = async (req, res, next) => {
-  try {
-    const result = await pool.query(`
-      SELECT op.id FROM org_plugs op
-      JOIN plugs p ON op.plug_id = p.id
-      WHERE op.org_id = $1 AND p.slug = 'expense-manager'
-    `, [req.orgId]);
-
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'Expense Manager plug is not enabled' });
-    }
-
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to check plug status' });
-  }
+// Columns listing an expense's rate and converted amount
+const CONVERTED_COLUMNS = `
+  exchange_rate_on(e.org_id, e.currency, e.expense_date) as exchange_rate,
+  ROUND(${baseAmount()}, 2) as base_amount`;
+
+// Amounts sort in the base currency; claims with no rate to convert them sort lowest
+const EXPENSE_SORTS = {
+  created_at: 'e.created_at',
+  expense_date: 'e.expense_date',
+  amount: `COALESCE(ROUND(${baseAmount()}, 2), -1)`,
+  title: 'lower(e.title)'
 };
 
 // ==================== EXPENSE CATEGORIES ====================
 
 // Get all expense categories for an org
-router.get('/org/:orgId/categories', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/categories', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT ec.*, 
@@ -43,15 +62,17 @@ router.get('/org/:orgId/categories', authenticate, requireOrg, checkPlugEnabled,
   }
 });
 
-// Create expense category (admin only)
-router.post('/org/:orgId/categories', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+// Create expense category (requires expenses.manage_categories)
+router.post('/org/:orgId/categories', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('expenses.manage_categories'), validate({
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { ...fields.name, maxLength: 100 }, icon: { type: ['string', 'null'], maxLength: 50 } }
+  }
+}), async (req, res) => {
   try {
     const { name, icon } = req.body;
 
-    if (!name) {
-      return res.status(400).json({ error: 'Category name is required' });
-    }
-
     const result = await pool.query(`
       INSERT INTO expense_categories (org_id, name, icon)
       VALUES ($1, $2, $3)
@@ -68,8 +89,8 @@ router.post('/org/:orgId/categories', authenticate, requireOrg, checkPlugEnabled
   }
 });
 
-// Delete expense category (admin only)
-router.delete('/org/:orgId/categories/:id', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+// Delete expense category (requires expenses.manage_categories)
+router.delete('/org/:orgId/categories/:id', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('expenses.manage_categories'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -90,103 +111,123 @@ router.delete('/org/:orgId/categories/:id', authenticate, requireOrg, checkPlugE
 
 // ==================== EXPENSES ====================
 
-// Get all expenses for an org (admin/manager only)
-router.get('/org/:orgId/expenses', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Get all expenses for an org (requires expenses.review)
+router.get('/org/:orgId/expenses', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('expenses.review'), validate({
+  query: {
+    type: 'object',
+    properties: { status: { enum: ['pending', 'approved', 'rejected'] }, category_id: fields.uuid }
+  }
+}), paginate(EXPENSE_SORTS), async (req, res) => {
   try {
     const { status, category_id } = req.query;
 
-    let query = `
-      SELECT e.*, 
-        u.name as user_name, u.email as user_email,
-        ec.name as category_name, ec.icon as category_icon,
-        r.name as reviewer_name
-      FROM expenses e
-      JOIN users u ON e.user_id = u.id
-      LEFT JOIN expense_categories ec ON e.category_id = ec.id
-      LEFT JOIN users r ON e.reviewed_by = r.id
-      WHERE e.org_id = $1
-    `;
+    let where = 'e.org_id = $1';
     const params = [req.orgId];
     let paramIndex = 2;
 
     if (status) {
-      query += ` AND e.status = $${paramIndex}`;
+      where += ` AND e.status = $${paramIndex}`;
       params.push(status);
       paramIndex++;
     }
 
     if (category_id) {
-      query += ` AND e.category_id = $${paramIndex}`;
+      where += ` AND e.category_id = $${paramIndex}`;
       params.push(category_id);
       paramIndex++;
     }
 
-    query += ` ORDER BY e.created_at DESC`;
-
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await queryPage(req.page, {
+      select: `e.*, ${CONVERTED_COLUMNS},
+        u.name as user_name, u.email as user_email,
+        ec.name as category_name, ec.icon as category_icon,
+        r.name as reviewer_name`,
+      from: `expenses e
+      JOIN users u ON e.user_id = u.id
+      LEFT JOIN expense_categories ec ON e.category_id = ec.id
+      LEFT JOIN users r ON e.reviewed_by = r.id`,
+      where,
+      params,
+      id: 'e.id'
+    }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('Get expenses error:', error);
     res.status(500).json({ error: 'Failed to get expenses' });
   }
 });
 
 // Get my expenses
-router.get('/org/:orgId/my-expenses', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/my-expenses', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  query: { type: 'object', properties: { status: { enum: ['pending', 'approved', 'rejected'] } } }
+}), paginate(EXPENSE_SORTS), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT e.*, 
+    let where = 'e.org_id = $1 AND e.user_id = $2';
+    const params = [req.orgId, req.user.id];
+
+    if (req.query.status) {
+      params.push(req.query.status);
+      where += ` AND e.status = $${params.length}`;
+    }
+
+    res.json(await queryPage(req.page, {
+      select: `e.*, ${CONVERTED_COLUMNS},
         ec.name as category_name, ec.icon as category_icon,
-        r.name as reviewer_name
-      FROM expenses e
+        r.name as reviewer_name`,
+      from: `expenses e
       LEFT JOIN expense_categories ec ON e.category_id = ec.id
-      LEFT JOIN users r ON e.reviewed_by = r.id
-      WHERE e.org_id = $1 AND e.user_id = $2
-      ORDER BY e.created_at DESC
-    `, [req.orgId, req.user.id]);
-
-    res.json(result.rows);
+      LEFT JOIN users r ON e.reviewed_by = r.id`,
+      where,
+      params,
+      id: 'e.id'
+    }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('Get my expenses error:', error);
     res.status(500).json({ error: 'Failed to get expenses' });
   }
 });
 
 // Submit a new expense
-router.post('/org/:orgId/expenses', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId/expenses', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  body: { type: 'object', required: ['title', 'amount', 'expense_date'], properties: EXPENSE_FIELDS }
+}), async (req, res) => {
   try {
     const { title, description, amount, currency, expense_date, category_id, receipt_data } = req.body;
 
-    if (!title || !amount || !expense_date) {
-      return res.status(400).json({ error: 'Title, amount, and expense date are required' });
-    }
-
-    if (parseFloat(amount) <= 0) {
-      return res.status(400).json({ error: 'Amount must be greater than 0' });
-    }
+    // Claims are in the base currency unless they say otherwise
+    const code = currency ? normalizeCurrency(currency) : await getBaseCurrency(req.orgId);
 
     const result = await pool.query(`
       INSERT INTO expenses (org_id, user_id, title, description, amount, currency, expense_date, category_id, receipt_data)
       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *
-    `, [req.orgId, req.user.id, title.trim(), description || null, amount, currency || 'MYR', expense_date, category_id || null, receipt_data || null]);
+    `, [req.orgId, req.user.id, title.trim(), description || null, amount, code, expense_date, category_id || null, receipt_data || null]);
 
-    // Send notification to admins
+    // Queue notifications for reviewers
     try {
-      const admins = await pool.query(`
-        SELECT user_id FROM org_members WHERE org_id = $1 AND role = 'admin' AND user_id != $2
-      `, [req.orgId, req.user.id]);
-
-      for (const admin of admins.rows) {
-        await pool.query(`
-          INSERT INTO notifications (user_id, org_id, type, title, message, actor_id, link)
-          VALUES ($1, $2, 'expense_submitted', 'New Expense Claim', $3, $4, '/expenses')
-        `, [admin.user_id, req.orgId, `${req.user.name} submitted an expense claim: ${title.trim()} (${currency || 'MYR'} ${amount})`, req.user.id]);
-      }
+      await notifyAdmins({
+        orgId: req.orgId,
+        permission: 'expenses.review',
+        excludeUserId: req.user.id,
+        type: 'expense_submitted',
+        title: 'New Expense Claim',
+        message: `${req.user.name} submitted an expense claim: ${title.trim()} (${code} ${amount})`,
+        actorId: req.user.id,
+        link: '/expenses',
+        data: { expenseId: result.rows[0].id }
+      });
     } catch (notifError) {
       console.error('Failed to send expense notification:', notifError);
     }
 
+    // Not awaited: subscribers (plugins, workflow triggers) must not hold up the response
+    eventBus.emit(SystemEvents.EXPENSE_SUBMITTED, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      expense: result.rows[0]
+    });
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Create expense error:', error);
@@ -195,7 +236,9 @@ router.post('/org/:orgId/expenses', authenticate, requireOrg, checkPlugEnabled,
 });
 
 // Update own expense (only if still pending)
-router.put('/org/:orgId/expenses/:id', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.put('/org/:orgId/expenses/:id', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  body: { type: 'object', properties: EXPENSE_FIELDS }
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, amount, currency, expense_date, category_id, receipt_data } = req.body;
@@ -229,7 +272,7 @@ router.put('/org/:orgId/expenses/:id', authenticate, requireOrg, checkPlugEnable
           updated_at = NOW()
       WHERE id = $8 AND org_id = $9
       RETURNING *
-    `, [title, description, amount, currency, expense_date, category_id || null, receipt_data !== undefined ? receipt_data : existing.rows[0].receipt_data, id, req.orgId]);
+    `, [title, description, amount, currency !== undefined ? normalizeCurrency(currency) : null, expense_date, category_id || null, receipt_data !== undefined ? receipt_data : existing.rows[0].receipt_data, id, req.orgId]);
 
     res.json(result.rows[0]);
   } catch (error) {
@@ -239,7 +282,7 @@ router.put('/org/:orgId/expenses/:id', authenticate, requireOrg, checkPlugEnable
 });
 
 // Delete own expense (only if still pending)
-router.delete('/org/:orgId/expenses/:id', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.delete('/org/:orgId/expenses/:id', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -251,7 +294,7 @@ router.delete('/org/:orgId/expenses/:id', authenticate, requireOrg, checkPlugEna
       return res.status(404).json({ error: 'Expense not found' });
     }
 
-    if (existing.rows[0].user_id !== req.user.id && req.orgRole !== 'admin') {
+    if (existing.rows[0].user_id !== req.user.id && !hasPermission(req.permissions, 'expenses.delete_any')) {
       return res.status(403).json({ error: 'You can only delete your own expenses' });
     }
 
@@ -267,16 +310,18 @@ router.delete('/org/:orgId/expenses/:id', authenticate, requireOrg, checkPlugEna
   }
 });
 
-// Approve or reject an expense (admin/manager only)
-router.put('/org/:orgId/expenses/:id/review', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Approve or reject an expense (requires expenses.review)
+router.put('/org/:orgId/expenses/:id/review', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('expenses.review'), validate({
+  body: {
+    type: 'object',
+    required: ['status'],
+    properties: { status: { enum: ['approved', 'rejected'] }, review_notes: fields.text }
+  }
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, review_notes } = req.body;
 
-    if (!['approved', 'rejected'].includes(status)) {
-      return res.status(400).json({ error: 'Status must be approved or rejected' });
-    }
-
     const existing = await pool.query(`
       SELECT e.*, u.name as user_name FROM expenses e
       JOIN users u ON e.user_id = u.id
@@ -298,18 +343,30 @@ router.put('/org/:orgId/expenses/:id/review', authenticate, requireOrg, checkPlu
       RETURNING *
     `, [status, req.user.id, review_notes || null, id, req.orgId]);
 
-    // Send notification to expense owner
+    // Queue notification for expense owner
     try {
       const expense = existing.rows[0];
       const statusText = status === 'approved' ? 'approved ✓' : 'rejected ✗';
-      await pool.query(`
-        INSERT INTO notifications (user_id, org_id, type, title, message, actor_id, link)
-        VALUES ($1, $2, 'expense_reviewed', 'Expense ${statusText}', $3, $4, '/expenses')
-      `, [expense.user_id, req.orgId, `Your expense "${expense.title}" has been ${statusText} by ${req.user.name}`, req.user.id]);
+      await queueNotification({
+        userId: expense.user_id,
+        orgId: req.orgId,
+        type: 'expense_reviewed',
+        title: `Expense ${statusText}`,
+        message: `Your expense "${expense.title}" has been ${statusText} by ${req.user.name}`,
+        actorId: req.user.id,
+        link: '/expenses',
+        data: { expenseId: expense.id, status }
+      });
     } catch (notifError) {
       console.error('Failed to send review notification:', notifError);
     }
 
+    eventBus.emit(SystemEvents.EXPENSE_REVIEWED, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      expense: result.rows[0]
+    });
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Review expense error:', error);
@@ -319,8 +376,17 @@ router.put('/org/:orgId/expenses/:id/review', authenticate, requireOrg, checkPlu
 
 // ==================== ANALYTICS ====================
 
-// Get expense analytics (admin/manager only)
-router.get('/org/:orgId/analytics', authenticate, requireOrg, checkPlugEnabled, requireRole('admin', 'manager'), async (req, res) => {
+// Get expense analytics (requires expenses.analytics)
+router.get('/org/:orgId/analytics', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('expenses.analytics'), validate({
+  query: {
+    type: 'object',
+    properties: {
+      period: { enum: ['day', 'month', 'year'] },
+      start_date: { type: 'string', format: 'month' },
+      end_date: { type: 'string', format: 'month' }
+    }
+  }
+}), async (req, res) => {
   try {
     const { period, start_date, end_date } = req.query; // period: 'day', 'month' or 'year'; start_date/end_date: 'YYYY-MM'
     const isYearly = period === 'year';
@@ -329,10 +395,16 @@ router.get('/org/:orgId/analytics', authenticate, requireOrg, checkPlugEnabled,
     const dateFormat = isYearly ? 'YYYY' : isDaily ? 'YYYY-MM-DD' : 'YYYY-MM';
     const labelFormat = isYearly ? 'YYYY' : isDaily ? 'DD Mon' : 'Mon YYYY';
 
+    // Years are the org's fiscal years, keyed by the calendar year they start
+    // in: shifting dates back by the start month puts each in its fiscal year
+    const calendar = await getOrgCalendar(req.orgId);
+    const today = localDate(calendar.timezone);
+    const fiscalShift = isYearly ? calendar.fiscalYearStartMonth - 1 : 0;
+
     // Build date range filter
     let dateFilter = '';
-    const baseParams = [req.orgId, dateFormat, labelFormat];
-    let paramIdx = 4;
+    const baseParams = [req.orgId, dateFormat, labelFormat, fiscalShift];
+    let paramIdx = 5;
 
     if (start_date && end_date) {
       // Custom range: start_date and end_date are 'YYYY-MM', e.g. '2025-01'
@@ -340,25 +412,32 @@ router.get('/org/:orgId/analytics', authenticate, requireOrg, checkPlugEnabled,
       baseParams.push(`${start_date}-01`, `${end_date}-01`);
       paramIdx += 2;
     } else {
-      // Default lookback
+      // Default lookback from today in the org's timezone
       dateFilter = isYearly
-        ? ` AND expense_date >= NOW() - INTERVAL '5 years'`
+        ? ` AND expense_date >= ($${paramIdx}::date - INTERVAL '4 years')`
         : isDaily
-          ? ` AND expense_date >= NOW() - INTERVAL '30 days'`
-          : ` AND expense_date >= NOW() - INTERVAL '12 months'`;
+          ? ` AND expense_date >= ($${paramIdx}::date - INTERVAL '30 days')`
+          : ` AND expense_date >= ($${paramIdx}::date - INTERVAL '12 months')`;
+      // Yearly: this fiscal year and the four before it
+      baseParams.push(isYearly ? fiscalYearStart(calendar, today) : today);
+      paramIdx += 1;
     }
 
+    // Totals are in the base currency; expenses without a rate for their
+    // date are left out of them and counted as unconverted
+    const baseCurrency = await getBaseCurrency(req.orgId);
+
     // Get expense totals grouped by period
     const chartData = await pool.query(`
       SELECT 
-        TO_CHAR(expense_date, $2) as period_key,
-        TO_CHAR(expense_date, $3) as label,
-        SUM(amount) FILTER (WHERE status = 'approved') as approved_total,
-        SUM(amount) FILTER (WHERE status = 'pending') as pending_total,
-        SUM(amount) FILTER (WHERE status = 'rejected') as rejected_total,
-        SUM(amount) as total,
+        TO_CHAR(expense_date - make_interval(months => $4), $2) as period_key,
+        TO_CHAR(expense_date - make_interval(months => $4), $3) as label,
+        ROUND(SUM(${baseAmount()}) FILTER (WHERE status = 'approved'), 2) as approved_total,
+        ROUND(SUM(${baseAmount()}) FILTER (WHERE status = 'pending'), 2) as pending_total,
+        ROUND(SUM(${baseAmount()}) FILTER (WHERE status = 'rejected'), 2) as rejected_total,
+        ROUND(SUM(${baseAmount()}), 2) as total,
         COUNT(*) as count
-      FROM expenses
+      FROM expenses e
       WHERE org_id = $1${dateFilter}
       GROUP BY period_key, label
       ORDER BY period_key
@@ -381,12 +460,27 @@ router.get('/org/:orgId/analytics', authenticate, requireOrg, checkPlugEnabled,
         COUNT(*) FILTER (WHERE status = 'pending') as pending_count,
         COUNT(*) FILTER (WHERE status = 'approved') as approved_count,
         COUNT(*) FILTER (WHERE status = 'rejected') as rejected_count,
-        COALESCE(SUM(amount), 0) as total_amount,
-        COALESCE(SUM(amount) FILTER (WHERE status = 'approved'), 0) as approved_amount,
-        COALESCE(SUM(amount) FILTER (WHERE status = 'pending'), 0) as pending_amount,
-        COALESCE(AVG(amount) FILTER (WHERE status = 'approved'), 0) as avg_approved
-      FROM expenses
+        COALESCE(ROUND(SUM(${baseAmount()}), 2), 0) as total_amount,
+        COALESCE(ROUND(SUM(${baseAmount()}) FILTER (WHERE status = 'approved'), 2), 0) as approved_amount,
+        COALESCE(ROUND(SUM(${baseAmount()}) FILTER (WHERE status = 'pending'), 2), 0) as pending_amount,
+        COALESCE(ROUND(AVG(${baseAmount()}) FILTER (WHERE status = 'approved'), 2), 0) as avg_approved,
+        COUNT(*) FILTER (WHERE ${baseAmount()} IS NULL) as unconverted_count
+      FROM expenses e
+      WHERE org_id = $1${simpleDateFilter}
+    `, summaryParams);
+
+    // Totals per original currency, next to their converted value
+    const currencies = await pool.query(`
+      SELECT
+        currency,
+        COUNT(*) as count,
+        SUM(amount) as total,
+        ROUND(SUM(${baseAmount()}), 2) as base_total,
+        COUNT(*) FILTER (WHERE ${baseAmount()} IS NULL) as unconverted_count
+      FROM expenses e
       WHERE org_id = $1${simpleDateFilter}
+      GROUP BY currency
+      ORDER BY base_total DESC NULLS LAST
     `, summaryParams);
 
     // Get top categories
@@ -394,12 +488,12 @@ router.get('/org/:orgId/analytics', authenticate, requireOrg, checkPlugEnabled,
       SELECT 
         ec.name, ec.icon,
         COUNT(*) as count,
-        SUM(e.amount) as total
+        ROUND(SUM(${baseAmount()}), 2) as total
       FROM expenses e
       JOIN expense_categories ec ON e.category_id = ec.id
       WHERE e.org_id = $1 AND e.status = 'approved'${simpleDateFilter.replace(/expense_date/g, 'e.expense_date')}
       GROUP BY ec.id, ec.name, ec.icon
-      ORDER BY total DESC
+      ORDER BY total DESC NULLS LAST
       LIMIT 5
     `, summaryParams);
 
@@ -408,18 +502,26 @@ router.get('/org/:orgId/analytics', authenticate, requireOrg, checkPlugEnabled,
       SELECT 
         u.name,
         COUNT(*) as count,
-        SUM(e.amount) as total
+        ROUND(SUM(${baseAmount()}), 2) as total
       FROM expenses e
       JOIN users u ON e.user_id = u.id
       WHERE e.org_id = $1 AND e.status = 'approved'${simpleDateFilter.replace(/expense_date/g, 'e.expense_date')}
       GROUP BY u.id, u.name
-      ORDER BY total DESC
+      ORDER BY total DESC NULLS LAST
       LIMIT 5
     `, summaryParams);
 
+    // Fiscal years that don't start in January span two calendar years
+    const chart = fiscalShift === 0 ? chartData.rows : chartData.rows.map(row => ({
+      ...row,
+      label: `FY ${row.period_key}/${String((Number(row.period_key) + 1) % 100).padStart(2, '0')}`
+    }));
+
     res.json({
-      chart: chartData.rows,
+      baseCurrency,
+      chart,
       summary: summary.rows[0],
+      currencies: currencies.rows,
       topCategories: topCategories.rows,
       topSpenders: topSpenders.rows
     });
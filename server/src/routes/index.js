@@ -0,0 +1,55 @@
+// Built-in API routers and where they are mounted. The server mounts these and
+// the OpenAPI spec (services/openapi.js) documents them, so a router added
+// here is served and documented at once.
+
+import authRoutes from './auth.js';
+import organizationRoutes from './organizations.js';
+import plugRoutes from './plugs.js';
+import employeeRoutes from './employees.js';
+import departmentRoutes from './departments.js';
+import inviteRoutes from './invites.js';
+import attendanceRoutes from './attendance.js';
+import payrollRoutes from './payroll.js';
+import documentRoutes from './documents.js';
+import notificationRoutes from './notifications.js';
+import educationRoutes from './education.js';
+import categoryRoutes from './categories.js';
+import taskRoutes from './tasks.js';
+import workflowRoutes from './workflows.js';
+import expenseRoutes from './expenses.js';
+import roleRoutes from './roles.js';
+import auditRoutes from './audit.js';
+import apiTokenRoutes from './apiTokens.js';
+import webhookRoutes from './webhooks.js';
+import searchRoutes from './search.js';
+import currencyRoutes from './currencies.js';
+import tenantRoutes from './tenant.js';
+import privacyRoutes from './privacy.js';
+
+export const coreRoutes = [
+  ['/api/auth', authRoutes],
+  ['/api/organizations', organizationRoutes],
+  ['/api/plugs', plugRoutes],
+  ['/api/employees', employeeRoutes],
+  ['/api/departments', departmentRoutes],
+  ['/api/invites', inviteRoutes],
+  ['/api/attendance', attendanceRoutes],
+  ['/api/payroll', payrollRoutes],
+  ['/api/documents', documentRoutes],
+  ['/api/notifications', notificationRoutes],
+  ['/api/education', educationRoutes],
+  ['/api/categories', categoryRoutes],
+  ['/api/tasks', taskRoutes],
+  ['/api/workflows', workflowRoutes],
+  ['/api/expenses', expenseRoutes],
+  ['/api/roles', roleRoutes],
+  ['/api/audit', auditRoutes],
+  ['/api/tokens', apiTokenRoutes],
+  ['/api/webhooks', webhookRoutes],
+  ['/api/search', searchRoutes],
+  ['/api/currencies', currencyRoutes],
+  ['/api/tenant', tenantRoutes],
+  ['/api/privacy', privacyRoutes]
+];
+
+export default coreRoutes;
@@ -1,11 +1,14 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
+import { checkRoleAssignment } from '../services/permissions.js';
 
 const router = express.Router();
+checkUuidParams(router);
 
 // Get all invites for organization
-router.get('/org/:orgId', authenticate, requireOrg, requireRole('admin', 'manager'), async (req, res) => {
+router.get('/org/:orgId', authenticate, requireOrg, requirePermission('members.invite'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -44,31 +47,26 @@ router.get('/org/:orgId', authenticate, requireOrg, requireRole('admin', 'manage
   }
 });
 
-// Create invite (admin/manager only)
-router.post('/org/:orgId', authenticate, requireOrg, requireRole('admin', 'manager'), async (req, res) => {
+// Create invite (requires members.invite)
+router.post('/org/:orgId', authenticate, requireOrg, requirePermission('members.invite'), validate({
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: fields.email,
+      department_id: fields.optionalUuid,
+      role: { type: ['string', 'null'], maxLength: 50 }
+    }
+  }
+}), async (req, res) => {
   try {
     const { email, department_id, role } = req.body;
     
-    if (!email || !email.trim()) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-    
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
-    
-    // Validate role
-    const validRoles = ['admin', 'manager', 'employee'];
+    // Validate role (members can only hand out roles within their own permissions)
     const inviteRole = role || 'employee';
-    if (!validRoles.includes(inviteRole)) {
-      return res.status(400).json({ error: 'Invalid role' });
-    }
-    
-    // Only admins can invite other admins
-    if (inviteRole === 'admin' && req.userRole !== 'admin') {
-      return res.status(403).json({ error: 'Only admins can invite other admins' });
+    const denied = await checkRoleAssignment(req.orgId, inviteRole, req.permissions);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
     }
     
     // Check if user already exists with this email
@@ -121,8 +119,8 @@ router.post('/org/:orgId', authenticate, requireOrg, requireRole('admin', 'manag
   }
 });
 
-// Delete invite (admin only)
-router.delete('/org/:orgId/:inviteId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Delete invite (requires members.manage)
+router.delete('/org/:orgId/:inviteId', authenticate, requireOrg, requirePermission('members.manage'), async (req, res) => {
   try {
     const { inviteId } = req.params;
     
@@ -143,7 +141,9 @@ router.delete('/org/:orgId/:inviteId', authenticate, requireOrg, requireRole('ad
 });
 
 // Check if email is invited (public endpoint for registration)
-router.get('/check/:email', async (req, res) => {
+router.get('/check/:email', validate({
+  params: { type: 'object', properties: { email: fields.email } }
+}), async (req, res) => {
   try {
     const { email } = req.params;
     
@@ -7,38 +7,53 @@
 import express from 'express';
 import pool from '../config/db.js';
 import { authenticate, requireOrg } from '../middleware/auth.js';
+import { checkUuidParams, validate } from '../middleware/validate.js';
+import { paginate, queryPage, sendCursorError } from '../middleware/paginate.js';
+import { openStream, publish } from '../services/notificationStream.js';
+import { CHANNELS, NOTIFICATION_TYPES, getPreferences, setPreferences } from '../services/notificationPreferences.js';
+import { countUnread, publishUnreadCount, createNotification, notifyAdmins } from '../services/notifications.js';
 
 const router = express.Router();
+checkUuidParams(router);
+
+// EventSource can't set headers, so the stream accepts the access token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
 
 /**
  * GET /api/notifications/org/:orgId
- * Get notifications for the current user
+ * Get notifications for the current user, newest first, a page at a time
  */
-router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
+router.get('/org/:orgId', authenticate, requireOrg, validate({
+  query: { type: 'object', properties: { unreadOnly: { type: 'boolean' } } }
+}), paginate({ created_at: 'n.created_at' }), async (req, res) => {
   try {
     const { unreadOnly } = req.query;
     
-    let query = `
-      SELECT n.*, 
-        CASE 
-          WHEN n.actor_id IS NOT NULL THEN u.name 
-          ELSE NULL 
-        END as actor_name
-      FROM notifications n
-      LEFT JOIN users u ON n.actor_id = u.id
-      WHERE n.user_id = $1 AND n.org_id = $2
-    `;
+    let where = 'n.user_id = $1 AND n.org_id = $2';
     const params = [req.user.id, req.orgId];
     
-    if (unreadOnly === 'true') {
-      query += ' AND n.read_at IS NULL';
+    if (unreadOnly) {
+      where += ' AND n.read_at IS NULL';
     }
     
-    query += ' ORDER BY n.created_at DESC LIMIT 50';
-    
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await queryPage(req.page, {
+      select: `n.*, 
+        CASE 
+          WHEN n.actor_id IS NOT NULL THEN u.name 
+          ELSE NULL 
+        END as actor_name`,
+      from: 'notifications n LEFT JOIN users u ON n.actor_id = u.id',
+      where,
+      params,
+      id: 'n.id'
+    }));
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('Get notifications error:', error);
     res.status(500).json({ error: 'Failed to get notifications' });
   }
@@ -50,19 +65,76 @@ router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
  */
 router.get('/org/:orgId/unread-count', authenticate, requireOrg, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT COUNT(*) as count 
-      FROM notifications 
-      WHERE user_id = $1 AND org_id = $2 AND read_at IS NULL
-    `, [req.user.id, req.orgId]);
-    
-    res.json({ count: parseInt(result.rows[0].count) });
+    res.json({ count: await countUnread(req.user.id, req.orgId) });
   } catch (error) {
     console.error('Get unread count error:', error);
     res.status(500).json({ error: 'Failed to get unread count' });
   }
 });
 
+/**
+ * GET /api/notifications/org/:orgId/preferences
+ * Get how the current user receives each notification type
+ */
+router.get('/org/:orgId/preferences', authenticate, requireOrg, async (req, res) => {
+  try {
+    res.json({
+      channels: CHANNELS,
+      types: await getPreferences(req.user.id, req.orgId)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to get notification preferences' });
+  }
+});
+
+/**
+ * PUT /api/notifications/org/:orgId/preferences
+ * Set the channel for some notification types: { preferences: { type: channel } }
+ */
+router.put('/org/:orgId/preferences', authenticate, requireOrg, validate({
+  body: {
+    type: 'object',
+    required: ['preferences'],
+    properties: {
+      preferences: {
+        type: 'object',
+        properties: Object.fromEntries(NOTIFICATION_TYPES.map(({ type }) => [type, { enum: CHANNELS }])),
+        additionalProperties: false
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    await setPreferences(req.user.id, req.orgId, preferences);
+    res.json({
+      channels: CHANNELS,
+      types: await getPreferences(req.user.id, req.orgId)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+/**
+ * GET /api/notifications/org/:orgId/stream
+ * Server-Sent Events stream of the user's notifications in the org.
+ * Sends `unread_count` on connect and whenever it changes, and
+ * `notification` (with the new unread count) for each new notification.
+ */
+router.get('/org/:orgId/stream', tokenFromQuery, authenticate, requireOrg, async (req, res) => {
+  try {
+    const count = await countUnread(req.user.id, req.orgId);
+    openStream(req, res, { unread_count: { count } });
+  } catch (error) {
+    console.error('Open notification stream error:', error);
+    res.status(500).json({ error: 'Failed to open notification stream' });
+  }
+});
+
 /**
  * PUT /api/notifications/org/:orgId/:notificationId/read
  * Mark a notification as read
@@ -80,6 +152,7 @@ router.put('/org/:orgId/:notificationId/read', authenticate, requireOrg, async (
       return res.status(404).json({ error: 'Notification not found' });
     }
     
+    await publishUnreadCount(req.user.id, req.orgId);
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Mark read error:', error);
@@ -99,6 +172,7 @@ router.put('/org/:orgId/read-all', authenticate, requireOrg, async (req, res) =>
       WHERE user_id = $1 AND org_id = $2 AND read_at IS NULL
     `, [req.user.id, req.orgId]);
     
+    publish(req.orgId, req.user.id, 'unread_count', { count: 0 });
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
     console.error('Mark all read error:', error);
@@ -117,6 +191,7 @@ router.delete('/org/:orgId/:notificationId', authenticate, requireOrg, async (re
       WHERE id = $1 AND user_id = $2 AND org_id = $3
     `, [req.params.notificationId, req.user.id, req.orgId]);
     
+    await publishUnreadCount(req.user.id, req.orgId);
     res.json({ message: 'Notification deleted' });
   } catch (error) {
     console.error('Delete notification error:', error);
@@ -124,72 +199,7 @@ router.delete('/org/:orgId/:notificationId', authenticate, requireOrg, async (re
   }
 });
 
-/**
- * Helper function to create a notification
- * Can be imported and used by other routes
- */
-export async function createNotification({
-  userId,
-  orgId,
-  type,
-  title,
-  message,
-  actorId = null,
-  link = null,
-  data = {}
-}) {
-  try {
-    const result = await pool.query(`
-      INSERT INTO notifications (user_id, org_id, type, title, message, actor_id, link, data)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *
-    `, [userId, orgId, type, title, message, actorId, link, data]);
-    
-    return result.rows[0];
-  } catch (error) {
-    console.error('Create notification error:', error);
-    return null;
-  }
-}
-
-/**
- * Helper function to notify all admins/managers in an org
- */
-export async function notifyAdmins({
-  orgId,
-  type,
-  title,
-  message,
-  actorId = null,
-  link = null,
-  data = {}
-}) {
-  try {
-    // Get all admins and managers in the org
-    const admins = await pool.query(`
-      SELECT user_id FROM org_members 
-      WHERE org_id = $1 AND role IN ('admin', 'manager')
-    `, [orgId]);
-    
-    // Create notification for each
-    for (const admin of admins.rows) {
-      await createNotification({
-        userId: admin.user_id,
-        orgId,
-        type,
-        title,
-        message,
-        actorId,
-        link,
-        data
-      });
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('Notify admins error:', error);
-    return false;
-  }
-}
+// Kept here for routes and plugins that import them from this module
+export { createNotification, notifyAdmins };
 
 export default router;
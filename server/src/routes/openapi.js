@@ -0,0 +1,44 @@
+import express from 'express';
+import { buildOpenApiSpec } from '../services/openapi.js';
+
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>PlugOS API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#docs', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// The routers are read on every request, so plugins activated later show up
+export function createOpenApiRoutes(getRouters) {
+  const router = express.Router();
+
+  // OpenAPI spec of the core and active plugin routes
+  router.get('/openapi.json', (req, res) => {
+    try {
+      res.json(buildOpenApiSpec(getRouters()));
+    } catch (error) {
+      console.error('OpenAPI spec error:', error);
+      res.status(500).json({ error: 'Failed to build API spec' });
+    }
+  });
+
+  // Interactive docs for the spec
+  router.get('/docs', (req, res) => {
+    res.type('html').send(DOCS_PAGE);
+  });
+
+  return router;
+}
+
+export default createOpenApiRoutes;
@@ -1,20 +1,28 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError, fields } from '../middleware/validate.js';
+import { attachPermissions, checkRoleAssignment } from '../services/permissions.js';
+import { revokeMemberApiKeys } from '../services/apiTokens.js';
+import { recordMemberDeparture } from '../services/personalData.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { CALENDAR_COLUMNS, getOrgCalendar } from '../services/orgCalendar.js';
+import { scheduleDigest } from '../services/notifications.js';
 
 const router = express.Router();
+checkUuidParams(router);
 
 // Get user's organizations
 router.get('/', authenticate, async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT o.id, o.name, o.slug, om.role, o.created_at
+      SELECT o.id, o.name, o.slug, o.timezone, o.fiscal_year_start_month, o.base_currency, om.role, o.created_at
       FROM organizations o 
       JOIN org_members om ON o.id = om.org_id 
       WHERE om.user_id = $1
     `, [req.user.id]);
     
-    res.json(result.rows);
+    res.json(await attachPermissions(result.rows));
   } catch (error) {
     res.status(500).json({ error: 'Failed to get organizations' });
   }
@@ -24,7 +32,7 @@ router.get('/', authenticate, async (req, res) => {
 router.get('/:orgId', authenticate, requireOrg, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, name, slug, created_at FROM organizations WHERE id = $1',
+      `SELECT id, name, slug, require_2fa, ${CALENDAR_COLUMNS}, created_at FROM organizations WHERE id = $1`,
       [req.orgId]
     );
     
@@ -32,12 +40,92 @@ router.get('/:orgId', authenticate, requireOrg, async (req, res) => {
       return res.status(404).json({ error: 'Organization not found' });
     }
     
-    res.json({ ...result.rows[0], role: req.orgRole });
+    res.json({ ...result.rows[0], role: req.orgRole, permissions: [...req.permissions] });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get organization' });
   }
 });
 
+// Update organization settings (requires organization.settings)
+router.patch('/:orgId/settings', authenticate, requireOrg, requirePermission('organization.settings'), validate({
+  body: {
+    type: 'object',
+    properties: {
+      require_2fa: { type: 'boolean' },
+      timezone: { type: 'string', format: 'timezone', maxLength: 64 },
+      // 0 (Sunday) to 6 (Saturday)
+      work_days: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0, maximum: 6 } },
+      business_hours_start: { type: 'string', format: 'time' },
+      business_hours_end: { type: 'string', format: 'time' },
+      fiscal_year_start_month: { type: 'integer', minimum: 1, maximum: 12 }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { require_2fa, timezone, work_days, business_hours_start, business_hours_end, fiscal_year_start_month } = req.body;
+    
+    if (business_hours_start !== undefined || business_hours_end !== undefined) {
+      const current = await getOrgCalendar(req.orgId);
+      const start = (business_hours_start ?? current.businessHoursStart).slice(0, 5);
+      const end = (business_hours_end ?? current.businessHoursEnd).slice(0, 5);
+      if (end <= start) {
+        return sendValidationError(res, [{ in: 'body', field: 'business_hours_end', message: 'business_hours_end must be after business_hours_start' }]);
+      }
+    }
+    
+    // Don't let an admin lock themselves out of the org
+    if (require_2fa) {
+      const userResult = await pool.query(
+        'SELECT totp_enabled FROM users WHERE id = $1',
+        [req.user.id]
+      );
+      if (!userResult.rows[0]?.totp_enabled) {
+        return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+      }
+    }
+    
+    const result = await pool.query(`
+      UPDATE organizations
+      SET require_2fa = COALESCE($1, require_2fa),
+          timezone = COALESCE($2, timezone),
+          work_days = COALESCE($3, work_days),
+          business_hours_start = COALESCE($4, business_hours_start),
+          business_hours_end = COALESCE($5, business_hours_end),
+          fiscal_year_start_month = COALESCE($6, fiscal_year_start_month)
+      WHERE id = $7
+      RETURNING id, name, slug, require_2fa, ${CALENDAR_COLUMNS}, created_at
+    `, [
+      require_2fa,
+      timezone,
+      work_days ? [...new Set(work_days)].sort() : null,
+      business_hours_start,
+      business_hours_end,
+      fiscal_year_start_month,
+      req.orgId
+    ]);
+    
+    // Make sure the org's digest goes out at its new local hour
+    if (timezone) {
+      await scheduleDigest(timezone);
+    }
+    
+    const { id, name, slug, created_at, ...settings } = result.rows[0];
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'organization.settings_updated',
+      resourceType: 'organization',
+      resourceId: req.orgId,
+      metadata: settings,
+      req
+    });
+    
+    res.json({ ...result.rows[0], role: req.orgRole, permissions: [...req.permissions] });
+  } catch (error) {
+    console.error('Update org settings error:', error);
+    res.status(500).json({ error: 'Failed to update organization settings' });
+  }
+});
+
 // Get organization members
 router.get('/:orgId/members', authenticate, requireOrg, async (req, res) => {
   try {
@@ -55,18 +143,21 @@ router.get('/:orgId/members', authenticate, requireOrg, async (req, res) => {
   }
 });
 
-// Invite member to organization (admin/manager only)
-router.post('/:orgId/members', authenticate, requireOrg, requireRole('admin', 'manager'), async (req, res) => {
+// Invite member to organization (requires members.invite)
+router.post('/:orgId/members', authenticate, requireOrg, requirePermission('members.invite'), validate({
+  body: {
+    type: 'object',
+    required: ['email', 'role'],
+    properties: { email: fields.email, role: { type: 'string', minLength: 1, maxLength: 50 } }
+  }
+}), async (req, res) => {
   try {
     const { email, role } = req.body;
     
-    if (!email || !role) {
-      return res.status(400).json({ error: 'Email and role required' });
-    }
-    
-    // Only admin can add other admins
-    if (role === 'admin' && req.orgRole !== 'admin') {
-      return res.status(403).json({ error: 'Only admins can add other admins' });
+    // Members can only hand out roles within their own permissions
+    const denied = await checkRoleAssignment(req.orgId, role, req.permissions);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
     }
     
     // Find user by email
@@ -97,20 +188,54 @@ router.post('/:orgId/members', authenticate, requireOrg, requireRole('admin', 'm
       [userId, req.orgId, role]
     );
     
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'member.added',
+      resourceType: 'user',
+      resourceId: userId,
+      metadata: { email, role },
+      req
+    });
+    
     res.status(201).json({ message: 'Member added successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to add member' });
   }
 });
 
-// Update member role (admin only)
-router.patch('/:orgId/members/:memberId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Update member role (requires members.manage)
+router.patch('/:orgId/members/:memberId', authenticate, requireOrg, requirePermission('members.manage'), validate({
+  body: { type: 'object', required: ['role'], properties: { role: { type: 'string', minLength: 1, maxLength: 50 } } }
+}), async (req, res) => {
   try {
     const { role } = req.body;
     const { memberId } = req.params;
     
-    if (!role || !['admin', 'manager', 'employee'].includes(role)) {
-      return res.status(400).json({ error: 'Valid role required' });
+    const denied = await checkRoleAssignment(req.orgId, role, req.permissions);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    
+    const member = await pool.query(`
+      SELECT om.role, u.email
+      FROM org_members om
+      JOIN users u ON om.user_id = u.id
+      WHERE om.user_id = $1 AND om.org_id = $2
+    `, [memberId, req.orgId]);
+    
+    if (member.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    // Keep at least one admin
+    if (role !== 'admin') {
+      const admins = await pool.query(
+        "SELECT user_id FROM org_members WHERE org_id = $1 AND role = 'admin'",
+        [req.orgId]
+      );
+      if (admins.rows.length === 1 && admins.rows[0].user_id === memberId) {
+        return res.status(400).json({ error: 'Cannot change the role of the last admin' });
+      }
     }
     
     await pool.query(
@@ -118,14 +243,23 @@ router.patch('/:orgId/members/:memberId', authenticate, requireOrg, requireRole(
       [role, memberId, req.orgId]
     );
     
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'member.role_changed',
+      resourceType: 'user',
+      resourceId: memberId,
+      metadata: { email: member.rows[0].email, from: member.rows[0].role, to: role },
+      req
+    });
+    
     res.json({ message: 'Role updated successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update role' });
   }
 });
 
-// Remove member (admin only)
-router.delete('/:orgId/members/:memberId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Remove member (requires members.manage)
+router.delete('/:orgId/members/:memberId', authenticate, requireOrg, requirePermission('members.manage'), async (req, res) => {
   try {
     const { memberId } = req.params;
     
@@ -141,11 +275,28 @@ router.delete('/:orgId/members/:memberId', authenticate, requireOrg, requireRole
       }
     }
     
-    await pool.query(
-      'DELETE FROM org_members WHERE user_id = $1 AND org_id = $2',
+    const removed = await pool.query(
+      'DELETE FROM org_members WHERE user_id = $1 AND org_id = $2 RETURNING role',
       [memberId, req.orgId]
     );
     
+    if (removed.rows.length > 0) {
+      // Lets privacy.manage export or erase them later
+      await recordMemberDeparture(pool, req.orgId, memberId);
+
+      // Org API keys act as their creator, so they go too
+      const revokedKeys = await revokeMemberApiKeys(memberId, req.orgId);
+
+      await recordAuditEvent({
+        orgId: req.orgId,
+        action: 'member.removed',
+        resourceType: 'user',
+        resourceId: memberId,
+        metadata: { role: removed.rows[0].role, revokedApiKeys: revokedKeys },
+        req
+      });
+    }
+    
     res.json({ message: 'Member removed successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to remove member' });
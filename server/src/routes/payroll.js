@@ -1,32 +1,42 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePlug, requirePermission, requireAnyPermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { getOrgCalendar, countWorkDays, businessHoursPerDay } from '../services/orgCalendar.js';
+import { normalizeCurrency, getBaseCurrency } from '../services/currency.js';
 
 const router = express.Router();
+checkUuidParams(router);
 
-// Middleware to check if Payroll Manager plug is enabled
-const checkPlugEnabled = async (req, res, next) => {
-  try {
-    const result = await pool.query(`
-      SELECT op.id FROM org_plugs op
-      JOIN plugs p ON op.plug_id = p.id
-      WHERE op.org_id = $1 AND p.slug = 'payroll-manager'
-    `, [req.orgId]);
-    
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'Payroll Manager plug is not enabled' });
-    }
-    
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to check plug status' });
-  }
+// Salary fields recorded in the audit log
+const salaryDetails = (row) => row ? {
+  base_salary: row.base_salary,
+  hourly_rate: row.hourly_rate,
+  currency: row.currency,
+  effective_date: row.effective_date
+} : null;
+
+const PLUG_SLUG = 'payroll-manager';
+
+const SALARY_FIELDS = {
+  user_id: fields.uuid,
+  base_salary: { type: 'number', minimum: 0 },
+  hourly_rate: { type: 'number', minimum: 0 },
+  currency: fields.currency,
+  effective_date: fields.date
+};
+
+const PERIOD_FIELDS = {
+  name: { ...fields.name, maxLength: 100 },
+  start_date: fields.date,
+  end_date: fields.date
 };
 
 // ==================== EMPLOYEE SALARIES ====================
 
 // Get all employee salaries
-router.get('/org/:orgId/salaries', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.get('/org/:orgId/salaries', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -47,7 +57,7 @@ router.get('/org/:orgId/salaries', authenticate, requireOrg, checkPlugEnabled, r
 });
 
 // Get employees without salary configured
-router.get('/org/:orgId/employees-without-salary', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.get('/org/:orgId/employees-without-salary', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT u.id, u.name, u.email
@@ -66,13 +76,19 @@ router.get('/org/:orgId/employees-without-salary', authenticate, requireOrg, che
 });
 
 // Set/create employee salary
-router.post('/org/:orgId/salaries', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.post('/org/:orgId/salaries', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), validate({
+  body: { type: 'object', required: ['user_id', 'base_salary'], properties: SALARY_FIELDS }
+}), async (req, res) => {
   try {
     const { user_id, base_salary, hourly_rate, currency, effective_date } = req.body;
     
-    if (!user_id || base_salary === undefined) {
-      return res.status(400).json({ error: 'User ID and base salary are required' });
-    }
+    // Salaries are paid in the org's base currency unless another is given
+    const code = currency ? normalizeCurrency(currency) : await getBaseCurrency(req.orgId);
+    
+    const previous = await pool.query(
+      'SELECT * FROM employee_salaries WHERE org_id = $1 AND user_id = $2',
+      [req.orgId, user_id]
+    );
     
     const result = await pool.query(`
       INSERT INTO employee_salaries (org_id, user_id, base_salary, hourly_rate, currency, effective_date)
@@ -85,7 +101,16 @@ router.post('/org/:orgId/salaries', authenticate, requireOrg, checkPlugEnabled,
         effective_date = EXCLUDED.effective_date,
         updated_at = NOW()
       RETURNING *
-    `, [req.orgId, user_id, base_salary, hourly_rate || 0, currency || 'MYR', effective_date || new Date()]);
+    `, [req.orgId, user_id, base_salary, hourly_rate || 0, code, effective_date || new Date()]);
+    
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: previous.rows.length > 0 ? 'payroll.salary_updated' : 'payroll.salary_created',
+      resourceType: 'employee_salary',
+      resourceId: result.rows[0].id,
+      metadata: { userId: user_id, before: salaryDetails(previous.rows[0]), after: salaryDetails(result.rows[0]) },
+      req
+    });
     
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -95,11 +120,20 @@ router.post('/org/:orgId/salaries', authenticate, requireOrg, checkPlugEnabled,
 });
 
 // Update employee salary
-router.put('/org/:orgId/salaries/:id', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.put('/org/:orgId/salaries/:id', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), validate({
+  body: { type: 'object', properties: SALARY_FIELDS }
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { base_salary, hourly_rate, currency, effective_date } = req.body;
     
+    const code = currency ? normalizeCurrency(currency) : null;
+    
+    const previous = await pool.query(
+      'SELECT * FROM employee_salaries WHERE id = $1 AND org_id = $2',
+      [id, req.orgId]
+    );
+    
     const result = await pool.query(`
       UPDATE employee_salaries
       SET base_salary = COALESCE($1, base_salary),
@@ -109,12 +143,21 @@ router.put('/org/:orgId/salaries/:id', authenticate, requireOrg, checkPlugEnable
           updated_at = NOW()
       WHERE id = $5 AND org_id = $6
       RETURNING *
-    `, [base_salary, hourly_rate, currency, effective_date, id, req.orgId]);
+    `, [base_salary, hourly_rate, code, effective_date, id, req.orgId]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Salary record not found' });
     }
     
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'payroll.salary_updated',
+      resourceType: 'employee_salary',
+      resourceId: id,
+      metadata: { userId: result.rows[0].user_id, before: salaryDetails(previous.rows[0]), after: salaryDetails(result.rows[0]) },
+      req
+    });
+    
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Update salary error:', error);
@@ -123,18 +166,27 @@ router.put('/org/:orgId/salaries/:id', authenticate, requireOrg, checkPlugEnable
 });
 
 // Delete employee salary
-router.delete('/org/:orgId/salaries/:id', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.delete('/org/:orgId/salaries/:id', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
     const result = await pool.query(`
-      DELETE FROM employee_salaries WHERE id = $1 AND org_id = $2 RETURNING id
+      DELETE FROM employee_salaries WHERE id = $1 AND org_id = $2 RETURNING *
     `, [id, req.orgId]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Salary record not found' });
     }
     
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'payroll.salary_deleted',
+      resourceType: 'employee_salary',
+      resourceId: id,
+      metadata: { userId: result.rows[0].user_id, before: salaryDetails(result.rows[0]) },
+      req
+    });
+    
     res.json({ message: 'Salary deleted' });
   } catch (error) {
     console.error('Delete salary error:', error);
@@ -145,13 +197,15 @@ router.delete('/org/:orgId/salaries/:id', authenticate, requireOrg, checkPlugEna
 // ==================== PAYROLL PERIODS ====================
 
 // Get all payroll periods
-router.get('/org/:orgId/periods', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/periods', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
         pp.*,
         u.name as created_by_name,
-        (SELECT COUNT(*) FROM payslips ps WHERE ps.period_id = pp.id) as payslip_count
+        (SELECT COUNT(*) FROM payslips ps WHERE ps.period_id = pp.id) as payslip_count,
+        (SELECT SUM(ps.base_net_pay) FROM payslips ps WHERE ps.period_id = pp.id) as base_net_pay,
+        (SELECT COUNT(*) FROM payslips ps WHERE ps.period_id = pp.id AND ps.base_net_pay IS NULL) as unconverted_count
       FROM payroll_periods pp
       LEFT JOIN users u ON pp.created_by = u.id
       WHERE pp.org_id = $1
@@ -166,14 +220,12 @@ router.get('/org/:orgId/periods', authenticate, requireOrg, checkPlugEnabled, as
 });
 
 // Create payroll period
-router.post('/org/:orgId/periods', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.post('/org/:orgId/periods', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), validate({
+  body: { type: 'object', required: ['name', 'start_date', 'end_date'], properties: PERIOD_FIELDS }
+}), async (req, res) => {
   try {
     const { name, start_date, end_date } = req.body;
     
-    if (!name || !start_date || !end_date) {
-      return res.status(400).json({ error: 'Name, start date, and end date are required' });
-    }
-    
     const result = await pool.query(`
       INSERT INTO payroll_periods (org_id, name, start_date, end_date, created_by)
       VALUES ($1, $2, $3, $4, $5)
@@ -188,7 +240,9 @@ router.post('/org/:orgId/periods', authenticate, requireOrg, checkPlugEnabled, r
 });
 
 // Update payroll period
-router.put('/org/:orgId/periods/:id', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.put('/org/:orgId/periods/:id', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), validate({
+  body: { type: 'object', properties: PERIOD_FIELDS }
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, start_date, end_date } = req.body;
@@ -223,7 +277,7 @@ router.put('/org/:orgId/periods/:id', authenticate, requireOrg, checkPlugEnabled
 });
 
 // Delete payroll period
-router.delete('/org/:orgId/periods/:id', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.delete('/org/:orgId/periods/:id', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -250,7 +304,7 @@ router.delete('/org/:orgId/periods/:id', authenticate, requireOrg, checkPlugEnab
 });
 
 // Generate payslips for a period
-router.post('/org/:orgId/periods/:id/generate', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.post('/org/:orgId/periods/:id/generate', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), async (req, res) => {
   const client = await pool.connect();
   
   try {
@@ -258,9 +312,10 @@ router.post('/org/:orgId/periods/:id/generate', authenticate, requireOrg, checkP
     
     await client.query('BEGIN');
     
-    // Get period info
+    // Get period info (dates as text: they are days in the org's timezone)
     const periodResult = await client.query(`
-      SELECT * FROM payroll_periods WHERE id = $1 AND org_id = $2
+      SELECT *, start_date::text as start_day, end_date::text as end_day
+      FROM payroll_periods WHERE id = $1 AND org_id = $2
     `, [id, req.orgId]);
     
     if (periodResult.rows.length === 0) {
@@ -286,6 +341,10 @@ router.post('/org/:orgId/periods/:id/generate', authenticate, requireOrg, checkP
       WHERE es.org_id = $1
     `, [req.orgId]);
     
+    // Standard hours are the period's working days times the business day
+    const calendar = await getOrgCalendar(req.orgId, client);
+    const standardHours = countWorkDays(calendar, period.start_day, period.end_day) * businessHoursPerDay(calendar);
+    
     const payslips = [];
     
     for (const salary of salariesResult.rows) {
@@ -296,27 +355,29 @@ router.post('/org/:orgId/periods/:id/generate', authenticate, requireOrg, checkP
         FROM attendance_records
         WHERE org_id = $1 
           AND user_id = $2 
-          AND clock_in >= $3 
-          AND clock_in <= $4
+          AND clock_in >= ($3::date::timestamp AT TIME ZONE $5)
+          AND clock_in < (($4::date + 1)::timestamp AT TIME ZONE $5)
           AND clock_out IS NOT NULL
-      `, [req.orgId, salary.user_id, period.start_date, period.end_date]);
+      `, [req.orgId, salary.user_id, period.start_day, period.end_day, calendar.timezone]);
       
       const hoursWorked = parseFloat(attendanceResult.rows[0]?.total_hours || 0);
       
-      // Calculate pay (assuming 160 standard hours per month)
-      const standardHours = 160;
+      // Calculate pay
       const overtimeHours = Math.max(0, hoursWorked - standardHours);
       const overtimePay = overtimeHours * parseFloat(salary.hourly_rate || 0);
       const baseSalary = parseFloat(salary.base_salary);
       const grossPay = baseSalary + overtimePay;
       const netPay = grossPay; // No deductions for now
       
-      // Insert payslip
+      // Insert payslip, with the net pay in the base currency at the
+      // rate on the period's last day (NULL if there is no rate yet)
       const payslipResult = await client.query(`
-        INSERT INTO payslips (org_id, user_id, period_id, base_salary, hours_worked, overtime_hours, overtime_pay, gross_pay, net_pay)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        INSERT INTO payslips (org_id, user_id, period_id, base_salary, hours_worked, overtime_hours, overtime_pay, gross_pay, net_pay,
+                              currency, exchange_rate, base_net_pay)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+                $10, exchange_rate_on($1, $10, $11::date), ROUND($9::numeric * exchange_rate_on($1, $10, $11::date), 2))
         RETURNING *
-      `, [req.orgId, salary.user_id, id, baseSalary, hoursWorked, overtimeHours, overtimePay, grossPay, netPay]);
+      `, [req.orgId, salary.user_id, id, baseSalary, hoursWorked, overtimeHours, overtimePay, grossPay, netPay, salary.currency, period.end_day]);
       
       payslips.push({
         ...payslipResult.rows[0],
@@ -345,7 +406,7 @@ router.post('/org/:orgId/periods/:id/generate', authenticate, requireOrg, checkP
 });
 
 // Finalize payroll period
-router.post('/org/:orgId/periods/:id/finalize', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.post('/org/:orgId/periods/:id/finalize', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.finalize'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -369,6 +430,27 @@ router.post('/org/:orgId/periods/:id/finalize', authenticate, requireOrg, checkP
       return res.status(404).json({ error: 'Payroll period not found or already finalized' });
     }
     
+    const totals = await pool.query(`
+      SELECT COUNT(*) as payslips, COALESCE(SUM(gross_pay), 0) as gross_pay, COALESCE(SUM(net_pay), 0) as net_pay,
+             COALESCE(SUM(base_net_pay), 0) as base_net_pay
+      FROM payslips WHERE period_id = $1
+    `, [id]);
+    
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'payroll.period_finalized',
+      resourceType: 'payroll_period',
+      resourceId: id,
+      metadata: {
+        name: result.rows[0].name,
+        payslips: parseInt(totals.rows[0].payslips),
+        grossPay: totals.rows[0].gross_pay,
+        netPay: totals.rows[0].net_pay,
+        baseNetPay: totals.rows[0].base_net_pay
+      },
+      req
+    });
+    
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Finalize period error:', error);
@@ -379,7 +461,7 @@ router.post('/org/:orgId/periods/:id/finalize', authenticate, requireOrg, checkP
 // ==================== PAYSLIPS ====================
 
 // Get my payslips
-router.get('/org/:orgId/my-payslips', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/my-payslips', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -401,8 +483,8 @@ router.get('/org/:orgId/my-payslips', authenticate, requireOrg, checkPlugEnabled
   }
 });
 
-// Get payslips for a period (admin only)
-router.get('/org/:orgId/periods/:periodId/payslips', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+// Get payslips for a period (requires payroll.manage or payroll.finalize)
+router.get('/org/:orgId/periods/:periodId/payslips', authenticate, requireOrg, requirePlug(PLUG_SLUG), requireAnyPermission('payroll.manage', 'payroll.finalize'), async (req, res) => {
   try {
     const { periodId } = req.params;
     
@@ -425,7 +507,16 @@ router.get('/org/:orgId/periods/:periodId/payslips', authenticate, requireOrg, c
 });
 
 // Update payslip (add bonuses/deductions)
-router.put('/org/:orgId/payslips/:id', authenticate, requireOrg, checkPlugEnabled, requireRole('admin'), async (req, res) => {
+router.put('/org/:orgId/payslips/:id', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('payroll.manage'), validate({
+  body: {
+    type: 'object',
+    properties: {
+      deductions: { type: 'number', minimum: 0 },
+      bonuses: { type: 'number', minimum: 0 },
+      notes: fields.text
+    }
+  }
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { deductions, bonuses, notes } = req.body;
@@ -458,6 +549,7 @@ router.put('/org/:orgId/payslips/:id', authenticate, requireOrg, checkPlugEnable
           bonuses = $2,
           gross_pay = $3,
           net_pay = $4,
+          base_net_pay = ROUND($4::numeric * exchange_rate, 2),
           notes = COALESCE($5, notes)
       WHERE id = $6
       RETURNING *
@@ -6,6 +6,7 @@
 
 import express from 'express';
 import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
 
 const router = express.Router();
 
@@ -61,43 +62,57 @@ export function createPluginAdminRoutes(pluginManager) {
    * POST /api/admin/plugins/:pluginId/activate
    * Activate a plugin
    */
-  router.post('/:pluginId/activate', authenticate, async (req, res) => {
+  router.post('/:pluginId/activate', authenticate, validate({
+    body: { type: 'object', properties: { config: { type: 'object' } } }
+  }), async (req, res) => {
     try {
       const config = req.body.config || {};
       const result = await pluginManager.activate(req.params.pluginId, config);
       res.json(result);
     } catch (error) {
       console.error('Activate plugin error:', error);
-      res.status(500).json({ error: error.message || 'Failed to activate plugin' });
+      res.status(error.status || 500).json({ error: error.message || 'Failed to activate plugin' });
     }
   });
 
   /**
    * POST /api/admin/plugins/:pluginId/deactivate
-   * Deactivate a plugin
+   * Deactivate a plugin (?cascade=true also deactivates the plugins that depend on it)
    */
-  router.post('/:pluginId/deactivate', authenticate, async (req, res) => {
+  router.post('/:pluginId/deactivate', authenticate, validate({
+    query: { type: 'object', properties: { cascade: { type: 'boolean' } } }
+  }), async (req, res) => {
     try {
-      const result = await pluginManager.deactivate(req.params.pluginId);
+      const cascade = req.query.cascade === true;
+      const result = await pluginManager.deactivate(req.params.pluginId, { cascade });
       res.json(result);
     } catch (error) {
       console.error('Deactivate plugin error:', error);
-      res.status(500).json({ error: error.message || 'Failed to deactivate plugin' });
+      res.status(error.status || 500).json({
+        error: error.message || 'Failed to deactivate plugin',
+        ...(error.dependents && { dependents: error.dependents })
+      });
     }
   });
 
   /**
    * DELETE /api/admin/plugins/:pluginId
-   * Uninstall a plugin
+   * Uninstall a plugin (?cascade=true also uninstalls the plugins that depend on it)
    */
-  router.delete('/:pluginId', authenticate, async (req, res) => {
+  router.delete('/:pluginId', authenticate, validate({
+    query: { type: 'object', properties: { removeData: { type: 'boolean' }, cascade: { type: 'boolean' } } }
+  }), async (req, res) => {
     try {
-      const removeData = req.query.removeData === 'true';
-      const result = await pluginManager.uninstall(req.params.pluginId, removeData);
+      const removeData = req.query.removeData === true;
+      const cascade = req.query.cascade === true;
+      const result = await pluginManager.uninstall(req.params.pluginId, removeData, { cascade });
       res.json(result);
     } catch (error) {
       console.error('Uninstall plugin error:', error);
-      res.status(500).json({ error: error.message || 'Failed to uninstall plugin' });
+      res.status(error.status || 500).json({
+        error: error.message || 'Failed to uninstall plugin',
+        ...(error.dependents && { dependents: error.dependents })
+      });
     }
   });
 
@@ -105,22 +120,21 @@ export function createPluginAdminRoutes(pluginManager) {
    * PUT /api/admin/plugins/:pluginId/config
    * Update plugin configuration
    */
-  router.put('/:pluginId/config', authenticate, async (req, res) => {
+  router.put('/:pluginId/config', authenticate, validate({ body: { type: 'object' } }), async (req, res) => {
     try {
       const { pluginId } = req.params;
       const config = req.body;
 
-      // Deactivate and reactivate with new config
+      // Restart with new config (plugins that depend on it restart too)
       const status = pluginManager.getStatus(pluginId);
       if (status?.isActive) {
-        await pluginManager.deactivate(pluginId);
-        await pluginManager.activate(pluginId, config);
+        await pluginManager.reconfigure(pluginId, config);
       }
 
       res.json({ success: true, config });
     } catch (error) {
       console.error('Update plugin config error:', error);
-      res.status(500).json({ error: error.message || 'Failed to update plugin config' });
+      res.status(error.status || 500).json({ error: error.message || 'Failed to update plugin config' });
     }
   });
 
@@ -1,8 +1,12 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate } from '../middleware/validate.js';
+import { getPlugAccess, getAccessiblePlugSlugs } from '../services/plugAccess.js';
+import { getOrgCalendar, localDate, isWorkDay, fiscalYearStart } from '../services/orgCalendar.js';
 
 const router = express.Router();
+checkUuidParams(router);
 
 // Get all available plugs
 router.get('/', authenticate, async (req, res) => {
@@ -19,47 +23,15 @@ router.get('/', authenticate, async (req, res) => {
 // Get plugs enabled for an organization (filtered by department for non-admins)
 router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
   try {
-    // Check if user is admin - use orgRole from middleware, not userRole
-    if (req.orgRole === 'admin') {
-      // Admins see all enabled plugs
-      const result = await pool.query(`
-        SELECT p.id, p.name, p.slug, p.description, p.icon, op.settings, op.enabled_at, op.category_id
-        FROM plugs p
-        JOIN org_plugs op ON p.id = op.plug_id
-        WHERE op.org_id = $1 AND p.is_active = true
-      `, [req.orgId]);
-      
-      return res.json(result.rows);
-    }
-    
-    // Get user's department
-    const memberResult = await pool.query(
-      'SELECT department_id FROM org_members WHERE user_id = $1 AND org_id = $2',
-      [req.user.id, req.orgId]
-    );
-    
-    const departmentId = memberResult.rows[0]?.department_id;
-    
-    if (!departmentId) {
-      // User has no department - show all enabled org plugs (lenient policy)
-      const result = await pool.query(`
-        SELECT p.id, p.name, p.slug, p.description, p.icon, op.settings, op.enabled_at, op.category_id
-        FROM plugs p
-        JOIN org_plugs op ON p.id = op.plug_id
-        WHERE op.org_id = $1 AND p.is_active = true
-      `, [req.orgId]);
-      
-      return res.json(result.rows);
-    }
-    
-    // Get plugs assigned to user's department
+    // Members who manage plugs or have no department see every enabled plug
+    const accessibleSlugs = await getAccessiblePlugSlugs(req, req.orgId);
+
     const result = await pool.query(`
       SELECT p.id, p.name, p.slug, p.description, p.icon, op.settings, op.enabled_at, op.category_id
       FROM plugs p
       JOIN org_plugs op ON p.id = op.plug_id
-      JOIN department_plugs dp ON p.id = dp.plug_id
-      WHERE op.org_id = $1 AND dp.department_id = $2 AND p.is_active = true
-    `, [req.orgId, departmentId]);
+      WHERE op.org_id = $1 AND p.is_active = true AND p.slug = ANY($2)
+    `, [req.orgId, accessibleSlugs]);
     
     res.json(result.rows);
   } catch (error) {
@@ -68,8 +40,10 @@ router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
   }
 });
 
-// Enable a plug for organization (admin only)
-router.post('/org/:orgId/enable/:plugId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Enable a plug for organization (requires plugs.manage)
+router.post('/org/:orgId/enable/:plugId', authenticate, requireOrg, requirePermission('plugs.manage'), validate({
+  body: { type: 'object', properties: { settings: { type: 'object' } } }
+}), async (req, res) => {
   try {
     const { plugId } = req.params;
     const { settings } = req.body;
@@ -97,8 +71,8 @@ router.post('/org/:orgId/enable/:plugId', authenticate, requireOrg, requireRole(
   }
 });
 
-// Disable a plug for organization (admin only)
-router.delete('/org/:orgId/disable/:plugId', authenticate, requireOrg, requireRole('admin'), async (req, res) => {
+// Disable a plug for organization (requires plugs.manage)
+router.delete('/org/:orgId/disable/:plugId', authenticate, requireOrg, requirePermission('plugs.manage'), async (req, res) => {
   try {
     const { plugId } = req.params;
     
@@ -118,14 +92,12 @@ router.get('/org/:orgId/summary', authenticate, requireOrg, async (req, res) =>
   try {
     const summary = {};
     
-    // Get enabled plugs for this org
-    const enabledPlugs = await pool.query(`
-      SELECT p.slug FROM plugs p
-      JOIN org_plugs op ON p.id = op.plug_id
-      WHERE op.org_id = $1 AND p.is_active = true
-    `, [req.orgId]);
+    // Only summarise plugs the member can open
+    const enabledSlugs = await getAccessiblePlugSlugs(req, req.orgId);
     
-    const enabledSlugs = enabledPlugs.rows.map(p => p.slug);
+    // "Today" and "this fiscal year" are in the org's timezone
+    const calendar = await getOrgCalendar(req.orgId);
+    const today = localDate(calendar.timezone);
     
     // Employee Directory summary
     if (enabledSlugs.includes('employee-directory')) {
@@ -157,14 +129,14 @@ router.get('/org/:orgId/summary', authenticate, requireOrg, async (req, res) =>
     
     // Attendance Tracker summary
     if (enabledSlugs.includes('attendance-tracker')) {
-      const today = new Date().toISOString().split('T')[0];
-      
       // Get today's attendance stats
       const attendanceResult = await pool.query(`
         SELECT COUNT(DISTINCT user_id) as present_count
         FROM attendance_records 
-        WHERE org_id = $1 AND DATE(clock_in) = $2
-      `, [req.orgId, today]);
+        WHERE org_id = $1
+          AND clock_in >= ($2::date::timestamp AT TIME ZONE $3)
+          AND clock_in < (($2::date + 1)::timestamp AT TIME ZONE $3)
+      `, [req.orgId, today, calendar.timezone]);
       
       // Get total org members
       const membersResult = await pool.query(`
@@ -185,6 +157,7 @@ router.get('/org/:orgId/summary', authenticate, requireOrg, async (req, res) =>
         todayPresent: presentCount,
         totalMembers: totalMembers,
         attendanceRate: attendanceRate,
+        isWorkDay: isWorkDay(calendar, today),
         pendingLeaves: parseInt(leaveResult.rows[0]?.pending || 0)
       };
     }
@@ -196,7 +169,7 @@ router.get('/org/:orgId/summary', authenticate, requireOrg, async (req, res) =>
         SELECT 
           pp.id, pp.name, pp.status, pp.start_date, pp.end_date,
           (SELECT COUNT(*) FROM payslips ps WHERE ps.period_id = pp.id) as payslip_count,
-          (SELECT COALESCE(SUM(net_pay), 0) FROM payslips ps WHERE ps.period_id = pp.id) as total_payroll
+          (SELECT COALESCE(SUM(base_net_pay), 0) FROM payslips ps WHERE ps.period_id = pp.id) as total_payroll
         FROM payroll_periods pp
         WHERE pp.org_id = $1
         ORDER BY pp.start_date DESC
@@ -241,13 +214,13 @@ router.get('/org/:orgId/summary', authenticate, requireOrg, async (req, res) =>
       const taskResult = await pool.query(`
         SELECT 
           COUNT(*) as total_tasks,
-          COUNT(*) FILTER (WHERE status != 'Completed' AND due_date < NOW()) as overdue_tasks,
+          COUNT(*) FILTER (WHERE status != 'Completed' AND due_date < $2::date) as overdue_tasks,
           COUNT(*) FILTER (WHERE status = 'To Do') as todo_count,
           COUNT(*) FILTER (WHERE status = 'In Progress') as in_progress_count,
           COUNT(*) FILTER (WHERE status = 'Review') as review_count,
           COUNT(*) FILTER (WHERE status = 'Completed') as completed_count
         FROM tasks WHERE org_id = $1
-      `, [req.orgId]);
+      `, [req.orgId, today]);
       
       const stats = taskResult.rows[0];
       summary['task-manager'] = {
@@ -262,17 +235,22 @@ router.get('/org/:orgId/summary', authenticate, requireOrg, async (req, res) =>
       };
     }
     
-    // Expense Manager summary
+    // Expense Manager summary (amounts in the base currency)
     if (enabledSlugs.includes('expense-manager')) {
       const expResult = await pool.query(`
+        WITH converted AS (
+          SELECT status, expense_date, amount * exchange_rate_on(org_id, currency, expense_date) as base_amount
+          FROM expenses WHERE org_id = $1
+        )
         SELECT 
           COUNT(*) as total_expenses,
           COUNT(*) FILTER (WHERE status = 'pending') as pending_count,
           COUNT(*) FILTER (WHERE status = 'approved') as approved_count,
-          COALESCE(SUM(amount) FILTER (WHERE status = 'approved'), 0) as approved_total,
-          COALESCE(SUM(amount) FILTER (WHERE status = 'pending'), 0) as pending_total
-        FROM expenses WHERE org_id = $1
-      `, [req.orgId]);
+          COALESCE(SUM(base_amount) FILTER (WHERE status = 'approved'), 0) as approved_total,
+          COALESCE(SUM(base_amount) FILTER (WHERE status = 'pending'), 0) as pending_total,
+          COALESCE(SUM(base_amount) FILTER (WHERE status = 'approved' AND expense_date >= $2), 0) as fiscal_year_approved_total
+        FROM converted
+      `, [req.orgId, fiscalYearStart(calendar, today)]);
 
       const topCat = await pool.query(`
         SELECT ec.name, COUNT(*) as count
@@ -291,6 +269,7 @@ router.get('/org/:orgId/summary', authenticate, requireOrg, async (req, res) =>
         approvedCount: parseInt(stats.approved_count || 0),
         approvedTotal: parseFloat(stats.approved_total || 0),
         pendingTotal: parseFloat(stats.pending_total || 0),
+        fiscalYearApprovedTotal: parseFloat(stats.fiscal_year_approved_total || 0),
         topCategory: topCat.rows[0]?.name || null
       };
     }
@@ -302,7 +281,7 @@ router.get('/org/:orgId/summary', authenticate, requireOrg, async (req, res) =>
   }
 });
 
-// Check if org has a specific plug enabled
+// Check if org has a specific plug enabled (and whether the member can use it)
 router.get('/org/:orgId/check/:plugSlug', authenticate, requireOrg, async (req, res) => {
   try {
     const { plugSlug } = req.params;
@@ -314,8 +293,11 @@ router.get('/org/:orgId/check/:plugSlug', authenticate, requireOrg, async (req,
       WHERE op.org_id = $1 AND p.slug = $2
     `, [req.orgId, plugSlug]);
     
+    const access = await getPlugAccess(req, req.orgId);
+    
     res.json({ 
       enabled: result.rows.length > 0,
+      accessible: !!access.get(plugSlug)?.accessible,
       settings: result.rows[0]?.settings || null
     });
   } catch (error) {
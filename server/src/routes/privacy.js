@@ -0,0 +1,161 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import pool from '../config/db.js';
+import { authenticate, requireOrg, requirePermission, rejectApiTokens } from '../middleware/auth.js';
+import { checkUuidParams, validate } from '../middleware/validate.js';
+import {
+  DELETED_USER_NAME,
+  exportPersonalData,
+  listFormerMembers,
+  getOrgMembership,
+  findSoleAdminOrgs,
+  anonymizeUser
+} from '../services/personalData.js';
+import { recordAuditEvent } from '../services/audit.js';
+
+const router = express.Router();
+checkUuidParams(router);
+
+// Send an export as a file download
+const sendExport = (res, data) => {
+  const date = data.exportedAt.split('T')[0];
+  res.setHeader('Content-Disposition', `attachment; filename="personal-data-${date}.json"`);
+  res.json(data);
+};
+
+// Download everything held about the current user
+router.get('/me/export', authenticate, rejectApiTokens, async (req, res) => {
+  try {
+    const data = await exportPersonalData(req.user.id);
+    sendExport(res, data);
+  } catch (error) {
+    console.error('Export personal data error:', error);
+    res.status(500).json({ error: 'Failed to export your data' });
+  }
+});
+
+// Delete the current user's account (requires password)
+// Records orgs keep, like payslips and expenses, stay under "Deleted user"
+router.delete('/me', authenticate, rejectApiTokens, validate({
+  body: { type: 'object', required: ['password'], properties: { password: { type: 'string', minLength: 1 } } }
+}), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const validPassword = await bcrypt.compare(password, userResult.rows[0].password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const soleAdminOrgs = await findSoleAdminOrgs(req.user.id);
+    if (soleAdminOrgs.length > 0) {
+      return res.status(400).json({
+        error: `You are the only admin of ${soleAdminOrgs.map(org => org.name).join(', ')}. Make someone else an admin first`
+      });
+    }
+
+    const result = await anonymizeUser(req.user.id);
+
+    // The tombstone stands in as the actor so the log doesn't keep the name
+    await Promise.all((result?.orgIds || []).map(orgId => recordAuditEvent({
+      orgId,
+      action: 'user.anonymized',
+      resourceType: 'user',
+      resourceId: req.user.id,
+      metadata: { by: 'self' },
+      actor: { id: req.user.id, name: DELETED_USER_NAME, email: null }
+    })));
+
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// List people who were removed from the organization (requires privacy.manage)
+router.get('/org/:orgId/former-members', authenticate, requireOrg, requirePermission('privacy.manage'), async (req, res) => {
+  try {
+    const formerMembers = await listFormerMembers(req.orgId);
+    res.json(formerMembers);
+  } catch (error) {
+    console.error('Get former members error:', error);
+    res.status(500).json({ error: 'Failed to get former members' });
+  }
+});
+
+// Download what this organization holds about a member or former member (requires privacy.manage)
+router.get('/org/:orgId/users/:userId/export', authenticate, requireOrg, requirePermission('privacy.manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!(await getOrgMembership(userId, req.orgId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const data = await exportPersonalData(userId, { orgId: req.orgId });
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'user.data_exported',
+      resourceType: 'user',
+      resourceId: userId,
+      req
+    });
+
+    sendExport(res, data);
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({ error: 'Failed to export user data' });
+  }
+});
+
+// Erase a former member (requires privacy.manage)
+// Only people who have left every organization can be erased this way
+router.post('/org/:orgId/users/:userId/anonymize', authenticate, requireOrg, requirePermission('privacy.manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const membership = await getOrgMembership(userId, req.orgId);
+    if (!membership) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (membership === 'member') {
+      return res.status(400).json({ error: 'Remove them from the organization first' });
+    }
+
+    const memberships = await pool.query(
+      'SELECT org_id FROM org_members WHERE user_id = $1',
+      [userId]
+    );
+    if (memberships.rows.length > 0) {
+      return res.status(409).json({ error: 'They still belong to another organization, so only they can delete their account' });
+    }
+
+    const result = await anonymizeUser(userId);
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'user.anonymized',
+      resourceType: 'user',
+      resourceId: userId,
+      metadata: { by: 'admin' },
+      req
+    });
+
+    res.json({ message: 'User erased' });
+  } catch (error) {
+    console.error('Anonymize user error:', error);
+    res.status(500).json({ error: 'Failed to erase user' });
+  }
+});
+
+export default router;
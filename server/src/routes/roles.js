@@ -0,0 +1,245 @@
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields } from '../middleware/validate.js';
+import {
+  BUILT_IN_ROLES,
+  listRoles,
+  getPermissionCatalog,
+  checkRolePermissions
+} from '../services/permissions.js';
+import { recordAuditEvent } from '../services/audit.js';
+
+const router = express.Router();
+checkUuidParams(router);
+
+// The slug comes from the name, so names are kept to the slug's length
+const ROLE_FIELDS = {
+  name: { ...fields.name, pattern: '[A-Za-z0-9]', maxLength: 50 },
+  description: fields.text,
+  permissions: { type: 'array', items: { type: 'string' } }
+};
+
+// Get all roles for organization
+router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
+  try {
+    res.json(await listRoles(req.orgId));
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Failed to get roles' });
+  }
+});
+
+// Get the permissions that can be granted (core + installed plugins)
+router.get('/org/:orgId/permissions', authenticate, requireOrg, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    res.json(await getPermissionCatalog());
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ error: 'Failed to get permissions' });
+  }
+});
+
+// Create a custom role
+router.post('/org/:orgId', authenticate, requireOrg, requirePermission('roles.manage'), validate({
+  body: { type: 'object', required: ['name'], properties: ROLE_FIELDS }
+}), async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (BUILT_IN_ROLES[slug]) {
+      return res.status(400).json({ error: 'A built-in role already uses this name' });
+    }
+
+    const invalid = await checkRolePermissions(permissions, req.permissions);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO org_roles (org_id, slug, name, description, permissions)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, slug, name, description, permissions, created_at
+    `, [req.orgId, slug, name.trim(), description || null, JSON.stringify([...new Set(permissions)])]);
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'role.created',
+      resourceType: 'role',
+      resourceId: slug,
+      metadata: { name: result.rows[0].name, permissions: result.rows[0].permissions },
+      req
+    });
+
+    res.status(201).json({ ...result.rows[0], builtIn: false, editable: true, memberCount: 0 });
+  } catch (error) {
+    if (error.code === '23505') { // unique violation
+      return res.status(400).json({ error: 'A role with this name already exists' });
+    }
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Failed to create role' });
+  }
+});
+
+// Update a role's name, description or permissions
+// (built-in manager and employee roles can only change permissions)
+router.put('/org/:orgId/:slug', authenticate, requireOrg, requirePermission('roles.manage'), validate({
+  body: { type: 'object', properties: ROLE_FIELDS }
+}), async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { name, description, permissions } = req.body;
+
+    if (slug === 'admin') {
+      return res.status(400).json({ error: 'The admin role always has every permission' });
+    }
+
+    if (permissions !== undefined) {
+      const invalid = await checkRolePermissions(permissions, req.permissions);
+      if (invalid) {
+        return res.status(invalid.status).json({ error: invalid.error });
+      }
+    }
+
+    const permissionsJson = permissions !== undefined ? JSON.stringify([...new Set(permissions)]) : null;
+
+    const previous = await pool.query(
+      'SELECT name, permissions FROM org_roles WHERE org_id = $1 AND slug = $2',
+      [req.orgId, slug]
+    );
+
+    const builtIn = BUILT_IN_ROLES[slug];
+    if (builtIn) {
+      // Store an override of the built-in permission set
+      const result = await pool.query(`
+        INSERT INTO org_roles (org_id, slug, name, description, permissions)
+        VALUES ($1, $2, $3, $4, COALESCE($5::jsonb, $6::jsonb))
+        ON CONFLICT (org_id, slug) DO UPDATE SET
+          permissions = COALESCE($5::jsonb, org_roles.permissions),
+          updated_at = NOW()
+        RETURNING slug, permissions
+      `, [req.orgId, slug, builtIn.name, builtIn.description, permissionsJson, JSON.stringify(builtIn.permissions)]);
+
+      await recordAuditEvent({
+        orgId: req.orgId,
+        action: 'role.updated',
+        resourceType: 'role',
+        resourceId: slug,
+        metadata: {
+          before: { permissions: previous.rows[0]?.permissions || builtIn.permissions },
+          after: { permissions: result.rows[0].permissions }
+        },
+        req
+      });
+
+      return res.json({ ...result.rows[0], name: builtIn.name, description: builtIn.description, builtIn: true, editable: true });
+    }
+
+    const result = await pool.query(`
+      UPDATE org_roles
+      SET name = COALESCE($1, name),
+          description = COALESCE($2, description),
+          permissions = COALESCE($3::jsonb, permissions),
+          updated_at = NOW()
+      WHERE org_id = $4 AND slug = $5
+      RETURNING id, slug, name, description, permissions, created_at
+    `, [name?.trim(), description, permissionsJson, req.orgId, slug]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'role.updated',
+      resourceType: 'role',
+      resourceId: slug,
+      metadata: {
+        before: previous.rows[0],
+        after: { name: result.rows[0].name, permissions: result.rows[0].permissions }
+      },
+      req
+    });
+
+    res.json({ ...result.rows[0], builtIn: false, editable: true });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Delete a custom role, or reset a built-in role to its default permissions
+router.delete('/org/:orgId/:slug', authenticate, requireOrg, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (slug === 'admin') {
+      return res.status(400).json({ error: 'The admin role cannot be changed' });
+    }
+
+    if (BUILT_IN_ROLES[slug]) {
+      // Resetting grants the defaults, so the caller must hold them like on update
+      const invalid = await checkRolePermissions(BUILT_IN_ROLES[slug].permissions, req.permissions);
+      if (invalid) {
+        return res.status(invalid.status).json({ error: invalid.error });
+      }
+
+      const reset = await pool.query(
+        'DELETE FROM org_roles WHERE org_id = $1 AND slug = $2 RETURNING permissions',
+        [req.orgId, slug]
+      );
+      await recordAuditEvent({
+        orgId: req.orgId,
+        action: 'role.reset',
+        resourceType: 'role',
+        resourceId: slug,
+        metadata: {
+          before: { permissions: reset.rows[0]?.permissions || BUILT_IN_ROLES[slug].permissions },
+          after: { permissions: BUILT_IN_ROLES[slug].permissions }
+        },
+        req
+      });
+      return res.json({ message: 'Role reset to default permissions' });
+    }
+
+    // Members and pending invites must be moved to another role first
+    const inUse = await pool.query(`
+      SELECT
+        (SELECT COUNT(*) FROM org_members WHERE org_id = $1 AND role = $2) as members,
+        (SELECT COUNT(*) FROM employee_invites WHERE org_id = $1 AND role = $2 AND registered_at IS NULL) as invites
+    `, [req.orgId, slug]);
+
+    const { members, invites } = inUse.rows[0];
+    if (parseInt(members) > 0 || parseInt(invites) > 0) {
+      return res.status(400).json({
+        error: `This role is still assigned to ${members} member(s) and ${invites} pending invite(s)`
+      });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM org_roles WHERE org_id = $1 AND slug = $2 RETURNING name, permissions',
+      [req.orgId, slug]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'role.deleted',
+      resourceType: 'role',
+      resourceId: slug,
+      metadata: result.rows[0],
+      req
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { authenticate, requireOrg } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError } from '../middleware/validate.js';
+import { search, MIN_QUERY_LENGTH, DEFAULT_LIMIT, MAX_LIMIT } from '../services/search.js';
+
+const router = express.Router();
+checkUuidParams(router);
+
+// Search everything the member can see, grouped by plug
+router.get('/org/:orgId', authenticate, requireOrg, validate({
+  query: {
+    type: 'object',
+    required: ['q'],
+    properties: {
+      q: { type: 'string', minLength: MIN_QUERY_LENGTH, maxLength: 200 },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+      provider: { type: 'string', maxLength: 100 }
+    }
+  }
+}), async (req, res) => {
+  try {
+    // Spaces around the query don't count towards its length
+    const query = req.query.q.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      return sendValidationError(res, [{ in: 'query', field: 'q', message: `q must be at least ${MIN_QUERY_LENGTH} characters` }]);
+    }
+
+    const groups = await search(req, req.orgId, query, {
+      limit: req.query.limit || DEFAULT_LIMIT,
+      provider: req.query.provider || null
+    });
+
+    res.json({ query, groups });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+export default router;
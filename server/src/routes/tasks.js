@@ -1,25 +1,47 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePlug, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, fields, NOT_BLANK } from '../middleware/validate.js';
+import { paginate, queryPage, sendCursorError } from '../middleware/paginate.js';
+import { hasPermission } from '../services/permissions.js';
+import eventBus, { SystemEvents } from '../sdk/EventBus.js';
 
 const router = express.Router();
+checkUuidParams(router);
 
-// Middleware to check if Task Manager plug is enabled
-const checkPlugEnabled = async (req, res, next) => {
-  try {
-    const result = await pool.query(`
-      SELECT op.id FROM org_plugs op
-      JOIN plugs p ON op.plug_id = p.id
-      WHERE op.org_id = $1 AND p.slug = 'task-manager'
-    `, [req.orgId]);
-    
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'Task Manager plug is not enabled' });
+// Emit task.updated, plus task.completed when the task has just moved to Completed.
+// Not awaited: subscribers (plugins, workflow runs and triggers) must not hold up the response
+const emitTaskUpdated = (req, task, previousStatus) => {
+  const payload = { orgId: req.orgId, userId: req.user.id, task };
+  eventBus.emit(SystemEvents.TASK_UPDATED, payload);
+  if (task.status === 'Completed' && previousStatus !== 'Completed') {
+    eventBus.emit(SystemEvents.TASK_COMPLETED, payload);
+  }
+};
+
+const PLUG_SLUG = 'task-manager';
+
+// Tasks without a due date sort after every dated task
+const TASK_SORTS = {
+  due_date: "COALESCE(t.due_date, 'infinity')",
+  created_at: 't.created_at',
+  updated_at: 't.updated_at',
+  title: 'lower(t.title)'
+};
+
+const TASK_FIELDS = {
+  title: fields.name,
+  description: fields.text,
+  status: { type: 'string', pattern: NOT_BLANK, maxLength: 50 },
+  priority: { type: 'string', maxLength: 50 },
+  // The task form sends '' when no due date is set
+  due_date: { type: ['string', 'null'] },
+  assignees: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { employee_id: fields.optionalUuid, department_id: fields.optionalUuid }
     }
-    
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to check plug status' });
   }
 };
 
@@ -78,70 +100,66 @@ const isUserAssignedToTask = async (taskId, employeeId, orgId) => {
   return deptResult.rows.length > 0;
 };
 
-// Get all tasks for org (with filters)
-router.get('/org/:orgId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+// Get all tasks for org (with filters; Workflow Builder lists tasks too)
+router.get('/org/:orgId', authenticate, requireOrg, requirePlug(PLUG_SLUG, 'workflow-builder'), validate({
+  query: { type: 'object', properties: { assigneeId: fields.uuid, departmentId: fields.uuid } }
+}), paginate(TASK_SORTS, { sort: 'due_date', order: 'asc' }), async (req, res) => {
   try {
     const { status, priority, assigneeId, departmentId, search } = req.query;
     
-    let query = `
-      SELECT DISTINCT t.*, c.name as creator_name
-      FROM tasks t
-      LEFT JOIN employees c ON t.created_by = c.id
-      LEFT JOIN task_assignees ta ON ta.task_id = t.id
-      WHERE t.org_id = $1
-    `;
+    let where = 't.org_id = $1';
     const params = [req.orgId];
     
     if (status) {
       params.push(status);
-      query += ` AND t.status = $${params.length}`;
+      where += ` AND t.status = $${params.length}`;
     }
     if (priority) {
       params.push(priority);
-      query += ` AND t.priority = $${params.length}`;
+      where += ` AND t.priority = $${params.length}`;
     }
     if (assigneeId) {
       params.push(assigneeId);
-      query += ` AND ta.employee_id = $${params.length}`;
+      where += ` AND EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = t.id AND ta.employee_id = $${params.length})`;
     }
     if (departmentId) {
       params.push(departmentId);
-      query += ` AND ta.department_id = $${params.length}`;
+      where += ` AND EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = t.id AND ta.department_id = $${params.length})`;
     }
     if (search) {
       params.push(`%${search}%`);
-      query += ` AND (t.title ILIKE $${params.length} OR t.description ILIKE $${params.length})`;
+      where += ` AND (t.title ILIKE $${params.length} OR t.description ILIKE $${params.length})`;
     }
     
-    query += ' ORDER BY t.due_date ASC NULLS LAST, t.created_at DESC';
-    
-    const result = await pool.query(query, params);
-    
-    // Fetch assignees for all tasks
-    const taskIds = result.rows.map(t => t.id);
-    const assigneeMap = await fetchAssigneesForTasks(taskIds);
+    const page = await queryPage(req.page, {
+      select: 't.*, c.name as creator_name',
+      from: 'tasks t LEFT JOIN employees c ON t.created_by = c.id',
+      where,
+      params,
+      id: 't.id'
+    });
     
-    // Attach assignees to tasks
-    const tasksWithAssignees = result.rows.map(task => ({
+    // Attach assignees to the page's tasks
+    const assigneeMap = await fetchAssigneesForTasks(page.data.map(t => t.id));
+    page.data = page.data.map(task => ({
       ...task,
       assignees: assigneeMap[task.id] || []
     }));
     
-    res.json(tasksWithAssignees);
+    res.json(page);
   } catch (error) {
+    if (sendCursorError(res, error)) return;
     console.error('Get tasks error:', error);
     res.status(500).json({ error: 'Failed to get tasks' });
   }
 });
 
 // Create new task
-router.post('/org/:orgId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('tasks.manage'), validate({
+  body: { type: 'object', required: ['title'], properties: TASK_FIELDS }
+}), async (req, res) => {
   try {
     const { title, description, status, priority, due_date, assignees } = req.body;
-    
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
 
     const creatorId = await getEmployeeId(req.orgId, req.user.email);
     
@@ -175,6 +193,12 @@ router.post('/org/:orgId', authenticate, requireOrg, checkPlugEnabled, async (re
     // Fetch task with assignees
     const assigneeMap = await fetchAssigneesForTasks([task.id]);
     
+    eventBus.emit(SystemEvents.TASK_CREATED, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      task: { ...task, assignees: assigneeMap[task.id] || [] }
+    });
+    
     res.status(201).json({
       ...task,
       assignees: assigneeMap[task.id] || []
@@ -185,8 +209,29 @@ router.post('/org/:orgId', authenticate, requireOrg, checkPlugEnabled, async (re
   }
 });
 
+// Task counts for the board header, over every task rather than a loaded page
+// (declared before /:taskId so it isn't taken for an ID)
+router.get('/org/:orgId/stats', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        COUNT(*)::int as total,
+        (COUNT(*) FILTER (WHERE status = 'Completed'))::int as completed,
+        (COUNT(*) FILTER (WHERE status <> 'Completed' AND due_date < NOW()))::int as overdue,
+        (COUNT(*) FILTER (WHERE status <> 'Completed' AND due_date >= NOW() AND due_date <= NOW() + INTERVAL '7 days'))::int as due_this_week
+      FROM tasks
+      WHERE org_id = $1
+    `, [req.orgId]);
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Task stats error:', error);
+    res.status(500).json({ error: 'Failed to get task stats' });
+  }
+});
+
 // Get single task details with comments
-router.get('/org/:orgId/:taskId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/:taskId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const { taskId } = req.params;
     
@@ -224,11 +269,18 @@ router.get('/org/:orgId/:taskId', authenticate, requireOrg, checkPlugEnabled, as
 });
 
 // Update task
-router.put('/org/:orgId/:taskId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.put('/org/:orgId/:taskId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('tasks.manage'), validate({
+  body: { type: 'object', properties: TASK_FIELDS }
+}), async (req, res) => {
   try {
     const { taskId } = req.params;
     const { title, description, status, priority, due_date, assignees } = req.body;
     
+    const previous = await pool.query(
+      'SELECT status FROM tasks WHERE id = $1 AND org_id = $2',
+      [taskId, req.orgId]
+    );
+    
     const result = await pool.query(`
       UPDATE tasks 
       SET title = COALESCE($1, title),
@@ -264,6 +316,8 @@ router.put('/org/:orgId/:taskId', authenticate, requireOrg, checkPlugEnabled, as
     // Fetch updated task with assignees
     const assigneeMap = await fetchAssigneesForTasks([taskId]);
     
+    emitTaskUpdated(req, { ...result.rows[0], assignees: assigneeMap[taskId] || [] }, previous.rows[0]?.status);
+    
     res.json({
       ...result.rows[0],
       assignees: assigneeMap[taskId] || []
@@ -275,31 +329,26 @@ router.put('/org/:orgId/:taskId', authenticate, requireOrg, checkPlugEnabled, as
 });
 
 // Quick status update (employees can update their own assigned tasks)
-router.put('/org/:orgId/:taskId/status', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.put('/org/:orgId/:taskId/status', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  body: { type: 'object', required: ['status'], properties: { status: TASK_FIELDS.status } }
+}), async (req, res) => {
   try {
     const { taskId } = req.params;
     const { status } = req.body;
     
-    if (!status) {
-      return res.status(400).json({ error: 'Status is required' });
-    }
-    
-    // Check if user is admin/manager OR assigned to this task
+    // Check if user can manage tasks OR is assigned to this task
     const employeeId = await getEmployeeId(req.orgId, req.user.email);
     const isAssigned = await isUserAssignedToTask(taskId, employeeId, req.orgId);
     
-    // Get user role
-    const roleResult = await pool.query(
-      'SELECT role FROM org_members WHERE org_id = $1 AND user_id = $2',
-      [req.orgId, req.user.id]
-    );
-    const userRole = roleResult.rows[0]?.role;
-    const isAdminOrManager = userRole === 'admin' || userRole === 'manager';
-    
-    if (!isAdminOrManager && !isAssigned) {
+    if (!hasPermission(req.permissions, 'tasks.manage') && !isAssigned) {
       return res.status(403).json({ error: 'You can only update status on tasks assigned to you' });
     }
     
+    const previous = await pool.query(
+      'SELECT status FROM tasks WHERE id = $1 AND org_id = $2',
+      [taskId, req.orgId]
+    );
+    
     const result = await pool.query(`
       UPDATE tasks 
       SET status = $1, updated_at = NOW()
@@ -311,6 +360,8 @@ router.put('/org/:orgId/:taskId/status', authenticate, requireOrg, checkPlugEnab
       return res.status(404).json({ error: 'Task not found' });
     }
     
+    emitTaskUpdated(req, result.rows[0], previous.rows[0]?.status);
+    
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Status update error:', error);
@@ -319,19 +370,25 @@ router.put('/org/:orgId/:taskId/status', authenticate, requireOrg, checkPlugEnab
 });
 
 // Delete task
-router.delete('/org/:orgId/:taskId', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.delete('/org/:orgId/:taskId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('tasks.manage'), async (req, res) => {
   try {
     const { taskId } = req.params;
     
     const result = await pool.query(`
       DELETE FROM tasks WHERE id = $1 AND org_id = $2
-      RETURNING id
+      RETURNING *
     `, [taskId, req.orgId]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Task not found' });
     }
     
+    eventBus.emit(SystemEvents.TASK_DELETED, {
+      orgId: req.orgId,
+      userId: req.user.id,
+      task: result.rows[0]
+    });
+    
     res.json({ message: 'Task deleted successfully' });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -340,14 +397,12 @@ router.delete('/org/:orgId/:taskId', authenticate, requireOrg, checkPlugEnabled,
 });
 
 // Add comment to task
-router.post('/org/:orgId/:taskId/comments', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.post('/org/:orgId/:taskId/comments', authenticate, requireOrg, requirePlug(PLUG_SLUG), validate({
+  body: { type: 'object', required: ['content'], properties: { content: { type: 'string', pattern: NOT_BLANK } } }
+}), async (req, res) => {
   try {
     const { taskId } = req.params;
     const { content } = req.body;
-    
-    if (!content) {
-      return res.status(400).json({ error: 'Comment content is required' });
-    }
 
     const employeeId = await getEmployeeId(req.orgId, req.user.email);
     
@@ -379,7 +434,7 @@ router.post('/org/:orgId/:taskId/comments', authenticate, requireOrg, checkPlugE
 });
 
 // Get comments for task
-router.get('/org/:orgId/:taskId/comments', authenticate, requireOrg, checkPlugEnabled, async (req, res) => {
+router.get('/org/:orgId/:taskId/comments', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const { taskId } = req.params;
     
@@ -0,0 +1,104 @@
+import express from 'express';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError, fields } from '../middleware/validate.js';
+import { exportTenant, validateArchive, importTenant, countRows } from '../services/tenantArchive.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { getOrgCalendar } from '../services/orgCalendar.js';
+import { scheduleDigest } from '../services/notifications.js';
+
+const router = express.Router();
+checkUuidParams(router);
+
+// Whole-org archives are bigger than other bodies, so they are only read
+// for signed-in users (the server skips its own JSON parser for these paths)
+const parseArchive = express.json({ limit: process.env.TENANT_IMPORT_MAX_SIZE || '50mb' });
+
+// The archive's contents are checked by validateArchive; name and slug override the archive's
+const IMPORT_BODY = {
+  type: 'object',
+  required: ['archive'],
+  properties: {
+    archive: { type: 'object' },
+    name: fields.name,
+    slug: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', maxLength: 100 }
+  }
+};
+
+// Download everything in the organization as an archive (requires organization.export)
+router.get('/org/:orgId/export', authenticate, requireOrg, requirePermission('organization.export'), async (req, res) => {
+  try {
+    const archive = await exportTenant(req.orgId);
+    if (!archive) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'organization.exported',
+      resourceType: 'organization',
+      resourceId: req.orgId,
+      metadata: { counts: countRows(archive), users: archive.users.length },
+      req
+    });
+
+    const date = archive.exportedAt.split('T')[0];
+    res.setHeader('Content-Disposition', `attachment; filename="${archive.organization.slug}-${date}.plugos.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export organization error:', error);
+    res.status(500).json({ error: 'Failed to export organization' });
+  }
+});
+
+// Check an archive without importing it
+router.post('/import/validate', authenticate, parseArchive, validate({ body: IMPORT_BODY }), async (req, res) => {
+  try {
+    const { archive, name, slug } = req.body;
+    const { errors, organization, counts } = await validateArchive(archive, { userId: req.user.id, name, slug });
+
+    res.json({ valid: errors.length === 0, errors, organization, counts });
+  } catch (error) {
+    console.error('Validate archive error:', error);
+    res.status(500).json({ error: 'Failed to check archive' });
+  }
+});
+
+// Import an archive as a new organization
+// The importer must be an admin of the organization in the archive
+router.post('/import', authenticate, parseArchive, validate({ body: IMPORT_BODY }), async (req, res) => {
+  try {
+    const { archive, name, slug } = req.body;
+    const result = await importTenant(archive, { userId: req.user.id, name, slug });
+
+    if (result.errors) {
+      return sendValidationError(res, result.errors.map(({ path, error }) => ({ in: 'body', field: `archive.${path}`, message: error })));
+    }
+
+    // The archive may bring a timezone no other org uses yet
+    const { timezone } = await getOrgCalendar(result.orgId);
+    await scheduleDigest(timezone);
+
+    await recordAuditEvent({
+      orgId: result.orgId,
+      action: 'organization.imported',
+      resourceType: 'organization',
+      resourceId: result.orgId,
+      metadata: {
+        sourceOrgId: archive.organization.id,
+        exportedAt: archive.exportedAt,
+        counts: result.counts,
+        createdUsers: result.createdUsers,
+        invitedUsers: result.invitedUsers,
+        unlinkedUsers: result.unlinkedUsers
+      },
+      req
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Import organization error:', error);
+    res.status(500).json({ error: 'Failed to import organization' });
+  }
+});
+
+export default router;
@@ -0,0 +1,206 @@
+import express from 'express';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError } from '../middleware/validate.js';
+import { paginate, sendCursorError } from '../middleware/paginate.js';
+import {
+  getEventCatalog,
+  checkWebhookFields,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listDeliveries,
+  redeliver
+} from '../services/webhooks.js';
+import { recordAuditEvent } from '../services/audit.js';
+
+const router = express.Router();
+checkUuidParams(router);
+
+const WEBHOOK_SORTS = { created_at: 'w.created_at' };
+
+const DELIVERY_SORTS = { created_at: 'created_at' };
+
+// Fields of a webhook; the URL and events are also checked by checkWebhookFields
+const WEBHOOK_FIELDS = {
+  url: { type: 'string', minLength: 1, maxLength: 2048 },
+  events: { type: 'array', minItems: 1, items: { type: 'string' } },
+  description: { type: ['string', 'null'], maxLength: 255 },
+  is_active: { type: 'boolean' }
+};
+
+// Get the events a webhook can subscribe to
+router.get('/org/:orgId/events', authenticate, requireOrg, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    res.json(await getEventCatalog(req.app.get('pluginManager')));
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({ error: 'Failed to get webhook events' });
+  }
+});
+
+// Get organization's webhooks
+router.get('/org/:orgId', authenticate, requireOrg, requirePermission('webhooks.manage'), paginate(WEBHOOK_SORTS), async (req, res) => {
+  try {
+    res.json(await listWebhooks(req.orgId, req.page));
+  } catch (error) {
+    if (sendCursorError(res, error)) return;
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Failed to get webhooks' });
+  }
+});
+
+// Create a webhook (the signing secret is only returned here)
+router.post('/org/:orgId', authenticate, requireOrg, requirePermission('webhooks.manage'), validate({
+  body: {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: { url: WEBHOOK_FIELDS.url, events: WEBHOOK_FIELDS.events, description: WEBHOOK_FIELDS.description }
+  }
+}), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const catalog = await getEventCatalog(req.app.get('pluginManager'));
+    const problems = checkWebhookFields({ url, events }, catalog);
+    if (problems.length > 0) {
+      return sendValidationError(res, problems);
+    }
+
+    const { webhook, secret } = await createWebhook({
+      orgId: req.orgId,
+      userId: req.user.id,
+      url: url.trim(),
+      events,
+      description: description?.trim() || null
+    });
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'webhook.created',
+      resourceType: 'webhook',
+      resourceId: webhook.id,
+      metadata: { url: webhook.url, events: webhook.events },
+      req
+    });
+
+    res.status(201).json({ ...webhook, secret });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Update a webhook's URL, description, events or active flag
+router.put('/org/:orgId/:id', authenticate, requireOrg, requirePermission('webhooks.manage'), validate({
+  body: { type: 'object', properties: WEBHOOK_FIELDS }
+}), async (req, res) => {
+  try {
+    const { url, events, description, is_active } = req.body;
+
+    const catalog = await getEventCatalog(req.app.get('pluginManager'));
+    const problems = checkWebhookFields({ url, events }, catalog);
+    if (problems.length > 0) {
+      return sendValidationError(res, problems);
+    }
+
+    const webhook = await updateWebhook(req.params.id, req.orgId, {
+      url: url?.trim(),
+      events,
+      description: description === undefined ? undefined : description?.trim() || null,
+      isActive: typeof is_active === 'boolean' ? is_active : undefined
+    });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'webhook.updated',
+      resourceType: 'webhook',
+      resourceId: webhook.id,
+      metadata: { url: webhook.url, events: webhook.events, isActive: webhook.is_active },
+      req
+    });
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Replace a webhook's signing secret (the new secret is only returned here)
+router.post('/org/:orgId/:id/rotate-secret', authenticate, requireOrg, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const secret = await rotateWebhookSecret(req.params.id, req.orgId);
+    if (!secret) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'webhook.secret_rotated',
+      resourceType: 'webhook',
+      resourceId: req.params.id,
+      req
+    });
+
+    res.json({ secret });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Delete a webhook
+router.delete('/org/:orgId/:id', authenticate, requireOrg, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const webhook = await deleteWebhook(req.params.id, req.orgId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await recordAuditEvent({
+      orgId: req.orgId,
+      action: 'webhook.deleted',
+      resourceType: 'webhook',
+      resourceId: webhook.id,
+      metadata: { url: webhook.url },
+      req
+    });
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Get a webhook's deliveries, newest first
+router.get('/org/:orgId/:id/deliveries', authenticate, requireOrg, requirePermission('webhooks.manage'), paginate(DELIVERY_SORTS), async (req, res) => {
+  try {
+    res.json(await listDeliveries(req.params.id, req.orgId, req.page));
+  } catch (error) {
+    if (sendCursorError(res, error)) return;
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to get webhook deliveries' });
+  }
+});
+
+// Send a delivery's event again
+router.post('/org/:orgId/:id/deliveries/:deliveryId/redeliver', authenticate, requireOrg, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId, req.params.id, req.orgId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.status(202).json(delivery);
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+export default router;
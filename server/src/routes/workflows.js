@@ -1,8 +1,14 @@
 import express from 'express';
 import pool from '../config/db.js';
-import { authenticate, requireOrg, requireRole } from '../middleware/auth.js';
+import { authenticate, requireOrg, requirePlug, requirePermission } from '../middleware/auth.js';
+import { checkUuidParams, validate, sendValidationError, fields } from '../middleware/validate.js';
+import { startRun, getRun, cancelRun, decideStep } from '../services/workflowEngine.js';
+import { TRIGGER_EVENTS } from '../services/workflowTriggers.js';
 
 const router = express.Router();
+checkUuidParams(router);
+
+const PLUG_SLUG = 'workflow-builder';
 
 // Helper to get current user's employee ID
 const getEmployeeId = async (orgId, email) => {
@@ -13,11 +19,60 @@ const getEmployeeId = async (orgId, email) => {
   return result.rows[0]?.id || null;
 };
 
+// Helper to read the trigger configuration from a workflow's trigger node
+const getTriggerEvent = (nodes) => {
+  const triggerNodes = (nodes || []).filter(n => n.type === 'trigger');
+  if (triggerNodes.length > 1) {
+    throw new Error('A workflow can only have one trigger');
+  }
+  const event = triggerNodes[0]?.data?.event || null;
+  if (event && !TRIGGER_EVENTS.includes(event)) {
+    throw new Error(`Unknown trigger event: ${event}`);
+  }
+  return event;
+};
+
+// Helper to find task nodes whose template task isn't one of the org's tasks
+const findForeignTemplateTasks = async (orgId, nodes) => {
+  const taskIds = [...new Set((nodes || [])
+    .filter(n => n.type === 'task' && n.data?.task?.id)
+    .map(n => String(n.data.task.id)))];
+  if (taskIds.length === 0) return [];
+
+  const result = await pool.query(
+    'SELECT id::text FROM tasks WHERE org_id = $1 AND id::text = ANY($2)',
+    [orgId, taskIds]
+  );
+  const found = new Set(result.rows.map(row => row.id));
+  return taskIds.filter(id => !found.has(id));
+};
+
+// Fields of a workflow; the trigger node is checked by getTriggerEvent
+const WORKFLOW_FIELDS = {
+  name: fields.name,
+  description: fields.text,
+  nodes: { type: 'array', items: { type: 'object', properties: { type: { type: 'string' }, data: { type: 'object' } } } },
+  edges: { type: 'array', items: { type: 'object' } }
+};
+
+const sendTriggerError = (res, error) => sendValidationError(res, [{ in: 'body', field: 'nodes', message: error.message }]);
+
+const sendTaskError = (res, taskIds) => sendValidationError(res, [{
+  in: 'body',
+  field: 'nodes',
+  message: `Task not found in this organization: ${taskIds.join(', ')}`
+}]);
+
+// Get events that can trigger a workflow
+router.get('/trigger-events', authenticate, (req, res) => {
+  res.json(TRIGGER_EVENTS);
+});
+
 // Get all workflows for org
-router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
+router.get('/org/:orgId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT w.id, w.org_id, w.name, w.description, w.created_by, w.created_at, w.updated_at,
+      SELECT w.id, w.org_id, w.name, w.description, w.trigger_event, w.created_by, w.created_at, w.updated_at,
         COALESCE(jsonb_array_length(w.nodes), 0) as node_count
       FROM workflows w
       WHERE w.org_id = $1
@@ -32,7 +87,7 @@ router.get('/org/:orgId', authenticate, requireOrg, async (req, res) => {
 });
 
 // Get single workflow
-router.get('/org/:orgId/:workflowId', authenticate, requireOrg, async (req, res) => {
+router.get('/org/:orgId/:workflowId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
   try {
     const { workflowId } = req.params;
     
@@ -53,19 +108,29 @@ router.get('/org/:orgId/:workflowId', authenticate, requireOrg, async (req, res)
 });
 
 // Create workflow
-router.post('/org/:orgId', authenticate, requireOrg, async (req, res) => {
+router.post('/org/:orgId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('workflows.manage'), validate({
+  body: { type: 'object', required: ['name'], properties: WORKFLOW_FIELDS }
+}), async (req, res) => {
   try {
     const { name, description, nodes, edges } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
+
+    let triggerEvent;
+    try {
+      triggerEvent = getTriggerEvent(nodes);
+    } catch (validationError) {
+      return sendTriggerError(res, validationError);
+    }
+
+    const foreignTasks = await findForeignTemplateTasks(req.orgId, nodes);
+    if (foreignTasks.length > 0) {
+      return sendTaskError(res, foreignTasks);
     }
 
     const employeeId = await getEmployeeId(req.orgId, req.user.email);
     
     const result = await pool.query(`
-      INSERT INTO workflows (org_id, name, description, nodes, edges, created_by)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO workflows (org_id, name, description, nodes, edges, trigger_event, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `, [
       req.orgId,
@@ -73,6 +138,7 @@ router.post('/org/:orgId', authenticate, requireOrg, async (req, res) => {
       description || null,
       JSON.stringify(nodes || []),
       JSON.stringify(edges || []),
+      triggerEvent,
       employeeId
     ]);
     
@@ -84,25 +150,42 @@ router.post('/org/:orgId', authenticate, requireOrg, async (req, res) => {
 });
 
 // Update workflow (save nodes and edges)
-router.put('/org/:orgId/:workflowId', authenticate, requireOrg, async (req, res) => {
+router.put('/org/:orgId/:workflowId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('workflows.manage'), validate({
+  body: { type: 'object', properties: WORKFLOW_FIELDS }
+}), async (req, res) => {
   try {
     const { workflowId } = req.params;
     const { name, description, nodes, edges } = req.body;
     
+    let triggerEvent;
+    try {
+      triggerEvent = getTriggerEvent(nodes);
+    } catch (validationError) {
+      return sendTriggerError(res, validationError);
+    }
+
+    const foreignTasks = await findForeignTemplateTasks(req.orgId, nodes);
+    if (foreignTasks.length > 0) {
+      return sendTaskError(res, foreignTasks);
+    }
+    
+    // The trigger lives on a node, so it is only updated along with the nodes
     const result = await pool.query(`
       UPDATE workflows
       SET name = COALESCE($1, name),
           description = COALESCE($2, description),
           nodes = COALESCE($3, nodes),
           edges = COALESCE($4, edges),
+          trigger_event = CASE WHEN $3::jsonb IS NULL THEN trigger_event ELSE $5 END,
           updated_at = NOW()
-      WHERE id = $5 AND org_id = $6
+      WHERE id = $6 AND org_id = $7
       RETURNING *
     `, [
       name || null,
       description,
       nodes ? JSON.stringify(nodes) : null,
       edges ? JSON.stringify(edges) : null,
+      triggerEvent,
       workflowId,
       req.orgId
     ]);
@@ -119,7 +202,7 @@ router.put('/org/:orgId/:workflowId', authenticate, requireOrg, async (req, res)
 });
 
 // Delete workflow
-router.delete('/org/:orgId/:workflowId', authenticate, requireOrg, async (req, res) => {
+router.delete('/org/:orgId/:workflowId', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('workflows.manage'), async (req, res) => {
   try {
     const { workflowId } = req.params;
     
@@ -139,4 +222,126 @@ router.delete('/org/:orgId/:workflowId', authenticate, requireOrg, async (req, r
   }
 });
 
+// Start a workflow run
+router.post('/org/:orgId/:workflowId/runs', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('workflows.run'), validate({
+  body: { type: 'object', properties: { input: { type: 'object' } } }
+}), async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const { input } = req.body;
+    
+    const existing = await pool.query(
+      'SELECT id FROM workflows WHERE id = $1 AND org_id = $2',
+      [workflowId, req.orgId]
+    );
+    
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    
+    try {
+      const run = await startRun({
+        orgId: req.orgId,
+        workflowId,
+        userId: req.user.id,
+        input: input || {}
+      });
+      res.status(201).json(run);
+    } catch (runError) {
+      return res.status(400).json({ error: runError.message });
+    }
+  } catch (error) {
+    console.error('Start workflow run error:', error);
+    res.status(500).json({ error: 'Failed to start workflow run' });
+  }
+});
+
+// Get runs for a workflow
+router.get('/org/:orgId/:workflowId/runs', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    
+    const result = await pool.query(`
+      SELECT r.id, r.workflow_id, r.status, r.error, r.trigger_event, r.started_at, r.completed_at, r.cancelled_at,
+        u.name as started_by_name,
+        COUNT(s.id) as step_count,
+        COUNT(s.id) FILTER (WHERE s.status = 'waiting') as waiting_count
+      FROM workflow_runs r
+      LEFT JOIN users u ON r.started_by = u.id
+      LEFT JOIN workflow_run_steps s ON s.run_id = r.id
+      WHERE r.workflow_id = $1 AND r.org_id = $2
+      GROUP BY r.id, u.name
+      ORDER BY r.started_at DESC
+    `, [workflowId, req.orgId]);
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get workflow runs error:', error);
+    res.status(500).json({ error: 'Failed to get workflow runs' });
+  }
+});
+
+// Get a single run with its steps
+router.get('/org/:orgId/runs/:runId', authenticate, requireOrg, requirePlug(PLUG_SLUG), async (req, res) => {
+  try {
+    const run = await getRun(req.orgId, req.params.runId);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Workflow run not found' });
+    }
+    
+    res.json(run);
+  } catch (error) {
+    console.error('Get workflow run error:', error);
+    res.status(500).json({ error: 'Failed to get workflow run' });
+  }
+});
+
+// Cancel a run
+router.post('/org/:orgId/runs/:runId/cancel', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('workflows.run'), async (req, res) => {
+  try {
+    const existing = await getRun(req.orgId, req.params.runId);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Workflow run not found' });
+    }
+    
+    try {
+      const run = await cancelRun(req.orgId, req.params.runId);
+      res.json(run);
+    } catch (runError) {
+      return res.status(400).json({ error: runError.message });
+    }
+  } catch (error) {
+    console.error('Cancel workflow run error:', error);
+    res.status(500).json({ error: 'Failed to cancel workflow run' });
+  }
+});
+
+// Choose a branch for a decision step waiting on a person
+router.post('/org/:orgId/runs/:runId/steps/:stepId/decide', authenticate, requireOrg, requirePlug(PLUG_SLUG), requirePermission('workflows.run'), validate({
+  body: { type: 'object', required: ['branchId'], properties: { branchId: { type: 'string', minLength: 1 } } }
+}), async (req, res) => {
+  try {
+    const { runId, stepId } = req.params;
+    const { branchId } = req.body;
+    
+    const existing = await getRun(req.orgId, runId);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Workflow run not found' });
+    }
+    
+    try {
+      const run = await decideStep(req.orgId, runId, stepId, branchId);
+      res.json(run);
+    } catch (runError) {
+      return res.status(400).json({ error: runError.message });
+    }
+  } catch (error) {
+    console.error('Decide workflow step error:', error);
+    res.status(500).json({ error: 'Failed to record decision' });
+  }
+});
+
 export default router;
@@ -2,26 +2,54 @@
  * PlugOS Plugin SDK - EventBus
  * 
  * Event-driven communication system for plugins to react to system events
- * and communicate with each other.
+ * and communicate with each other. In-process by default; with a transport
+ * (see PostgresTransport.js) events are shared by every server process.
  */
 
+// Cached matchers for wildcard patterns
+const patternCache = new Map();
+
+/**
+ * Whether an event name matches a subscription pattern. In patterns, `*`
+ * stands for exactly one dot-separated segment: `expense.*` matches
+ * `expense.submitted` but not `expense` or `expense.item.created`.
+ */
+const matches = (pattern, event) => {
+  if (pattern === event) return true;
+  if (!pattern.includes('*')) return false;
+
+  if (!patternCache.has(pattern)) {
+    const source = pattern
+      .split('.')
+      .map(segment => segment === '*' ? '[^.]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\.');
+    patternCache.set(pattern, new RegExp(`^${source}$`));
+  }
+  return patternCache.get(pattern).test(event);
+};
+
 class EventBus {
   constructor() {
+    // Pattern -> Map(handler -> options)
     this.listeners = new Map();
     this.onceListeners = new Map();
+    this.anyListeners = new Map();
+    this.transport = null;
   }
 
   /**
    * Subscribe to an event
-   * @param {string} event - Event name
+   * @param {string} event - Event name, or a pattern such as `expense.*`
    * @param {Function} handler - Callback function
+   * @param {Object} [options]
+   * @param {boolean} [options.localOnly] - Ignore events emitted by other server processes
    * @returns {Function} Unsubscribe function
    */
-  on(event, handler) {
+  on(event, handler, options = {}) {
     if (!this.listeners.has(event)) {
-      this.listeners.set(event, new Set());
+      this.listeners.set(event, new Map());
     }
-    this.listeners.get(event).add(handler);
+    this.listeners.get(event).set(handler, options);
 
     // Return unsubscribe function
     return () => this.off(event, handler);
@@ -29,19 +57,31 @@ class EventBus {
 
   /**
    * Subscribe to an event once
-   * @param {string} event - Event name
+   * @param {string} event - Event name, or a pattern such as `expense.*`
    * @param {Function} handler - Callback function
+   * @param {Object} [options] - Same as `on`
    */
-  once(event, handler) {
+  once(event, handler, options = {}) {
     if (!this.onceListeners.has(event)) {
-      this.onceListeners.set(event, new Set());
+      this.onceListeners.set(event, new Map());
     }
-    this.onceListeners.get(event).add(handler);
+    this.onceListeners.get(event).set(handler, options);
+  }
+
+  /**
+   * Subscribe to every event, e.g. to forward events elsewhere
+   * @param {Function} handler - Called with (event, data)
+   * @param {Object} [options] - Same as `on`
+   * @returns {Function} Unsubscribe function
+   */
+  onAny(handler, options = {}) {
+    this.anyListeners.set(handler, options);
+    return () => this.anyListeners.delete(handler);
   }
 
   /**
    * Unsubscribe from an event
-   * @param {string} event - Event name
+   * @param {string} event - Event name or pattern it was subscribed with
    * @param {Function} handler - Callback function
    */
   off(event, handler) {
@@ -53,41 +93,85 @@ class EventBus {
     }
   }
 
+  /**
+   * Send events to (and receive them from) other server processes
+   * The transport is started with a callback for events from other
+   * processes, and `publish(event, data)` is called for every local emit.
+   * @param {Object} transport - e.g. a PostgresTransport
+   */
+  async useTransport(transport) {
+    await transport.start((event, data) => this._dispatch(event, data, { remote: true }));
+    this.transport = transport;
+  }
+
+  /**
+   * Stop sending events to other server processes
+   */
+  async closeTransport() {
+    const transport = this.transport;
+    this.transport = null;
+    await transport?.stop();
+  }
+
   /**
    * Emit an event to all subscribers
+   * With a transport, subscribers in other server processes receive it too
+   * (with the payload as it looks after a JSON round trip).
    * @param {string} event - Event name
    * @param {*} data - Event payload
    */
   async emit(event, data) {
+    if (this.transport) {
+      this.transport.publish(event, data).catch((error) => {
+        console.error(`EventBus transport error for "${event}":`, error);
+      });
+    }
+
+    await this._dispatch(event, data, { remote: false });
+  }
+
+  /**
+   * Call the handlers subscribed to an event in this process
+   * @private
+   */
+  async _dispatch(event, data, { remote }) {
     const promises = [];
 
-    // Regular listeners
-    if (this.listeners.has(event)) {
-      for (const handler of this.listeners.get(event)) {
-        try {
-          const result = handler(data);
-          if (result instanceof Promise) {
-            promises.push(result);
-          }
-        } catch (error) {
-          console.error(`EventBus error in handler for "${event}":`, error);
+    const call = (handler, options, args, kind) => {
+      if (remote && options.localOnly) return;
+      try {
+        const result = handler(...args);
+        if (result instanceof Promise) {
+          promises.push(result.catch((error) => {
+            console.error(`EventBus error in ${kind} for "${event}":`, error);
+          }));
         }
+      } catch (error) {
+        console.error(`EventBus error in ${kind} for "${event}":`, error);
+      }
+    };
+
+    // Regular listeners
+    for (const [pattern, handlers] of this.listeners) {
+      if (!matches(pattern, event)) continue;
+      for (const [handler, options] of handlers) {
+        call(handler, options, [data], 'handler');
       }
     }
 
     // Once listeners
-    if (this.onceListeners.has(event)) {
-      for (const handler of this.onceListeners.get(event)) {
-        try {
-          const result = handler(data);
-          if (result instanceof Promise) {
-            promises.push(result);
-          }
-        } catch (error) {
-          console.error(`EventBus error in once handler for "${event}":`, error);
-        }
+    for (const [pattern, handlers] of this.onceListeners) {
+      if (!matches(pattern, event)) continue;
+      for (const [handler, options] of handlers) {
+        if (remote && options.localOnly) continue;
+        handlers.delete(handler);
+        call(handler, options, [data], 'once handler');
       }
-      this.onceListeners.get(event).clear();
+    }
+
+    // Listeners for every event
+    for (const [handler, options] of this.anyListeners) {
+      call(handler, options, [event, data], 'any-event handler');
     }
 
     // Wait for all async handlers
@@ -96,7 +180,7 @@ class EventBus {
 
   /**
    * Remove all listeners for an event
-   * @param {string} event - Event name (optional, clears all if not provided)
+   * @param {string} event - Event name or pattern (optional, clears all if not provided)
    */
   clear(event) {
     if (event) {
@@ -105,18 +189,24 @@ class EventBus {
     } else {
       this.listeners.clear();
       this.onceListeners.clear();
+      this.anyListeners.clear();
     }
   }
 
   /**
-   * Get count of listeners for an event
+   * Get count of listeners an event would reach in this process
+   * (including wildcard subscriptions, excluding `onAny`)
    * @param {string} event - Event name
    * @returns {number} Number of listeners
    */
   listenerCount(event) {
-    const regular = this.listeners.get(event)?.size || 0;
-    const once = this.onceListeners.get(event)?.size || 0;
-    return regular + once;
+    let count = 0;
+    for (const map of [this.listeners, this.onceListeners]) {
+      for (const [pattern, handlers] of map) {
+        if (matches(pattern, event)) count += handlers.size;
+      }
+    }
+    return count;
   }
 }
 
@@ -143,6 +233,21 @@ export const SystemEvents = {
   // Plug events (for built-in plugs)
   PLUG_ENABLED: 'plug.enabled',
   PLUG_DISABLED: 'plug.disabled',
+
+  // Domain events (emitted by built-in plug routes with { orgId, userId, ... })
+  EXPENSE_SUBMITTED: 'expense.submitted',
+  EXPENSE_REVIEWED: 'expense.reviewed',
+  LEAVE_REQUESTED: 'leave.requested',
+  LEAVE_REVIEWED: 'leave.reviewed',
+  ATTENDANCE_CLOCKED_IN: 'attendance.clocked_in',
+  ATTENDANCE_CLOCKED_OUT: 'attendance.clocked_out',
+  EMPLOYEE_CREATED: 'employee.created',
+  EMPLOYEE_UPDATED: 'employee.updated',
+  EMPLOYEE_DELETED: 'employee.deleted',
+  TASK_CREATED: 'task.created',
+  TASK_UPDATED: 'task.updated',
+  TASK_COMPLETED: 'task.completed',
+  TASK_DELETED: 'task.deleted',
 };
 
 // Singleton instance
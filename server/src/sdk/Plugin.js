@@ -130,10 +130,11 @@ export class PluginBuilder {
    * Add a route
    * @param {string} method - HTTP method (GET, POST, etc.)
    * @param {string} path - Route path
-   * @param {Function} handler - Route handler
+   * @param {...(Function|Object)} handlers - Route handlers, optionally preceded
+   *   by route options such as `{ schema }` (see PluginContext.registerRoute)
    */
-  addRoute(method, path, handler) {
-    this._routes.push({ method, path, handler });
+  addRoute(method, path, ...handlers) {
+    this._routes.push({ method, path, handlers });
     return this;
   }
 
@@ -160,7 +161,7 @@ export class PluginBuilder {
         
         // Register routes
         for (const route of self._routes) {
-          context.registerRoute(route.method, route.path, route.handler);
+          context.registerRoute(route.method, route.path, ...route.handlers);
         }
         
         // Subscribe to events
@@ -2,12 +2,18 @@
  * PlugOS Plugin SDK - Plugin Context
  * 
  * Dependency injection container provided to plugins during activation.
- * Gives plugins access to database, logging, events, and route registration.
+ * Gives plugins access to database, logging, events, background jobs, and
+ * route registration.
  */
 
 import { Router } from 'express';
 import fs from 'fs';
 import path from 'path';
+import { authenticate, requireOrg, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { Migrator, pluginScope } from '../config/migrator.js';
+import { defineJob, undefineJob, enqueueJob, scheduleJob, unscheduleJob } from '../services/jobQueue.js';
+import { registerSearchProvider, unregisterSearchProvider } from '../services/search.js';
 
 export class PluginContext {
   /**
@@ -33,6 +39,12 @@ export class PluginContext {
     
     // Create scoped logger
     this.logger = this._createLogger(plugin.id);
+
+    // Create scoped job queue
+    this.jobNames = new Set();
+    this.jobs = this._createJobs(plugin.id);
+
+    this.searchProviders = new Set();
   }
 
   /**
@@ -49,13 +61,103 @@ export class PluginContext {
     };
   }
 
+  /**
+   * Create the plugin's view of the job queue. Job and schedule names are
+   * prefixed with `{pluginId}:` so plugins can't collide with each other
+   * or with core jobs.
+   * @private
+   */
+  _createJobs(pluginId) {
+    const scoped = name => `${pluginId}:${name}`;
+    return {
+      /**
+       * Register a job handler (removed again when the plugin is deactivated)
+       * @param {string} name - Job name
+       * @param {Function} handler - async (payload, job) => result; throw to retry
+       * @param {Object} [options] - { maxAttempts, retryDelaySeconds }
+       */
+      define: (name, handler, options) => {
+        defineJob(scoped(name), async (payload, job) => {
+          try {
+            return await handler(payload, job);
+          } catch (error) {
+            this.logger.error(`Job ${name} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+            throw error;
+          }
+        }, options);
+        this.jobNames.add(scoped(name));
+      },
+      /**
+       * Queue a job
+       * @param {string} name - Job name
+       * @param {Object} [payload] - JSON payload
+       * @param {Object} [options] - { runAt, delaySeconds, maxAttempts, dedupeKey }
+       */
+      enqueue: (name, payload, options) => enqueueJob(scoped(name), payload, options),
+      /**
+       * Run a job on a cron schedule, e.g. `schedule('nightly', '0 2 * * *', 'cleanup')`
+       * @param {string} scheduleName - Schedule name
+       * @param {string} cron - Cron expression
+       * @param {string} name - Job name
+       * @param {Object} [payload] - JSON payload
+       * @param {Object} [options] - { timezone }, the IANA timezone of the cron expression
+       */
+      schedule: (scheduleName, cron, name, payload, options) => scheduleJob(scoped(scheduleName), cron, scoped(name), payload, options),
+      /**
+       * Remove a schedule
+       * @param {string} scheduleName - Schedule name
+       */
+      unschedule: (scheduleName) => unscheduleJob(scoped(scheduleName)),
+    };
+  }
+
+  /**
+   * Add this plugin's records to global search
+   * The provider's `search({ query, tsQuery, orgId, userId, permissions, limit })`
+   * returns up to `limit` results of `{ id, title, subtitle, link }` that the
+   * member may see. `tsQuery` is the search text as a prefix tsquery for
+   * `to_tsquery('simple', $1)`.
+   *
+   * @param {Object} provider - { id, label, icon, permission, search }
+   */
+  registerSearchProvider({ id, ...provider }) {
+    const providerId = id ? `${this.plugin.id}:${id}` : this.plugin.id;
+    registerSearchProvider({ ...provider, id: providerId, label: provider.label || this.plugin.name });
+    this.searchProviders.add(providerId);
+  }
+
+  /**
+   * Remove the plugin's job handlers and search providers from this process
+   * Queued jobs stay in the queue until the plugin is activated again.
+   */
+  release() {
+    for (const name of this.jobNames) {
+      undefineJob(name);
+    }
+    this.jobNames.clear();
+
+    for (const id of this.searchProviders) {
+      unregisterSearchProvider(id);
+    }
+    this.searchProviders.clear();
+  }
+
   /**
    * Register an API route for this plugin
    * Routes are automatically prefixed with /api/plugins/{pluginId}
+   *
+   * Pass `{ schema: { body, params, query } }` before the handlers to validate
+   * the request with JSON Schemas. Invalid requests get the same 400
+   * `VALIDATION_ERROR` response as core routes, after any auth middleware
+   * and before the last handler:
+   *
+   *   context.registerRoute('POST', '/items', { schema: { body: itemSchema } },
+   *     ...context.requirePermission('my-plugin:edit'), handler);
    * 
    * @param {string} method - HTTP method (GET, POST, PUT, DELETE, PATCH)
    * @param {string} routePath - Route path (e.g., '/data')
-   * @param {...Function} handlers - Express route handlers
+   * @param {...(Function|Object)} handlers - Express route handlers, optionally
+   *   preceded by route options
    */
   registerRoute(method, routePath, ...handlers) {
     const normalizedMethod = method.toLowerCase();
@@ -64,9 +166,18 @@ export class PluginContext {
       throw new Error(`Invalid HTTP method: ${method}`);
     }
 
+    const options = typeof handlers[0] === 'function' ? {} : handlers.shift();
+    if (handlers.length === 0) {
+      throw new Error(`Route ${method} ${routePath} has no handler`);
+    }
+    if (options.schema) {
+      // Compiled now, so a broken schema fails activation rather than the first request
+      handlers.splice(handlers.length - 1, 0, validate(options.schema));
+    }
+
     // Wrap handlers to inject orgId from header
     const wrappedHandlers = handlers.map(handler => {
-      return async (req, res, next) => {
+      const wrapped = async (req, res, next) => {
         try {
           // Inject orgId from header if available
           req.orgId = req.orgId || req.headers['x-org-id'];
@@ -76,10 +187,13 @@ export class PluginContext {
           res.status(500).json({ error: 'Internal server error' });
         }
       };
+      // Kept so the OpenAPI spec can see what the middleware checks
+      wrapped.handler = handler;
+      return wrapped;
     });
 
     this.router[normalizedMethod](routePath, ...wrappedHandlers);
-    this.routes.push({ method: normalizedMethod, path: routePath });
+    this.routes.push({ method: normalizedMethod, path: routePath, schema: options.schema || null });
     this.logger.debug(`Registered route: ${method.toUpperCase()} ${this.routePrefix}${routePath}`);
   }
 
@@ -108,76 +222,87 @@ export class PluginContext {
     }
   }
 
+  /**
+   * Find the plugin's migrations folder
+   * @private
+   */
+  _findMigrationsPath(migrationsPath) {
+    if (migrationsPath) {
+      return fs.existsSync(migrationsPath) ? migrationsPath : null;
+    }
+
+    // Try to find migrations folder relative to plugin
+    const possiblePaths = [
+      path.join(process.cwd(), 'plugins', this.plugin.id, 'migrations'),
+      path.join(process.cwd(), 'node_modules', `plugos-${this.plugin.id}`, 'src', 'migrations'),
+    ];
+    return possiblePaths.find(p => fs.existsSync(p)) || null;
+  }
+
+  /**
+   * Get a migration runner for this plugin's migrations folder
+   * @private
+   */
+  _createMigrator(migrationsPath) {
+    return new Migrator({
+      db: this.db,
+      scope: pluginScope(this.plugin.id),
+      dir: migrationsPath,
+      logger: this.logger
+    });
+  }
+
   /**
    * Run database migrations for this plugin
-   * Looks for SQL files in the plugin's migrations folder
+   * Applies pending files from the plugin's migrations folder in order
+   * (`001_initial.up.sql`, or `001_initial.sql` for an up-only migration),
+   * each in its own transaction. Applied migrations are tracked per plugin.
    * 
    * @param {string} migrationsPath - Path to migrations folder
+   * @returns {Promise<string[]>} Migrations applied
    */
   async runMigrations(migrationsPath) {
+    migrationsPath = this._findMigrationsPath(migrationsPath);
+
     if (!migrationsPath) {
-      // Try to find migrations folder relative to plugin
-      const possiblePaths = [
-        path.join(process.cwd(), 'plugins', this.plugin.id, 'migrations'),
-        path.join(process.cwd(), 'node_modules', `plugos-${this.plugin.id}`, 'src', 'migrations'),
-      ];
-      
-      for (const p of possiblePaths) {
-        if (fs.existsSync(p)) {
-          migrationsPath = p;
-          break;
-        }
-      }
+      this.logger.debug('No migrations folder found');
+      return [];
     }
 
-    if (!migrationsPath || !fs.existsSync(migrationsPath)) {
+    return this._createMigrator(migrationsPath).up();
+  }
+
+  /**
+   * Roll back this plugin's migrations using their `.down.sql` scripts
+   * 
+   * @param {Object} [options]
+   * @param {number} [options.steps] - How many to roll back (default: all)
+   * @param {string} [options.migrationsPath] - Path to migrations folder
+   * @returns {Promise<string[]>} Migrations rolled back
+   */
+  async rollbackMigrations({ steps = Infinity, migrationsPath } = {}) {
+    migrationsPath = this._findMigrationsPath(migrationsPath);
+
+    if (!migrationsPath) {
       this.logger.debug('No migrations folder found');
-      return;
+      return [];
     }
 
-    // Get migration files sorted by name
-    const files = fs.readdirSync(migrationsPath)
-      .filter(f => f.endsWith('.sql'))
-      .sort();
-
-    for (const file of files) {
-      const migrationName = file.replace('.sql', '');
-      
-      // Check if already applied
-      try {
-        const result = await this.db.query(
-          'SELECT id FROM plugin_migrations WHERE plugin_id = $1 AND migration_name = $2',
-          [this.plugin.id, migrationName]
-        );
-
-        if (result.rows.length > 0) {
-          this.logger.debug(`Migration already applied: ${migrationName}`);
-          continue;
-        }
-      } catch (error) {
-        // plugin_migrations table might not exist yet
-        if (!error.message.includes('does not exist')) {
-          throw error;
-        }
-      }
+    return this._createMigrator(migrationsPath).down({ steps });
+  }
 
-      // Run migration
-      const sql = fs.readFileSync(path.join(migrationsPath, file), 'utf8');
-      this.logger.info(`Running migration: ${migrationName}`);
-      
-      await this.db.query(sql);
-      
-      // Record migration
-      try {
-        await this.db.query(
-          'INSERT INTO plugin_migrations (plugin_id, migration_name) VALUES ($1, $2)',
-          [this.plugin.id, migrationName]
-        );
-      } catch (error) {
-        // Table might not exist, that's ok for initial setup
-        this.logger.debug('Could not record migration (table may not exist yet)');
-      }
-    }
+  /**
+   * Middleware that only lets org members with the given permissions through.
+   * Use it with permission keys declared in the plugin manifest (or core keys):
+   *
+   *   context.registerRoute('GET', '/data', ...context.requirePermission('my-plugin:view'), handler);
+   *
+   * The org is taken from the X-Org-Id header.
+   * @param {...string} permissionKeys - Permissions the member must have
+   * @returns {Function[]} Middleware to spread into registerRoute
+   */
+  requirePermission(...permissionKeys) {
+    return [authenticate, requireOrg, requirePermission(...permissionKeys)];
   }
 
   /**
@@ -9,6 +9,7 @@
 import fs from 'fs';
 import path from 'path';
 import Ajv from 'ajv';
+import semver from 'semver';
 
 // JSON Schema for plugin.json validation
 const manifestSchema = {
@@ -28,6 +29,10 @@ const manifestSchema = {
       type: 'object',
       additionalProperties: { type: 'string' }
     },
+    events: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
     menu: {
       type: 'object',
       properties: {
@@ -49,13 +54,24 @@ const manifestSchema = {
         }
       }
     },
+    // Plugin IDs, optionally with a semver range: "reports" or "reports@^1.2.0"
     dependencies: {
       type: 'array',
-      items: { type: 'string' }
+      items: { type: 'string', pattern: '^[a-z][a-z0-9-]*(@.+)?$' }
     }
   }
 };
 
+/**
+ * Split a manifest dependency into the plugin ID and version range
+ * @param {string} dependency - e.g. "reports" or "reports@^1.2.0"
+ * @returns {{id: string, range: string}} Range is '*' when none is given
+ */
+export function parseDependency(dependency) {
+  const [id, range = '*'] = dependency.split(/@(.*)/s);
+  return { id, range };
+}
+
 export class PluginLoader {
   constructor(options = {}) {
     this.pluginsDir = options.pluginsDir || path.join(process.cwd(), 'plugins');
@@ -166,6 +182,13 @@ export class PluginLoader {
       return false;
     }
 
+    const badRanges = (manifest.dependencies || [])
+      .filter(dependency => !semver.validRange(parseDependency(dependency).range));
+    if (badRanges.length > 0) {
+      console.error(`❌ Invalid manifest for ${manifest.id}: invalid dependency version in ${badRanges.join(', ')}`);
+      return false;
+    }
+
     // Check for duplicates
     if (this.discovered.has(manifest.id)) {
       const existing = this.discovered.get(manifest.id);
@@ -231,6 +254,8 @@ export class PluginLoader {
       source: info.source,
       menu: info.manifest.menu,
       permissions: info.manifest.permissions,
+      events: info.manifest.events,
+      dependencies: info.manifest.dependencies || [],
     }));
   }
 
@@ -242,6 +267,15 @@ export class PluginLoader {
   get(pluginId) {
     return this.discovered.get(pluginId) || null;
   }
+
+  /**
+   * Get the plugins a plugin depends on
+   * @param {string} pluginId - Plugin ID
+   * @returns {Array<{id: string, range: string}>} Empty if the plugin isn't discovered
+   */
+  getDependencies(pluginId) {
+    return (this.discovered.get(pluginId)?.manifest.dependencies || []).map(parseDependency);
+  }
 }
 
 export default PluginLoader;
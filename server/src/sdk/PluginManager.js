@@ -8,6 +8,12 @@
 import { PluginLoader } from './PluginLoader.js';
 import { PluginContext } from './PluginContext.js';
 import eventBus, { SystemEvents } from './EventBus.js';
+import { Migrator, pluginScope } from '../config/migrator.js';
+import { removeJobs } from '../services/jobQueue.js';
+import semver from 'semver';
+
+// Dependency problems; the admin API answers them with 409 Conflict
+const dependencyError = (message, details = {}) => Object.assign(new Error(message), { status: 409, ...details });
 
 export class PluginManager {
   /**
@@ -71,15 +77,6 @@ export class PluginManager {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
-      -- Plugin migrations tracking
-      CREATE TABLE IF NOT EXISTS plugin_migrations (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        plugin_id VARCHAR(100) NOT NULL,
-        migration_name VARCHAR(255) NOT NULL,
-        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(plugin_id, migration_name)
-      );
-
       -- Plugin permissions
       CREATE TABLE IF NOT EXISTS plugin_permissions (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -111,16 +108,115 @@ export class PluginManager {
     const result = await this.db.query(
       'SELECT id, config FROM sdk_plugins WHERE is_installed = true AND is_active = true'
     );
+    const configs = new Map(result.rows.map(row => [row.id, row.config || {}]));
+
+    // Dependencies first. Plugins in a cycle are still tried, so activate() reports the cycle.
+    const { order, blocked } = this._activationOrder([...configs.keys()]);
 
-    for (const row of result.rows) {
+    for (const pluginId of [...order, ...blocked]) {
       try {
-        await this.activate(row.id, row.config || {});
+        await this.activate(pluginId, configs.get(pluginId));
       } catch (error) {
-        console.error(`Failed to activate plugin ${row.id}:`, error.message);
+        console.error(`Failed to activate plugin ${pluginId}:`, error.message);
       }
     }
   }
 
+  /**
+   * Sort plugins so each one comes after the plugins it depends on
+   * @private
+   * @param {string[]} pluginIds - Plugins to sort (dependencies outside the list are ignored)
+   * @returns {{order: string[], blocked: string[]}} Plugins in or behind a dependency cycle are `blocked`
+   */
+  _activationOrder(pluginIds) {
+    const pending = new Map(pluginIds.map(id => [
+      id,
+      this.loader.getDependencies(id).map(dependency => dependency.id).filter(dependencyId => pluginIds.includes(dependencyId))
+    ]));
+    const order = [];
+
+    let ready;
+    do {
+      ready = [...pending].filter(([, dependencyIds]) => dependencyIds.every(id => !pending.has(id))).map(([id]) => id);
+      for (const id of ready) {
+        pending.delete(id);
+        order.push(id);
+      }
+    } while (ready.length > 0);
+
+    return { order, blocked: [...pending.keys()] };
+  }
+
+  /**
+   * Find a dependency cycle that goes through a plugin
+   * @private
+   * @param {string} pluginId - Plugin ID
+   * @returns {string[]|null} The cycle, e.g. ['a', 'b', 'a'], or null
+   */
+  _findCycle(pluginId) {
+    const explored = new Set();
+    const visit = (id, path) => {
+      for (const { id: dependencyId } of this.loader.getDependencies(id)) {
+        if (dependencyId === pluginId) return [...path, dependencyId];
+        if (explored.has(dependencyId)) continue;
+        explored.add(dependencyId);
+        const cycle = visit(dependencyId, [...path, dependencyId]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+    return visit(pluginId, [pluginId]);
+  }
+
+  /**
+   * Describe the dependencies of a plugin that aren't met
+   * @private
+   * @param {string} pluginId - Plugin ID
+   * @returns {string[]} One message per missing, mismatched or inactive dependency
+   */
+  _unmetDependencies(pluginId) {
+    return this.loader.getDependencies(pluginId).flatMap(({ id, range }) => {
+      const info = this.loader.get(id);
+      if (!info) {
+        return [`${id} is not available`];
+      }
+      if (!semver.satisfies(info.manifest.version, range)) {
+        return [`${id} ${range} is required (found ${info.manifest.version})`];
+      }
+      if (!this.plugins.has(id)) {
+        return [`${id} is not active`];
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Find the plugins that depend on a plugin, directly or through others
+   * @private
+   * @param {string} pluginId - Plugin ID
+   * @param {string[]} candidateIds - Plugins to look in (e.g. the active ones)
+   * @returns {string[]} Dependents, each before the plugins it depends on
+   */
+  _dependentsOf(pluginId, candidateIds) {
+    const dependents = new Set();
+    let found;
+    do {
+      found = false;
+      for (const id of candidateIds) {
+        if (id === pluginId || dependents.has(id)) continue;
+        const dependsOn = this.loader.getDependencies(id)
+          .some(dependency => dependency.id === pluginId || dependents.has(dependency.id));
+        if (dependsOn) {
+          dependents.add(id);
+          found = true;
+        }
+      }
+    } while (found);
+
+    const { order, blocked } = this._activationOrder([...dependents]);
+    return [...blocked, ...order.reverse()];
+  }
+
   /**
    * Install a plugin
    * @param {string} pluginId - Plugin ID
@@ -203,6 +299,15 @@ export class PluginManager {
       throw new Error(`Plugin not found: ${pluginId}`);
     }
 
+    const cycle = this._findCycle(pluginId);
+    if (cycle) {
+      throw dependencyError(`Circular plugin dependency: ${cycle.join(' -> ')}`, { cycle });
+    }
+    const unmet = this._unmetDependencies(pluginId);
+    if (unmet.length > 0) {
+      throw dependencyError(`Cannot activate ${info.manifest.name}: ${unmet.join(', ')}`, { unmet });
+    }
+
     console.log(`🚀 Activating plugin: ${info.manifest.name}`);
 
     // Load the plugin
@@ -243,22 +348,44 @@ export class PluginManager {
 
   /**
    * Deactivate a plugin
+   * Refused while active plugins depend on it, unless `cascade` is set, which
+   * deactivates those plugins first.
    * @param {string} pluginId - Plugin ID
-   * @returns {Object} Deactivation result
+   * @param {Object} options
+   * @param {boolean} options.cascade - Also deactivate the plugins that depend on it
+   * @returns {Object} Deactivation result, with every plugin `deactivated`
    */
-  async deactivate(pluginId) {
-    const plugin = this.plugins.get(pluginId);
-    const context = this.contexts.get(pluginId);
-
-    if (!plugin) {
+  async deactivate(pluginId, { cascade = false } = {}) {
+    if (!this.plugins.has(pluginId)) {
       return { success: false, error: 'Plugin not active' };
     }
 
+    const dependents = this._dependentsOf(pluginId, [...this.plugins.keys()]);
+    if (dependents.length > 0 && !cascade) {
+      throw dependencyError(`Required by active plugins: ${dependents.join(', ')}`, { dependents });
+    }
+
+    for (const id of [...dependents, pluginId]) {
+      await this._deactivate(id);
+    }
+    return { success: true, deactivated: [...dependents, pluginId] };
+  }
+
+  /**
+   * Deactivate one plugin without checking what depends on it
+   * @private
+   * @param {string} pluginId - Plugin ID
+   */
+  async _deactivate(pluginId) {
+    const plugin = this.plugins.get(pluginId);
+    const context = this.contexts.get(pluginId);
+
     console.log(`🔌 Deactivating plugin: ${plugin.name}`);
 
-    // Unmount routes
+    // Unmount routes, and stop running the plugin's jobs and search providers
     if (context) {
       context.unmountRoutes();
+      context.release();
     }
 
     // Deactivate the plugin
@@ -277,19 +404,60 @@ export class PluginManager {
     await this.eventBus.emit(SystemEvents.PLUGIN_DEACTIVATED, { pluginId });
 
     console.log(`✅ Plugin deactivated: ${plugin.name}`);
-    return { success: true };
+  }
+
+  /**
+   * Restart an active plugin with a new configuration
+   * Plugins that depend on it are stopped meanwhile and started again with their own configuration.
+   * @param {string} pluginId - Plugin ID
+   * @param {Object} config - Plugin configuration
+   */
+  async reconfigure(pluginId, config) {
+    const configs = new Map([...this.contexts].map(([id, context]) => [id, context.config]));
+    const { deactivated } = await this.deactivate(pluginId, { cascade: true });
+
+    for (const id of deactivated.reverse()) {
+      await this.activate(id, id === pluginId ? config : configs.get(id));
+    }
   }
 
   /**
    * Uninstall a plugin
+   * Refused while installed plugins depend on it, unless `cascade` is set,
+   * which uninstalls those plugins first.
    * @param {string} pluginId - Plugin ID
    * @param {boolean} removeData - Whether to remove plugin data
-   * @returns {Object} Uninstall result
+   * @param {Object} options
+   * @param {boolean} options.cascade - Also uninstall the plugins that depend on it
+   * @returns {Object} Uninstall result, with every plugin `uninstalled`
    */
-  async uninstall(pluginId, removeData = false) {
-    // Deactivate first if active
+  async uninstall(pluginId, removeData = false, { cascade = false } = {}) {
+    if (!this.loader.get(pluginId)) {
+      throw new Error(`Plugin not found: ${pluginId}`);
+    }
+
+    const installed = await this.db.query('SELECT id FROM sdk_plugins WHERE is_installed = true');
+    const dependents = this._dependentsOf(pluginId, installed.rows.map(row => row.id));
+    if (dependents.length > 0 && !cascade) {
+      throw dependencyError(`Required by installed plugins: ${dependents.join(', ')}`, { dependents });
+    }
+
+    for (const id of [...dependents, pluginId]) {
+      await this._uninstall(id, removeData);
+    }
+    return { success: true, uninstalled: [...dependents, pluginId] };
+  }
+
+  /**
+   * Uninstall one plugin without checking what depends on it
+   * @private
+   * @param {string} pluginId - Plugin ID
+   * @param {boolean} removeData - Whether to remove plugin data
+   */
+  async _uninstall(pluginId, removeData) {
+    // Deactivate first if active (its dependents are already gone)
     if (this.plugins.has(pluginId)) {
-      await this.deactivate(pluginId);
+      await this._deactivate(pluginId);
     }
 
     const info = this.loader.get(pluginId);
@@ -314,10 +482,7 @@ export class PluginManager {
       }
 
       // Remove migrations record
-      await this.db.query(
-        'DELETE FROM plugin_migrations WHERE plugin_id = $1',
-        [pluginId]
-      );
+      await new Migrator({ db: this.db, scope: pluginScope(pluginId) }).forget();
     }
 
     // Remove permissions
@@ -326,6 +491,9 @@ export class PluginManager {
       [pluginId]
     );
 
+    // Remove schedules and queued jobs (dead jobs are kept for inspection)
+    await removeJobs(`${pluginId}:`);
+
     // Update database
     await this.db.query(`
       UPDATE sdk_plugins 
@@ -337,7 +505,6 @@ export class PluginManager {
     await this.eventBus.emit(SystemEvents.PLUGIN_UNINSTALLED, { pluginId });
 
     console.log(`✅ Plugin uninstalled: ${info.manifest.name}`);
-    return { success: true };
   }
 
   /**
@@ -374,9 +541,18 @@ export class PluginManager {
       ...info.manifest,
       isActive: this.plugins.has(pluginId),
       routes: this.contexts.get(pluginId)?.routes || [],
+      dependents: this._dependentsOf(pluginId, [...this.plugins.keys()]),
     };
   }
 
+  /**
+   * Get the routers of the active plugins
+   * @returns {Array<[string, Function]>} [mount path, Express router] pairs
+   */
+  getRouters() {
+    return [...this.contexts.values()].map(context => [context.routePrefix, context.router]);
+  }
+
   /**
    * Get the event bus instance
    * @returns {EventBus} Event bus
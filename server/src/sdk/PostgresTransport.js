@@ -0,0 +1,181 @@
+/**
+ * PlugOS Plugin SDK - Postgres Transport
+ *
+ * Shares EventBus events between server processes with Postgres
+ * LISTEN/NOTIFY. Each process listens on one channel with its own
+ * connection and publishes its events there; events it published itself
+ * are ignored when they come back, since the EventBus already delivered
+ * them locally.
+ *
+ * Delivery is best effort: a process that is disconnected or restarting
+ * misses events sent in the meantime. Use the job queue for work that
+ * must happen.
+ */
+
+import pg from 'pg';
+import crypto from 'crypto';
+
+const DEFAULT_CHANNEL = 'plugos_events';
+// NOTIFY payloads are limited to 8000 bytes; larger events go through a table
+const MAX_NOTIFY_BYTES = 7500;
+// Stored payloads are deleted after this long
+const PAYLOAD_TTL_MINUTES = 60;
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+export class PostgresTransport {
+  /**
+   * Create a new PostgresTransport
+   * @param {Object} options - Transport options
+   * @param {Object} options.db - Database pool, used to publish
+   * @param {string} [options.connectionString] - For the listening connection (default DATABASE_URL)
+   * @param {string} [options.channel] - NOTIFY channel shared by the processes
+   */
+  constructor({ db, connectionString = process.env.DATABASE_URL, channel = DEFAULT_CHANNEL }) {
+    this.db = db;
+    this.connectionString = connectionString;
+    this.channel = channel;
+    this.nodeId = crypto.randomUUID();
+    this.client = null;
+    this.onEvent = null;
+    this.stopped = true;
+    this.reconnectTimer = null;
+    this.reconnectDelay = RECONNECT_MIN_MS;
+  }
+
+  /**
+   * Start listening for events from other processes
+   * @param {Function} onEvent - Called with (event, data)
+   */
+  async start(onEvent) {
+    this.onEvent = onEvent;
+    this.stopped = false;
+    await this._connect();
+    this.cleanupTimer = setInterval(() => this._cleanup(), CLEANUP_INTERVAL_MS);
+    console.log(`📡 EventBus listening on Postgres channel "${this.channel}"`);
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.cleanupTimer);
+    const client = this.client;
+    this.client = null;
+    await client?.end().catch(() => {});
+  }
+
+  /**
+   * Send an event to the other processes
+   * @param {string} event - Event name
+   * @param {*} data - Event payload (must be JSON-serializable)
+   */
+  async publish(event, data) {
+    let message = JSON.stringify({ node: this.nodeId, event, data });
+
+    if (Buffer.byteLength(message) > MAX_NOTIFY_BYTES) {
+      const stored = await this.db.query(
+        'INSERT INTO event_bus_payloads (event, data) VALUES ($1, $2) RETURNING id',
+        [event, JSON.stringify(data ?? null)]
+      );
+      message = JSON.stringify({ node: this.nodeId, event, ref: stored.rows[0].id });
+    }
+
+    await this.db.query('SELECT pg_notify($1, $2)', [this.channel, message]);
+  }
+
+  /**
+   * Open the listening connection
+   * @private
+   */
+  async _connect() {
+    const client = new pg.Client({ connectionString: this.connectionString });
+    client.on('notification', (message) => {
+      this._receive(message.payload).catch((error) => {
+        console.error('EventBus transport receive error:', error);
+      });
+    });
+    client.on('error', (error) => {
+      console.error('EventBus transport connection error:', error.message);
+      this._reconnect(client);
+    });
+    client.on('end', () => this._reconnect(client));
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${client.escapeIdentifier(this.channel)}`);
+    } catch (error) {
+      client.end().catch(() => {});
+      throw error;
+    }
+    this.client = client;
+    this.reconnectDelay = RECONNECT_MIN_MS;
+  }
+
+  /**
+   * Replace a lost connection
+   * @private
+   */
+  _reconnect(client) {
+    if (this.stopped || client !== this.client) return;
+    this.client = null;
+    client.end().catch(() => {});
+    this._scheduleConnect();
+  }
+
+  /**
+   * Try to connect again, backing off while Postgres is unreachable
+   * @private
+   */
+  _scheduleConnect() {
+    this.reconnectTimer = setTimeout(async () => {
+      if (this.stopped) return;
+      try {
+        await this._connect();
+        console.log('📡 EventBus transport reconnected');
+      } catch (error) {
+        console.error('EventBus transport reconnect failed:', error.message);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+        this._scheduleConnect();
+      }
+    }, this.reconnectDelay);
+  }
+
+  /**
+   * Handle a notification from the channel
+   * @private
+   */
+  async _receive(payload) {
+    const message = JSON.parse(payload);
+    if (message.node === this.nodeId) return;
+
+    let { data } = message;
+    if (message.ref) {
+      const stored = await this.db.query('SELECT data FROM event_bus_payloads WHERE id = $1', [message.ref]);
+      if (!stored.rows[0]) return;
+      data = stored.rows[0].data;
+    }
+
+    await this.onEvent(message.event, data);
+  }
+
+  /**
+   * Delete stored payloads every process has had time to read
+   * @private
+   */
+  async _cleanup() {
+    try {
+      await this.db.query(
+        'DELETE FROM event_bus_payloads WHERE created_at < NOW() - make_interval(mins => $1)',
+        [PAYLOAD_TTL_MINUTES]
+      );
+    } catch (error) {
+      console.error('EventBus transport cleanup error:', error);
+    }
+  }
+}
+
+export default PostgresTransport;
@@ -9,6 +9,8 @@ export { PluginContext } from './PluginContext.js';
 export { PluginLoader } from './PluginLoader.js';
 export { PluginManager } from './PluginManager.js';
 export { default as eventBus, EventBus, SystemEvents } from './EventBus.js';
+export { PostgresTransport } from './PostgresTransport.js';
+export { fields, validate, VALIDATION_ERROR } from '../middleware/validate.js';
 
 // Default export for convenient importing
 export { PluginManager as default } from './PluginManager.js';
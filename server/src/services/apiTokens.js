@@ -0,0 +1,188 @@
+/**
+ * API Tokens
+ *
+ * Long-lived bearer tokens for scripts and integrations, accepted by
+ * `authenticate` in place of a session JWT:
+ *   - Personal access tokens (`plg_pat_...`) act as the user who created
+ *     them, in any of their orgs.
+ *   - Org API keys (`plg_key_...`) are managed by the org's admins and only
+ *     work in that org. They act as the member who created them, so a key
+ *     stops working if its creator leaves the org.
+ *
+ * Scopes are permission keys. A token holds the permissions its user has
+ * that are also in its scopes (`*` keeps all of them). Only a SHA-256 hash of
+ * each token is stored; the token itself is shown once, when it's created.
+ */
+
+import crypto from 'crypto';
+import pool from '../config/db.js';
+import { ALL_PERMISSIONS, hasPermission, getPermissionCatalog } from './permissions.js';
+
+const TOKEN_PREFIXES = {
+  personal: 'plg_pat_',
+  org: 'plg_key_'
+};
+
+// Characters of the token kept in plain text so users can tell tokens apart
+const DISPLAY_PREFIX_LENGTH = 12;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether a bearer token looks like an API token rather than a JWT
+ */
+export const isApiToken = (token) => Object.values(TOKEN_PREFIXES).some(prefix => token.startsWith(prefix));
+
+/**
+ * Limit a member's permissions to a token's scopes
+ * @param {Set<string>} permissions - Member's permissions in the org
+ * @param {string[]} scopes - Token scopes
+ * @returns {Set<string>}
+ */
+export function restrictToScopes(permissions, scopes) {
+  if (scopes.includes(ALL_PERMISSIONS)) {
+    return permissions;
+  }
+  return new Set(scopes.filter(key => hasPermission(permissions, key)));
+}
+
+/**
+ * Check scopes for a new token: each must be in the catalog and held by
+ * the creator
+ * @param {string[]} scopes - Requested scopes
+ * @param {Set<string>|null} grantorPermissions - Creator's permissions in the org, or null for a personal token
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+export async function checkScopes(scopes, grantorPermissions = null) {
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(key => typeof key !== 'string')) {
+    return 'Choose at least one scope';
+  }
+
+  const catalog = await getPermissionCatalog();
+  const unknown = scopes.filter(key => key !== ALL_PERMISSIONS && !catalog.some(permission => permission.key === key));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}`;
+  }
+
+  if (grantorPermissions) {
+    const missing = scopes.filter(key => !hasPermission(grantorPermissions, key));
+    if (missing.length > 0) {
+      return `You can't grant scopes you don't have (${missing.join(', ')})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a token
+ * @param {Object} options
+ * @param {'personal'|'org'} options.kind - Token type
+ * @param {string} options.userId - User the token acts as
+ * @param {string} [options.orgId] - Org for an org API key
+ * @param {string} options.name - Label shown in Settings
+ * @param {string[]} options.scopes - Permission keys, or ['*']
+ * @param {number|null} [options.expiresInDays] - Days until expiry, or null for no expiry
+ * @returns {Promise<{token: string, apiToken: Object}>} The token is only available here
+ */
+export async function createApiToken({ kind, userId, orgId = null, name, scopes, expiresInDays = null }) {
+  const token = TOKEN_PREFIXES[kind] + crypto.randomBytes(32).toString('base64url');
+
+  const result = await pool.query(`
+    INSERT INTO api_tokens (kind, user_id, org_id, name, token_prefix, token_hash, scopes, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $8::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $8::int) END)
+    RETURNING id, kind, org_id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+  `, [kind, userId, orgId, name, token.slice(0, DISPLAY_PREFIX_LENGTH), hashToken(token), JSON.stringify([...new Set(scopes)]), expiresInDays]);
+
+  return { token, apiToken: result.rows[0] };
+}
+
+/**
+ * Look up the user and token for a bearer API token, and note that it was used
+ * @param {string} token - Bearer token
+ * @param {Object} req - Express request (for the last-used IP)
+ * @returns {Promise<{user: Object, apiToken: Object}|null>} Null if unknown, revoked or expired
+ */
+export async function authenticateApiToken(token, req) {
+  const result = await pool.query(`
+    SELECT t.id, t.kind, t.org_id, t.name, t.scopes,
+           u.id as user_id, u.email, u.name as user_name
+    FROM api_tokens t
+    JOIN users u ON t.user_id = u.id
+    WHERE t.token_hash = $1 AND t.revoked_at IS NULL
+      AND (t.expires_at IS NULL OR t.expires_at > NOW())
+  `, [hashToken(token)]);
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+
+  // Track usage for Settings (at most once a minute)
+  await pool.query(`
+    UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = $1
+    WHERE id = $2 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+  `, [req.ip || null, row.id]);
+
+  return {
+    user: { id: row.user_id, email: row.email, name: row.user_name },
+    apiToken: { id: row.id, kind: row.kind, orgId: row.org_id, name: row.name, scopes: row.scopes }
+  };
+}
+
+/**
+ * List active tokens: a user's personal tokens, or an org's API keys
+ * @param {{userId?: string, orgId?: string}} owner
+ */
+export async function listApiTokens({ userId = null, orgId = null }) {
+  const result = await pool.query(`
+    SELECT t.id, t.kind, t.name, t.token_prefix, t.scopes, t.expires_at,
+           t.last_used_at, t.last_used_ip, t.created_at, u.name as created_by_name
+    FROM api_tokens t
+    JOIN users u ON t.user_id = u.id
+    WHERE t.revoked_at IS NULL
+      AND ${orgId ? "t.kind = 'org' AND t.org_id = $1" : "t.kind = 'personal' AND t.user_id = $1"}
+    ORDER BY t.created_at DESC
+  `, [orgId || userId]);
+  return result.rows;
+}
+
+/**
+ * Revoke a token
+ * @param {string} tokenId - Token ID
+ * @param {{userId?: string, orgId?: string}} owner - Must match the token's owner
+ * @returns {Promise<Object|null>} The revoked token, or null if not found
+ */
+export async function revokeApiToken(tokenId, { userId = null, orgId = null }) {
+  const result = await pool.query(`
+    UPDATE api_tokens SET revoked_at = NOW()
+    WHERE id = $1 AND revoked_at IS NULL
+      AND ${orgId ? "kind = 'org' AND org_id = $2" : "kind = 'personal' AND user_id = $2"}
+    RETURNING id, name, token_prefix, scopes
+  `, [tokenId, orgId || userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke the org API keys a member created, e.g. when they leave the org
+ * @param {string} userId - User ID
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<number>} Number of keys revoked
+ */
+export async function revokeMemberApiKeys(userId, orgId) {
+  const result = await pool.query(`
+    UPDATE api_tokens SET revoked_at = NOW()
+    WHERE user_id = $1 AND org_id = $2 AND kind = 'org' AND revoked_at IS NULL
+  `, [userId, orgId]);
+  return result.rowCount;
+}
+
+export default {
+  isApiToken,
+  restrictToScopes,
+  checkScopes,
+  createApiToken,
+  authenticateApiToken,
+  listApiTokens,
+  revokeApiToken,
+  revokeMemberApiKeys
+};
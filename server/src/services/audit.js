@@ -0,0 +1,228 @@
+/**
+ * Audit Log
+ *
+ * Records who changed what in an organization. Every non-GET API request
+ * made inside an org is written by `auditRequests`; sensitive actions
+ * (payroll, salaries, password resets, role changes) also record a named
+ * event with details via `recordAuditEvent`. When a request records its own
+ * event, the generic request entry is skipped.
+ *
+ * Rows are append-only: the database rejects UPDATE, DELETE and TRUNCATE on
+ * audit_events. Actor details are copied into the row so entries survive the
+ * user being deleted.
+ */
+
+import pool from '../config/db.js';
+import { queryPage } from '../middleware/paginate.js';
+
+// Request body fields that are never written to the log
+const REDACTED_FIELDS = /password|token|secret|code|recovery/i;
+// Long strings (file uploads, receipts) are dropped from the logged body
+const MAX_VALUE_LENGTH = 500;
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+/**
+ * Copy of a request body that is safe to store
+ */
+const sanitizeBody = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+
+  const clean = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (REDACTED_FIELDS.test(key)) {
+      clean[key] = '[redacted]';
+    } else if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      clean[key] = `[${value.length} characters]`;
+    } else {
+      clean[key] = value;
+    }
+  }
+  return Object.keys(clean).length > 0 ? clean : null;
+};
+
+/**
+ * Describe a request path, e.g. PUT /api/attendance/org/<uuid>/leave/<uuid>/review
+ * becomes action "PUT /attendance/org/:id/leave/:id/review", resource type
+ * "attendance" and the last ID in the path as resource ID.
+ */
+const describeRequest = (req) => {
+  const path = req.originalUrl.split('?')[0].replace(/^\/api/, '');
+  const ids = path.match(UUID_PATTERN) || [];
+
+  return {
+    action: `${req.method} ${path.replace(UUID_PATTERN, ':id')}`,
+    resourceType: path.split('/')[1] || null,
+    resourceId: ids.length > 0 ? ids[ids.length - 1] : null
+  };
+};
+
+/**
+ * Write an audit event. Never throws: a failure to audit is logged but
+ * doesn't fail the action being audited.
+ * @param {Object} event
+ * @param {string} event.orgId - Organization the action happened in
+ * @param {string} event.action - What happened, e.g. `payroll.period_finalized`
+ * @param {string} [event.resourceType] - Kind of record affected, e.g. `payroll_period`
+ * @param {string} [event.resourceId] - ID of the record affected
+ * @param {Object} [event.metadata] - Details such as before/after values
+ * @param {Object} [event.req] - Express request; supplies the actor, IP and user agent
+ * @param {Object} [event.actor] - Actor ({id, name, email}) when there is no authenticated request
+ */
+export async function recordAuditEvent({ orgId, action, resourceType = null, resourceId = null, metadata = null, req = null, actor = null }) {
+  const who = actor || req?.user || null;
+
+  if (req?.apiToken) {
+    // Note which token made the change
+    metadata = { ...metadata, apiToken: { id: req.apiToken.id, name: req.apiToken.name } };
+  }
+
+  if (req) {
+    // Tell auditRequests this request already has its own entry
+    req.auditRecorded = true;
+  }
+
+  try {
+    await pool.query(`
+      INSERT INTO audit_events (
+        org_id, actor_id, actor_name, actor_email, action, resource_type, resource_id,
+        method, path, ip_address, user_agent, metadata
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [
+      orgId,
+      who?.id || null,
+      who?.name || null,
+      who?.email || null,
+      action,
+      resourceType,
+      resourceId,
+      req?.method || null,
+      req ? req.originalUrl.split('?')[0] : null,
+      req?.ip || null,
+      req?.headers['user-agent']?.slice(0, 500) || null,
+      metadata ? JSON.stringify(metadata) : null
+    ]);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+/**
+ * Middleware that records every non-GET request made inside an org once the
+ * response has been sent. The org is only trusted once a route has checked
+ * membership (requireOrg sets `req.orgId` and `req.permissions`), so requests
+ * that never get that far aren't logged.
+ */
+export const auditRequests = (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (!req.orgId || !req.permissions || req.auditRecorded) return;
+
+    const { action, resourceType, resourceId } = describeRequest(req);
+    recordAuditEvent({
+      orgId: req.orgId,
+      action,
+      resourceType,
+      resourceId,
+      metadata: {
+        status: res.statusCode,
+        body: sanitizeBody(req.body)
+      },
+      req
+    });
+  });
+
+  next();
+};
+
+/**
+ * Build the WHERE clause for audit queries
+ * @param {string} orgId - Organization ID
+ * @param {Object} filters - actorId, action (prefix match), resourceType, resourceId, from, to, search
+ */
+const buildFilters = (orgId, filters) => {
+  const conditions = ['org_id = $1'];
+  const params = [orgId];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (filters.actorId) add('actor_id = ?', filters.actorId);
+  if (filters.action) add('action ILIKE ?', `${filters.action}%`);
+  if (filters.resourceType) add('resource_type = ?', filters.resourceType);
+  if (filters.resourceId) add('resource_id = ?', filters.resourceId);
+  if (filters.from) add('created_at >= ?', filters.from);
+  if (filters.to) add("created_at < (?::date + INTERVAL '1 day')", filters.to);
+  if (filters.search) {
+    add('(actor_name ILIKE ? OR actor_email ILIKE ? OR action ILIKE ? OR path ILIKE ?)', `%${filters.search}%`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * One page of an org's audit events
+ * @param {string} orgId - Organization ID
+ * @param {Object} filters - See buildFilters
+ * @param {Object} page - req.page, set by paginate()
+ * @returns {Promise<{data: Object[], pagination: Object}>}
+ */
+export async function listAuditEvents(orgId, filters, page) {
+  const { where, params } = buildFilters(orgId, filters);
+
+  return queryPage(page, {
+    select: `id, actor_id, actor_name, actor_email, action, resource_type, resource_id,
+             method, path, ip_address, user_agent, metadata, created_at`,
+    from: 'audit_events',
+    where,
+    params
+  });
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  // Stop spreadsheets from treating values as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * All audit events matching the filters as CSV, oldest first
+ * @param {string} orgId - Organization ID
+ * @param {Object} filters - See buildFilters
+ * @returns {Promise<string>}
+ */
+export async function exportAuditEventsCsv(orgId, filters = {}) {
+  const { where, params } = buildFilters(orgId, filters);
+
+  const result = await pool.query(`
+    SELECT created_at, actor_name, actor_email, action, resource_type, resource_id,
+           method, path, ip_address, metadata
+    FROM audit_events
+    WHERE ${where}
+    ORDER BY created_at, id
+  `, params);
+
+  const columns = ['created_at', 'actor_name', 'actor_email', 'action', 'resource_type', 'resource_id', 'method', 'path', 'ip_address', 'metadata'];
+  const lines = [columns.join(',')];
+  for (const row of result.rows) {
+    lines.push(columns.map(column => csvValue(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+export default {
+  recordAuditEvent,
+  auditRequests,
+  listAuditEvents,
+  exportAuditEventsCsv
+};
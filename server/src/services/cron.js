@@ -0,0 +1,194 @@
+/**
+ * Cron
+ *
+ * Parses five-field cron expressions (minute hour day-of-month month
+ * day-of-week) and works out when they next fire, in server time or in a
+ * given IANA timezone. A time skipped by a daylight saving change fires
+ * when the clocks have gone forward; a repeated one fires the first time.
+ * Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps
+ * (`*\/15`, `0-30/10`). Day-of-week 0 and 7 are both Sunday. As in standard
+ * cron, when both day fields are restricted a day matching either one fires.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Stop looking for a match after this many years (e.g. "0 0 31 2 *" never fires)
+const MAX_YEARS_AHEAD = 5;
+
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Timezone -> Intl.DateTimeFormat, which is slow to create
+const formatters = new Map();
+
+/**
+ * The wall-clock time of an instant in a timezone, as a Date whose UTC
+ * fields hold it (so it can be stepped without DST getting in the way)
+ */
+const wallClock = (instant, timezone) => {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timezone, formatter);
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(instant).map(part => [part.type, Number(part.value)]));
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+/**
+ * The instant a wall-clock time (from wallClock) happens in a timezone
+ */
+const fromWallClock = (wall, timezone) => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const offsetAt = (instant) => wallClock(instant, timezone) - instant;
+  // The offsets either side of any DST change near this time
+  const before = new Date(wall - offsetAt(new Date(wall - DAY_MS)));
+  const after = new Date(wall - offsetAt(new Date(wall.getTime() + DAY_MS)));
+
+  const matches = [before, after]
+    .filter(instant => wallClock(instant, timezone).getTime() === wall.getTime())
+    .sort((a, b) => a - b);
+  // Repeated when the clocks went back: the first time. Skipped when they
+  // went forward: the old offset lands just after the jump.
+  return matches[0] || before;
+};
+
+/**
+ * Parse one field into the set of values it allows
+ */
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}"`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText) : 1;
+    let [from, to] = range === '*'
+      ? [min, max]
+      : range.split('-').map(n => parseInt(n));
+    if (to === undefined) to = stepText ? max : from;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 8 * * 1-5"
+ * @returns {{minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+/**
+ * Check a cron expression
+ * @returns {string|null} Error message, or null if valid
+ */
+export function checkCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const dayMatches = (cron, date) => {
+  const dayOk = cron.days.has(date.getUTCDate());
+  const weekdayOk = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay) return weekdayOk;
+  if (cron.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+};
+
+/**
+ * The first time after `from` that a cron expression fires
+ * @param {string} expression - Cron expression
+ * @param {Date} [from] - Start looking after this time (default now)
+ * @param {string} [timezone] - IANA timezone the expression is in (default server time)
+ * @returns {Date}
+ * @throws {Error} If the expression is invalid or never fires
+ */
+export function nextCronRun(expression, from = new Date(), timezone = null) {
+  const cron = parseCron(expression);
+  const zone = timezone || SERVER_TIMEZONE;
+
+  // Step through the zone's wall clock, kept in the Date's UTC fields
+  const date = wallClock(from, zone);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_YEARS_AHEAD);
+
+  // Skip whole months, days and hours that can't match
+  while (date <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      const run = fromWallClock(date, zone);
+      // A wall time repeated when the clocks go back can map to the past
+      if (run > from) return run;
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    }
+  }
+
+  throw new Error(`Cron expression "${expression}" never fires`);
+}
+
+export default {
+  parseCron,
+  checkCron,
+  nextCronRun
+};
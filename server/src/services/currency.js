@@ -0,0 +1,164 @@
+/**
+ * Currency
+ *
+ * Each org reports in a base currency (`organizations.base_currency`).
+ * Amounts in other currencies are converted with the org's exchange rates,
+ * using the latest rate on or before the amount's date. In SQL, use
+ * `exchange_rate_on(org_id, currency, date)` (migration 011_currencies),
+ * which is 1 for the base currency and NULL when no rate covers the date;
+ * totals should count those amounts as unconverted rather than guess.
+ */
+
+import pool from '../config/db.js';
+
+// ISO 4217 style codes, e.g. "USD"
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Normalise a currency code ("usd " -> "USD")
+ * @param {string} code
+ * @returns {string|null} The code, or null if it isn't a 3-letter code
+ */
+export function normalizeCurrency(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return CURRENCY_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * An org's base currency
+ * @param {string} orgId - Organization ID
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<string>}
+ */
+export async function getBaseCurrency(orgId, db = pool) {
+  const result = await db.query('SELECT base_currency FROM organizations WHERE id = $1', [orgId]);
+  return result.rows[0]?.base_currency || 'MYR';
+}
+
+/**
+ * Check an exchange rate from a request or an import row
+ * @param {Object} rate - { currency, rate, effective_date }
+ * @param {string} baseCurrency - The org's base currency
+ * @returns {{rate: Object}|{error: string}} The normalised rate, or why it's invalid
+ */
+export function validateRate({ currency, rate, effective_date }, baseCurrency) {
+  const code = normalizeCurrency(currency);
+  if (!code) {
+    return { error: 'currency must be a 3-letter code such as "USD"' };
+  }
+  if (code === baseCurrency) {
+    return { error: `${code} is the base currency` };
+  }
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { error: 'rate must be a number greater than 0' };
+  }
+  if (typeof effective_date !== 'string' || !DATE_PATTERN.test(effective_date) || isNaN(Date.parse(effective_date))) {
+    return { error: 'effective_date must be a date such as "2025-01-31"' };
+  }
+  return { rate: { currency: code, rate: value, effective_date } };
+}
+
+/**
+ * Read exchange rates from CSV. The first line is a header naming the
+ * `currency`, `rate` and `effective_date` (or `date`) columns, in any order.
+ * @param {string} csv - CSV text
+ * @returns {{rows: Array<{line: number, currency: string, rate: string, effective_date: string}>, error: string|null}}
+ */
+export function parseRatesCsv(csv) {
+  const lines = String(csv || '').split(/\r?\n/)
+    .map((text, i) => ({ line: i + 1, text: text.trim() }))
+    .filter(({ text }) => text);
+
+  if (lines.length < 2) {
+    return { rows: [], error: 'The CSV needs a header line and at least one rate' };
+  }
+  if (lines.length - 1 > MAX_IMPORT_ROWS) {
+    return { rows: [], error: `Import at most ${MAX_IMPORT_ROWS} rates at a time` };
+  }
+
+  const split = (text) => text.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+  const header = split(lines[0].text).map(name => name.toLowerCase());
+  const column = (...names) => header.findIndex(name => names.includes(name));
+  const columns = {
+    currency: column('currency'),
+    rate: column('rate'),
+    effective_date: column('effective_date', 'date')
+  };
+
+  const missing = Object.entries(columns).filter(([, index]) => index === -1).map(([name]) => name);
+  if (missing.length > 0) {
+    return { rows: [], error: `The header is missing ${missing.join(', ')}` };
+  }
+
+  const rows = lines.slice(1).map(({ line, text }) => {
+    const cells = split(text);
+    return {
+      line,
+      currency: cells[columns.currency],
+      rate: cells[columns.rate],
+      effective_date: cells[columns.effective_date]
+    };
+  });
+
+  return { rows, error: null };
+}
+
+/**
+ * Add an exchange rate, replacing the pair's rate for the same date
+ * @param {Object} options
+ * @param {string} options.orgId - Organization ID
+ * @param {string} options.baseCurrency - Currency the rate converts into
+ * @param {Object} options.rate - Validated { currency, rate, effective_date }
+ * @param {string} [options.source] - 'manual' or 'import'
+ * @param {string} [options.userId] - Who entered it
+ * @param {Object} [options.db] - Pool or transaction client
+ * @returns {Promise<Object>} The exchange_rates row
+ */
+export async function saveRate({ orgId, baseCurrency, rate, source = 'manual', userId = null, db = pool }) {
+  const result = await db.query(`
+    INSERT INTO exchange_rates (org_id, base_currency, currency, rate, effective_date, source, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (org_id, base_currency, currency, effective_date) DO UPDATE SET
+      rate = EXCLUDED.rate,
+      source = EXCLUDED.source,
+      created_by = EXCLUDED.created_by,
+      created_at = NOW()
+    RETURNING *
+  `, [orgId, baseCurrency, rate.currency, rate.rate, rate.effective_date, source, userId]);
+  return result.rows[0];
+}
+
+/**
+ * Add several exchange rates in one transaction (all or none)
+ * @param {Object} options - Same as saveRate, with `rates` instead of `rate`
+ * @returns {Promise<number>} Rates saved
+ */
+export async function importRates({ orgId, baseCurrency, rates, userId = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const rate of rates) {
+      await saveRate({ orgId, baseCurrency, rate, source: 'import', userId, db: client });
+    }
+    await client.query('COMMIT');
+    return rates.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  normalizeCurrency,
+  getBaseCurrency,
+  validateRate,
+  parseRatesCsv,
+  saveRate,
+  importRates
+};
@@ -0,0 +1,460 @@
+/**
+ * Job Queue
+ *
+ * Durable background jobs stored in Postgres. Code defines a handler for a
+ * job name, then enqueues jobs by name from anywhere (routes, services,
+ * plugins via `context.jobs`). Every server runs a worker that claims due
+ * jobs with `FOR UPDATE SKIP LOCKED`, so several servers share the queue
+ * without running a job twice.
+ *
+ *   - Delayed jobs: enqueue with `runAt` or `delaySeconds`
+ *   - Retries: a handler that throws is retried with exponential backoff
+ *     (or the definition's `retryDelaySeconds`) until the job's max
+ *     attempts, then the job is marked `dead` and kept for inspection
+ *     (`npm run jobs -- dead`, `npm run jobs -- retry <id>`)
+ *   - Schedules: cron expressions (services/cron.js) that enqueue a job
+ *     each time they fire
+ *
+ * A job that is still `running` long after it was claimed (its server died)
+ * is put back in the queue. Handlers should therefore be safe to run twice.
+ */
+
+import os from 'os';
+import pool from '../config/db.js';
+import { nextCronRun } from './cron.js';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 10;
+const MAX_RETRY_SECONDS = 60 * 60;
+const POLL_INTERVAL_MS = 5 * 1000;
+// Running jobs claimed longer ago than this are assumed lost
+const STALE_AFTER_SECONDS = 15 * 60;
+// Completed jobs are deleted after this many days
+const KEEP_COMPLETED_DAYS = 7;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Job name -> { handler, maxAttempts, retryDelaySeconds }
+const definitions = new Map();
+
+// Wait before retry n: 10s, 20s, 40s... up to an hour
+export const defaultRetryDelay = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+
+/**
+ * Register the handler for a job name in this process
+ * @param {string} name - Job name, e.g. `notifications.email`
+ * @param {Function} handler - async (payload, job) => result; throw to retry
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked dead
+ * @param {Function} [options.retryDelaySeconds] - (attempts so far) => seconds to wait before the next attempt
+ */
+export function defineJob(name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, retryDelaySeconds = defaultRetryDelay } = {}) {
+  if (definitions.has(name)) {
+    throw new Error(`Job "${name}" is already defined`);
+  }
+  definitions.set(name, { handler, maxAttempts, retryDelaySeconds });
+}
+
+/**
+ * Remove a job handler (jobs already queued wait until it's defined again)
+ * @param {string} name - Job name
+ */
+export function undefineJob(name) {
+  definitions.delete(name);
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} name - Job name
+ * @param {Object} [payload] - JSON payload passed to the handler
+ * @param {Object} [options]
+ * @param {Date|string} [options.runAt] - Don't run before this time
+ * @param {number} [options.delaySeconds] - Don't run for this many seconds
+ * @param {number} [options.maxAttempts] - Overrides the job definition
+ * @param {string} [options.dedupeKey] - Skip if a job with this name and key is already pending or running
+ * @param {Object} [options.db] - Client to enqueue with, e.g. inside a transaction
+ * @returns {Promise<Object|null>} The job, or null if it was a duplicate
+ */
+export async function enqueueJob(name, payload = {}, {
+  runAt = null,
+  delaySeconds = 0,
+  maxAttempts = null,
+  dedupeKey = null,
+  db = pool
+} = {}) {
+  const result = await db.query(`
+    INSERT INTO jobs (name, payload, run_at, max_attempts, dedupe_key)
+    VALUES ($1, $2, COALESCE($3::timestamptz, NOW()) + make_interval(secs => $4), $5, $6)
+    ON CONFLICT (name, dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'running')
+    DO NOTHING
+    RETURNING *
+  `, [
+    name,
+    JSON.stringify(payload),
+    runAt,
+    delaySeconds,
+    maxAttempts || definitions.get(name)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    dedupeKey
+  ]);
+
+  if (result.rows[0] && db === pool) {
+    wakeWorker();
+  }
+  return result.rows[0] || null;
+}
+
+/**
+ * Create or update a recurring schedule
+ * @param {string} scheduleName - Unique schedule name
+ * @param {string} cron - Cron expression, e.g. `0 8 * * *`
+ * @param {string} jobName - Job enqueued each time it fires
+ * @param {Object} [payload] - Payload for each job
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - IANA timezone the cron expression is in (default server time)
+ * @returns {Promise<Object>} The schedule
+ */
+export async function scheduleJob(scheduleName, cron, jobName, payload = {}, { timezone = null } = {}) {
+  const nextRunAt = nextCronRun(cron, new Date(), timezone);
+
+  // Keep the next run time unless the timing changed
+  const result = await pool.query(`
+    INSERT INTO job_schedules (name, job_name, cron, timezone, payload, next_run_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (name) DO UPDATE SET
+      job_name = EXCLUDED.job_name,
+      payload = EXCLUDED.payload,
+      next_run_at = CASE
+        WHEN job_schedules.cron = EXCLUDED.cron AND job_schedules.timezone IS NOT DISTINCT FROM EXCLUDED.timezone
+        THEN job_schedules.next_run_at ELSE EXCLUDED.next_run_at
+      END,
+      cron = EXCLUDED.cron,
+      timezone = EXCLUDED.timezone,
+      updated_at = NOW()
+    RETURNING *
+  `, [scheduleName, jobName, cron, timezone, JSON.stringify(payload), nextRunAt]);
+  return result.rows[0];
+}
+
+/**
+ * Remove a recurring schedule
+ * @param {string} scheduleName - Schedule name
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function unscheduleJob(scheduleName) {
+  const result = await pool.query('DELETE FROM job_schedules WHERE name = $1', [scheduleName]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Cancel a job that hasn't started yet
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} Whether a pending job was removed
+ */
+export async function cancelJob(jobId) {
+  const result = await pool.query("DELETE FROM jobs WHERE id = $1 AND status = 'pending'", [jobId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete the schedules and pending jobs whose names start with a prefix
+ * @param {string} prefix - e.g. `my-plugin:`
+ */
+export async function removeJobs(prefix) {
+  const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+  await pool.query('DELETE FROM job_schedules WHERE job_name LIKE $1 OR name LIKE $1', [pattern]);
+  await pool.query("DELETE FROM jobs WHERE status = 'pending' AND name LIKE $1", [pattern]);
+}
+
+/**
+ * Put a dead job back in the queue with fresh attempts. A job with a dedupe
+ * key can't be retried while another job with the same name and key is
+ * pending or running, since that job already does the same work.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The job, or null if there's no dead job with that ID
+ * @throws {Error} If a job with the same dedupe key is already queued
+ */
+export async function retryJob(jobId) {
+  let result;
+  try {
+    result = await pool.query(`
+      UPDATE jobs SET status = 'pending', attempts = 0, run_at = NOW(), completed_at = NULL
+      WHERE id = $1 AND status = 'dead'
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs queued
+          WHERE queued.name = jobs.name AND queued.dedupe_key = jobs.dedupe_key
+            AND queued.status IN ('pending', 'running')
+        )
+      RETURNING *
+    `, [jobId]);
+  } catch (error) {
+    // Queued by someone else between the check and the update
+    if (error.code === '23505') {
+      throw new Error('A job with the same dedupe key is already queued');
+    }
+    throw error;
+  }
+
+  if (result.rows[0]) {
+    wakeWorker();
+    return result.rows[0];
+  }
+
+  const queued = await pool.query(`
+    SELECT queued.id, queued.status FROM jobs dead
+    JOIN jobs queued ON queued.name = dead.name AND queued.dedupe_key = dead.dedupe_key
+      AND queued.status IN ('pending', 'running')
+    WHERE dead.id = $1 AND dead.status = 'dead'
+  `, [jobId]);
+  if (queued.rows[0]) {
+    const { id, status } = queued.rows[0];
+    throw new Error(`Job ${id} with the same dedupe key is already ${status}`);
+  }
+  return null;
+}
+
+/**
+ * Jobs in a state, newest first
+ * @param {Object} [options]
+ * @param {string} [options.status] - pending, running, completed or dead
+ * @param {string} [options.name] - Only jobs with this name (or names starting with it, if it ends in `*`)
+ * @param {number} [options.limit]
+ */
+export async function listJobs({ status = 'dead', name = null, limit = 50 } = {}) {
+  const result = await pool.query(`
+    SELECT * FROM jobs
+    WHERE status = $1 AND ($2::text IS NULL OR name LIKE $2)
+    ORDER BY created_at DESC
+    LIMIT $3
+  `, [status, name ? name.replace(/\*$/, '%') : null, limit]);
+  return result.rows;
+}
+
+/**
+ * Number of jobs in each state, by job name
+ * @returns {Promise<Array<{name: string, status: string, count: number}>>}
+ */
+export async function getQueueStats() {
+  const result = await pool.query(`
+    SELECT name, status, COUNT(*)::int as count FROM jobs
+    GROUP BY name, status
+    ORDER BY name, status
+  `);
+  return result.rows;
+}
+
+/**
+ * All recurring schedules
+ */
+export async function listSchedules() {
+  const result = await pool.query('SELECT * FROM job_schedules ORDER BY name');
+  return result.rows;
+}
+
+/**
+ * Run one claimed job and record the outcome
+ * @private
+ */
+async function runJob(job) {
+  const { handler, retryDelaySeconds } = definitions.get(job.name);
+
+  try {
+    await handler(job.payload, { id: job.id, name: job.name, attempts: job.attempts, maxAttempts: job.max_attempts });
+    await pool.query(`
+      UPDATE jobs SET status = 'completed', completed_at = NOW(), last_error = NULL, locked_by = NULL
+      WHERE id = $1
+    `, [job.id]);
+  } catch (error) {
+    const dead = job.attempts >= job.max_attempts;
+    const retryIn = retryDelaySeconds(job.attempts);
+
+    await pool.query(`
+      UPDATE jobs SET
+        status = CASE WHEN $2 THEN 'dead' ELSE 'pending' END,
+        run_at = CASE WHEN $2 THEN run_at ELSE NOW() + make_interval(secs => $3) END,
+        completed_at = CASE WHEN $2 THEN NOW() ELSE NULL END,
+        last_error = $4,
+        locked_by = NULL
+      WHERE id = $1
+    `, [job.id, dead, retryIn, error.stack || String(error)]);
+
+    console.error(dead
+      ? `💀 Job ${job.name} (${job.id}) failed ${job.attempts} times and is dead:`
+      : `Job ${job.name} (${job.id}) failed, retrying in ${retryIn}s:`, error.message);
+  }
+}
+
+/**
+ * Claim up to `limit` due jobs this process has handlers for
+ * @private
+ */
+async function claimJobs(limit) {
+  if (limit <= 0 || definitions.size === 0) return [];
+
+  const result = await pool.query(`
+    UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = NOW()
+    WHERE id IN (
+      SELECT id FROM jobs
+      WHERE status = 'pending' AND run_at <= NOW() AND name = ANY($2)
+      ORDER BY run_at
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [WORKER_ID, [...definitions.keys()], limit]);
+  return result.rows;
+}
+
+/**
+ * Enqueue a job for every schedule that is due, and move it to its next run
+ * @private
+ */
+async function enqueueDueSchedules() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const due = await client.query(`
+      SELECT * FROM job_schedules WHERE next_run_at <= NOW()
+      FOR UPDATE SKIP LOCKED
+    `);
+
+    for (const schedule of due.rows) {
+      await client.query(`
+        INSERT INTO jobs (name, payload, max_attempts, schedule_name, dedupe_key)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (name, dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'running')
+        DO NOTHING
+      `, [
+        schedule.job_name,
+        schedule.payload,
+        definitions.get(schedule.job_name)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        schedule.name,
+        `schedule:${schedule.name}`
+      ]);
+      await client.query(
+        'UPDATE job_schedules SET next_run_at = $2, last_run_at = NOW() WHERE name = $1',
+        [schedule.name, nextCronRun(schedule.cron, new Date(), schedule.timezone)]
+      );
+    }
+
+    await client.query('COMMIT');
+    return due.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Requeue jobs whose worker went away, and drop old completed jobs
+ * @private
+ */
+async function recoverStaleJobs() {
+  await pool.query(`
+    UPDATE jobs SET
+      status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+      completed_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+      last_error = 'Worker stopped before the job finished',
+      locked_by = NULL
+    WHERE status = 'running' AND locked_at < NOW() - make_interval(secs => $1)
+  `, [STALE_AFTER_SECONDS]);
+}
+
+const worker = {
+  running: false,
+  concurrency: 0,
+  active: 0,
+  timer: null,
+  ticking: false,
+  tickAgain: false,
+  lastCleanup: 0
+};
+
+/**
+ * Claim and start due jobs, up to the worker's concurrency
+ * @private
+ */
+async function tick() {
+  if (!worker.running) return;
+  if (worker.ticking) {
+    worker.tickAgain = true;
+    return;
+  }
+  worker.ticking = true;
+
+  try {
+    await enqueueDueSchedules();
+
+    if (Date.now() - worker.lastCleanup > CLEANUP_INTERVAL_MS) {
+      worker.lastCleanup = Date.now();
+      await recoverStaleJobs();
+      await pool.query(`
+        DELETE FROM jobs WHERE status = 'completed' AND completed_at < NOW() - make_interval(days => $1)
+      `, [KEEP_COMPLETED_DAYS]);
+    }
+
+    const jobs = await claimJobs(worker.concurrency - worker.active);
+    for (const job of jobs) {
+      worker.active++;
+      runJob(job)
+        .catch(error => console.error(`Job ${job.id} bookkeeping error:`, error))
+        .finally(() => {
+          worker.active--;
+          wakeWorker();
+        });
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    worker.ticking = false;
+    if (worker.tickAgain) {
+      worker.tickAgain = false;
+      setImmediate(tick);
+    }
+  }
+}
+
+/**
+ * Look for work now instead of waiting for the next poll
+ * @private
+ */
+function wakeWorker() {
+  if (worker.running) {
+    setImmediate(tick);
+  }
+}
+
+/**
+ * Start processing jobs in this process
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Jobs run at the same time (JOB_CONCURRENCY, default 5)
+ * @returns {Function} Stops the worker (running jobs finish on their own)
+ */
+export function startJobWorker({ concurrency = parseInt(process.env.JOB_CONCURRENCY || '5') } = {}) {
+  worker.running = true;
+  worker.concurrency = concurrency;
+  worker.timer = setInterval(tick, POLL_INTERVAL_MS);
+  wakeWorker();
+
+  return () => {
+    worker.running = false;
+    clearInterval(worker.timer);
+  };
+}
+
+export default {
+  defineJob,
+  undefineJob,
+  enqueueJob,
+  scheduleJob,
+  unscheduleJob,
+  cancelJob,
+  removeJobs,
+  retryJob,
+  listJobs,
+  getQueueStats,
+  listSchedules,
+  startJobWorker
+};
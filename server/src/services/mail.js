@@ -0,0 +1,129 @@
+/**
+ * Mail
+ *
+ * Small wrapper around outgoing email so callers don't care how mail is
+ * delivered. The transport is picked with MAIL_TRANSPORT:
+ *   - console (default): print messages to the server log
+ *   - file: write each message as a .eml file to MAIL_FILE_DIR
+ *   - smtp: send through SMTP_HOST (e.g. a local SMTP catcher in development)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+const DEFAULT_FROM = 'PlugOS <no-reply@plugos.local>';
+
+/**
+ * Logs messages instead of sending them
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: crypto.randomUUID() };
+  }
+});
+
+/**
+ * Writes each message to MAIL_FILE_DIR as a .eml file
+ */
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || './mail');
+  // streamTransport builds the raw message without sending it anywhere
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await builder.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.eml`;
+      await fs.writeFile(path.join(dir, filename), info.message);
+      return { messageId: info.messageId, path: path.join(dir, filename) };
+    }
+  };
+};
+
+/**
+ * Sends through an SMTP server
+ */
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required when MAIL_TRANSPORT is smtp');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+let transport = null;
+
+/**
+ * Get the configured transport, creating it on first use
+ */
+export function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transportFactories).join(', ')}`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport (e.g. with one provided by a plugin)
+ * @param {{name: string, send: Function}} customTransport - Object with an async send(message)
+ */
+export function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<{messageId: string}>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+export default {
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,106 @@
+/**
+ * Notification Email
+ *
+ * Emails notifications to members who chose the `email` channel, and sends
+ * the daily digest: one email per user with their unread `digest`
+ * notifications from every org. Both are called from the notification jobs
+ * (services/notifications.js). Digest notifications are claimed (emailed_at
+ * set) before the email goes out, so two servers running the digest at the
+ * same time don't send the same notification twice.
+ */
+
+import pool from '../config/db.js';
+import { sendMail } from './mail.js';
+
+const getAppUrl = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const describe = (notification) => [
+  `${notification.title}${notification.message ? `: ${notification.message}` : ''}`,
+  `${getAppUrl()}${notification.link || '/notifications'}`
+];
+
+/**
+ * Email one notification straight away
+ * @param {Object} notification - Notification row
+ */
+export async function emailNotification(notification) {
+  const result = await pool.query(`
+    SELECT u.name, u.email, o.name as org_name
+    FROM users u
+    JOIN organizations o ON o.id = $2
+    WHERE u.id = $1
+  `, [notification.user_id, notification.org_id]);
+  const recipient = result.rows[0];
+  if (!recipient) return;
+
+  await sendMail({
+    to: recipient.email,
+    subject: `[${recipient.org_name}] ${notification.title}`,
+    text: [
+      `Hi ${recipient.name},`,
+      '',
+      ...describe(notification),
+      '',
+      'You can change which notifications you get by email on the Notifications page.'
+    ].join('\n')
+  });
+
+  await pool.query('UPDATE notifications SET emailed_at = NOW() WHERE id = $1', [notification.id]);
+}
+
+/**
+ * Send one user's digest
+ * @param {string} userId - User ID
+ * @param {string} [timezone] - Only include orgs in this timezone (default every org)
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+export async function sendDigest(userId, timezone = null) {
+  const claimed = await pool.query(`
+    UPDATE notifications SET emailed_at = NOW()
+    WHERE user_id = $1 AND channel = 'digest' AND read_at IS NULL AND emailed_at IS NULL
+      AND ($2::text IS NULL OR org_id IN (SELECT id FROM organizations WHERE timezone = $2))
+    RETURNING *
+  `, [userId, timezone]);
+  if (claimed.rows.length === 0) return false;
+
+  try {
+    const details = await pool.query(`
+      SELECT u.name, u.email, o.id as org_id, o.name as org_name
+      FROM users u
+      JOIN organizations o ON o.id = ANY($2::uuid[])
+      WHERE u.id = $1
+    `, [userId, [...new Set(claimed.rows.map(n => n.org_id))]]);
+    if (details.rows.length === 0) return false;
+
+    const { name, email } = details.rows[0];
+    const lines = [`Hi ${name},`, '', `You have ${claimed.rows.length} unread notification${claimed.rows.length === 1 ? '' : 's'}.`];
+
+    for (const org of details.rows) {
+      const notifications = claimed.rows
+        .filter(n => n.org_id === org.org_id)
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      lines.push('', org.org_name, '-'.repeat(org.org_name.length));
+      for (const notification of notifications) {
+        const [summary, url] = describe(notification);
+        lines.push(`- ${summary}`, `  ${url}`);
+      }
+    }
+    lines.push('', 'You can change which notifications go in this digest on the Notifications page.');
+
+    await sendMail({
+      to: email,
+      subject: `Your PlugOS digest: ${claimed.rows.length} unread notification${claimed.rows.length === 1 ? '' : 's'}`,
+      text: lines.join('\n')
+    });
+    return true;
+  } catch (error) {
+    // Put them back for the next run
+    await pool.query('UPDATE notifications SET emailed_at = NULL WHERE id = ANY($1::uuid[])', [claimed.rows.map(n => n.id)]);
+    throw error;
+  }
+}
+
+export default {
+  emailNotification,
+  sendDigest
+};
@@ -0,0 +1,83 @@
+/**
+ * Notification Preferences
+ *
+ * Each member chooses, per org and notification type, how they hear about it:
+ *   - in_app (default): the bell, the Notifications page and a browser alert
+ *   - email: in-app, plus an email straight away
+ *   - digest: kept quietly in the feed and sent in one daily email
+ *   - off: not created at all
+ */
+
+import pool from '../config/db.js';
+
+export const CHANNELS = ['in_app', 'email', 'digest', 'off'];
+export const DEFAULT_CHANNEL = 'in_app';
+
+/**
+ * Notification types members can set preferences for
+ */
+export const NOTIFICATION_TYPES = [
+  { type: 'leave_request', label: 'Leave requests', description: 'A member asks for leave you can review' },
+  { type: 'expense_submitted', label: 'Expense claims', description: 'A member submits an expense you can review' },
+  { type: 'expense_reviewed', label: 'Expense decisions', description: 'Your expense claim is approved or rejected' }
+];
+
+/**
+ * A member's channel for every notification type
+ * @param {string} userId - User ID
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Array<{type, label, description, channel}>>}
+ */
+export async function getPreferences(userId, orgId) {
+  const result = await pool.query(
+    'SELECT type, channel FROM notification_preferences WHERE user_id = $1 AND org_id = $2',
+    [userId, orgId]
+  );
+  const chosen = new Map(result.rows.map(row => [row.type, row.channel]));
+
+  return NOTIFICATION_TYPES.map(type => ({
+    ...type,
+    channel: chosen.get(type.type) || DEFAULT_CHANNEL
+  }));
+}
+
+/**
+ * Save a member's channel for some notification types (others are unchanged)
+ * @param {string} userId - User ID
+ * @param {string} orgId - Organization ID
+ * @param {Object} preferences - Channel keyed by notification type (already checked)
+ */
+export async function setPreferences(userId, orgId, preferences) {
+  for (const [type, channel] of Object.entries(preferences)) {
+    await pool.query(`
+      INSERT INTO notification_preferences (user_id, org_id, type, channel)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, org_id, type)
+      DO UPDATE SET channel = EXCLUDED.channel, updated_at = NOW()
+    `, [userId, orgId, type, channel]);
+  }
+}
+
+/**
+ * How a member wants one notification type delivered
+ * @param {string} userId - User ID
+ * @param {string} orgId - Organization ID
+ * @param {string} type - Notification type
+ * @returns {Promise<string>} One of CHANNELS
+ */
+export async function getChannel(userId, orgId, type) {
+  const result = await pool.query(
+    'SELECT channel FROM notification_preferences WHERE user_id = $1 AND org_id = $2 AND type = $3',
+    [userId, orgId, type]
+  );
+  return result.rows[0]?.channel || DEFAULT_CHANNEL;
+}
+
+export default {
+  CHANNELS,
+  DEFAULT_CHANNEL,
+  NOTIFICATION_TYPES,
+  getPreferences,
+  setPreferences,
+  getChannel
+};
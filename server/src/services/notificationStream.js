@@ -0,0 +1,122 @@
+/**
+ * Notification Stream
+ *
+ * Pushes notifications to connected clients over Server-Sent Events. Each
+ * open stream belongs to one user in one org; a user can have several
+ * (one per tab or device) and every one of them gets each event.
+ *
+ * Connections are held in memory by the server process the client is
+ * connected to. Events are published on an EventBus of their own: with a
+ * transport (see shareStreams), every server process receives each event and
+ * writes it to its own connections, so it reaches the user wherever they are
+ * connected. Clients fetch the unread count again whenever they reconnect,
+ * so nothing is lost if they miss events while disconnected.
+ */
+
+import { EventBus } from '../sdk/EventBus.js';
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const STREAM_EVENT = 'notifications.stream';
+
+// Separate from the plugins' bus, so plugins and webhooks never see
+// another user's notifications
+const streamBus = new EventBus();
+
+// `${orgId}:${userId}` -> Set of open responses
+const streams = new Map();
+
+const streamKey = (orgId, userId) => `${orgId}:${userId}`;
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn a request into an event stream for the user in the org. The response
+ * stays open until the client disconnects.
+ * @param {Object} req - Express request (req.user, req.orgId)
+ * @param {Object} res - Express response
+ * @param {Object} [initial] - Events to send straight away, keyed by event name
+ */
+export function openStream(req, res, initial = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const key = streamKey(req.orgId, req.user.id);
+  if (!streams.has(key)) {
+    streams.set(key, new Set());
+  }
+  streams.get(key).add(res);
+
+  for (const [event, data] of Object.entries(initial)) {
+    writeEvent(res, event, data);
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const open = streams.get(key);
+    if (open) {
+      open.delete(res);
+      if (open.size === 0) streams.delete(key);
+    }
+  });
+}
+
+// Write an event to the user's streams open on this process
+streamBus.on(STREAM_EVENT, ({ orgId, userId, event, data }) => {
+  const open = streams.get(streamKey(orgId, userId));
+  if (!open) return;
+
+  for (const res of open) {
+    try {
+      writeEvent(res, event, data);
+    } catch (error) {
+      console.error('Notification stream write error:', error);
+    }
+  }
+});
+
+/**
+ * Send an event to every open stream of a user in an org, on every server
+ * process the streams are shared with
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - User ID
+ * @param {string} event - Event name (`notification`, `unread_count`)
+ * @param {Object} data - JSON payload
+ */
+export function publish(orgId, userId, event, data) {
+  return streamBus.emit(STREAM_EVENT, { orgId, userId, event, data });
+}
+
+/**
+ * Whether a user may have a stream open in an org. Once streams are shared
+ * this is always true, since other processes' connections aren't known here.
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - User ID
+ */
+export const isConnected = (orgId, userId) =>
+  Boolean(streamBus.transport) || streams.has(streamKey(orgId, userId));
+
+/**
+ * Share stream events with the other server processes
+ * @param {Object} transport - e.g. a PostgresTransport on its own channel
+ */
+export async function shareStreams(transport) {
+  await streamBus.useTransport(transport);
+}
+
+export default {
+  openStream,
+  publish,
+  isConnected,
+  shareStreams
+};
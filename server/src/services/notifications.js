@@ -0,0 +1,229 @@
+/**
+ * Notifications
+ *
+ * Creates notifications and delivers them on the channel each member chose
+ * for the type (services/notificationPreferences.js). Routes queue them
+ * with `queueNotification` / `notifyAdmins` so a slow or failing delivery
+ * doesn't hold up the request; the `notifications.*` jobs do the work and
+ * are retried by the job queue if they fail.
+ */
+
+import pool from '../config/db.js';
+import { getMembersWithPermission } from './permissions.js';
+import { publish, isConnected } from './notificationStream.js';
+import { getChannel } from './notificationPreferences.js';
+import { emailNotification, sendDigest } from './notificationEmail.js';
+import { defineJob, enqueueJob, scheduleJob, unscheduleJob, listSchedules } from './jobQueue.js';
+
+// Hour of the day (in each org's timezone) the digest is sent
+const DIGEST_HOUR = parseInt(process.env.NOTIFICATION_DIGEST_HOUR || '8');
+
+/**
+ * Unread notifications a user has in an org
+ */
+export async function countUnread(userId, orgId) {
+  const result = await pool.query(`
+    SELECT COUNT(*) as count
+    FROM notifications
+    WHERE user_id = $1 AND org_id = $2 AND read_at IS NULL
+  `, [userId, orgId]);
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Tell the user's open tabs their unread count changed
+ */
+export async function publishUnreadCount(userId, orgId) {
+  if (!isConnected(orgId, userId)) return;
+  publish(orgId, userId, 'unread_count', { count: await countUnread(userId, orgId) });
+}
+
+/**
+ * Create a notification now. Follows the user's preference for the type:
+ * nothing is created if they turned it off, `email` also queues an email,
+ * and `digest` keeps it for the daily digest without alerting them.
+ * Otherwise it's pushed straight away to any stream they have open.
+ * @returns {Promise<Object|null>} The notification, or null if turned off
+ * @throws If it can't be saved
+ */
+export async function deliverNotification({
+  userId,
+  orgId,
+  type,
+  title,
+  message,
+  actorId = null,
+  link = null,
+  data = {}
+}) {
+  const channel = await getChannel(userId, orgId, type);
+  if (channel === 'off') {
+    return null;
+  }
+
+  // The email job is queued in the same transaction, so a retry can't
+  // leave a duplicate notification behind
+  const client = await pool.connect();
+  let notification;
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO notifications (user_id, org_id, type, title, message, actor_id, link, data, channel)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [userId, orgId, type, title, message, actorId, link, data, channel]);
+    notification = result.rows[0];
+
+    if (channel === 'email') {
+      await enqueueJob('notifications.email', { notificationId: notification.id }, { db: client });
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (channel === 'digest') {
+    await publishUnreadCount(userId, orgId);
+  } else if (isConnected(orgId, userId)) {
+    const actor = actorId
+      ? await pool.query('SELECT name FROM users WHERE id = $1', [actorId])
+      : null;
+    publish(orgId, userId, 'notification', {
+      notification: { ...notification, actor_name: actor?.rows[0]?.name || null },
+      unreadCount: await countUnread(userId, orgId)
+    });
+  }
+
+  return notification;
+}
+
+/**
+ * Create a notification now, logging instead of throwing on failure
+ * (prefer `queueNotification`, which retries)
+ * @returns {Promise<Object|null>}
+ */
+export async function createNotification(notification) {
+  try {
+    return await deliverNotification(notification);
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+}
+
+/**
+ * Queue a notification for one user (same fields as `deliverNotification`)
+ * @param {Object} notification
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Client to enqueue with, e.g. inside a transaction
+ * @returns {Promise<Object>} The job
+ */
+export async function queueNotification(notification, { db } = {}) {
+  return enqueueJob('notifications.create', notification, { db });
+}
+
+/**
+ * Queue a notification for the members of an org who hold a permission
+ * (defaults to admins and managers when no permission is given)
+ * @param {Object} notification - Same fields as `deliverNotification`, without userId
+ * @param {string} [notification.permission] - Members with this permission are notified
+ * @param {string} [notification.excludeUserId] - Don't notify this member (e.g. the actor)
+ * @returns {Promise<number>} Number of notifications queued
+ */
+export async function notifyAdmins({ permission = null, excludeUserId = null, ...notification }) {
+  let recipientIds;
+  if (permission) {
+    recipientIds = await getMembersWithPermission(notification.orgId, permission);
+  } else {
+    const admins = await pool.query(`
+      SELECT user_id FROM org_members
+      WHERE org_id = $1 AND role IN ('admin', 'manager')
+    `, [notification.orgId]);
+    recipientIds = admins.rows.map(row => row.user_id);
+  }
+
+  const recipients = recipientIds.filter(id => id !== excludeUserId);
+  for (const userId of recipients) {
+    await queueNotification({ ...notification, userId });
+  }
+  return recipients.length;
+}
+
+/**
+ * Schedule the daily digest for the orgs in a timezone. There is one
+ * schedule per timezone orgs use, so each org's digest goes out at
+ * DIGEST_HOUR its own time. Call this when an org's timezone is set.
+ * @param {string} timezone - IANA timezone
+ * @returns {Promise<Object>} The schedule
+ */
+export async function scheduleDigest(timezone) {
+  return scheduleJob(
+    `notifications.daily-digest:${timezone}`,
+    `0 ${DIGEST_HOUR} * * *`,
+    'notifications.digest',
+    { timezone },
+    { timezone }
+  );
+}
+
+/**
+ * Define the notification jobs and schedule the daily digest
+ */
+export async function registerNotificationJobs() {
+  defineJob('notifications.create', payload => deliverNotification(payload));
+
+  defineJob('notifications.email', async ({ notificationId }) => {
+    const result = await pool.query(
+      'SELECT * FROM notifications WHERE id = $1 AND emailed_at IS NULL',
+      [notificationId]
+    );
+    // Deleted, or already emailed by an earlier attempt
+    if (result.rows[0]) {
+      await emailNotification(result.rows[0]);
+    }
+  });
+
+  // Fan out to one job per user, so one bad address doesn't hold up the rest.
+  // Covers the orgs in the schedule's timezone (every org without one).
+  defineJob('notifications.digest', async ({ timezone = null }) => {
+    const pending = await pool.query(`
+      SELECT DISTINCT n.user_id FROM notifications n
+      JOIN organizations o ON o.id = n.org_id
+      WHERE n.channel = 'digest' AND n.read_at IS NULL AND n.emailed_at IS NULL
+        AND ($1::text IS NULL OR o.timezone = $1)
+    `, [timezone]);
+    for (const { user_id: userId } of pending.rows) {
+      const dedupeKey = timezone ? `${userId}:${timezone}` : userId;
+      await enqueueJob('notifications.digest_user', { userId, timezone }, { dedupeKey });
+    }
+  });
+
+  defineJob('notifications.digest_user', ({ userId, timezone = null }) => sendDigest(userId, timezone));
+
+  // A schedule for each timezone in use, dropping the rest (including the
+  // single server-time schedule digests used to run on). New orgs start in UTC.
+  const zones = await pool.query('SELECT DISTINCT timezone FROM organizations');
+  const timezones = [...new Set(['UTC', ...zones.rows.map(row => row.timezone)])];
+  for (const schedule of await listSchedules()) {
+    if (schedule.job_name === 'notifications.digest' && !timezones.includes(schedule.timezone)) {
+      await unscheduleJob(schedule.name);
+    }
+  }
+  for (const timezone of timezones) {
+    await scheduleDigest(timezone);
+  }
+}
+
+export default {
+  countUnread,
+  publishUnreadCount,
+  deliverNotification,
+  createNotification,
+  queueNotification,
+  notifyAdmins,
+  scheduleDigest,
+  registerNotificationJobs
+};
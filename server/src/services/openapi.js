@@ -0,0 +1,262 @@
+/**
+ * OpenAPI
+ *
+ * Builds an OpenAPI 3.1 document from the Express routers themselves, so the
+ * spec can't fall behind the code. Paths and methods come from the routers;
+ * the rest comes from the middleware on each route:
+ *
+ *   validate({ params, query, body })    parameters and request body
+ *   paginate(SORTS)                      limit/sort/order/cursor and the page response
+ *   checkUuidParams(router)              UUID path parameters
+ *   authenticate                         bearer security and 401
+ *   requireOrg, requirePermission,       403, with the permissions, plugs and
+ *   requirePlug, requireRole             roles listed in the description
+ *
+ * To describe a route's input, give it a validate() schema. Plugin routes are
+ * read the same way from each active plugin's router, under
+ * /api/plugins/{id}.
+ */
+
+import fs from 'fs';
+import { authenticate, requireOrg, rejectApiTokens } from '../middleware/auth.js';
+import { fields } from '../middleware/validate.js';
+import { DEFAULT_LIMIT, MAX_LIMIT } from '../middleware/paginate.js';
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'An access token from `POST /api/auth/login`, a personal access token or an org API key'
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: { error: { type: 'string' } }
+    },
+    ValidationError: {
+      type: 'object',
+      required: ['error', 'code', 'details'],
+      properties: {
+        error: { type: 'string', description: 'The first problem' },
+        code: { const: 'VALIDATION_ERROR' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['in', 'field', 'message'],
+            properties: {
+              in: { enum: ['body', 'query', 'params'] },
+              field: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    Pagination: {
+      type: 'object',
+      required: ['limit', 'sort', 'order', 'total', 'hasMore', 'nextCursor'],
+      properties: {
+        limit: { type: 'integer' },
+        sort: { type: 'string' },
+        order: { enum: ['asc', 'desc'] },
+        total: { type: 'integer', description: 'Rows matching the filters, on every page' },
+        hasMore: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'], description: 'Pass as `cursor` to read the next page' }
+      }
+    }
+  },
+  responses: {
+    Page: {
+      description: 'One page of the list',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['data', 'pagination'],
+            properties: {
+              data: { type: 'array', items: { type: 'object' } },
+              pagination: { $ref: '#/components/schemas/Pagination' }
+            }
+          }
+        }
+      }
+    },
+    ValidationError: {
+      description: "The request doesn't match the route's schema",
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+    },
+    Unauthorized: {
+      description: 'Missing, invalid or expired token',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    Forbidden: {
+      description: 'Not a member of the org, or missing a permission or plug',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }
+  }
+};
+
+const codeList = (values) => values.map(value => `\`${value}\``).join(', ');
+
+/**
+ * List the routes of an Express router with the middleware each one runs
+ * @param {Function} router - Express router
+ * @returns {Array<{method: string, path: string, middleware: Function[]}>}
+ */
+export function listRoutes(router) {
+  const routes = [];
+  // router.use() middleware runs before every route declared after it
+  const shared = [];
+
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      shared.push(layer.handle);
+      continue;
+    }
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method === '_all') continue;
+      const handlers = layer.route.stack
+        .filter(routeLayer => !routeLayer.method || routeLayer.method === method)
+        .map(routeLayer => routeLayer.handle);
+      routes.push({
+        method,
+        path: layer.route.path,
+        // Plugin routes wrap each handler and keep the original on it
+        middleware: [...shared, ...handlers].map(handler => handler.handler || handler)
+      });
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Describe one route as an OpenAPI operation
+ * @param {Object} route - From listRoutes
+ * @param {Object} options
+ * @param {string} options.tag - Group shown in the docs
+ * @param {Function} options.router - The route's router (for its UUID params)
+ * @returns {Object} OpenAPI operation
+ */
+export function describeOperation(route, { tag, router }) {
+  const { middleware } = route;
+  const collect = (key) => middleware.filter(fn => fn[key]).map(fn => fn[key]);
+
+  const schemas = Object.assign({}, ...collect('schemas'));
+  const [pagination] = collect('pagination');
+  const permissions = collect('permissions').flat();
+  const anyPermissions = collect('anyPermissions').flat();
+  const plugs = collect('plugs').flat();
+  const roles = collect('roles').flat();
+  const authenticated = middleware.includes(authenticate);
+  const inOrg = middleware.includes(requireOrg);
+  const userOnly = middleware.includes(rejectApiTokens);
+
+  const parameters = [];
+  let uuidParams = false;
+
+  for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+    const isUuid = Boolean(router.params?.[name]);
+    uuidParams = uuidParams || isUuid;
+    parameters.push({
+      in: 'path',
+      name,
+      required: true,
+      schema: schemas.params?.properties?.[name] || (isUuid ? fields.uuid : { type: 'string' })
+    });
+  }
+
+  if (inOrg && !/:orgId\b/.test(route.path)) {
+    parameters.push({ in: 'header', name: 'X-Org-Id', required: true, schema: fields.uuid });
+  }
+
+  const requiredQuery = schemas.query?.required || [];
+  for (const [name, schema] of Object.entries(schemas.query?.properties || {})) {
+    parameters.push({ in: 'query', name, required: requiredQuery.includes(name), schema });
+  }
+
+  if (pagination) {
+    parameters.push(
+      { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+      { in: 'query', name: 'sort', schema: { enum: pagination.sorts, default: pagination.sort } },
+      { in: 'query', name: 'order', schema: { enum: ['asc', 'desc'], default: pagination.order } },
+      { in: 'query', name: 'cursor', description: '`nextCursor` from the previous page', schema: { type: 'string' } }
+    );
+  }
+
+  const notes = [
+    permissions.length > 0 && `Requires the permission${permissions.length > 1 ? 's' : ''} ${codeList(permissions)}.`,
+    anyPermissions.length > 0 && `Requires one of the permissions ${codeList(anyPermissions)}.`,
+    plugs.length > 0 && (plugs.length > 1 ? `Requires one of the plugs ${codeList(plugs)}.` : `Requires the ${codeList(plugs)} plug.`),
+    roles.length > 0 && `Only for the org role${roles.length > 1 ? 's' : ''} ${codeList(roles)}.`,
+    userOnly && 'Not available with an API token.'
+  ].filter(Boolean);
+
+  const responses = pagination
+    ? { 200: { $ref: '#/components/responses/Page' } }
+    : { '2XX': { description: 'Success' } };
+  if (schemas.params || schemas.query || schemas.body || pagination || uuidParams) {
+    responses[400] = { $ref: '#/components/responses/ValidationError' };
+  }
+  if (authenticated) {
+    responses[401] = { $ref: '#/components/responses/Unauthorized' };
+  }
+  if (inOrg || notes.length > 0) {
+    responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+
+  return {
+    tags: [tag],
+    ...(notes.length > 0 && { description: notes.join(' ') }),
+    security: authenticated ? [{ bearerAuth: [] }] : [],
+    ...(parameters.length > 0 && { parameters }),
+    ...(schemas.body && {
+      requestBody: {
+        required: (schemas.body.required || []).length > 0,
+        content: { 'application/json': { schema: schemas.body } }
+      }
+    }),
+    responses
+  };
+}
+
+/**
+ * Build the OpenAPI document for a set of routers
+ * @param {Array<[string, Function]>} routers - [mount path, Express router] pairs
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export function buildOpenApiSpec(routers) {
+  const paths = {};
+
+  for (const [prefix, router] of routers) {
+    const tag = prefix.replace(/^\/api\//, '');
+    for (const route of listRoutes(router)) {
+      const path = `${prefix}${route.path === '/' ? '' : route.path}`.replace(/:(\w+)/g, '{$1}');
+      paths[path] = paths[path] || {};
+      paths[path][route.method] = describeOperation(route, { tag, router });
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'PlugOS API',
+      version,
+      description: 'Generated from the route definitions. See docs/api-reference.md for pagination, errors and events.'
+    },
+    paths,
+    components: COMPONENTS
+  };
+}
+
+export default {
+  listRoutes,
+  describeOperation,
+  buildOpenApiSpec
+};
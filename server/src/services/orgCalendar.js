@@ -0,0 +1,153 @@
+/**
+ * Organization Calendar
+ *
+ * Each org sets its timezone, working days, business hours and the month
+ * its fiscal year starts (Settings → Calendar). Anything that talks about
+ * "today", a pay period or a reporting year uses these rather than the
+ * server's clock, so a Kuala Lumpur team clocking in at 7am is counted on
+ * their own date.
+ *
+ * Dates are passed around as 'YYYY-MM-DD' strings in the org's timezone.
+ * In SQL, turn one into the instant it starts with
+ * `($1::date::timestamp AT TIME ZONE $2)` (the date and the timezone).
+ */
+
+import pool from '../config/db.js';
+
+export const DEFAULT_CALENDAR = {
+  timezone: 'UTC',
+  workDays: [1, 2, 3, 4, 5],
+  businessHoursStart: '09:00',
+  businessHoursEnd: '17:00',
+  fiscalYearStartMonth: 1
+};
+
+// Columns of `organizations` that hold the calendar
+export const CALENDAR_COLUMNS = 'timezone, work_days, business_hours_start, business_hours_end, fiscal_year_start_month';
+
+/**
+ * Whether a timezone is a valid IANA name, e.g. "Asia/Kuala_Lumpur"
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turn an `organizations` row into a calendar
+ * @param {Object} row - Row with the CALENDAR_COLUMNS
+ * @returns {{timezone: string, workDays: number[], businessHoursStart: string, businessHoursEnd: string, fiscalYearStartMonth: number}}
+ */
+export function toCalendar(row) {
+  if (!row) return { ...DEFAULT_CALENDAR };
+  return {
+    timezone: row.timezone || DEFAULT_CALENDAR.timezone,
+    workDays: (row.work_days || DEFAULT_CALENDAR.workDays).map(Number),
+    businessHoursStart: (row.business_hours_start || DEFAULT_CALENDAR.businessHoursStart).slice(0, 5),
+    businessHoursEnd: (row.business_hours_end || DEFAULT_CALENDAR.businessHoursEnd).slice(0, 5),
+    fiscalYearStartMonth: Number(row.fiscal_year_start_month || DEFAULT_CALENDAR.fiscalYearStartMonth)
+  };
+}
+
+/**
+ * Load an org's calendar
+ * @param {string} orgId - Organization ID
+ * @param {Object} [db] - Pool or transaction client
+ */
+export async function getOrgCalendar(orgId, db = pool) {
+  const result = await db.query(`SELECT ${CALENDAR_COLUMNS} FROM organizations WHERE id = $1`, [orgId]);
+  return toCalendar(result.rows[0]);
+}
+
+/**
+ * The date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [at] - Instant (default now)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function localDate(timezone, at = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(at)
+      .map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - May be negative
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a date is one of the org's working days
+ * @param {Object} calendar - From getOrgCalendar
+ * @param {string} date - 'YYYY-MM-DD'
+ */
+export function isWorkDay(calendar, date) {
+  return calendar.workDays.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+}
+
+/**
+ * Number of working days from one date to another, both included
+ * @param {Object} calendar - From getOrgCalendar
+ * @param {string} startDate - 'YYYY-MM-DD'
+ * @param {string} endDate - 'YYYY-MM-DD'
+ */
+export function countWorkDays(calendar, startDate, endDate) {
+  let count = 0;
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    if (isWorkDay(calendar, date)) count++;
+  }
+  return count;
+}
+
+/**
+ * Length of the business day in hours
+ * @param {Object} calendar - From getOrgCalendar
+ */
+export function businessHoursPerDay(calendar) {
+  const minutes = (time) => {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+  };
+  return Math.max(0, minutes(calendar.businessHoursEnd) - minutes(calendar.businessHoursStart)) / 60;
+}
+
+/**
+ * First day of the fiscal year a date falls in
+ * @param {Object} calendar - From getOrgCalendar
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function fiscalYearStart(calendar, date) {
+  const [year, month] = date.split('-').map(Number);
+  const startYear = month >= calendar.fiscalYearStartMonth ? year : year - 1;
+  return `${startYear}-${String(calendar.fiscalYearStartMonth).padStart(2, '0')}-01`;
+}
+
+export default {
+  DEFAULT_CALENDAR,
+  isValidTimezone,
+  getOrgCalendar,
+  localDate,
+  addDays,
+  isWorkDay,
+  countWorkDays,
+  businessHoursPerDay,
+  fiscalYearStart
+};
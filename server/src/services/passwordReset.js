@@ -0,0 +1,160 @@
+/**
+ * Password Reset
+ *
+ * "Forgot password" flow: a single-use reset link with an expiry is emailed
+ * to the user. Only a SHA-256 hash of the token is stored. Resetting the
+ * password signs the user out everywhere.
+ *
+ * Requests look up the account and enqueue a job either way, so the route
+ * does the same work and takes the same time whether or not the account
+ * exists. The job only carries the user id (never the address), and sends
+ * nothing when there's no account.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import pool from '../config/db.js';
+import { sendMail } from './mail.js';
+import { revokeAllSessions } from './sessions.js';
+import { defineJob, enqueueJob } from './jobQueue.js';
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+// Don't send more than one reset email per user in this window
+const RESEND_INTERVAL_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getAppUrl = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+/**
+ * Queue a password reset email for the address. Does the same thing whether
+ * or not an account exists, so callers can't be used to find out which
+ * emails are registered.
+ * @param {string} email - Address the user entered
+ * @param {Object} req - Express request (for the requesting IP)
+ */
+export async function requestPasswordReset(email, req) {
+  const userResult = await pool.query(
+    'SELECT id FROM users WHERE LOWER(email) = LOWER($1)',
+    [email]
+  );
+  const userId = userResult.rows[0]?.id || null;
+  await enqueueJob('auth.password_reset', { userId, ip: req.ip || null }, {
+    dedupeKey: userId || 'no-account'
+  });
+}
+
+/**
+ * Email a reset link if the request matched an account
+ * @private
+ * @param {Object} payload - From requestPasswordReset
+ * @param {string|null} payload.userId - Matching user, or null if there's no account
+ * @param {string|null} payload.ip - Requesting IP
+ */
+async function sendPasswordReset({ userId, ip }) {
+  if (!userId) return;
+
+  const userResult = await pool.query(
+    'SELECT id, name, email FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = userResult.rows[0];
+  if (!user) return;
+
+  const recent = await pool.query(`
+    SELECT 1 FROM password_reset_tokens
+    WHERE user_id = $1 AND created_at > NOW() - make_interval(secs => $2)
+  `, [user.id, RESEND_INTERVAL_SECONDS]);
+  if (recent.rows.length > 0) return;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  // Only the newest link works
+  await pool.query(
+    'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+  await pool.query(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+  `, [user.id, hashToken(token), ip, RESET_TOKEN_TTL_MINUTES]);
+
+  const resetUrl = `${getAppUrl()}/reset-password?token=${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your PlugOS password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone asked to reset the password for your PlugOS account.',
+        `Use this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:`,
+        '',
+        resetUrl,
+        '',
+        "If this wasn't you, you can ignore this email. Your password won't change."
+      ].join('\n')
+    });
+  } catch (error) {
+    // Otherwise the retry would see this token as a recent email and skip it
+    await pool.query('DELETE FROM password_reset_tokens WHERE token_hash = $1', [hashToken(token)]);
+    throw error;
+  }
+}
+
+/**
+ * Define the job that sends reset emails
+ */
+export function registerPasswordResetJobs() {
+  defineJob('auth.password_reset', payload => sendPasswordReset(payload));
+}
+
+/**
+ * Set a new password using a reset token and use the token up
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New password (already validated)
+ * @returns {Promise<string|null>} ID of the user whose password changed, or null if the token wasn't valid
+ */
+export async function resetPassword(token, newPassword) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(`
+      UPDATE password_reset_tokens SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `, [hashToken(token)]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+
+    await client.query(
+      'UPDATE users SET password_hash = $1 WHERE id = $2',
+      [passwordHash, userId]
+    );
+
+    await client.query('COMMIT');
+
+    // Whoever knew the old password shouldn't stay signed in
+    await revokeAllSessions(userId);
+    return userId;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  requestPasswordReset,
+  resetPassword,
+  registerPasswordResetJobs
+};
@@ -0,0 +1,337 @@
+/**
+ * Permissions
+ *
+ * Access is granted through permission keys (e.g. `payroll.finalize`) held by
+ * a member's role. Every org has the built-in admin, manager and employee
+ * roles and can define its own. Admins always hold every permission; the
+ * manager and employee permission sets can be changed per org.
+ *
+ * The catalog is the core permissions below plus the permissions SDK plugins
+ * declare in their manifest (stored in `plugin_permissions` on install).
+ */
+
+import pool from '../config/db.js';
+
+// Grants every permission, including plugin permissions added later
+export const ALL_PERMISSIONS = '*';
+
+export const CORE_PERMISSIONS = [
+  { key: 'organization.settings', group: 'Organization', description: 'Change organization settings and security' },
+  { key: 'members.invite', group: 'Organization', description: 'Invite people and add members' },
+  { key: 'members.manage', group: 'Organization', description: 'Change member roles and remove members' },
+  { key: 'roles.manage', group: 'Organization', description: 'Create and edit roles' },
+  { key: 'departments.manage', group: 'Organization', description: 'Manage departments and their plug access' },
+  { key: 'plugs.manage', group: 'Organization', description: 'Enable, disable and organize plugs' },
+  { key: 'audit.view', group: 'Organization', description: 'View and export the audit log' },
+  { key: 'api_keys.manage', group: 'Organization', description: 'Create and revoke org API keys' },
+  { key: 'webhooks.manage', group: 'Organization', description: 'Manage webhooks and redeliver events' },
+  { key: 'currencies.manage', group: 'Organization', description: 'Set the base currency and maintain exchange rates' },
+  { key: 'organization.export', group: 'Organization', description: "Export all of the organization's data" },
+  { key: 'privacy.manage', group: 'Organization', description: "Export and erase former members' personal data" },
+  { key: 'employees.manage', group: 'Employees', description: 'Add, edit and remove employees' },
+  { key: 'employees.reset_password', group: 'Employees', description: "Reset employees' passwords" },
+  { key: 'attendance.view_team', group: 'Attendance', description: "See the team's attendance" },
+  { key: 'leave.review', group: 'Attendance', description: 'Approve or reject leave requests' },
+  { key: 'leave.manage_types', group: 'Attendance', description: 'Manage leave types' },
+  { key: 'payroll.manage', group: 'Payroll', description: 'Manage salaries, pay periods and payslips' },
+  { key: 'payroll.finalize', group: 'Payroll', description: 'Finalize pay periods' },
+  { key: 'expenses.review', group: 'Expenses', description: 'See all expense claims and approve or reject them' },
+  { key: 'expenses.analytics', group: 'Expenses', description: 'See expense analytics' },
+  { key: 'expenses.manage_categories', group: 'Expenses', description: 'Manage expense categories' },
+  { key: 'expenses.delete_any', group: 'Expenses', description: "Delete other people's pending expense claims" },
+  { key: 'documents.upload', group: 'Documents', description: 'Upload documents' },
+  { key: 'documents.manage', group: 'Documents', description: 'Manage folders, folder access and all documents' },
+  { key: 'tasks.manage', group: 'Tasks', description: "Create, edit and delete tasks and update any task's status" },
+  { key: 'workflows.manage', group: 'Workflows', description: 'Create, edit and delete workflows' },
+  { key: 'workflows.run', group: 'Workflows', description: 'Start, cancel and make decisions on workflow runs' },
+  { key: 'education.manage', group: 'Education', description: 'Manage students, classrooms, assignments and grades' }
+];
+
+// Permissions that let a member change the org, its people or their pay and
+// data. When an org requires two-factor authentication, members whose role
+// holds any of these must enrol.
+export const SENSITIVE_PERMISSIONS = [
+  'organization.settings',
+  'members.invite',
+  'members.manage',
+  'roles.manage',
+  'departments.manage',
+  'plugs.manage',
+  'audit.view',
+  'api_keys.manage',
+  'webhooks.manage',
+  'currencies.manage',
+  'organization.export',
+  'privacy.manage',
+  'employees.manage',
+  'employees.reset_password',
+  'attendance.view_team',
+  'leave.review',
+  'payroll.manage',
+  'payroll.finalize',
+  'expenses.review',
+  'documents.manage'
+];
+
+export const BUILT_IN_ROLES = {
+  admin: {
+    name: 'Admin',
+    description: 'Full access to everything',
+    permissions: [ALL_PERMISSIONS]
+  },
+  manager: {
+    name: 'Manager',
+    description: 'Manages people and day-to-day work',
+    permissions: [
+      'members.invite',
+      'employees.manage',
+      'attendance.view_team',
+      'leave.review',
+      'expenses.review',
+      'expenses.analytics',
+      'documents.upload',
+      'documents.manage',
+      'tasks.manage',
+      'workflows.manage',
+      'workflows.run',
+      'education.manage'
+    ]
+  },
+  employee: {
+    name: 'Employee',
+    description: 'Uses the plugs they have access to',
+    permissions: []
+  }
+};
+
+/**
+ * Work out the permissions a role grants
+ * @param {string} role - Role slug
+ * @param {string[]|null} overrides - Permissions stored for the role in org_roles, if any
+ * @returns {Set<string>}
+ */
+export function resolvePermissions(role, overrides = null) {
+  if (role === 'admin') {
+    return new Set([ALL_PERMISSIONS]);
+  }
+  return new Set(overrides || BUILT_IN_ROLES[role]?.permissions || []);
+}
+
+/**
+ * Check a permission set for a permission
+ * @param {Set<string>} permissions - Set from resolvePermissions
+ * @param {string} key - Permission key
+ */
+export function hasPermission(permissions, key) {
+  return permissions.has(ALL_PERMISSIONS) || permissions.has(key);
+}
+
+/**
+ * Whether a permission set includes a sensitive permission, so the org's
+ * two-factor requirement applies to its holder
+ * @param {Set<string>} permissions - Set from resolvePermissions
+ */
+export function holdsSensitivePermission(permissions) {
+  return SENSITIVE_PERMISSIONS.some(key => hasPermission(permissions, key));
+}
+
+/**
+ * All permission keys that can be granted: core plus installed plugins
+ * @returns {Promise<Array<{key: string, group: string, description: string, pluginId?: string}>>}
+ */
+export async function getPermissionCatalog() {
+  const result = await pool.query(`
+    SELECT pp.plugin_id, pp.permission_key, pp.description, sp.name as plugin_name
+    FROM plugin_permissions pp
+    LEFT JOIN sdk_plugins sp ON pp.plugin_id = sp.id
+    ORDER BY sp.name, pp.permission_key
+  `);
+
+  const pluginPermissions = result.rows.map(row => ({
+    key: row.permission_key,
+    group: row.plugin_name || row.plugin_id,
+    description: row.description,
+    pluginId: row.plugin_id
+  }));
+
+  return [...CORE_PERMISSIONS, ...pluginPermissions];
+}
+
+/**
+ * Get a member's role and permissions in an org
+ * @returns {Promise<{role: string, permissions: Set<string>}|null>} Null if not a member
+ */
+export async function getMemberPermissions(userId, orgId) {
+  const result = await pool.query(`
+    SELECT om.role, r.permissions
+    FROM org_members om
+    LEFT JOIN org_roles r ON r.org_id = om.org_id AND r.slug = om.role
+    WHERE om.user_id = $1 AND om.org_id = $2
+  `, [userId, orgId]);
+
+  if (result.rows.length === 0) return null;
+
+  const { role, permissions } = result.rows[0];
+  return { role, permissions: resolvePermissions(role, permissions) };
+}
+
+/**
+ * Add each org's permission list to a list of the user's orgs
+ * @param {Array<{id: string, role: string}>} orgs - Orgs with the user's role
+ */
+export async function attachPermissions(orgs) {
+  if (orgs.length === 0) return orgs;
+
+  const result = await pool.query(
+    'SELECT org_id, slug, permissions FROM org_roles WHERE org_id = ANY($1)',
+    [orgs.map(org => org.id)]
+  );
+
+  return orgs.map(org => {
+    const row = result.rows.find(r => r.org_id === org.id && r.slug === org.role);
+    return { ...org, permissions: [...resolvePermissions(org.role, row?.permissions)] };
+  });
+}
+
+/**
+ * User IDs of the org members who hold a permission
+ * @param {string} orgId - Organization ID
+ * @param {string} key - Permission key
+ * @returns {Promise<string[]>}
+ */
+export async function getMembersWithPermission(orgId, key) {
+  const result = await pool.query(`
+    SELECT om.user_id, om.role, r.permissions
+    FROM org_members om
+    LEFT JOIN org_roles r ON r.org_id = om.org_id AND r.slug = om.role
+    WHERE om.org_id = $1
+  `, [orgId]);
+
+  return result.rows
+    .filter(row => hasPermission(resolvePermissions(row.role, row.permissions), key))
+    .map(row => row.user_id);
+}
+
+/**
+ * List an org's roles: the built-in roles followed by custom roles
+ */
+export async function listRoles(orgId) {
+  const result = await pool.query(`
+    SELECT id, slug, name, description, permissions, created_at
+    FROM org_roles
+    WHERE org_id = $1
+    ORDER BY name
+  `, [orgId]);
+
+  const counts = await pool.query(
+    'SELECT role, COUNT(*) as count FROM org_members WHERE org_id = $1 GROUP BY role',
+    [orgId]
+  );
+  const memberCount = (slug) => parseInt(counts.rows.find(row => row.role === slug)?.count || 0);
+
+  const builtIn = Object.entries(BUILT_IN_ROLES).map(([slug, role]) => {
+    const override = result.rows.find(row => row.slug === slug);
+    return {
+      slug,
+      name: role.name,
+      description: role.description,
+      permissions: [...resolvePermissions(slug, override?.permissions)],
+      builtIn: true,
+      editable: slug !== 'admin',
+      memberCount: memberCount(slug)
+    };
+  });
+
+  const custom = result.rows
+    .filter(row => !BUILT_IN_ROLES[row.slug])
+    .map(row => ({
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      description: row.description,
+      permissions: row.permissions,
+      builtIn: false,
+      editable: true,
+      memberCount: memberCount(row.slug)
+    }));
+
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Check that a role exists in the org and that someone with the given
+ * permissions may hand it out. Nobody can grant a role that holds
+ * permissions they don't have themselves.
+ * @returns {Promise<{status: number, error: string}|null>} Null if allowed
+ */
+export async function checkRoleAssignment(orgId, role, grantorPermissions) {
+  if (role === 'admin') {
+    return grantorPermissions.has(ALL_PERMISSIONS)
+      ? null
+      : { status: 403, error: 'Only admins can grant the admin role' };
+  }
+
+  const result = await pool.query(
+    'SELECT permissions FROM org_roles WHERE org_id = $1 AND slug = $2',
+    [orgId, role]
+  );
+
+  if (!BUILT_IN_ROLES[role] && result.rows.length === 0) {
+    return { status: 400, error: 'Role not found' };
+  }
+
+  const rolePermissions = resolvePermissions(role, result.rows[0]?.permissions);
+  const missing = [...rolePermissions].filter(key => !hasPermission(grantorPermissions, key));
+  if (missing.length > 0) {
+    return {
+      status: 403,
+      error: `You can't grant a role with permissions you don't have (${missing.join(', ')})`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check a permission list for a role being created or edited: every key
+ * must be in the catalog and held by the person making the change.
+ * @returns {Promise<{status: number, error: string}|null>} Null if valid
+ */
+export async function checkRolePermissions(permissions, grantorPermissions) {
+  if (!Array.isArray(permissions) || permissions.some(key => typeof key !== 'string')) {
+    return { status: 400, error: 'Permissions must be a list of permission keys' };
+  }
+
+  const catalog = await getPermissionCatalog();
+  const unknown = permissions.filter(key => !catalog.some(permission => permission.key === key));
+  if (unknown.length > 0) {
+    return { status: 400, error: `Unknown permissions: ${unknown.join(', ')}` };
+  }
+
+  const missing = permissions.filter(key => !hasPermission(grantorPermissions, key));
+  if (missing.length > 0) {
+    return {
+      status: 403,
+      error: `You can't grant permissions you don't have (${missing.join(', ')})`
+    };
+  }
+
+  return null;
+}
+
+export default {
+  ALL_PERMISSIONS,
+  CORE_PERMISSIONS,
+  SENSITIVE_PERMISSIONS,
+  BUILT_IN_ROLES,
+  resolvePermissions,
+  hasPermission,
+  holdsSensitivePermission,
+  getPermissionCatalog,
+  getMemberPermissions,
+  attachPermissions,
+  getMembersWithPermission,
+  listRoles,
+  checkRoleAssignment,
+  checkRolePermissions
+};
@@ -0,0 +1,304 @@
+/**
+ * Personal Data
+ *
+ * Exports what PlugOS holds about a user, and erases users by anonymising
+ * them. Erasure never deletes the user: payslips, salaries, expenses and
+ * attendance keep pointing at the same `users` row, which becomes a
+ * tombstone ("Deleted user", an unusable email and password). Their
+ * employee directory entries are tombstoned the same way, free-text personal
+ * notes (attendance notes, leave reasons) are cleared, and things that only
+ * matter to the person (sessions, tokens, notifications, memberships,
+ * invites) are deleted.
+ *
+ * Audit events are append-only, so entries the user made before erasure
+ * keep the name and email copied into them.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import pool from '../config/db.js';
+
+export const EXPORT_FORMAT = 'plugos-personal-data';
+export const DELETED_USER_NAME = 'Deleted user';
+
+// Tables where an org keeps records about a user (by user_id), used to find the orgs to audit on erasure
+const USER_RECORD_TABLES = ['attendance_records', 'leave_requests', 'employee_salaries', 'payslips', 'expenses'];
+
+/**
+ * Run a query and return its rows as plain JSON (dates stay as they are stored)
+ */
+const jsonRows = async (db, sql, params) => {
+  const result = await db.query(`SELECT row_to_json(t) AS row FROM (${sql}) t`, params);
+  return result.rows.map(({ row }) => row);
+};
+
+/**
+ * Everything one org holds about a user
+ */
+const exportOrgData = async (db, user, org) => {
+  const params = [org.id, user.id];
+  const [employees, attendance, leaveRequests, salaries, payslips, expenses, taskComments, notifications] = await Promise.all([
+    jsonRows(db, `
+      SELECT id, name, email, phone, department, position, avatar_url, created_at
+      FROM employees WHERE org_id = $1 AND LOWER(email) = LOWER($2)
+    `, [org.id, user.email]),
+    jsonRows(db, `
+      SELECT id, clock_in, clock_out, notes, created_at
+      FROM attendance_records WHERE org_id = $1 AND user_id = $2 ORDER BY clock_in
+    `, params),
+    jsonRows(db, `
+      SELECT id, leave_type, start_date, end_date, reason, status, reviewed_at, created_at
+      FROM leave_requests WHERE org_id = $1 AND user_id = $2 ORDER BY start_date
+    `, params),
+    jsonRows(db, `
+      SELECT base_salary, hourly_rate, currency, effective_date, updated_at
+      FROM employee_salaries WHERE org_id = $1 AND user_id = $2
+    `, params),
+    jsonRows(db, `
+      SELECT ps.id, pp.name AS period, pp.start_date, pp.end_date, ps.base_salary, ps.hours_worked,
+             ps.overtime_hours, ps.overtime_pay, ps.deductions, ps.bonuses, ps.gross_pay, ps.net_pay,
+             ps.currency, ps.notes, ps.generated_at
+      FROM payslips ps
+      JOIN payroll_periods pp ON ps.period_id = pp.id
+      WHERE ps.org_id = $1 AND ps.user_id = $2
+      ORDER BY pp.start_date
+    `, params),
+    jsonRows(db, `
+      SELECT e.id, e.title, e.description, e.amount, e.currency, e.expense_date, c.name AS category,
+             e.receipt_data, e.status, e.reviewed_at, e.review_notes, e.created_at
+      FROM expenses e
+      LEFT JOIN expense_categories c ON e.category_id = c.id
+      WHERE e.org_id = $1 AND e.user_id = $2
+      ORDER BY e.expense_date
+    `, params),
+    jsonRows(db, `
+      SELECT tc.id, t.title AS task, tc.content, tc.created_at
+      FROM task_comments tc
+      JOIN tasks t ON tc.task_id = t.id
+      JOIN employees e ON tc.employee_id = e.id
+      WHERE t.org_id = $1 AND LOWER(e.email) = LOWER($2)
+      ORDER BY tc.created_at
+    `, [org.id, user.email]),
+    jsonRows(db, `
+      SELECT id, type, title, message, link, data, read_at, created_at
+      FROM notifications WHERE org_id = $1 AND user_id = $2 ORDER BY created_at
+    `, params)
+  ]);
+
+  return {
+    ...org,
+    employees,
+    attendance,
+    leaveRequests,
+    salaries,
+    payslips,
+    expenses,
+    taskComments,
+    notifications
+  };
+};
+
+/**
+ * Export a user's personal data
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.orgId] - Only this org's records (for an org answering a request);
+ *   by default every org the user belongs to
+ * @returns {Promise<Object|null>} The export, or null if the user doesn't exist
+ */
+export async function exportPersonalData(userId, { orgId = null } = {}) {
+  const userResult = await pool.query(
+    'SELECT id, email, name, totp_enabled, created_at FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = userResult.rows[0];
+  if (!user) return null;
+
+  // An org's own export also covers people who have left it
+  const orgs = orgId
+    ? await jsonRows(pool, `
+        SELECT o.id, o.name, om.role, om.joined_at, d.name AS department
+        FROM organizations o
+        LEFT JOIN org_members om ON om.org_id = o.id AND om.user_id = $2
+        LEFT JOIN departments d ON om.department_id = d.id
+        WHERE o.id = $1
+      `, [orgId, userId])
+    : await jsonRows(pool, `
+        SELECT o.id, o.name, om.role, om.joined_at, d.name AS department
+        FROM org_members om
+        JOIN organizations o ON om.org_id = o.id
+        LEFT JOIN departments d ON om.department_id = d.id
+        WHERE om.user_id = $1
+        ORDER BY o.name
+      `, [userId]);
+
+  const [sessions, organizations] = await Promise.all([
+    orgId ? null : jsonRows(pool, `
+      SELECT user_agent, ip_address, created_at, last_seen_at, expires_at, revoked_at
+      FROM user_sessions WHERE user_id = $1 ORDER BY created_at
+    `, [userId]),
+    Promise.all(orgs.map(org => exportOrgData(pool, user, org)))
+  ]);
+
+  return {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    profile: user,
+    ...(sessions && { sessions }),
+    organizations
+  };
+}
+
+/**
+ * Note that a member left an org. Only people with a departure can be
+ * exported or erased by the org once they are gone.
+ * @param {Object} db - Pool or transaction client
+ * @param {string} orgId - Organization ID
+ * @param {string} userId - User ID
+ */
+export async function recordMemberDeparture(db, orgId, userId) {
+  await db.query(`
+    INSERT INTO org_member_departures (org_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT (org_id, user_id) DO UPDATE SET left_at = NOW()
+  `, [orgId, userId]);
+}
+
+/**
+ * People who were removed from an org and haven't rejoined it
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Array<{id: string, name: string, email: string, created_at: string, left_at: string, other_orgs: number}>>}
+ */
+export async function listFormerMembers(orgId) {
+  const result = await pool.query(`
+    SELECT u.id, u.name, u.email, u.created_at, d.left_at,
+           (SELECT COUNT(*)::int FROM org_members om WHERE om.user_id = u.id) AS other_orgs
+    FROM org_member_departures d
+    JOIN users u ON u.id = d.user_id
+    WHERE d.org_id = $1
+      AND u.anonymized_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM org_members om WHERE om.user_id = u.id AND om.org_id = $1)
+    ORDER BY u.name
+  `, [orgId]);
+  return result.rows;
+}
+
+/**
+ * A user's standing in an org. Having records there isn't enough to be a
+ * former member: only a recorded departure counts.
+ * @param {string} userId - User ID
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<'member'|'former'|null>}
+ */
+export async function getOrgMembership(userId, orgId) {
+  const result = await pool.query(`
+    SELECT
+      EXISTS (SELECT 1 FROM org_members WHERE org_id = $1 AND user_id = $2) AS member,
+      EXISTS (SELECT 1 FROM org_member_departures WHERE org_id = $1 AND user_id = $2) AS former
+  `, [orgId, userId]);
+  const { member, former } = result.rows[0];
+  return member ? 'member' : former ? 'former' : null;
+}
+
+/**
+ * Orgs where the user is the only admin (they can't erase themselves until
+ * someone else is)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+export async function findSoleAdminOrgs(userId) {
+  const result = await pool.query(`
+    SELECT o.id, o.name
+    FROM org_members om
+    JOIN organizations o ON om.org_id = o.id
+    WHERE om.user_id = $1 AND om.role = 'admin'
+      AND NOT EXISTS (
+        SELECT 1 FROM org_members other
+        WHERE other.org_id = om.org_id AND other.role = 'admin' AND other.user_id <> om.user_id
+      )
+  `, [userId]);
+  return result.rows;
+}
+
+/**
+ * Erase a user by replacing their personal data with tombstones, in one
+ * transaction. Records an org keeps (payslips, expenses, attendance times,
+ * task comments) stay, now belonging to "Deleted user".
+ * @param {string} userId - User ID
+ * @returns {Promise<{orgIds: string[]}|null>} Orgs the user had records in, or null if
+ *   the user doesn't exist or was already erased
+ */
+export async function anonymizeUser(userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT email FROM users WHERE id = $1 AND anonymized_at IS NULL FOR UPDATE',
+      [userId]
+    );
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { email } = userResult.rows[0];
+
+    const orgsResult = await client.query(`
+      SELECT org_id FROM org_members WHERE user_id = $1
+      UNION ${USER_RECORD_TABLES.map(table => `SELECT org_id FROM ${table} WHERE user_id = $1`).join(' UNION ')}
+      UNION SELECT org_id FROM employees WHERE LOWER(email) = LOWER($2)
+    `, [userId, email]);
+
+    // Nobody can sign in as the tombstone
+    const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    await client.query(`
+      UPDATE users SET
+        email = $2,
+        name = $3,
+        password_hash = $4,
+        totp_secret = NULL,
+        totp_enabled = FALSE,
+        totp_last_step = NULL,
+        anonymized_at = NOW()
+      WHERE id = $1
+    `, [userId, `deleted-${userId}@deleted.invalid`, DELETED_USER_NAME, unusableHash]);
+
+    await client.query(`
+      UPDATE employees SET
+        name = $2,
+        email = NULL,
+        phone = NULL,
+        avatar_url = NULL,
+        anonymized_at = NOW()
+      WHERE LOWER(email) = LOWER($1)
+    `, [email, DELETED_USER_NAME]);
+
+    await client.query('UPDATE attendance_records SET notes = NULL WHERE user_id = $1', [userId]);
+    await client.query('UPDATE leave_requests SET reason = NULL WHERE user_id = $1', [userId]);
+
+    for (const table of ['user_sessions', 'user_recovery_codes', 'password_reset_tokens', 'api_tokens',
+      'notifications', 'notification_preferences', 'folder_permissions', 'org_members']) {
+      await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+    }
+    await client.query('DELETE FROM employee_invites WHERE LOWER(email) = LOWER($1)', [email]);
+
+    await client.query('COMMIT');
+    return { orgIds: orgsResult.rows.map(row => row.org_id) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  EXPORT_FORMAT,
+  DELETED_USER_NAME,
+  exportPersonalData,
+  recordMemberDeparture,
+  listFormerMembers,
+  getOrgMembership,
+  findSoleAdminOrgs,
+  anonymizeUser
+};
@@ -0,0 +1,88 @@
+/**
+ * Plug Access
+ *
+ * Decides which plugs a member can use in an org. A plug must be enabled for
+ * the org (org_plugs), and if the member belongs to a department, that
+ * department must have been given the plug (department_plugs). Members with
+ * `plugs.manage` and members without a department can use every enabled plug.
+ *
+ * The plug list, the Dashboard summaries and every plug API (via
+ * `requirePlug`) use the same rules, so hiding a plug from a department also
+ * protects its data.
+ */
+
+import pool from '../config/db.js';
+import { hasPermission } from './permissions.js';
+
+/**
+ * Every active plug with whether it's enabled for the org and usable by the
+ * member. Looked up once per request and org; later calls reuse the result.
+ * @param {Object} req - Express request (req.user, and req.permissions from requireOrg)
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Map<string, {id: string, slug: string, name: string, enabled: boolean, accessible: boolean}>>} Keyed by slug
+ */
+export function getPlugAccess(req, orgId) {
+  req.plugAccess = req.plugAccess || new Map();
+
+  if (!req.plugAccess.has(orgId)) {
+    const managesPlugs = hasPermission(req.permissions, 'plugs.manage');
+
+    const lookup = pool.query(`
+      SELECT p.id, p.slug, p.name,
+             op.id IS NOT NULL as enabled,
+             op.id IS NOT NULL AND ($3 OR m.department_id IS NULL OR dp.id IS NOT NULL) as accessible
+      FROM plugs p
+      LEFT JOIN org_plugs op ON op.plug_id = p.id AND op.org_id = $1
+      LEFT JOIN org_members m ON m.org_id = $1 AND m.user_id = $2
+      LEFT JOIN department_plugs dp ON dp.plug_id = p.id AND dp.department_id = m.department_id
+      WHERE p.is_active = true
+    `, [orgId, req.user.id, managesPlugs])
+      .then(result => new Map(result.rows.map(plug => [plug.slug, plug])));
+
+    // Don't cache a failed lookup
+    lookup.catch(() => req.plugAccess.delete(orgId));
+    req.plugAccess.set(orgId, lookup);
+  }
+
+  return req.plugAccess.get(orgId);
+}
+
+/**
+ * Slugs of the plugs the member can use in the org
+ * @param {Object} req - Express request
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<string[]>}
+ */
+export async function getAccessiblePlugSlugs(req, orgId) {
+  const access = await getPlugAccess(req, orgId);
+  return [...access.values()].filter(plug => plug.accessible).map(plug => plug.slug);
+}
+
+/**
+ * Check the member can use at least one of the given plugs
+ * @param {Object} req - Express request
+ * @param {string} orgId - Organization ID
+ * @param {string[]} slugs - Plug slugs; any one of them is enough
+ * @returns {Promise<{status: number, error: string}|null>} Error to send, or null if allowed
+ */
+export async function checkPlugAccess(req, orgId, slugs) {
+  const access = await getPlugAccess(req, orgId);
+  const plugs = slugs.map(slug => access.get(slug)).filter(Boolean);
+
+  if (plugs.some(plug => plug.accessible)) {
+    return null;
+  }
+
+  // Report on the plug the route belongs to (the first one listed)
+  const plug = access.get(slugs[0]);
+  if (!plug || !plugs.some(p => p.enabled)) {
+    return { status: 403, error: `${plug?.name || slugs[0]} plug is not enabled` };
+  }
+  return { status: 403, error: `Your department doesn't have access to ${plug.name}` };
+}
+
+export default {
+  getPlugAccess,
+  getAccessiblePlugSlugs,
+  checkPlugAccess
+};
@@ -0,0 +1,306 @@
+/**
+ * Search
+ *
+ * Global search across the plugs a member can use. Each plug's records are
+ * searched by a provider; built-in plugs have one here and SDK plugins add
+ * theirs with `context.registerSearchProvider`. Providers only run for
+ * members who can use their plug (services/plugAccess.js) and only return
+ * what the member could open in the plug itself (e.g. folder permissions,
+ * other people's expenses).
+ *
+ * Built-in providers use Postgres full-text search on the expressions
+ * indexed by migration 009_search_indexes. Keep the two in sync, or the
+ * indexes won't be used.
+ */
+
+import pool from '../config/db.js';
+import { hasPermission } from './permissions.js';
+import { getAccessiblePlugSlugs } from './plugAccess.js';
+
+export const MIN_QUERY_LENGTH = 2;
+export const DEFAULT_LIMIT = 5;
+export const MAX_LIMIT = 20;
+
+// Provider ID -> provider
+const providers = new Map();
+
+/**
+ * Turn what the user typed into a prefix tsquery string ("inv re" ->
+ * "inv:* & re:*"), so results show up while they type. Only letters and
+ * digits are kept, so the result is always valid tsquery syntax.
+ * @param {string} text - Search text
+ * @returns {string|null} tsquery for `to_tsquery('simple', ...)`, or null if nothing searchable
+ */
+export function toPrefixQuery(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return null;
+  return words.slice(0, 8).map(word => `${word}:*`).join(' & ');
+}
+
+/**
+ * Add a search provider
+ * @param {Object} provider
+ * @param {string} provider.id - Unique ID, also the group ID in results
+ * @param {string} provider.label - Group heading, e.g. "Tasks"
+ * @param {string} [provider.icon] - Iconify icon for the group
+ * @param {string} [provider.plug] - Only run for members who can use this plug (slug)
+ * @param {string} [provider.permission] - Only run for members with this permission
+ * @param {Function} provider.search - async ({ query, tsQuery, orgId, userId, permissions, limit }) =>
+ *   [{ id, title, subtitle, link }]
+ */
+export function registerSearchProvider(provider) {
+  if (!provider.id || typeof provider.search !== 'function') {
+    throw new Error('Search providers need an id and a search function');
+  }
+  if (providers.has(provider.id)) {
+    throw new Error(`Search provider "${provider.id}" is already registered`);
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Remove a search provider
+ * @param {string} id - Provider ID
+ */
+export function unregisterSearchProvider(id) {
+  providers.delete(id);
+}
+
+/**
+ * Search everything the member can see in an org
+ * @param {Object} req - Express request (req.user, req.permissions from requireOrg)
+ * @param {string} orgId - Organization ID
+ * @param {string} query - Search text
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Results per group
+ * @param {string} [options.provider] - Only search this provider
+ * @returns {Promise<Array<{id: string, label: string, icon: string, plug: string|null, results: Object[]}>>}
+ *   Groups with at least one result, in provider order
+ */
+export async function search(req, orgId, query, { limit = DEFAULT_LIMIT, provider: only = null } = {}) {
+  const tsQuery = toPrefixQuery(query);
+  if (!tsQuery) return [];
+
+  const accessiblePlugs = new Set(await getAccessiblePlugSlugs(req, orgId));
+  const eligible = [...providers.values()].filter(provider =>
+    (!only || provider.id === only) &&
+    (!provider.plug || accessiblePlugs.has(provider.plug)) &&
+    (!provider.permission || hasPermission(req.permissions, provider.permission))
+  );
+
+  // One failing provider (e.g. a plugin's) shouldn't break search for the rest
+  const groups = await Promise.all(eligible.map(async (provider) => {
+    try {
+      const results = await provider.search({
+        query,
+        tsQuery,
+        orgId,
+        userId: req.user.id,
+        permissions: req.permissions,
+        limit
+      });
+      return {
+        id: provider.id,
+        label: provider.label || provider.id,
+        icon: provider.icon || 'mdi:magnify',
+        plug: provider.plug || null,
+        results: (results || []).slice(0, limit)
+      };
+    } catch (error) {
+      console.error(`Search provider "${provider.id}" error:`, error);
+      return null;
+    }
+  }));
+
+  return groups.filter(group => group?.results.length > 0);
+}
+
+// ==================== BUILT-IN PROVIDERS ====================
+
+registerSearchProvider({
+  id: 'employees',
+  label: 'Employees',
+  icon: 'mdi:account-group',
+  plug: 'employee-directory',
+  search: async ({ tsQuery, orgId, limit }) => {
+    const { rows } = await pool.query(`
+      SELECT id, name, email, position, department
+      FROM employees
+      WHERE org_id = $1
+        AND to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(position, '') || ' ' || coalesce(department, ''))
+          @@ to_tsquery('simple', $2)
+      ORDER BY name
+      LIMIT $3
+    `, [orgId, tsQuery, limit]);
+
+    return rows.map(employee => ({
+      id: employee.id,
+      title: employee.name,
+      subtitle: [employee.position, employee.department, employee.email].filter(Boolean).join(' · '),
+      link: `/employees?search=${encodeURIComponent(employee.name)}`
+    }));
+  }
+});
+
+registerSearchProvider({
+  id: 'tasks',
+  label: 'Tasks',
+  icon: 'mdi:clipboard-check-outline',
+  plug: 'task-manager',
+  search: async ({ tsQuery, orgId, limit }) => {
+    // Tasks matching on title or description, then tasks with a matching comment
+    const { rows } = await pool.query(`
+      (
+        SELECT t.id, t.title, t.status, NULL as comment, t.updated_at as sort_at
+        FROM tasks t
+        WHERE t.org_id = $1
+          AND to_tsvector('simple', coalesce(t.title, '') || ' ' || coalesce(t.description, '')) @@ to_tsquery('simple', $2)
+        ORDER BY t.updated_at DESC
+        LIMIT $3
+      )
+      UNION ALL
+      (
+        SELECT t.id, t.title, t.status, tc.content as comment, tc.created_at as sort_at
+        FROM task_comments tc
+        JOIN tasks t ON t.id = tc.task_id
+        WHERE t.org_id = $1
+          AND to_tsvector('simple', tc.content) @@ to_tsquery('simple', $2)
+        ORDER BY tc.created_at DESC
+        LIMIT $3
+      )
+    `, [orgId, tsQuery, limit]);
+
+    const seen = new Set();
+    return rows
+      .filter(task => !seen.has(task.id) && seen.add(task.id))
+      .map(task => ({
+        id: task.id,
+        title: task.title,
+        subtitle: task.comment ? `Comment: ${task.comment.slice(0, 100)}` : task.status,
+        link: `/tasks?task=${task.id}`
+      }));
+  }
+});
+
+registerSearchProvider({
+  id: 'documents',
+  label: 'Documents',
+  icon: 'mdi:file-document-multiple',
+  plug: 'document-manager',
+  search: async ({ tsQuery, orgId, userId, permissions, limit }) => {
+    // Same folder rules as the Document Manager: open folders (no
+    // permissions set), or ones granted to the member or their department
+    const { rows } = await pool.query(`
+      SELECT d.id, d.name, d.folder_id, f.name as folder_name
+      FROM documents d
+      LEFT JOIN document_folders f ON f.id = d.folder_id
+      LEFT JOIN org_members m ON m.org_id = d.org_id AND m.user_id = $3
+      WHERE d.org_id = $1
+        AND to_tsvector('simple', d.name) @@ to_tsquery('simple', $2)
+        AND (
+          $4
+          OR d.folder_id IS NULL
+          OR NOT EXISTS (SELECT 1 FROM folder_permissions fp WHERE fp.folder_id = d.folder_id)
+          OR EXISTS (
+            SELECT 1 FROM folder_permissions fp
+            WHERE fp.folder_id = d.folder_id
+              AND (fp.user_id = $3 OR (m.department_id IS NOT NULL AND fp.department_id = m.department_id))
+          )
+        )
+      ORDER BY d.updated_at DESC
+      LIMIT $5
+    `, [orgId, tsQuery, userId, hasPermission(permissions, 'documents.manage'), limit]);
+
+    return rows.map(document => ({
+      id: document.id,
+      title: document.name,
+      subtitle: document.folder_name || 'Home',
+      link: `/documents?${document.folder_id ? `folder=${document.folder_id}&` : ''}search=${encodeURIComponent(document.name)}`
+    }));
+  }
+});
+
+registerSearchProvider({
+  id: 'expenses',
+  label: 'Expenses',
+  icon: 'mdi:receipt-text',
+  plug: 'expense-manager',
+  search: async ({ tsQuery, orgId, userId, permissions, limit }) => {
+    // Reviewers can find anyone's claims, other members only their own
+    const canReview = hasPermission(permissions, 'expenses.review');
+    const { rows } = await pool.query(`
+      SELECT e.id, e.title, e.amount, e.currency, e.status, e.user_id, u.name as user_name
+      FROM expenses e
+      JOIN users u ON u.id = e.user_id
+      WHERE e.org_id = $1
+        AND to_tsvector('simple', coalesce(e.title, '') || ' ' || coalesce(e.description, '')) @@ to_tsquery('simple', $2)
+        AND ($3 OR e.user_id = $4)
+      ORDER BY e.expense_date DESC
+      LIMIT $5
+    `, [orgId, tsQuery, canReview, userId, limit]);
+
+    return rows.map(expense => ({
+      id: expense.id,
+      title: expense.title,
+      subtitle: `${expense.currency} ${expense.amount} · ${expense.status}${expense.user_id === userId ? '' : ` · ${expense.user_name}`}`,
+      link: `/expenses?tab=${expense.user_id === userId ? 'my-expenses' : 'all-expenses'}`
+    }));
+  }
+});
+
+registerSearchProvider({
+  id: 'workflows',
+  label: 'Workflows',
+  icon: 'mdi:sitemap',
+  plug: 'workflow-builder',
+  search: async ({ tsQuery, orgId, limit }) => {
+    const { rows } = await pool.query(`
+      SELECT id, name, description
+      FROM workflows
+      WHERE org_id = $1
+        AND to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(description, '')) @@ to_tsquery('simple', $2)
+      ORDER BY updated_at DESC
+      LIMIT $3
+    `, [orgId, tsQuery, limit]);
+
+    return rows.map(workflow => ({
+      id: workflow.id,
+      title: workflow.name,
+      subtitle: workflow.description || '',
+      link: `/workflows?workflow=${workflow.id}`
+    }));
+  }
+});
+
+registerSearchProvider({
+  id: 'classrooms',
+  label: 'Classrooms',
+  icon: 'mdi:school',
+  plug: 'education-manager',
+  search: async ({ tsQuery, orgId, limit }) => {
+    const { rows } = await pool.query(`
+      SELECT id, data->>'name' as name, data->>'subject' as subject, data->>'description' as description
+      FROM edu_classrooms
+      WHERE org_id = $1
+        AND to_tsvector('simple', coalesce(data->>'name', '') || ' ' || coalesce(data->>'subject', '') || ' ' || coalesce(data->>'description', ''))
+          @@ to_tsquery('simple', $2)
+      ORDER BY updated_at DESC
+      LIMIT $3
+    `, [orgId, tsQuery, limit]);
+
+    return rows.map(classroom => ({
+      id: classroom.id,
+      title: classroom.name,
+      subtitle: classroom.subject || classroom.description || '',
+      link: `/education?classroom=${encodeURIComponent(classroom.id)}`
+    }));
+  }
+});
+
+export default {
+  MIN_QUERY_LENGTH,
+  toPrefixQuery,
+  registerSearchProvider,
+  unregisterSearchProvider,
+  search
+};
@@ -0,0 +1,152 @@
+/**
+ * Sessions
+ *
+ * Every sign-in creates a server-side session. Clients get a short-lived JWT
+ * access token bound to the session plus an opaque refresh token, which is
+ * stored only as a SHA-256 hash and rotated on every use. Revoking a session
+ * stops both its refresh token and any access tokens issued for it.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from '../config/db.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent']?.slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Create a session for a user who has just signed in
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request (for device and IP)
+ * @param {Object} [db] - Client to use, e.g. inside a transaction
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+export async function createSession(userId, req, db = pool) {
+  const refreshToken = generateRefreshToken();
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  // Housekeeping: drop this user's sessions that can no longer be used
+  await db.query(`
+    DELETE FROM user_sessions
+    WHERE user_id = $1 AND (expires_at < NOW() OR revoked_at < NOW() - INTERVAL '30 days')
+  `, [userId]);
+
+  const result = await db.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+    RETURNING id
+  `, [userId, hashToken(refreshToken), userAgent, ipAddress, REFRESH_TOKEN_TTL_DAYS]);
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: signAccessToken(userId, sessionId),
+    refreshToken,
+    sessionId
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting a refresh token that was already rotated means it was copied,
+ * so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request (for device and IP)
+ * @returns {Promise<Object|null>} New tokens, or null if the token is not valid
+ */
+export async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const { userAgent, ipAddress } = getClientInfo(req);
+  const newRefreshToken = generateRefreshToken();
+
+  const result = await pool.query(`
+    UPDATE user_sessions
+    SET refresh_token_hash = $1,
+        previous_token_hash = refresh_token_hash,
+        user_agent = COALESCE($2, user_agent),
+        ip_address = COALESCE($3, ip_address),
+        last_seen_at = NOW(),
+        expires_at = NOW() + make_interval(days => $4)
+    WHERE refresh_token_hash = $5 AND revoked_at IS NULL AND expires_at > NOW()
+    RETURNING id, user_id
+  `, [hashToken(newRefreshToken), userAgent, ipAddress, REFRESH_TOKEN_TTL_DAYS, tokenHash]);
+
+  if (result.rows.length === 0) {
+    await pool.query(`
+      UPDATE user_sessions SET revoked_at = NOW()
+      WHERE previous_token_hash = $1 AND revoked_at IS NULL
+    `, [tokenHash]);
+    return null;
+  }
+
+  const { id: sessionId, user_id: userId } = result.rows[0];
+
+  return {
+    token: signAccessToken(userId, sessionId),
+    refreshToken: newRefreshToken,
+    sessionId
+  };
+}
+
+/**
+ * List a user's active sessions
+ * @param {string} userId - User ID
+ */
+export async function listSessions(userId) {
+  const result = await pool.query(`
+    SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+    FROM user_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_seen_at DESC
+  `, [userId]);
+  return result.rows;
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export async function revokeSession(userId, sessionId) {
+  const result = await pool.query(`
+    UPDATE user_sessions SET revoked_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+  `, [sessionId, userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(userId, exceptSessionId = null) {
+  const result = await pool.query(`
+    UPDATE user_sessions SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id != $2)
+  `, [userId, exceptSessionId]);
+  return result.rowCount;
+}
+
+export default {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,580 @@
+/**
+ * Tenant Archive
+ *
+ * Exports everything an org owns into one JSON archive, and imports an
+ * archive as a new org on this or another PlugOS instance. The archive
+ * holds the org's row, the rows of every table in ARCHIVE_TABLES, and the
+ * users and plugs those rows point at (users by email, plugs by slug, as
+ * their IDs differ between instances).
+ *
+ * Import checks the whole archive before writing anything, then inserts it
+ * in one transaction with new UUIDs. IDs mentioned inside JSON columns
+ * (workflow graphs, notification data, education records) and notification
+ * links are swapped for the new ones too. The archive is written by
+ * whoever uploads it, so only the importer is matched to their existing
+ * account. Everyone else gets a new account with a placeholder email and an
+ * unusable password, since the archive's addresses are only the uploader's
+ * word. Members whose email is free here are invited to the new org with
+ * that email; joining through the invite hands them the imported account
+ * (`employee_invites.claims_user_id`).
+ *
+ * Not included: the audit log, API tokens, webhooks (their secrets belong
+ * to the old instance), sessions, jobs, the record of who left the org (so
+ * an archive can't make someone erasable) and SDK plugins' own tables.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import pool from '../config/db.js';
+import { readMigrations, CORE_MIGRATIONS_DIR } from '../config/migrator.js';
+
+export const ARCHIVE_FORMAT = 'plugos-tenant';
+export const ARCHIVE_VERSION = 1;
+
+// Problems reported by validation before it stops looking
+const MAX_ERRORS = 100;
+// Rows inserted per statement
+const BATCH_SIZE = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMBEDDED_UUID = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const inDepartments = 'department_id IN (SELECT id FROM departments WHERE org_id = $1)';
+const inDocuments = 'document_id IN (SELECT id FROM documents WHERE org_id = $1)';
+const inFolders = 'folder_id IN (SELECT id FROM document_folders WHERE org_id = $1)';
+const inTasks = 'task_id IN (SELECT id FROM tasks WHERE org_id = $1)';
+const inRuns = 'run_id IN (SELECT id FROM workflow_runs WHERE org_id = $1)';
+
+/**
+ * Tables in an archive, parents before children (the order they're inserted in).
+ * - where: finds the org's rows ($1 is the org ID). Default `org_id = $1`;
+ *   tables without an org_id column are found through their parent.
+ * - key: primary key that gets a new UUID, or null to keep it (org-scoped keys)
+ * - refs: column -> table it points at. 'users' and 'plugs' are the
+ *   archive's user and plug lists.
+ * - links: text columns that may mention IDs
+ */
+export const ARCHIVE_TABLES = [
+  { name: 'departments' },
+  { name: 'org_roles' },
+  { name: 'plug_categories' },
+  { name: 'org_plugs', refs: { plug_id: 'plugs', category_id: 'plug_categories' } },
+  { name: 'department_plugs', where: inDepartments, refs: { department_id: 'departments', plug_id: 'plugs' } },
+  { name: 'org_members', refs: { user_id: 'users', department_id: 'departments' } },
+  { name: 'employee_invites', refs: { department_id: 'departments', invited_by: 'users', claims_user_id: 'users' } },
+  { name: 'employees' },
+  { name: 'document_folders', refs: { parent_id: 'document_folders', created_by: 'users' } },
+  { name: 'documents', refs: { folder_id: 'document_folders', uploaded_by: 'users' } },
+  { name: 'document_content', where: inDocuments, refs: { document_id: 'documents' } },
+  { name: 'folder_permissions', where: inFolders, refs: { folder_id: 'document_folders', department_id: 'departments', user_id: 'users' } },
+  { name: 'tasks', refs: { assignee_id: 'employees', created_by: 'employees' } },
+  { name: 'task_comments', where: inTasks, refs: { task_id: 'tasks', employee_id: 'employees' } },
+  { name: 'task_assignees', where: inTasks, refs: { task_id: 'tasks', employee_id: 'employees', department_id: 'departments' } },
+  { name: 'workflows', refs: { created_by: 'users' } },
+  { name: 'workflow_runs', refs: { workflow_id: 'workflows', started_by: 'users' } },
+  { name: 'workflow_run_steps', where: inRuns, refs: { run_id: 'workflow_runs', task_id: 'tasks' } },
+  { name: 'attendance_records', refs: { user_id: 'users' } },
+  { name: 'leave_types' },
+  { name: 'leave_requests', refs: { user_id: 'users', reviewed_by: 'users' } },
+  { name: 'employee_salaries', refs: { user_id: 'users' } },
+  { name: 'payroll_periods', refs: { created_by: 'users' } },
+  { name: 'payslips', refs: { user_id: 'users', period_id: 'payroll_periods' } },
+  { name: 'expense_categories' },
+  { name: 'expenses', refs: { user_id: 'users', category_id: 'expense_categories', reviewed_by: 'users' } },
+  { name: 'exchange_rates', refs: { created_by: 'users' } },
+  { name: 'notifications', refs: { user_id: 'users', actor_id: 'users' }, links: ['link'] },
+  { name: 'notification_preferences', key: null, refs: { user_id: 'users' } },
+  { name: 'edu_students', key: null },
+  { name: 'edu_classrooms', key: null },
+  { name: 'edu_assignments', key: null },
+  { name: 'edu_submissions', key: null },
+  { name: 'edu_announcements', key: null }
+].map(table => ({ key: 'id', refs: {}, links: [], ...table, scoped: !table.where, where: table.where || 'org_id = $1' }));
+
+const TABLES_BY_NAME = new Map(ARCHIVE_TABLES.map(table => [table.name, table]));
+
+// Latest core migration, so an archive isn't imported into an older schema
+const currentSchemaVersion = () => {
+  const migrations = readMigrations(CORE_MIGRATIONS_DIR);
+  return migrations.length > 0 ? Number(migrations[migrations.length - 1].version) : 0;
+};
+
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+
+/**
+ * Columns of each table on this instance
+ * @private
+ * @returns {Promise<Map<string, Map<string, {required: boolean, json: boolean}>>>}
+ */
+async function loadColumns(db, tableNames) {
+  const result = await db.query(`
+    SELECT table_name, column_name, is_nullable, column_default, data_type
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = ANY($1)
+  `, [tableNames]);
+
+  const columns = new Map(tableNames.map(name => [name, new Map()]));
+  for (const row of result.rows) {
+    columns.get(row.table_name).set(row.column_name, {
+      required: row.is_nullable === 'NO' && row.column_default === null,
+      json: row.data_type === 'json' || row.data_type === 'jsonb'
+    });
+  }
+  return columns;
+}
+
+/**
+ * Export an org
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object|null>} The archive, or null if the org doesn't exist
+ */
+export async function exportTenant(orgId) {
+  const client = await pool.connect();
+  try {
+    // One snapshot, so rows added during the export can't point at missing ones
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+    const orgResult = await client.query('SELECT row_to_json(o) AS row FROM organizations o WHERE id = $1', [orgId]);
+    if (orgResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const tables = {};
+    const referenced = { users: new Set(), plugs: new Set() };
+    for (const table of ARCHIVE_TABLES) {
+      const { rows } = await client.query(`SELECT row_to_json(t) AS row FROM ${table.name} t WHERE ${table.where}`, [orgId]);
+      tables[table.name] = rows.map(({ row }) => {
+        delete row.org_id;
+        for (const [column, target] of Object.entries(table.refs)) {
+          if (referenced[target] && row[column]) referenced[target].add(row[column]);
+        }
+        return row;
+      });
+    }
+
+    const users = await client.query(
+      'SELECT id, email, name FROM users WHERE id = ANY($1) ORDER BY email',
+      [[...referenced.users]]
+    );
+    const plugs = await client.query(
+      'SELECT id, slug, name FROM plugs WHERE id = ANY($1) ORDER BY slug',
+      [[...referenced.plugs]]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      schemaVersion: currentSchemaVersion(),
+      exportedAt: new Date().toISOString(),
+      organization: orgResult.rows[0].row,
+      users: users.rows,
+      plugs: plugs.rows,
+      tables
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Number of rows per table in an archive
+ * @param {Object} archive
+ * @returns {Object<string, number>}
+ */
+export function countRows(archive) {
+  return Object.fromEntries(
+    ARCHIVE_TABLES.map(table => [table.name, archive.tables?.[table.name]?.length || 0])
+  );
+}
+
+/**
+ * Put rows that point at another row of the same table (e.g. subfolders)
+ * after the row they point at
+ * @private
+ * @returns {Object[]|null} The rows in insert order, or null if they loop
+ */
+function parentsFirst(rows, table) {
+  const selfRefs = Object.entries(table.refs).filter(([, target]) => target === table.name).map(([column]) => column);
+  if (selfRefs.length === 0) return rows;
+
+  const byId = new Map(rows.map(row => [row[table.key], row]));
+  const ordered = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const visit = (row) => {
+    const id = row[table.key];
+    if (state.get(id) === 'done') return true;
+    if (state.get(id) === 'visiting') return false;
+    state.set(id, 'visiting');
+    for (const column of selfRefs) {
+      const parent = byId.get(row[column]);
+      if (parent && !visit(parent)) return false;
+    }
+    state.set(id, 'done');
+    ordered.push(row);
+    return true;
+  };
+
+  return rows.every(visit) ? ordered : null;
+}
+
+/**
+ * Check an archive can be imported here
+ * @param {Object} archive - Parsed archive
+ * @param {Object} options
+ * @param {string} options.userId - User importing it; must be an admin of the org in the archive
+ * @param {string} [options.name] - Name for the new org (default: the archive's)
+ * @param {string} [options.slug] - Slug for the new org (default: the archive's)
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<{errors: Array<{path: string, error: string}>, organization: Object, counts: Object}>}
+ */
+export async function validateArchive(archive, { userId, name, slug }, db = pool) {
+  const errors = [];
+  const fail = (path, error) => {
+    if (errors.length < MAX_ERRORS) errors.push({ path, error });
+  };
+  const result = () => ({
+    errors,
+    organization: { name: name || archive?.organization?.name, slug: slug || archive?.organization?.slug },
+    counts: archive?.tables ? countRows(archive) : {}
+  });
+
+  if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+    fail('format', `Not a PlugOS tenant archive (format should be "${ARCHIVE_FORMAT}")`);
+    return result();
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    fail('version', `Archive version ${archive.version} isn't supported (expected ${ARCHIVE_VERSION})`);
+    return result();
+  }
+  if (Number(archive.schemaVersion) > currentSchemaVersion()) {
+    fail('schemaVersion', 'The archive comes from a newer PlugOS. Update this instance first');
+  }
+
+  // The organization
+  const org = archive.organization;
+  const orgName = name || org?.name;
+  const orgSlug = slug || org?.slug;
+  if (!org || typeof org !== 'object' || !UUID_PATTERN.test(org.id || '')) {
+    fail('organization', 'Organization details are missing');
+    return result();
+  }
+  if (typeof orgName !== 'string' || !orgName.trim()) {
+    fail('organization.name', 'Organization name is required');
+  }
+  if (typeof orgSlug !== 'string' || !SLUG_PATTERN.test(orgSlug)) {
+    fail('organization.slug', 'Slug must be lowercase letters, numbers and dashes');
+  } else {
+    const existing = await db.query('SELECT id FROM organizations WHERE slug = $1', [orgSlug]);
+    if (existing.rows.length > 0) {
+      fail('organization.slug', `An organization with the slug "${orgSlug}" already exists. Choose another slug`);
+    }
+  }
+
+  // Users and plugs the rows point at
+  const ids = { users: new Set(), plugs: new Set() };
+  const emails = new Set();
+  const users = Array.isArray(archive.users) ? archive.users : [];
+  if (!Array.isArray(archive.users)) fail('users', 'users must be a list');
+  users.forEach((user, i) => {
+    if (!user || !UUID_PATTERN.test(user.id || '') || ids.users.has(user.id)) {
+      fail(`users[${i}].id`, 'Missing or duplicate ID');
+    } else {
+      ids.users.add(user.id);
+    }
+    if (typeof user?.email !== 'string' || !user.email.includes('@')) {
+      fail(`users[${i}].email`, 'A valid email is required');
+    } else if (emails.has(user.email.trim().toLowerCase())) {
+      fail(`users[${i}].email`, 'Another user in the archive has this email');
+    } else {
+      emails.add(user.email.trim().toLowerCase());
+    }
+    if (typeof user?.name !== 'string' || !user.name.trim()) fail(`users[${i}].name`, 'Name is required');
+  });
+
+  const plugs = Array.isArray(archive.plugs) ? archive.plugs : [];
+  if (!Array.isArray(archive.plugs)) fail('plugs', 'plugs must be a list');
+  const installed = await db.query('SELECT slug FROM plugs WHERE slug = ANY($1)', [plugs.map(plug => plug?.slug)]);
+  const installedSlugs = new Set(installed.rows.map(row => row.slug));
+  plugs.forEach((plug, i) => {
+    if (!plug || !UUID_PATTERN.test(plug.id || '')) {
+      fail(`plugs[${i}].id`, 'Missing ID');
+    } else if (!installedSlugs.has(plug.slug)) {
+      fail(`plugs[${i}].slug`, `The "${plug.slug}" plug isn't available on this instance`);
+    } else {
+      ids.plugs.add(plug.id);
+    }
+  });
+
+  // Tables
+  if (!archive.tables || typeof archive.tables !== 'object') {
+    fail('tables', 'tables are missing');
+    return result();
+  }
+  for (const tableName of Object.keys(archive.tables)) {
+    if (!TABLES_BY_NAME.has(tableName)) fail(`tables.${tableName}`, 'Unknown table');
+  }
+
+  const columns = await loadColumns(db, ARCHIVE_TABLES.map(table => table.name));
+  const tableRows = (table) => archive.tables[table.name] ?? [];
+
+  // Collect every row's key first, so references can point forwards
+  for (const table of ARCHIVE_TABLES) {
+    const rows = tableRows(table);
+    if (!Array.isArray(rows)) {
+      fail(`tables.${table.name}`, 'Must be a list of rows');
+      continue;
+    }
+    if (!table.key) continue;
+    const keys = new Set();
+    rows.forEach((row, i) => {
+      const key = row?.[table.key];
+      if (!UUID_PATTERN.test(key || '') || keys.has(key)) {
+        fail(`tables.${table.name}[${i}].${table.key}`, 'Missing or duplicate ID');
+      } else {
+        keys.add(key);
+      }
+    });
+    ids[table.name] = keys;
+  }
+
+  for (const table of ARCHIVE_TABLES) {
+    const rows = tableRows(table);
+    if (!Array.isArray(rows)) continue;
+    const tableColumns = columns.get(table.name);
+
+    rows.forEach((row, i) => {
+      const path = `tables.${table.name}[${i}]`;
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        fail(path, 'Must be an object');
+        return;
+      }
+      for (const column of Object.keys(row)) {
+        if (!tableColumns.has(column)) fail(`${path}.${column}`, 'Unknown column');
+      }
+      for (const [column, { required }] of tableColumns) {
+        if (required && column !== 'org_id' && column !== table.key && (row[column] === undefined || row[column] === null)) {
+          fail(`${path}.${column}`, 'Required');
+        }
+      }
+      for (const [column, target] of Object.entries(table.refs)) {
+        const value = row[column];
+        if (value !== undefined && value !== null && !ids[target]?.has(value)) {
+          fail(`${path}.${column}`, target === 'users' || target === 'plugs'
+            ? `Points at a ${target.slice(0, -1)} that isn't in the archive`
+            : `Points at a row in ${target} that isn't in the archive`);
+        }
+      }
+    });
+
+    if (rows.every(row => row && typeof row === 'object') && !parentsFirst(rows, table)) {
+      fail(`tables.${table.name}`, 'Rows point at each other in a loop');
+    }
+  }
+
+  // Only an admin of the exported org can bring it in
+  const importer = await db.query('SELECT email FROM users WHERE id = $1', [userId]);
+  const importerEmail = importer.rows[0]?.email?.toLowerCase();
+  const archivedImporter = users.find(user => typeof user?.email === 'string' && user.email.toLowerCase() === importerEmail);
+  const importerIsAdmin = archivedImporter && Array.isArray(archive.tables.org_members) &&
+    archive.tables.org_members.some(member => member?.user_id === archivedImporter.id && member.role === 'admin');
+  if (!importerIsAdmin) {
+    fail('users', 'You can only import an organization you are an admin of in the archive');
+  }
+
+  return result();
+}
+
+/**
+ * Replace old IDs mentioned in a value (strings, and inside JSON) with new ones
+ * @private
+ */
+function remapEmbedded(value, ids) {
+  if (typeof value === 'string') {
+    return value.replace(EMBEDDED_UUID, id => ids.get(id.toLowerCase()) || id);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapEmbedded(item, ids));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [remapEmbedded(key, ids), remapEmbedded(item, ids)]));
+  }
+  return value;
+}
+
+/**
+ * Insert rows with json_populate_recordset, which turns JSON values back
+ * into each column's type
+ * @private
+ */
+async function insertRows(client, tableName, rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))].map(quote).join(', ');
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await client.query(
+      `INSERT INTO ${tableName} (${columns}) SELECT ${columns} FROM json_populate_recordset(NULL::${tableName}, $1::json)`,
+      [JSON.stringify(rows.slice(i, i + BATCH_SIZE))]
+    );
+  }
+}
+
+/**
+ * Import an archive as a new org. Validates it first and writes nothing if
+ * it has problems.
+ * @param {Object} archive - Parsed archive
+ * @param {Object} options - Same as validateArchive
+ * @returns {Promise<{errors: Array}|{orgId: string, name: string, slug: string, counts: Object, createdUsers: number, invitedUsers: number, unlinkedUsers: number}>}
+ */
+export async function importTenant(archive, { userId, name, slug }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { errors, organization, counts } = await validateArchive(archive, { userId, name, slug }, client);
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return { errors };
+    }
+
+    // Old ID -> new ID, for rows, users, plugs and the org itself
+    const ids = new Map();
+    const orgId = crypto.randomUUID();
+    ids.set(archive.organization.id.toLowerCase(), orgId);
+
+    // The importer keeps their account; everyone else gets a new one with a
+    // placeholder email and a password nobody knows (validateArchive checked
+    // the importer is in it)
+    const importer = await client.query('SELECT id, email FROM users WHERE id = $1', [userId]);
+    const importerEmail = importer.rows[0].email.toLowerCase();
+    let createdUsers = 0;
+    let unusableHash = null;
+    // Old user ID -> { userId, email } for archived emails with no account here
+    const claimable = new Map();
+    for (const user of archive.users) {
+      if (user.email.toLowerCase() === importerEmail) {
+        ids.set(user.id.toLowerCase(), userId);
+        continue;
+      }
+      const newId = crypto.randomUUID();
+      unusableHash ||= await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+      await client.query(
+        'INSERT INTO users (id, email, password_hash, name) VALUES ($1, $2, $3, $4)',
+        [newId, `imported-${newId}@imported.invalid`, unusableHash, user.name.trim()]
+      );
+      ids.set(user.id.toLowerCase(), newId);
+      createdUsers++;
+
+      const taken = await client.query('SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)', [user.email]);
+      if (taken.rows.length === 0) {
+        claimable.set(user.id.toLowerCase(), { userId: newId, email: user.email.trim().toLowerCase() });
+      }
+    }
+
+    const plugs = await client.query('SELECT id, slug FROM plugs WHERE slug = ANY($1)', [archive.plugs.map(plug => plug.slug)]);
+    const plugIds = new Map(plugs.rows.map(plug => [plug.slug, plug.id]));
+    for (const plug of archive.plugs) {
+      ids.set(plug.id.toLowerCase(), plugIds.get(plug.slug));
+    }
+
+    for (const table of ARCHIVE_TABLES) {
+      if (!table.key) continue;
+      for (const row of archive.tables[table.name] || []) {
+        ids.set(row[table.key].toLowerCase(), crypto.randomUUID());
+      }
+    }
+
+    const columns = await loadColumns(client, ['organizations', ...ARCHIVE_TABLES.map(table => table.name)]);
+
+    // The org, keeping its settings
+    const orgRow = {};
+    for (const [column, value] of Object.entries(archive.organization)) {
+      if (columns.get('organizations').has(column)) orgRow[column] = value;
+    }
+    Object.assign(orgRow, { id: orgId, name: organization.name.trim(), slug: organization.slug });
+    await insertRows(client, 'organizations', [orgRow]);
+
+    for (const table of ARCHIVE_TABLES) {
+      const rows = parentsFirst(archive.tables[table.name] || [], table);
+      if (rows.length === 0) continue;
+      const tableColumns = columns.get(table.name);
+
+      const prepared = rows.map(row => {
+        const out = {};
+        for (const [column, value] of Object.entries(row)) {
+          if (value === null || value === undefined) {
+            out[column] = null;
+          } else if (column === table.key || table.refs[column]) {
+            out[column] = ids.get(value.toLowerCase());
+          } else if (tableColumns.get(column).json || table.links.includes(column)) {
+            out[column] = remapEmbedded(value, ids);
+          } else {
+            out[column] = value;
+          }
+        }
+        if (table.scoped) out.org_id = orgId;
+        return out;
+      });
+
+      await insertRows(client, table.name, prepared);
+    }
+
+    // Invite members to claim their account with the archived email. This
+    // replaces any archived invite for the same address.
+    let invitedUsers = 0;
+    for (const member of archive.tables.org_members || []) {
+      const claim = claimable.get(member.user_id.toLowerCase());
+      if (!claim) continue;
+      await client.query(`
+        INSERT INTO employee_invites (org_id, email, department_id, role, invited_by, claims_user_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (org_id, email) DO UPDATE SET
+          department_id = EXCLUDED.department_id,
+          role = EXCLUDED.role,
+          invited_by = EXCLUDED.invited_by,
+          claims_user_id = EXCLUDED.claims_user_id,
+          registered_at = NULL,
+          created_at = CURRENT_TIMESTAMP
+      `, [
+        orgId,
+        claim.email,
+        member.department_id ? ids.get(member.department_id.toLowerCase()) : null,
+        member.role,
+        userId,
+        claim.userId
+      ]);
+      invitedUsers++;
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      orgId,
+      name: organization.name.trim(),
+      slug: organization.slug,
+      counts,
+      createdUsers,
+      invitedUsers,
+      unlinkedUsers: createdUsers - invitedUsers
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ARCHIVE_TABLES,
+  exportTenant,
+  countRows,
+  validateArchive,
+  importTenant
+};
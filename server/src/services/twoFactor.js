@@ -0,0 +1,306 @@
+/**
+ * Two-Factor Authentication
+ *
+ * TOTP (RFC 6238) with SHA-1, 6 digits and a 30 second step, which is what
+ * common authenticator apps expect. Recovery codes are single use and
+ * stored hashed.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import pool from '../config/db.js';
+import { resolvePermissions, holdsSensitivePermission } from './permissions.js';
+
+const ISSUER = 'PlugOS';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+// Code attempts per login challenge, counted in login_challenge_attempts
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter, or the time step for TOTP
+ * @returns {string} Zero-padded code
+ */
+export const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user entered
+ * @returns {number|null} Matching step, or null if the code is not valid now
+ */
+export const findTotpStep = (secret, code) => {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generate a new TOTP secret for a user to enrol and store it as pending
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+export async function beginEnrolment(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await pool.query(
+    'UPDATE users SET totp_secret = $1 WHERE id = $2 AND totp_enabled = FALSE',
+    [secret, user.id]
+  );
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Replace a user's recovery codes
+ * @returns {Promise<string[]>} The new codes (only ever shown once)
+ */
+export async function generateRecoveryCodes(userId, db = pool) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashCode(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong
+ */
+export async function confirmEnrolment(userId, code) {
+  const result = await pool.query(
+    'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user?.totp_secret || user.totp_enabled) return null;
+
+  const step = findTotpStep(user.totp_secret, String(code).trim());
+  if (step === null) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE users SET totp_enabled = TRUE, totp_last_step = $1 WHERE id = $2',
+      [step, userId]
+    );
+    const codes = await generateRecoveryCodes(userId, client);
+    await client.query('COMMIT');
+    return codes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Check a TOTP or recovery code for a user with 2FA enabled.
+ * TOTP codes can't be replayed and recovery codes are used up.
+ * @returns {Promise<boolean>} Whether the code is valid
+ */
+export async function verifyCode(userId, code) {
+  const input = String(code || '').trim();
+  if (!input) return false;
+
+  const result = await pool.query(
+    'SELECT totp_secret, totp_last_step FROM users WHERE id = $1 AND totp_enabled = TRUE',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user) return false;
+
+  const step = findTotpStep(user.totp_secret, input);
+  if (step !== null) {
+    const updated = await pool.query(`
+      UPDATE users SET totp_last_step = $1
+      WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+    `, [step, userId]);
+    return updated.rowCount > 0;
+  }
+
+  const recovery = await pool.query(`
+    UPDATE user_recovery_codes SET used_at = NOW()
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+  `, [userId, hashCode(normalizeRecoveryCode(input))]);
+
+  return recovery.rowCount > 0;
+}
+
+/**
+ * Create a short-lived token proving the password step of a login succeeded
+ * @returns {string} Challenge token to send back with the code
+ */
+export function createChallenge(userId) {
+  return jwt.sign(
+    { userId, purpose: '2fa', jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+}
+
+/**
+ * Check a login challenge and the code sent with it
+ * @returns {Promise<string|null>} User ID if both are valid
+ * @throws {Error} If the challenge is invalid, expired or out of attempts
+ */
+export async function completeChallenge(challengeToken, code) {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new Error('Login challenge expired, please sign in again');
+  }
+
+  if (decoded.purpose !== '2fa') {
+    throw new Error('Invalid login challenge');
+  }
+
+  // Forget attempts for challenges that have expired
+  await pool.query('DELETE FROM login_challenge_attempts WHERE expires_at < NOW()');
+
+  // Count the attempt before checking the code, so guesses sent at the same
+  // time (or to different servers) can't get past the limit
+  const counted = await pool.query(`
+    INSERT INTO login_challenge_attempts (jti, attempts, expires_at)
+    VALUES ($1, 1, to_timestamp($2))
+    ON CONFLICT (jti) DO UPDATE SET attempts = login_challenge_attempts.attempts + 1
+    RETURNING attempts
+  `, [decoded.jti, decoded.exp]);
+  if (counted.rows[0].attempts > MAX_CHALLENGE_ATTEMPTS) {
+    throw new Error('Too many attempts, please sign in again');
+  }
+
+  if (await verifyCode(decoded.userId, code)) {
+    // Used up, so the same challenge can't sign in again
+    await pool.query(
+      'UPDATE login_challenge_attempts SET attempts = $2 WHERE jti = $1',
+      [decoded.jti, MAX_CHALLENGE_ATTEMPTS]
+    );
+    return decoded.userId;
+  }
+  return null;
+}
+
+/**
+ * Turn 2FA off and remove the secret and recovery codes
+ */
+export async function disable(userId) {
+  await pool.query(
+    'UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL WHERE id = $1',
+    [userId]
+  );
+  await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Get a user's 2FA status, including whether any of their orgs require it
+ * (an org that requires 2FA where their role holds a sensitive permission)
+ */
+export async function getStatus(userId) {
+  const result = await pool.query(`
+    SELECT u.totp_enabled,
+      (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) as recovery_codes_remaining
+    FROM users u
+    WHERE u.id = $1
+  `, [userId]);
+
+  const roles = await pool.query(`
+    SELECT om.role, r.permissions
+    FROM org_members om
+    JOIN organizations o ON om.org_id = o.id
+    LEFT JOIN org_roles r ON r.org_id = om.org_id AND r.slug = om.role
+    WHERE om.user_id = $1 AND o.require_2fa = TRUE
+  `, [userId]);
+
+  const row = result.rows[0];
+  return {
+    enabled: row?.totp_enabled || false,
+    required: roles.rows.some(({ role, permissions }) => holdsSensitivePermission(resolvePermissions(role, permissions))),
+    recoveryCodesRemaining: parseInt(row?.recovery_codes_remaining || 0)
+  };
+}
+
+export default {
+  beginEnrolment,
+  confirmEnrolment,
+  generateRecoveryCodes,
+  verifyCode,
+  createChallenge,
+  completeChallenge,
+  disable,
+  getStatus
+};
@@ -0,0 +1,535 @@
+/**
+ * Webhooks
+ *
+ * Sends events from the SDK EventBus to URLs registered by an org's admins.
+ * Any event whose payload has an `orgId` can be delivered: the core domain
+ * events below, and events SDK plugins declare in their manifest.
+ *
+ * Each event becomes a row in webhook_deliveries and is sent by a
+ * `webhooks.deliver` job as a JSON POST signed with the webhook's secret:
+ *
+ *   X-PlugOS-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Failed deliveries (network errors and non-2xx responses) are retried by the
+ * job queue with exponential backoff until MAX_ATTEMPTS, then marked failed.
+ * Any delivery can be sent again from the delivery log.
+ *
+ * The URL's host is resolved on every attempt and the request is refused if
+ * it resolves to a loopback, private, link-local or other non-public address,
+ * so a webhook can't be used to reach the server's own network.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import pool from '../config/db.js';
+import { queryPage } from '../middleware/paginate.js';
+import { defineJob, enqueueJob } from './jobQueue.js';
+import { SystemEvents } from '../sdk/EventBus.js';
+
+// Subscribes a webhook to every event
+export const ALL_EVENTS = '*';
+
+export const CORE_WEBHOOK_EVENTS = [
+  { event: SystemEvents.EXPENSE_SUBMITTED, description: 'Expense claim submitted' },
+  { event: SystemEvents.EXPENSE_REVIEWED, description: 'Expense approved or rejected' },
+  { event: SystemEvents.LEAVE_REQUESTED, description: 'Leave request submitted' },
+  { event: SystemEvents.LEAVE_REVIEWED, description: 'Leave request approved or rejected' },
+  { event: SystemEvents.ATTENDANCE_CLOCKED_IN, description: 'Employee clocked in' },
+  { event: SystemEvents.ATTENDANCE_CLOCKED_OUT, description: 'Employee clocked out' },
+  { event: SystemEvents.EMPLOYEE_CREATED, description: 'Employee added' },
+  { event: SystemEvents.EMPLOYEE_UPDATED, description: 'Employee details changed' },
+  { event: SystemEvents.EMPLOYEE_DELETED, description: 'Employee removed' },
+  { event: SystemEvents.TASK_CREATED, description: 'Task created' },
+  { event: SystemEvents.TASK_UPDATED, description: 'Task changed' },
+  { event: SystemEvents.TASK_COMPLETED, description: 'Task moved to Completed' },
+  { event: SystemEvents.TASK_DELETED, description: 'Task deleted' }
+];
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Bytes of the endpoint's response kept in the delivery log
+const MAX_RESPONSE_BODY = 2000;
+
+// Wait before retry n: 30s, 1m, 2m, 4m, 8m
+const retryDelaySeconds = (attempts) => RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+// Addresses a webhook may not reach. IPv4-mapped IPv6 addresses match the
+// IPv4 ranges too.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'], // "This" network
+  ['10.0.0.0', 8, 'ipv4'], // Private
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12, 'ipv4'], // Private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // Private
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+  ['::', 128, 'ipv6'], // Unspecified
+  ['::1', 128, 'ipv6'], // Loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64 (embeds an IPv4 address)
+  ['2002::', 16, 'ipv6'], // 6to4 (embeds an IPv4 address)
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'] // Multicast
+].forEach(([network, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, type));
+
+const PRIVATE_ADDRESS_ERROR = 'url resolves to a private or local address';
+
+const WEBHOOK_COLUMNS = 'id, org_id, url, description, events, is_active, created_by, created_at, updated_at';
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Sign a payload the way receivers should verify it
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Whether a webhook may send to an IP address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local and other non-public addresses
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for outgoing webhook requests that fails if the host has any
+ * non-public address. The socket connects to the address checked here, so a
+ * second resolution can't swap in a private one.
+ * @private
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST a body to a public URL, keeping at most MAX_RESPONSE_BODY bytes of the
+ * response. Redirects are not followed.
+ * @private
+ * @param {string} url - Endpoint URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw JSON body
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<{status: number, body: string}>}
+ */
+function postToPublicUrl(url, headers, body, signal) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    // IP literals skip the lookup, so check them here
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+      reject(new Error(PRIVATE_ADDRESS_ERROR));
+      return;
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupPublicAddress,
+      signal
+    }, (response) => {
+      const chunks = [];
+      let size = 0;
+      const finish = () => resolve({
+        status: response.statusCode,
+        body: Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BODY).toString('utf8')
+      });
+
+      response.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= MAX_RESPONSE_BODY) {
+          // Enough for the log; don't read the rest
+          finish();
+          response.destroy();
+        }
+      });
+      response.on('end', finish);
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Events a webhook can subscribe to: the core events plus events declared
+ * by active SDK plugins
+ * @param {Object} [pluginManager] - Plugin manager (app.get('pluginManager'))
+ * @returns {Promise<Array<{event: string, description: string, source: string}>>}
+ */
+export async function getEventCatalog(pluginManager = null) {
+  const catalog = CORE_WEBHOOK_EVENTS.map(e => ({ ...e, source: 'core' }));
+
+  if (pluginManager) {
+    for (const plugin of await pluginManager.list()) {
+      if (!plugin.isActive) continue;
+      for (const [event, description] of Object.entries(plugin.events || {})) {
+        catalog.push({ event, description, source: plugin.id });
+      }
+    }
+  }
+
+  return catalog;
+}
+
+/**
+ * Check the URL and events of a webhook (their types are checked by the
+ * route's schema)
+ * @param {{url?: string, events?: string[]}} fields - Fields being set
+ * @param {Array} catalog - Event catalog
+ * @returns {Array<{in: string, field: string, message: string}>} Problems, empty if valid
+ */
+export function checkWebhookFields({ url, events }, catalog) {
+  const problems = [];
+
+  if (url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url.trim());
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      problems.push({ in: 'body', field: 'url', message: 'url must be a valid http:// or https:// URL' });
+    }
+  }
+
+  if (events !== undefined) {
+    const unknown = events.filter(e => e !== ALL_EVENTS && !catalog.some(c => c.event === e));
+    if (unknown.length > 0) {
+      problems.push({ in: 'body', field: 'events', message: `events has unknown events: ${unknown.join(', ')}` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * One page of an org's webhooks with their latest delivery status
+ * @param {string} orgId - Organization ID
+ * @param {Object} page - req.page, set by paginate()
+ * @returns {Promise<{data: Object[], pagination: Object}>}
+ */
+export async function listWebhooks(orgId, page) {
+  return queryPage(page, {
+    select: `w.id, w.org_id, w.url, w.description, w.events, w.is_active, w.created_at, w.updated_at,
+             u.name as created_by_name, last.status as last_status, last.response_status as last_response_status,
+             last.created_at as last_delivery_at`,
+    from: `webhooks w
+      LEFT JOIN users u ON w.created_by = u.id
+      LEFT JOIN LATERAL (
+        SELECT status, response_status, created_at FROM webhook_deliveries
+        WHERE webhook_id = w.id ORDER BY created_at DESC LIMIT 1
+      ) last ON true`,
+    where: 'w.org_id = $1',
+    params: [orgId],
+    id: 'w.id'
+  });
+}
+
+/**
+ * Create a webhook (the secret is only returned here and when rotated)
+ * @param {Object} options
+ * @param {string} options.orgId - Organization ID
+ * @param {string} options.userId - Creator
+ * @param {string} options.url - Endpoint URL
+ * @param {string[]} options.events - Event names, or ['*']
+ * @param {string} [options.description] - Label shown in Settings
+ * @returns {Promise<{webhook: Object, secret: string}>}
+ */
+export async function createWebhook({ orgId, userId, url, events, description = null }) {
+  const secret = generateSecret();
+  const result = await pool.query(`
+    INSERT INTO webhooks (org_id, url, description, events, secret, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${WEBHOOK_COLUMNS}
+  `, [orgId, url, description, JSON.stringify([...new Set(events)]), secret, userId]);
+  return { webhook: result.rows[0], secret };
+}
+
+/**
+ * Update a webhook's URL, description, events or active flag
+ * @param {string} webhookId - Webhook ID
+ * @param {string} orgId - Organization ID
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object|null>} The webhook, or null if not found
+ */
+export async function updateWebhook(webhookId, orgId, { url, description, events, isActive }) {
+  const result = await pool.query(`
+    UPDATE webhooks SET
+      url = COALESCE($3, url),
+      description = CASE WHEN $4::boolean THEN $5 ELSE description END,
+      events = COALESCE($6, events),
+      is_active = COALESCE($7, is_active),
+      updated_at = NOW()
+    WHERE id = $1 AND org_id = $2
+    RETURNING ${WEBHOOK_COLUMNS}
+  `, [
+    webhookId, orgId, url ?? null,
+    description !== undefined, description ?? null,
+    events ? JSON.stringify([...new Set(events)]) : null,
+    isActive ?? null
+  ]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Give a webhook a new secret
+ * @returns {Promise<string|null>} The new secret, or null if not found
+ */
+export async function rotateWebhookSecret(webhookId, orgId) {
+  const secret = generateSecret();
+  const result = await pool.query(
+    'UPDATE webhooks SET secret = $3, updated_at = NOW() WHERE id = $1 AND org_id = $2 RETURNING id',
+    [webhookId, orgId, secret]
+  );
+  return result.rows.length > 0 ? secret : null;
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @returns {Promise<Object|null>} The deleted webhook, or null if not found
+ */
+export async function deleteWebhook(webhookId, orgId) {
+  const result = await pool.query(
+    `DELETE FROM webhooks WHERE id = $1 AND org_id = $2 RETURNING ${WEBHOOK_COLUMNS}`,
+    [webhookId, orgId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * One page of a webhook's deliveries
+ * @param {string} webhookId - Webhook ID
+ * @param {string} orgId - Organization ID
+ * @param {Object} page - req.page, set by paginate()
+ * @returns {Promise<{data: Object[], pagination: Object}>}
+ */
+export async function listDeliveries(webhookId, orgId, page) {
+  return queryPage(page, {
+    select: `id, webhook_id, event, payload, status, attempts, next_attempt_at, response_status,
+             response_body, error, duration_ms, redelivery_of, created_at, completed_at`,
+    from: 'webhook_deliveries',
+    where: 'webhook_id = $1 AND org_id = $2',
+    params: [webhookId, orgId]
+  });
+}
+
+/**
+ * Send a delivery's event again, as a new delivery
+ * @param {string} deliveryId - Delivery to repeat
+ * @param {string} webhookId - Webhook ID
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object|null>} The new delivery, or null if not found
+ */
+export async function redeliver(deliveryId, webhookId, orgId) {
+  const result = await pool.query(`
+    INSERT INTO webhook_deliveries (webhook_id, org_id, event, payload, redelivery_of)
+    SELECT webhook_id, org_id, event, payload, id FROM webhook_deliveries
+    WHERE id = $1 AND webhook_id = $2 AND org_id = $3
+    RETURNING *
+  `, [deliveryId, webhookId, orgId]);
+
+  const delivery = result.rows[0];
+  if (!delivery) return null;
+
+  await enqueueDelivery(delivery);
+  return delivery;
+}
+
+/**
+ * Queue an event for every active webhook in its org that subscribes to it
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload (must include orgId)
+ * @returns {Promise<number>} Deliveries queued
+ */
+export async function queueEvent(event, payload) {
+  if (!payload?.orgId) return 0;
+
+  const { orgId, ...data } = payload;
+  const body = { event, orgId, createdAt: new Date().toISOString(), data };
+
+  const result = await pool.query(`
+    INSERT INTO webhook_deliveries (webhook_id, org_id, event, payload)
+    SELECT id, org_id, $2, $3 FROM webhooks
+    WHERE org_id = $1 AND is_active = true
+      AND (events ? $2 OR events ? $4)
+    RETURNING id, next_attempt_at
+  `, [orgId, event, JSON.stringify(body), ALL_EVENTS]);
+
+  for (const delivery of result.rows) {
+    await enqueueDelivery(delivery);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Queue the job that sends a delivery. Keyed on the delivery, so a delivery
+ * never has two jobs waiting at once.
+ * @private
+ */
+function enqueueDelivery(delivery) {
+  return enqueueJob('webhooks.deliver', { deliveryId: delivery.id }, {
+    runAt: delivery.next_attempt_at,
+    dedupeKey: delivery.id
+  });
+}
+
+/**
+ * POST one delivery to its webhook and record the result
+ * @private
+ * @returns {Promise<boolean>} Whether the delivery should be tried again
+ */
+async function attemptDelivery(delivery) {
+  const webhook = await pool.query(
+    'SELECT url, secret, is_active FROM webhooks WHERE id = $1',
+    [delivery.webhook_id]
+  );
+  if (!webhook.rows[0]) return false;
+  const { url, secret, is_active: isActive } = webhook.rows[0];
+
+  if (!isActive) {
+    await pool.query(`
+      UPDATE webhook_deliveries SET status = 'failed', error = 'Webhook is disabled', next_attempt_at = NULL, completed_at = NOW()
+      WHERE id = $1
+    `, [delivery.id]);
+    return false;
+  }
+
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const signal = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await postToPublicUrl(url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PlugOS-Webhooks/1.0',
+      'X-PlugOS-Event': delivery.event,
+      'X-PlugOS-Delivery': delivery.id,
+      'X-PlugOS-Signature': `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`
+    }, body, signal);
+    responseStatus = response.status;
+    responseBody = response.body;
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Endpoint answered ${responseStatus}`;
+    }
+  } catch (err) {
+    error = signal.aborted ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const succeeded = !error;
+  const givingUp = !succeeded && attempts >= MAX_ATTEMPTS;
+
+  await pool.query(`
+    UPDATE webhook_deliveries SET
+      status = $2,
+      attempts = $3,
+      next_attempt_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $4) ELSE NULL END,
+      response_status = $5,
+      response_body = $6,
+      error = $7,
+      duration_ms = $8,
+      completed_at = CASE WHEN $2 = 'pending' THEN NULL ELSE NOW() END
+    WHERE id = $1
+  `, [
+    delivery.id,
+    succeeded ? 'succeeded' : givingUp ? 'failed' : 'pending',
+    attempts,
+    retryDelaySeconds(attempts),
+    responseStatus,
+    responseBody,
+    error,
+    Date.now() - started
+  ]);
+
+  return !succeeded && !givingUp;
+}
+
+/**
+ * Define the job that sends deliveries, and queue a job for any pending
+ * delivery that has none (e.g. the server stopped between the two inserts)
+ */
+export async function registerWebhookJobs() {
+  // Throws so the queue retries it, at the time recorded in next_attempt_at
+  defineJob('webhooks.deliver', async ({ deliveryId }) => {
+    const result = await pool.query(
+      "SELECT * FROM webhook_deliveries WHERE id = $1 AND status = 'pending'",
+      [deliveryId]
+    );
+    // Deleted with its webhook, or finished by an earlier attempt
+    if (result.rows[0] && await attemptDelivery(result.rows[0])) {
+      throw new Error(`Webhook delivery ${deliveryId} failed; retrying`);
+    }
+  }, { maxAttempts: MAX_ATTEMPTS, retryDelaySeconds });
+
+  const pending = await pool.query(`
+    SELECT id, next_attempt_at FROM webhook_deliveries
+    WHERE status = 'pending'
+  `);
+  for (const delivery of pending.rows) {
+    await enqueueDelivery(delivery);
+  }
+}
+
+/**
+ * Queue webhook deliveries for every event emitted by this process, so
+ * each event is queued once when several servers share the bus
+ * @param {EventBus} eventBus - Event bus instance
+ * @returns {Function} Stops the dispatcher
+ */
+export function startWebhookDispatcher(eventBus) {
+  return eventBus.onAny((event, payload) => queueEvent(event, payload).catch((error) => {
+    console.error(`Webhook queue error for ${event}:`, error);
+  }), { localOnly: true });
+}
+
+export default {
+  ALL_EVENTS,
+  CORE_WEBHOOK_EVENTS,
+  signPayload,
+  isPublicAddress,
+  getEventCatalog,
+  checkWebhookFields,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listDeliveries,
+  redeliver,
+  queueEvent,
+  registerWebhookJobs,
+  startWebhookDispatcher
+};
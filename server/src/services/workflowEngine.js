@@ -0,0 +1,444 @@
+/**
+ * Workflow Engine
+ *
+ * Executes Workflow Builder diagrams. A run walks the graph from the `start`
+ * node: `task` nodes create real Task Manager tasks and wait for them to be
+ * completed, `decision` nodes pick a branch, `note` nodes pass through and
+ * `end` nodes finish their path. The run completes once no step is waiting.
+ */
+
+import pool from '../config/db.js';
+
+// Safety net against cycles that never reach a waiting node
+const MAX_STEPS_PER_ADVANCE = 200;
+
+const DEFAULT_BRANCHES = [
+  { id: 'yes', label: 'Yes' },
+  { id: 'no', label: 'No' }
+];
+
+/**
+ * Resolve a dot-separated path (e.g. "input.amount") against an object
+ */
+const getPath = (obj, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
+
+/**
+ * Evaluate a branch condition against a value from the run context
+ */
+const matchesCondition = (value, { operator = 'eq', value: expected }) => {
+  switch (operator) {
+    case 'eq': return String(value) === String(expected);
+    case 'neq': return String(value) !== String(expected);
+    case 'gt': return Number(value) > Number(expected);
+    case 'gte': return Number(value) >= Number(expected);
+    case 'lt': return Number(value) < Number(expected);
+    case 'lte': return Number(value) <= Number(expected);
+    case 'contains': return String(value ?? '').toLowerCase().includes(String(expected).toLowerCase());
+    default: return false;
+  }
+};
+
+/**
+ * Pick the branch index for a decision node.
+ * Decision nodes can be automated by setting `data.field` to a context path and
+ * giving branches a `condition`; the first matching branch wins and a branch
+ * without a condition acts as the fallback. Returns null when the decision has
+ * to be made by a person.
+ */
+const resolveBranch = (node, context) => {
+  const branches = node.data?.branches || DEFAULT_BRANCHES;
+  if (!node.data?.field) return null;
+
+  const value = getPath(context, node.data.field);
+  const matchIdx = branches.findIndex(b => b.condition && matchesCondition(value, b.condition));
+  if (matchIdx !== -1) return matchIdx;
+
+  const fallbackIdx = branches.findIndex(b => !b.condition);
+  return fallbackIdx !== -1 ? fallbackIdx : null;
+};
+
+/**
+ * Validate that a workflow graph can be executed
+ * @returns {Object} The start node (a `start` or `trigger` node)
+ */
+const getStartNode = (nodes) => {
+  const startNodes = nodes.filter(n => n.type === 'start' || n.type === 'trigger');
+  if (startNodes.length === 0) {
+    throw new Error('Workflow has no start or trigger node');
+  }
+  if (startNodes.length > 1) {
+    throw new Error('Workflow must have exactly one start or trigger node');
+  }
+  return startNodes[0];
+};
+
+/**
+ * Get the nodes reached from a node's outgoing edges
+ * @param {string|null} sourceHandle - Only follow edges from this handle (decision branches)
+ */
+const getNextNodes = (run, nodeId, sourceHandle = null) => {
+  return run.edges
+    .filter(e => e.source === nodeId && (sourceHandle === null || e.sourceHandle === sourceHandle))
+    .map(e => run.nodes.find(n => n.id === e.target))
+    .filter(Boolean);
+};
+
+const insertStep = async (client, run, node, status, fields = {}) => {
+  const result = await client.query(`
+    INSERT INTO workflow_run_steps (run_id, node_id, node_type, label, status, task_id, branch_id, completed_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    run.id,
+    node.id,
+    node.type,
+    node.data?.label || null,
+    status,
+    fields.taskId || null,
+    fields.branchId || null,
+    status === 'waiting' ? null : new Date()
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Create a Task Manager task for a task node.
+ * Copies title, description, priority and assignees from the linked task if one is set.
+ */
+const createTaskForNode = async (client, run, node) => {
+  const template = node.data?.task || {};
+
+  const creatorResult = await client.query(`
+    SELECT e.id FROM employees e
+    JOIN users u ON LOWER(u.email) = LOWER(e.email)
+    WHERE e.org_id = $1 AND u.id = $2
+  `, [run.org_id, run.started_by]);
+
+  const taskResult = await client.query(`
+    INSERT INTO tasks (org_id, title, description, status, priority, created_by)
+    VALUES ($1, $2, $3, 'To Do', $4, $5)
+    RETURNING *
+  `, [
+    run.org_id,
+    node.data?.label || template.title || 'Workflow task',
+    template.description || `Created by workflow "${run.workflow_name}"`,
+    template.priority || 'Medium',
+    creatorResult.rows[0]?.id || null
+  ]);
+  const task = taskResult.rows[0];
+
+  // Only copy from a task in the run's own org
+  if (template.id) {
+    await client.query(`
+      INSERT INTO task_assignees (task_id, employee_id, department_id)
+      SELECT $1, ta.employee_id, ta.department_id FROM task_assignees ta
+      JOIN tasks t ON t.id = ta.task_id AND t.org_id = $3
+      WHERE ta.task_id::text = $2
+    `, [task.id, String(template.id), run.org_id]);
+  }
+
+  return task;
+};
+
+/**
+ * Execute nodes breadth-first until every path is waiting or finished
+ */
+const advance = async (client, run, startNodes) => {
+  const queue = [...startNodes];
+  let executed = 0;
+
+  while (queue.length > 0) {
+    if (++executed > MAX_STEPS_PER_ADVANCE) {
+      throw new Error('Workflow exceeded the maximum number of steps (check for cycles)');
+    }
+
+    const node = queue.shift();
+
+    switch (node.type) {
+      case 'task': {
+        const task = await createTaskForNode(client, run, node);
+        await insertStep(client, run, node, 'waiting', { taskId: task.id });
+        break;
+      }
+      case 'decision': {
+        const branchIdx = resolveBranch(node, run.context);
+        if (branchIdx === null) {
+          await insertStep(client, run, node, 'waiting');
+          break;
+        }
+        const branches = node.data?.branches || DEFAULT_BRANCHES;
+        await insertStep(client, run, node, 'completed', { branchId: branches[branchIdx].id });
+        queue.push(...getNextNodes(run, node.id, `branch-${branchIdx}`));
+        break;
+      }
+      case 'end':
+        await insertStep(client, run, node, 'completed');
+        break;
+      default:
+        // start, trigger and note nodes pass straight through
+        await insertStep(client, run, node, 'completed');
+        queue.push(...getNextNodes(run, node.id));
+    }
+  }
+
+  // The run is finished once nothing is left waiting
+  const waiting = await client.query(
+    "SELECT COUNT(*) as count FROM workflow_run_steps WHERE run_id = $1 AND status = 'waiting'",
+    [run.id]
+  );
+
+  if (parseInt(waiting.rows[0].count) === 0) {
+    await client.query(`
+      UPDATE workflow_runs SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [run.id]);
+  } else {
+    await client.query('UPDATE workflow_runs SET updated_at = NOW() WHERE id = $1', [run.id]);
+  }
+};
+
+/**
+ * Run a callback in a transaction, holding a lock on the run row
+ */
+const withLockedRun = async (runId, callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const runResult = await client.query(`
+      SELECT r.*, w.name as workflow_name
+      FROM workflow_runs r
+      LEFT JOIN workflows w ON r.workflow_id = w.id
+      WHERE r.id = $1
+      FOR UPDATE OF r
+    `, [runId]);
+
+    if (runResult.rows.length === 0) {
+      throw new Error('Workflow run not found');
+    }
+
+    const result = await callback(client, runResult.rows[0]);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Start a new run of a workflow
+ * @param {Object} options
+ * @param {string} options.orgId - Organization ID
+ * @param {string} options.workflowId - Workflow ID
+ * @param {string} options.userId - User starting the run
+ * @param {Object} [options.input] - Input data available to decisions as `input.*`
+ * @param {string} [options.triggerEvent] - Event that started the run, if any
+ * @returns {Promise<Object>} The run with its steps
+ */
+export async function startRun({ orgId, workflowId, userId, input = {}, triggerEvent = null }) {
+  const workflowResult = await pool.query(
+    'SELECT * FROM workflows WHERE id = $1 AND org_id = $2',
+    [workflowId, orgId]
+  );
+
+  if (workflowResult.rows.length === 0) {
+    throw new Error('Workflow not found');
+  }
+
+  const workflow = workflowResult.rows[0];
+  const nodes = workflow.nodes || [];
+  const edges = workflow.edges || [];
+  const startNode = getStartNode(nodes);
+
+  const client = await pool.connect();
+  let runId;
+  try {
+    await client.query('BEGIN');
+
+    // Snapshot the graph so later edits don't affect runs in progress
+    const runResult = await client.query(`
+      INSERT INTO workflow_runs (org_id, workflow_id, status, nodes, edges, context, started_by, trigger_event)
+      VALUES ($1, $2, 'running', $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [orgId, workflowId, JSON.stringify(nodes), JSON.stringify(edges), JSON.stringify({ input }), userId, triggerEvent]);
+
+    const run = { ...runResult.rows[0], workflow_name: workflow.name };
+    runId = run.id;
+
+    await advance(client, run, [startNode]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getRun(orgId, runId);
+}
+
+/**
+ * Get a run with its steps
+ * @returns {Promise<Object|null>} Run or null if not found
+ */
+export async function getRun(orgId, runId) {
+  const runResult = await pool.query(`
+    SELECT r.id, r.org_id, r.workflow_id, r.status, r.context, r.error, r.nodes, r.trigger_event,
+      r.started_by, r.started_at, r.completed_at, r.cancelled_at, r.updated_at,
+      w.name as workflow_name, u.name as started_by_name
+    FROM workflow_runs r
+    LEFT JOIN workflows w ON r.workflow_id = w.id
+    LEFT JOIN users u ON r.started_by = u.id
+    WHERE r.id = $1 AND r.org_id = $2
+  `, [runId, orgId]);
+
+  if (runResult.rows.length === 0) {
+    return null;
+  }
+
+  const stepsResult = await pool.query(`
+    SELECT s.*, t.title as task_title, t.status as task_status
+    FROM workflow_run_steps s
+    LEFT JOIN tasks t ON s.task_id = t.id
+    WHERE s.run_id = $1
+    ORDER BY s.started_at ASC
+  `, [runId]);
+
+  const { nodes, ...run } = runResult.rows[0];
+
+  // Decision steps carry their branches so a person can pick one
+  const steps = stepsResult.rows.map(step => {
+    if (step.node_type !== 'decision') return step;
+    const node = nodes.find(n => n.id === step.node_id);
+    return { ...step, branches: node?.data?.branches || DEFAULT_BRANCHES };
+  });
+
+  return { ...run, steps };
+}
+
+/**
+ * Cancel a run. Tasks it already created are left in place.
+ */
+export async function cancelRun(orgId, runId) {
+  await withLockedRun(runId, async (client, run) => {
+    if (run.org_id !== orgId) {
+      throw new Error('Workflow run not found');
+    }
+    if (run.status !== 'running') {
+      throw new Error(`Cannot cancel a ${run.status} run`);
+    }
+
+    await client.query(`
+      UPDATE workflow_run_steps SET status = 'cancelled', completed_at = NOW()
+      WHERE run_id = $1 AND status = 'waiting'
+    `, [runId]);
+
+    await client.query(`
+      UPDATE workflow_runs SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [runId]);
+  });
+
+  return getRun(orgId, runId);
+}
+
+/**
+ * Choose a branch for a decision step that is waiting on a person
+ * @param {string} branchId - ID of the chosen branch
+ */
+export async function decideStep(orgId, runId, stepId, branchId) {
+  await withLockedRun(runId, async (client, run) => {
+    if (run.org_id !== orgId) {
+      throw new Error('Workflow run not found');
+    }
+    if (run.status !== 'running') {
+      throw new Error(`Cannot make a decision on a ${run.status} run`);
+    }
+
+    const stepResult = await client.query(`
+      SELECT * FROM workflow_run_steps
+      WHERE id = $1 AND run_id = $2 AND node_type = 'decision' AND status = 'waiting'
+    `, [stepId, runId]);
+
+    if (stepResult.rows.length === 0) {
+      throw new Error('No pending decision found for this step');
+    }
+
+    const step = stepResult.rows[0];
+    const node = run.nodes.find(n => n.id === step.node_id);
+    const branches = node?.data?.branches || DEFAULT_BRANCHES;
+    const branchIdx = branches.findIndex(b => b.id === branchId);
+
+    if (branchIdx === -1) {
+      throw new Error('Invalid branch');
+    }
+
+    await client.query(`
+      UPDATE workflow_run_steps SET status = 'completed', branch_id = $1, completed_at = NOW()
+      WHERE id = $2
+    `, [branchId, stepId]);
+
+    await advance(client, run, getNextNodes(run, node.id, `branch-${branchIdx}`));
+  });
+
+  return getRun(orgId, runId);
+}
+
+const advanceTaskStep = async (runId, stepId, taskId) => {
+  await withLockedRun(runId, async (client, run) => {
+    // Re-check under the lock in case another request advanced it first
+    const stepResult = await client.query(`
+      UPDATE workflow_run_steps SET status = 'completed', completed_at = NOW()
+      WHERE id = $1 AND status = 'waiting'
+      RETURNING *
+    `, [stepId]);
+
+    if (stepResult.rows.length === 0 || run.status !== 'running') return;
+
+    const step = stepResult.rows[0];
+    run.context = {
+      ...run.context,
+      tasks: { ...run.context.tasks, [step.node_id]: { id: taskId, status: 'Completed' } }
+    };
+    await client.query('UPDATE workflow_runs SET context = $1 WHERE id = $2', [JSON.stringify(run.context), runId]);
+
+    await advance(client, run, getNextNodes(run, step.node_id));
+  });
+};
+
+/**
+ * Continue any runs that were waiting on a task that has just been completed
+ * @param {string} taskId - Completed task ID
+ */
+export async function completeTaskStep(taskId) {
+  const stepsResult = await pool.query(`
+    SELECT s.id, s.run_id FROM workflow_run_steps s
+    JOIN workflow_runs r ON s.run_id = r.id
+    WHERE s.task_id = $1 AND s.status = 'waiting' AND r.status = 'running'
+  `, [taskId]);
+
+  for (const { id: stepId, run_id: runId } of stepsResult.rows) {
+    try {
+      await advanceTaskStep(runId, stepId, taskId);
+    } catch (error) {
+      // Don't leave the run hanging on a step that can never advance
+      await pool.query(`
+        UPDATE workflow_runs SET status = 'failed', error = $1, completed_at = NOW(), updated_at = NOW()
+        WHERE id = $2 AND status = 'running'
+      `, [error.message, runId]);
+    }
+  }
+}
+
+export default {
+  startRun,
+  getRun,
+  cancelRun,
+  decideStep,
+  completeTaskStep
+};
@@ -0,0 +1,80 @@
+/**
+ * Workflow Triggers
+ *
+ * Connects the workflow engine to domain events on the SDK EventBus.
+ * Workflows with a trigger node are started automatically when their event
+ * fires (with the event payload as run input), and completed tasks advance
+ * the runs that were waiting on them.
+ */
+
+import pool from '../config/db.js';
+import { SystemEvents } from '../sdk/EventBus.js';
+import { startRun, completeTaskStep } from './workflowEngine.js';
+
+// Events a workflow trigger node can listen for
+export const TRIGGER_EVENTS = [
+  SystemEvents.EXPENSE_SUBMITTED,
+  SystemEvents.EXPENSE_REVIEWED,
+  SystemEvents.LEAVE_REQUESTED,
+  SystemEvents.LEAVE_REVIEWED,
+  SystemEvents.ATTENDANCE_CLOCKED_IN,
+  SystemEvents.ATTENDANCE_CLOCKED_OUT,
+  SystemEvents.EMPLOYEE_CREATED,
+  SystemEvents.EMPLOYEE_UPDATED,
+  SystemEvents.EMPLOYEE_DELETED,
+  SystemEvents.TASK_CREATED,
+  SystemEvents.TASK_COMPLETED
+];
+
+/**
+ * Start every workflow in the event's org that is triggered by it
+ */
+const startTriggeredWorkflows = async (event, payload) => {
+  if (!payload?.orgId) return;
+
+  const { orgId, ...input } = payload;
+
+  const result = await pool.query(`
+    SELECT w.id, w.name FROM workflows w
+    WHERE w.org_id = $1 AND w.trigger_event = $2
+      AND EXISTS (
+        SELECT 1 FROM org_plugs op
+        JOIN plugs p ON op.plug_id = p.id
+        WHERE op.org_id = w.org_id AND p.slug = 'workflow-builder'
+      )
+  `, [orgId, event]);
+
+  for (const workflow of result.rows) {
+    try {
+      await startRun({
+        orgId,
+        workflowId: workflow.id,
+        userId: input.userId || null,
+        input,
+        triggerEvent: event
+      });
+    } catch (error) {
+      console.error(`Failed to start workflow "${workflow.name}" for ${event}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Subscribe the workflow engine to the event bus
+ * Only events emitted by this process are handled, so a workflow starts
+ * once even when the bus is shared by several servers.
+ * @param {EventBus} eventBus - Event bus instance
+ */
+export function registerWorkflowTriggers(eventBus) {
+  for (const event of TRIGGER_EVENTS) {
+    eventBus.on(event, (payload) => startTriggeredWorkflows(event, payload).catch((error) => {
+      console.error(`Workflow trigger error for ${event}:`, error);
+    }), { localOnly: true });
+  }
+
+  eventBus.on(SystemEvents.TASK_COMPLETED, ({ task }) => completeTaskStep(task.id).catch((error) => {
+    console.error('Advance workflow runs error:', error);
+  }), { localOnly: true });
+}
+
+export default registerWorkflowTriggers;
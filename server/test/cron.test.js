@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, checkCron, nextCronRun } from '../src/services/cron.js';
+
+const next = (expression, from, timezone = 'UTC') => nextCronRun(expression, new Date(from), timezone).toISOString();
+
+describe('parseCron', () => {
+  it('expands ranges, lists and steps', () => {
+    const cron = parseCron('*/15 9-17 1,15 * 1-5');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.equal(cron.months.size, 12);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, false);
+    assert.equal(cron.anyWeekday, false);
+  });
+
+  it('steps from the start of a range', () => {
+    assert.deepEqual([...parseCron('0-30/10 * * * *').minutes], [0, 10, 20, 30]);
+    assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  });
+
+  it('treats day-of-week 7 as Sunday', () => {
+    assert.ok(parseCron('0 0 * * 7').weekdays.has(0));
+  });
+});
+
+describe('checkCron', () => {
+  it('accepts valid expressions', () => {
+    assert.equal(checkCron('0 8 * * *'), null);
+    assert.equal(checkCron('  30 2 1 1,7 0  '), null);
+  });
+
+  it('explains invalid ones', () => {
+    assert.match(checkCron('0 8 * *'), /five fields/);
+    assert.match(checkCron('60 * * * *'), /Invalid minute "60" \(allowed 0-59\)/);
+    assert.match(checkCron('0 5-3 * * *'), /Invalid hour/);
+    assert.match(checkCron('0 0 0 * *'), /Invalid day of month/);
+    assert.match(checkCron('*/0 * * * *'), /Invalid minute/);
+    assert.match(checkCron('0 0 * jan *'), /Invalid month "jan"/);
+  });
+});
+
+describe('nextCronRun', () => {
+  it('finds the next matching minute after the start', () => {
+    assert.equal(next('*/15 * * * *', '2026-10-19T10:07:30Z'), '2026-10-19T10:15:00.000Z');
+    assert.equal(next('0 8 * * *', '2026-10-19T08:00:00Z'), '2026-10-20T08:00:00.000Z');
+    assert.equal(next('0 0 1 * *', '2026-12-15T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+  });
+
+  it('skips to matching weekdays', () => {
+    // Friday evening -> Monday morning
+    assert.equal(next('0 9 * * 1-5', '2026-10-16T10:00:00Z'), '2026-10-19T09:00:00.000Z');
+  });
+
+  it('fires on either day field when both are restricted', () => {
+    // The 1st or any Monday: Monday the 5th comes first
+    assert.equal(next('0 0 1,15 * 1', '2026-10-02T00:00:00Z'), '2026-10-05T00:00:00.000Z');
+  });
+
+  it('handles leap days', () => {
+    assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  });
+
+  it('throws for expressions that never fire', () => {
+    assert.throws(() => next('0 0 31 2 *', '2026-01-01T00:00:00Z'), /never fires/);
+  });
+
+  it('runs in the given timezone', () => {
+    assert.equal(next('0 8 * * *', '2026-01-15T12:00:00Z', 'America/New_York'), '2026-01-15T13:00:00.000Z');
+    assert.equal(next('0 8 * * *', '2026-07-15T13:00:00Z', 'America/New_York'), '2026-07-16T12:00:00.000Z');
+    assert.equal(next('0 8 * * *', '2026-01-15T12:00:00Z', 'Asia/Kolkata'), '2026-01-16T02:30:00.000Z');
+    // The local day has already started
+    assert.equal(next('0 8 * * *', '2026-01-15T12:00:00Z', 'Australia/Lord_Howe'), '2026-01-15T21:00:00.000Z');
+  });
+
+  it('runs a time skipped by DST just after the clocks go forward', () => {
+    // 02:30 doesn't happen on these days; it runs at 03:30 summer time
+    assert.equal(next('30 2 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+    assert.equal(next('30 2 * * *', '2026-03-07T12:00:00Z', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+  });
+
+  it('runs a time repeated by DST only the first time', () => {
+    assert.equal(next('30 2 * * *', '2026-10-24T12:00:00Z', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z');
+    assert.equal(next('30 2 * * *', '2026-10-25T00:30:00Z', 'Europe/Berlin'), '2026-10-26T01:30:00.000Z');
+    assert.equal(next('30 1 * * *', '2026-10-31T12:00:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultRetryDelay, defineJob, undefineJob, enqueueJob } from '../src/services/jobQueue.js';
+
+// Records the queries enqueueJob sends and answers them like Postgres would:
+// nothing comes back when the dedupe index already has a queued job
+const recordingDb = ({ duplicate = false } = {}) => ({
+  queries: [],
+  async query(text, params) {
+    this.queries.push({ text, params });
+    return { rows: duplicate ? [] : [{ id: 'job-1', name: params[0] }] };
+  }
+});
+
+describe('defaultRetryDelay', () => {
+  it('doubles from 10 seconds', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(defaultRetryDelay), [10, 20, 40, 80, 160]);
+  });
+
+  it('waits at most an hour', () => {
+    assert.equal(defaultRetryDelay(9), 2560);
+    assert.equal(defaultRetryDelay(10), 3600);
+    assert.equal(defaultRetryDelay(50), 3600);
+  });
+});
+
+describe('defineJob', () => {
+  after(() => undefineJob('test.defined'));
+
+  it('refuses a second handler for the same name', () => {
+    defineJob('test.defined', async () => {});
+    assert.throws(() => defineJob('test.defined', async () => {}), /already defined/);
+  });
+});
+
+describe('enqueueJob', () => {
+  after(() => undefineJob('test.limited'));
+
+  it('queues the payload with its dedupe key', async () => {
+    const db = recordingDb();
+    const job = await enqueueJob('test.plain', { userId: 'u1' }, { dedupeKey: 'u1', delaySeconds: 30, db });
+
+    assert.deepEqual(job, { id: 'job-1', name: 'test.plain' });
+    const [{ text, params }] = db.queries;
+    assert.match(text, /ON CONFLICT \(name, dedupe_key\) WHERE dedupe_key IS NOT NULL AND status IN \('pending', 'running'\)\s+DO NOTHING/);
+    assert.deepEqual(params, ['test.plain', '{"userId":"u1"}', null, 30, 5, 'u1']);
+  });
+
+  it('returns null for a duplicate of a queued job', async () => {
+    const db = recordingDb({ duplicate: true });
+    assert.equal(await enqueueJob('test.plain', {}, { dedupeKey: 'u1', db }), null);
+  });
+
+  it("uses the definition's max attempts unless overridden", async () => {
+    defineJob('test.limited', async () => {}, { maxAttempts: 2 });
+    const db = recordingDb();
+
+    await enqueueJob('test.limited', {}, { db });
+    await enqueueJob('test.limited', {}, { maxAttempts: 7, db });
+    assert.deepEqual(db.queries.map(({ params }) => params[4]), [2, 7]);
+  });
+});
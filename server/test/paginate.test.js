@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor, paginate, sendCursorError, INVALID_CURSOR } from '../src/middleware/paginate.js';
+
+const ID = '0b6f0f5e-3c1e-4d8a-9c57-2f4f6f1d9a10';
+
+// Just enough of an Express response to see what was sent
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const run = (middleware, query) => {
+  const req = { query };
+  const res = response();
+  let called = false;
+  middleware(req, res, () => { called = true; });
+  return { req, res, called };
+};
+
+describe('cursors', () => {
+  it('round-trip the sort, value and id', () => {
+    const cursor = encodeCursor('name', "O'Brien, Ana", ID);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor), { sort: 'name', value: "O'Brien, Ana", id: ID });
+  });
+
+  it('reject anything encodeCursor did not make', () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(Buffer.from('{oops').toString('base64url')), null);
+    assert.equal(decodeCursor(encode({ sort: 'name', value: 'a', id: ID })), null);
+    assert.equal(decodeCursor(encode(['name', 'a'])), null);
+    assert.equal(decodeCursor(encode(['name', 'a', ID, 'extra'])), null);
+    assert.equal(decodeCursor(encode(['name', 'a', 'not-a-uuid'])), null);
+  });
+});
+
+describe('paginate', () => {
+  const middleware = paginate({ name: 'lower(e.name)', created_at: 'e.created_at' }, { sort: 'name', order: 'asc' });
+
+  it('applies the defaults', () => {
+    const { req, called } = run(middleware, {});
+    assert.ok(called);
+    assert.deepEqual(req.page, { limit: 50, sort: 'name', order: 'asc', column: 'lower(e.name)', after: null });
+  });
+
+  it('reads a cursor for the same sort', () => {
+    const { req, called } = run(middleware, { sort: 'created_at', cursor: encodeCursor('created_at', '2026-01-01', ID) });
+    assert.ok(called);
+    assert.deepEqual(req.page.after, { sort: 'created_at', value: '2026-01-01', id: ID });
+  });
+
+  it('lists every bad parameter', () => {
+    const { res, called } = run(middleware, { limit: '500', sort: 'salary', order: 'up', cursor: 'junk' });
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.details.map(detail => detail.field), ['limit', 'sort', 'order', 'cursor']);
+  });
+
+  it('rejects a cursor made for another sort', () => {
+    const { res } = run(middleware, { sort: 'name', cursor: encodeCursor('created_at', '2026-01-01', ID) });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'cursor was made for sort=created_at; start again without a cursor');
+  });
+});
+
+describe('sendCursorError', () => {
+  it('answers cursor errors with a 400', () => {
+    const res = response();
+    assert.equal(sendCursorError(res, Object.assign(new Error('bad'), { code: INVALID_CURSOR })), true);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.details[0].field, 'cursor');
+  });
+
+  it('leaves other errors to the route', () => {
+    const res = response();
+    assert.equal(sendCursorError(res, Object.assign(new Error('bad'), { code: '23505' })), false);
+    assert.equal(res.body, null);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PluginManager } from '../src/sdk/PluginManager.js';
+import { parseDependency } from '../src/sdk/PluginLoader.js';
+
+let manager;
+
+// Register a manifest as if it had been discovered on disk
+const add = (id, version, dependencies = []) =>
+  manager.loader._validateAndRegister({ id, name: id, version, main: 'index.js', dependencies }, `/plugins/${id}`, 'local');
+
+const activate = (...ids) => ids.forEach(id => manager.plugins.set(id, {}));
+
+beforeEach(() => {
+  manager = new PluginManager(null, null, { pluginsDir: '/nonexistent', nodeModulesDir: '/nonexistent' });
+});
+
+describe('parseDependency', () => {
+  it('splits the plugin ID from the version range', () => {
+    assert.deepEqual(parseDependency('reports'), { id: 'reports', range: '*' });
+    assert.deepEqual(parseDependency('reports@^1.2.0'), { id: 'reports', range: '^1.2.0' });
+    assert.deepEqual(parseDependency('reports@>=1.0.0 <2.0.0 || 3.x'), { id: 'reports', range: '>=1.0.0 <2.0.0 || 3.x' });
+  });
+});
+
+describe('manifest dependencies', () => {
+  it('accept valid semver ranges', () => {
+    assert.equal(add('dashboard', '1.0.0', ['reports', 'charts@~2.1.0']), true);
+    assert.deepEqual(manager.loader.getDependencies('dashboard'), [
+      { id: 'reports', range: '*' },
+      { id: 'charts', range: '~2.1.0' }
+    ]);
+  });
+
+  it('reject invalid ranges', () => {
+    assert.equal(add('dashboard', '1.0.0', ['reports@banana']), false);
+    assert.equal(manager.loader.get('dashboard'), null);
+  });
+});
+
+describe('unmet dependencies', () => {
+  it('are reported as missing, mismatched or inactive', () => {
+    add('reports', '1.4.2');
+    add('charts', '2.0.0');
+    add('exports', '1.0.0');
+    add('dashboard', '1.0.0', ['reports@^1.2.0', 'charts@^3.0.0', 'exports', 'maps']);
+    activate('reports', 'charts');
+
+    assert.deepEqual(manager._unmetDependencies('dashboard'), [
+      'charts ^3.0.0 is required (found 2.0.0)',
+      'exports is not active',
+      'maps is not available'
+    ]);
+  });
+
+  it('are empty when every dependency is active and in range', () => {
+    add('reports', '1.4.2');
+    add('dashboard', '1.0.0', ['reports@>=1.2.0 <2.0.0']);
+    activate('reports');
+
+    assert.deepEqual(manager._unmetDependencies('dashboard'), []);
+  });
+
+  it("don't match prereleases of a later version", () => {
+    add('reports', '2.0.0-beta.1');
+    add('dashboard', '1.0.0', ['reports@^1.0.0']);
+    activate('reports');
+
+    assert.deepEqual(manager._unmetDependencies('dashboard'), ['reports ^1.0.0 is required (found 2.0.0-beta.1)']);
+  });
+});
+
+describe('activation order', () => {
+  it('puts dependencies first', () => {
+    add('reports', '1.0.0', ['core']);
+    add('dashboard', '1.0.0', ['reports', 'core']);
+    add('core', '1.0.0');
+
+    assert.deepEqual(manager._activationOrder(['dashboard', 'reports', 'core']), {
+      order: ['core', 'reports', 'dashboard'],
+      blocked: []
+    });
+  });
+
+  it('ignores dependencies outside the list', () => {
+    add('dashboard', '1.0.0', ['reports']);
+    assert.deepEqual(manager._activationOrder(['dashboard']), { order: ['dashboard'], blocked: [] });
+  });
+
+  it('blocks plugins in or behind a cycle', () => {
+    add('a', '1.0.0', ['b']);
+    add('b', '1.0.0', ['a']);
+    add('c', '1.0.0', ['a']);
+    add('d', '1.0.0');
+
+    assert.deepEqual(manager._activationOrder(['a', 'b', 'c', 'd']), { order: ['d'], blocked: ['a', 'b', 'c'] });
+    assert.deepEqual(manager._findCycle('a'), ['a', 'b', 'a']);
+    assert.equal(manager._findCycle('c'), null);
+  });
+});
+
+describe('dependents', () => {
+  it('lists direct and indirect dependents, each before what it depends on', () => {
+    add('core', '1.0.0');
+    add('reports', '1.0.0', ['core']);
+    add('dashboard', '1.0.0', ['reports']);
+    add('maps', '1.0.0');
+
+    assert.deepEqual(manager._dependentsOf('core', ['core', 'reports', 'dashboard', 'maps']), ['dashboard', 'reports']);
+  });
+});
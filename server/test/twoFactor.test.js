@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hotp, findTotpStep } from '../src/services/twoFactor.js';
+
+// "12345678901234567890", the secret in the RFC 4226 and RFC 6238 test vectors
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe('hotp', () => {
+  it('matches the RFC 4226 test vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => assert.equal(hotp(SECRET, counter), code));
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+    assert.equal(hotp(SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(hotp(SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(hotp(SECRET, Math.floor(1234567890 / 30)), '005924');
+    assert.equal(hotp(SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+
+  it('accepts lowercase and padded secrets', () => {
+    assert.equal(hotp(`${SECRET.toLowerCase()}====`, 1), '287082');
+  });
+
+  it('rejects secrets that are not base32', () => {
+    assert.throws(() => hotp('NOT-BASE32!', 1), /Invalid base32 secret/);
+  });
+});
+
+describe('findTotpStep', () => {
+  it('accepts the current code', () => {
+    const step = currentStep();
+    assert.equal(findTotpStep(SECRET, hotp(SECRET, step)), step);
+  });
+
+  it('allows one step of clock drift either way', () => {
+    const step = currentStep();
+    assert.equal(findTotpStep(SECRET, hotp(SECRET, step - 1)), step - 1);
+    assert.equal(findTotpStep(SECRET, hotp(SECRET, step + 1)), step + 1);
+  });
+
+  it('rejects codes from outside the window', () => {
+    const step = currentStep();
+    assert.equal(findTotpStep(SECRET, hotp(SECRET, step - 3)), null);
+    assert.equal(findTotpStep(SECRET, hotp(SECRET, step + 3)), null);
+  });
+
+  it('rejects codes that are not six digits', () => {
+    const code = hotp(SECRET, currentStep());
+    assert.equal(findTotpStep(SECRET, `${code}0`), null);
+    assert.equal(findTotpStep(SECRET, code.slice(1)), null);
+    assert.equal(findTotpStep(SECRET, ' 12345'), null);
+    assert.equal(findTotpStep(SECRET, ''), null);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileSchema, formatErrors, fields, handleBodyErrors } from '../src/middleware/validate.js';
+
+// field -> message for every problem with a value
+const problems = (schema, value, location = 'body') => {
+  const check = compileSchema(schema);
+  check(value);
+  return Object.fromEntries(formatErrors(check.errors, location).map(detail => {
+    assert.equal(detail.in, location);
+    return [detail.field, detail.message];
+  }));
+};
+
+describe('formatErrors', () => {
+  it('names missing and unexpected properties', () => {
+    assert.deepEqual(problems({
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: { name: fields.name }
+    }, { nickname: 'Al' }), {
+      name: 'name is required',
+      nickname: "nickname isn't allowed"
+    });
+  });
+
+  it('describes each keyword in plain words', () => {
+    assert.deepEqual(problems({
+      type: 'object',
+      properties: {
+        name: fields.name,
+        amount: fields.amount,
+        count: { type: 'integer', minimum: 1, maximum: 10 },
+        email: fields.email,
+        expense_date: fields.date,
+        status: { enum: ['draft', 'sent'] },
+        code: { type: 'string', minLength: 3, maxLength: 5 },
+        ref: { type: 'string', pattern: '^[A-Z]+$' },
+        tags: { type: 'array', minItems: 1 },
+        labels: { type: 'array', maxItems: 2 },
+        manager_id: fields.optionalUuid
+      }
+    }, {
+      name: '   ',
+      amount: 0,
+      count: 11,
+      email: 'nobody',
+      expense_date: '2025-02-31',
+      status: 'paid',
+      code: 'toolong',
+      ref: 'abc',
+      tags: [],
+      labels: ['a', 'b', 'c'],
+      manager_id: {}
+    }), {
+      name: "name can't be empty",
+      amount: 'amount must be greater than 0',
+      count: 'count must be at most 10',
+      email: 'email must be a valid email address',
+      expense_date: 'expense_date must be a date such as "2025-01-31"',
+      status: 'status must be one of: draft, sent',
+      code: 'code must be at most 5 characters',
+      ref: "ref isn't in the right format",
+      tags: 'tags must have at least 1 item',
+      labels: 'labels must have at most 2 items',
+      manager_id: 'manager_id must be a string or null'
+    });
+  });
+
+  it('builds paths into nested objects and arrays', () => {
+    assert.deepEqual(problems({
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: { type: 'object', required: ['qty'], properties: { qty: { type: 'integer' } } }
+        },
+        meta: { type: 'object', properties: { 'a/b': { type: 'object' } } }
+      }
+    }, { items: [{ qty: 1 }, { qty: 'many' }, {}], meta: { 'a/b': 'x' } }), {
+      'items[1].qty': 'items[1].qty must be an integer',
+      'items[2].qty': 'items[2].qty is required',
+      'meta.a/b': 'meta.a/b must be an object'
+    });
+  });
+
+  it('uses the location when the whole value is wrong', () => {
+    assert.deepEqual(problems({ type: 'object' }, 'text', 'query'), { query: 'query must be an object' });
+  });
+
+  it('returns nothing without errors', () => {
+    assert.deepEqual(formatErrors(null, 'body'), []);
+  });
+});
+
+describe('handleBodyErrors', () => {
+  const response = () => ({
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  });
+
+  it('answers unreadable JSON with a 400', () => {
+    const res = response();
+    handleBodyErrors({ type: 'entity.parse.failed' }, {}, res, () => assert.fail('passed on'));
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "body isn't valid JSON");
+  });
+
+  it('answers oversized bodies with a 413', () => {
+    const res = response();
+    handleBodyErrors({ type: 'entity.too.large', limit: 1024 }, {}, res, () => assert.fail('passed on'));
+    assert.equal(res.statusCode, 413);
+    assert.equal(res.body.error, 'body must be at most 1024 bytes');
+  });
+
+  it('passes other errors on', () => {
+    const error = new Error('boom');
+    let passed;
+    handleBodyErrors(error, {}, response(), (err) => { passed = err; });
+    assert.equal(passed, error);
+  });
+});